@@ -0,0 +1,87 @@
+/**
+ * Non-permanence buffer pool
+ * Share of every issuance (registration and monitoring periods) withheld in the registry's
+ * buffer against reversals such as storms or dieback. The percentage is the ecosystem's base
+ * rate plus the adjustment for the project's risk score (0-100, set by an Admin), capped at
+ * maxPercent; projects without a risk score get the base rate. BUFFER_POOL_RULES replaces the
+ * defaults with JSON of the same shape.
+ */
+
+const { UNITS_PER_TONNE } = require('./creditUnits');
+
+const DEFAULT_RULES = {
+  ecosystems: {
+    mangrove: 10,
+    seagrass: 15,
+    salt_marsh: 12,
+    default: 15, // other ecosystem types
+  },
+  risk: [
+    { minScore: 0, addPercent: 0 },
+    { minScore: 40, addPercent: 5 },
+    { minScore: 70, addPercent: 10 },
+  ],
+  maxPercent: 50,
+};
+
+// Legacy Ecosystem_Type values
+const ECOSYSTEM_ALIASES = { mangroves: 'mangrove', saltMarsh: 'salt_marsh' };
+
+function loadRules() {
+  const rules = process.env.BUFFER_POOL_RULES ? JSON.parse(process.env.BUFFER_POOL_RULES) : DEFAULT_RULES;
+
+  const percents = Object.values(rules.ecosystems || {});
+  if (!Number.isFinite(rules.ecosystems?.default) || percents.some(value => !Number.isFinite(value) || value < 0 || value >= 100)) {
+    throw new Error('BUFFER_POOL_RULES.ecosystems needs a "default" and percentages from 0 to 99');
+  }
+  if (!Array.isArray(rules.risk) || rules.risk.some(band => !Number.isFinite(band.minScore) || !Number.isFinite(band.addPercent))) {
+    throw new Error('BUFFER_POOL_RULES.risk must be an array of { minScore, addPercent }');
+  }
+  if (!Number.isFinite(rules.maxPercent) || rules.maxPercent < 0 || rules.maxPercent >= 100) {
+    throw new Error('BUFFER_POOL_RULES.maxPercent must be from 0 to 99');
+  }
+  return { ...rules, risk: [...rules.risk].sort((a, b) => a.minScore - b.minScore) };
+}
+
+const RULES = loadRules();
+
+/**
+ * Buffer percentage for a project
+ * @param {string} ecosystemType
+ * @param {number|null} [riskScore] - Non-permanence risk score, 0-100
+ * @returns {number}
+ */
+function bufferPercent(ecosystemType, riskScore) {
+  const type = ECOSYSTEM_ALIASES[ecosystemType] || ecosystemType;
+  const base = RULES.ecosystems[type] ?? RULES.ecosystems.default;
+
+  const score = Number(riskScore);
+  const band = riskScore === null || riskScore === undefined || !Number.isFinite(score)
+    ? null
+    : RULES.risk.filter(rule => score >= rule.minScore).pop();
+  return Math.min(base + (band ? band.addPercent : 0), RULES.maxPercent);
+}
+
+/**
+ * Split an issuance between the owner and the buffer
+ * Works in credit units (kg, config/creditUnits.js): the buffer share is rounded up to the
+ * next unit, but the owner always keeps at least one unit.
+ * @param {number} credits - Credits issued, in tonnes
+ * @param {number} percent - Buffer percentage
+ * @returns {{bufferCredits: number, ownerCredits: number}} Tonnes
+ */
+function splitCredits(credits, percent) {
+  const total = Math.round(credits * UNITS_PER_TONNE);
+  const bufferUnits = Math.max(0, Math.min(Math.ceil((total * percent) / 100), total - 1));
+  return {
+    bufferCredits: bufferUnits / UNITS_PER_TONNE,
+    ownerCredits: (total - bufferUnits) / UNITS_PER_TONNE,
+  };
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  RULES,
+  bufferPercent,
+  splitCredits,
+};
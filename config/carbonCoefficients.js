@@ -0,0 +1,115 @@
+/**
+ * Carbon calculation coefficients
+ * Each methodology version is frozen once used: evidence stores the version it was
+ * calculated with, so changing numbers means adding a new version, not editing one.
+ * Extra versions can be loaded from a JSON file named by CARBON_COEFFICIENTS_PATH
+ * ({ "<version>": { ...same shape as below } }); CARBON_COEFFICIENTS_VERSION picks the default.
+ */
+
+const fs = require('fs');
+
+const VERSIONS = {
+  '2025.1': {
+    description: 'Komiyama et al. (2005) / Chave et al. (2005) mangrove allometry; IPCC 2013 Wetlands Supplement defaults',
+    co2PerCarbon: 44 / 12,
+
+    mangrove: {
+      carbonFraction: 0.47,          // of dry biomass
+      // Komiyama et al. (2005), DBH only: AGB = a * rho * D^b, BGB = c * rho^d * D^e (kg)
+      aboveGround: { a: 0.251, b: 2.46 },
+      belowGround: { c: 0.199, d: 0.899, e: 2.22 },
+      // Chave et al. (2005) mangrove equation, used when height is known: AGB = a * rho * D^2 * H (kg)
+      aboveGroundWithHeight: { a: 0.0509 },
+      defaultWoodDensity: 0.7,       // g/cm³
+      woodDensity: {                 // g/cm³, Global Wood Density Database
+        'Rhizophora apiculata': 0.87,
+        'Rhizophora mucronata': 0.85,
+        'Rhizophora mangle': 0.84,
+        'Avicennia marina': 0.65,
+        'Avicennia officinalis': 0.63,
+        'Avicennia germinans': 0.72,
+        'Bruguiera gymnorrhiza': 0.74,
+        'Ceriops tagal': 0.85,
+        'Sonneratia alba': 0.50,
+        'Sonneratia apetala': 0.53,
+        'Excoecaria agallocha': 0.42,
+        'Heritiera fomes': 0.86,
+        'Xylocarpus granatum': 0.61,
+        'Laguncularia racemosa': 0.60,
+      },
+    },
+
+    seagrass: {
+      carbonFraction: 0.34,
+      defaultRootShootRatio: 1.5,    // below-ground : above-ground biomass
+      rootShootRatio: {
+        'Posidonia oceanica': 1.9,
+        'Zostera marina': 1.2,
+        'Thalassia hemprichii': 2.1,
+        'Enhalus acoroides': 2.5,
+        'Cymodocea serrulata': 1.4,
+        'Halophila ovalis': 0.8,
+      },
+    },
+
+    salt_marsh: {
+      carbonFraction: 0.45,
+      defaultRootShootRatio: 2.0,
+      rootShootRatio: {
+        'Spartina alterniflora': 1.6,
+        'Spartina anglica': 2.0,
+        'Juncus roemerianus': 3.0,
+        'Salicornia europaea': 0.5,
+      },
+    },
+
+    soil: {
+      maxDepthCm: 100,               // IPCC default accounting depth
+      defaultBulkDensity: {          // g/cm³, used when a core does not report one
+        mangrove: 0.5,
+        seagrass: 1.0,
+        salt_marsh: 0.6,
+      },
+    },
+  },
+};
+
+function loadExternalVersions() {
+  const file = process.env.CARBON_COEFFICIENTS_PATH;
+  if (!file) return;
+
+  const external = JSON.parse(fs.readFileSync(file, 'utf8'));
+  for (const [version, coefficients] of Object.entries(external)) {
+    if (VERSIONS[version]) {
+      throw new Error(`Carbon coefficient version "${version}" already exists and cannot be redefined`);
+    }
+    VERSIONS[version] = coefficients;
+  }
+}
+
+loadExternalVersions();
+
+const DEFAULT_VERSION = process.env.CARBON_COEFFICIENTS_VERSION || '2025.1';
+
+if (!VERSIONS[DEFAULT_VERSION]) {
+  throw new Error(`Unknown carbon coefficient version "${DEFAULT_VERSION}"`);
+}
+
+/**
+ * Coefficients for a methodology version
+ * @param {string} [version=DEFAULT_VERSION]
+ * @returns {Object}
+ */
+function getCoefficients(version = DEFAULT_VERSION) {
+  const coefficients = VERSIONS[version];
+  if (!coefficients) {
+    throw new Error(`Unknown carbon coefficient version "${version}"`);
+  }
+  return coefficients;
+}
+
+module.exports = {
+  DEFAULT_VERSION,
+  VERSIONS,
+  getCoefficients,
+};
@@ -0,0 +1,61 @@
+const { ethers } = require('ethers');
+
+/**
+ * Credit precision
+ * The API and database count credits in tonnes CO2e (fractions allowed). On-chain, every
+ * credit amount is a uint256 in credit units of 1 kg CO2e (CREDIT_DECIMALS = 3), so amounts
+ * are converted at the contract boundary (utils/blockchainService.js, dappController).
+ * BCARB keeps 18 decimals: 1 BCARB = 1 tonne = 1000 credit units.
+ */
+
+const CREDIT_DECIMALS = 3;
+const UNITS_PER_TONNE = 10 ** CREDIT_DECIMALS;
+
+/**
+ * Round tonnes to the on-chain precision
+ * @param {number|string} tonnes
+ * @returns {number}
+ */
+function roundCredits(tonnes) {
+  return Math.round(Number(tonnes) * UNITS_PER_TONNE) / UNITS_PER_TONNE;
+}
+
+/**
+ * Tonnes to on-chain credit units (rounded to the nearest kg)
+ * @param {number|string} tonnes
+ * @returns {bigint}
+ */
+function toCreditUnits(tonnes) {
+  const value = Number(tonnes);
+  if (!Number.isFinite(value)) {
+    throw new Error(`Invalid credit amount: ${tonnes}`);
+  }
+  return ethers.parseUnits(value.toFixed(CREDIT_DECIMALS), CREDIT_DECIMALS);
+}
+
+/**
+ * On-chain credit units to tonnes
+ * @param {bigint|number|string} units
+ * @returns {number}
+ */
+function fromCreditUnits(units) {
+  return Number(ethers.formatUnits(units, CREDIT_DECIMALS));
+}
+
+/**
+ * Whether a request amount is a positive number of tonnes with at most CREDIT_DECIMALS decimals
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isCreditAmount(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0 && roundCredits(value) === value;
+}
+
+module.exports = {
+  CREDIT_DECIMALS,
+  UNITS_PER_TONNE,
+  roundCredits,
+  toCreditUnits,
+  fromCreditUnits,
+  isCreditAmount,
+};
@@ -0,0 +1,38 @@
+/**
+ * Discrepancy tolerances
+ * How far a verifier's measurement may differ from the owner's evidence before the approval
+ * credits the conservative value. Percentages are relative to the owner's value; the GPS
+ * tolerance is a distance in metres. DISCREPANCY_TOLERANCES overrides individual values with
+ * a JSON object of the same shape, e.g. {"treeCount":5,"gpsDistanceM":50}.
+ */
+
+const DEFAULT_TOLERANCES = {
+  treeCount: 10,        // %
+  avgDBHcm: 10,         // %
+  biomassKgPerM2: 15,   // % (seagrass and salt marsh samples)
+  biomassTCO2e: 15,     // % (above + below ground)
+  totalTCO2e: 10,       // %
+  gpsDistanceM: 100,    // metres between the owner's and the verifier's GPS points
+};
+
+function loadTolerances() {
+  const overrides = process.env.DISCREPANCY_TOLERANCES ? JSON.parse(process.env.DISCREPANCY_TOLERANCES) : {};
+  const tolerances = { ...DEFAULT_TOLERANCES, ...overrides };
+
+  for (const [field, value] of Object.entries(tolerances)) {
+    if (!Object.prototype.hasOwnProperty.call(DEFAULT_TOLERANCES, field)) {
+      throw new Error(`Unknown discrepancy tolerance "${field}"`);
+    }
+    if (!Number.isFinite(value) || value < 0) {
+      throw new Error(`Discrepancy tolerance "${field}" must be a non-negative number`);
+    }
+  }
+  return tolerances;
+}
+
+const TOLERANCES = loadTolerances();
+
+module.exports = {
+  DEFAULT_TOLERANCES,
+  TOLERANCES,
+};
@@ -0,0 +1,166 @@
+/**
+ * Central permission registry
+ * Routes ask for a permission (requirePermission('project:approve')); roles are mapped to
+ * permissions here and nowhere else.
+ */
+
+const ROLES = ['Admin', 'Owner', 'Verifier']; // must match the User.role enum
+
+const PERMISSIONS = {
+  // Projects
+  'project:register': 'Register a new project',
+  'project:resubmit': 'Edit and resubmit a rejected project the current user owns',
+  'project:read-own': 'List projects created by the current user',
+  'project:read-assigned': 'List projects assigned to the current user for inspection',
+  'project:read-all': 'List all projects awaiting verification',
+  'project:approve': 'Approve a project and register it on-chain',
+  'project:reject': 'Reject a project',
+  'project:update-status': 'Change a project status on-chain',
+
+  // Evidence and verification
+  'evidence:submit': 'Submit field evidence for a project',
+  'evidence:verify': 'Approve or reject submitted evidence',
+  'verification:read': 'View pending projects, verification details and history',
+  'verification:resolve-dissent': 'Uphold or override dissenting verifier votes',
+  'verification:assign': 'Assign verifiers to projects and review any project',
+  'monitoring:submit': 'Submit a monitoring period for a registered project the current user owns',
+  'monitoring:verify': 'Approve or reject monitoring periods',
+  'loss:report': 'Report a loss event on a project the current user owns (or any project, with loss:confirm)',
+  'loss:confirm': 'Confirm or dismiss loss events; confirming cancels the lost credits',
+
+  // Blockchain and credits
+  'blockchain:register': 'Register or retry registration of an approved project on-chain',
+  'blockchain:sync': 'Sync a project with on-chain data',
+  'credits:retire': 'Retire carbon credits',
+  'buffer:manage': 'Set project risk scores and cancel or release buffer pool credits',
+  'registry:register': 'Build a direct registerProject transaction for the registry owner wallet',
+  'marketplace:list': 'Create a marketplace listing',
+
+  // Administration
+  'admin:dashboard': 'View admin project overviews and statistics',
+  'users:manage': 'List, update, deactivate and invite users, and revoke sessions',
+  'audit:read': 'Query, export and verify the audit log',
+};
+
+const ROLE_PERMISSIONS = {
+  Admin: [
+    'project:register',
+    'project:resubmit',
+    'project:read-own',
+    'project:read-all',
+    'project:approve',
+    'project:reject',
+    'project:update-status',
+    'evidence:verify',
+    'verification:read',
+    'verification:resolve-dissent',
+    'verification:assign',
+    'monitoring:verify',
+    'loss:report',
+    'loss:confirm',
+    'blockchain:register',
+    'blockchain:sync',
+    'credits:retire',
+    'buffer:manage',
+    'registry:register',
+    'marketplace:list',
+    'admin:dashboard',
+    'users:manage',
+    'audit:read',
+  ],
+  Owner: [
+    'project:register',
+    'project:resubmit',
+    'project:read-own',
+    'evidence:submit',
+    'monitoring:submit',
+    'loss:report',
+    'credits:retire',
+    'marketplace:list',
+  ],
+  Verifier: [
+    'project:register',
+    'project:resubmit',
+    'project:read-own',
+    'project:read-assigned',
+    'project:read-all',
+    'project:approve',
+    'project:reject',
+    'evidence:verify',
+    'verification:read',
+    'monitoring:verify',
+    'loss:report',
+    'loss:confirm',
+    'blockchain:register',
+    'blockchain:sync',
+    'marketplace:list',
+  ],
+};
+
+/**
+ * Whether a permission name is registered
+ * @param {string} permission
+ * @returns {boolean}
+ */
+function isKnownPermission(permission) {
+  return Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
+}
+
+/**
+ * Whether a role grants a permission
+ * @param {string} role
+ * @param {string} permission
+ * @returns {boolean}
+ */
+function hasPermission(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+/**
+ * Permissions granted to a role
+ * @param {string} role
+ * @returns {string[]}
+ */
+function permissionsForRole(role) {
+  return [...(ROLE_PERMISSIONS[role] || [])];
+}
+
+/**
+ * Check the registry is consistent: every mapped role exists in the User model and every
+ * mapped permission is registered. Throws on the first problem so the server refuses to boot.
+ * @param {string[]} userRoles - Roles allowed by the User.role enum
+ */
+function validatePermissionRegistry(userRoles = ROLES) {
+  const problems = [];
+
+  for (const role of Object.keys(ROLE_PERMISSIONS)) {
+    if (!userRoles.includes(role)) {
+      problems.push(`Role "${role}" is mapped to permissions but is not a User role`);
+    }
+    for (const permission of ROLE_PERMISSIONS[role]) {
+      if (!isKnownPermission(permission)) {
+        problems.push(`Role "${role}" is granted unknown permission "${permission}"`);
+      }
+    }
+  }
+
+  for (const role of userRoles) {
+    if (!ROLE_PERMISSIONS[role]) {
+      problems.push(`User role "${role}" has no permission mapping`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid permission registry:\n - ${problems.join('\n - ')}`);
+  }
+}
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  isKnownPermission,
+  hasPermission,
+  permissionsForRole,
+  validatePermissionRegistry,
+};
@@ -0,0 +1,172 @@
+/**
+ * Project lifecycle
+ * The one place that defines project states and which transitions are allowed.
+ * Evidence.status and ProjectStamp.status both hold these values; controllers move a
+ * project with applyTransition() instead of writing status directly.
+ */
+
+const STATES = {
+  DRAFT: 'DRAFT',
+  SUBMITTED: 'SUBMITTED',
+  UNDER_REVIEW: 'UNDER_REVIEW',
+  APPROVED: 'APPROVED',
+  REGISTERED: 'REGISTERED',               // registered on-chain, credits minted
+  PARTIALLY_RETIRED: 'PARTIALLY_RETIRED',
+  RETIRED: 'RETIRED',
+  REJECTED: 'REJECTED',
+  RESUBMITTED: 'RESUBMITTED',
+};
+
+const S = STATES;
+
+const TRANSITIONS = {
+  [S.DRAFT]: [S.SUBMITTED],
+  [S.SUBMITTED]: [S.UNDER_REVIEW, S.APPROVED, S.REJECTED],
+  [S.UNDER_REVIEW]: [S.APPROVED, S.REJECTED],
+  [S.APPROVED]: [S.REGISTERED],
+  [S.REGISTERED]: [S.PARTIALLY_RETIRED, S.RETIRED],
+  [S.PARTIALLY_RETIRED]: [S.PARTIALLY_RETIRED, S.RETIRED],
+  [S.RETIRED]: [],
+  [S.REJECTED]: [S.RESUBMITTED],
+  [S.RESUBMITTED]: [S.UNDER_REVIEW, S.APPROVED, S.REJECTED],
+};
+
+// Groups used by queries
+const AWAITING_REVIEW = [S.SUBMITTED, S.UNDER_REVIEW, S.RESUBMITTED];
+const VERIFIED = [S.APPROVED, S.REGISTERED, S.PARTIALLY_RETIRED, S.RETIRED];
+const ON_CHAIN = [S.REGISTERED, S.PARTIALLY_RETIRED, S.RETIRED];
+
+// CarbonCreditRegistry.ProjectStatus (0=PENDING, 1=VERIFIED, 2=RETIRED) for on-chain states
+const CHAIN_STATUS = {
+  [S.REGISTERED]: 1,
+  [S.PARTIALLY_RETIRED]: 1,
+  [S.RETIRED]: 2,
+};
+
+// Values written before the lifecycle existed, mapped to their state
+const LEGACY_STATUS = {
+  PENDING: S.SUBMITTED,
+  Pending: S.SUBMITTED,
+  'Under Review': S.UNDER_REVIEW,
+  APPROVED: S.APPROVED,
+  Approved: S.APPROVED,
+  Verified: S.APPROVED,
+  VERIFIED: S.APPROVED,
+  Completed: S.REGISTERED,
+  REJECTED: S.REJECTED,
+  Rejected: S.REJECTED,
+  Retired: S.RETIRED,
+};
+
+/**
+ * Whether a status is a lifecycle state
+ * @param {string} status
+ * @returns {boolean}
+ */
+function isState(status) {
+  return Object.prototype.hasOwnProperty.call(TRANSITIONS, status);
+}
+
+/**
+ * States reachable from a state
+ * @param {string} from
+ * @returns {string[]}
+ */
+function allowedTransitions(from) {
+  return [...(TRANSITIONS[from] || [])];
+}
+
+/**
+ * Whether a project may move from one state to another
+ * @param {string} from
+ * @param {string} to
+ * @returns {boolean}
+ */
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Standard 409 body for a refused transition
+ * @param {string} from
+ * @param {string} to
+ * @returns {Object}
+ */
+function transitionError(from, to) {
+  return {
+    success: false,
+    message: `Project cannot move from ${from} to ${to}`,
+    currentStatus: from,
+    allowedTransitions: allowedTransitions(from),
+  };
+}
+
+/**
+ * Move a document to a new state and record it in statusHistory
+ * Throws if the transition is not allowed; the caller saves the document.
+ * @param {Object} doc - Evidence or ProjectStamp document
+ * @param {string} to - Target state
+ * @param {Object} [context]
+ * @param {string} [context.by] - User id making the change
+ * @param {string} [context.reason]
+ * @returns {Object} The document
+ */
+function applyTransition(doc, to, { by, reason } = {}) {
+  const from = doc.status;
+  if (!canTransition(from, to)) {
+    const error = new Error(`Project cannot move from ${from} to ${to}`);
+    error.code = 'INVALID_TRANSITION';
+    error.from = from;
+    error.to = to;
+    throw error;
+  }
+
+  doc.status = to;
+  if (Array.isArray(doc.statusHistory)) {
+    doc.statusHistory.push({ from, to, at: new Date(), by, reason });
+  }
+  return doc;
+}
+
+/**
+ * Lifecycle state implied by an on-chain status string (blockchainService.getStatusString)
+ * @param {string} chainStatus - PENDING, VERIFIED or RETIRED
+ * @param {string} current - Current lifecycle state
+ * @returns {string} State; the current one when the chain status does not change it
+ */
+function stateFromChain(chainStatus, current) {
+  if (chainStatus === 'RETIRED') return S.RETIRED;
+  if (chainStatus === 'VERIFIED' && !ON_CHAIN.includes(current)) return S.REGISTERED;
+  return current;
+}
+
+/**
+ * Map a stored status (legacy or current) to a lifecycle state
+ * @param {string} status
+ * @param {Object} [blockchain] - Evidence blockchain sub-document, used to tell approved from registered
+ * @returns {string|null} State, or null if the value is unknown
+ */
+function normalizeStatus(status, blockchain = {}) {
+  const state = isState(status) ? status : LEGACY_STATUS[status] || null;
+  if (state === S.APPROVED && blockchain && blockchain.isRegistered) {
+    return blockchain.isRetired ? S.RETIRED : S.REGISTERED;
+  }
+  return state;
+}
+
+module.exports = {
+  STATES,
+  TRANSITIONS,
+  AWAITING_REVIEW,
+  VERIFIED,
+  ON_CHAIN,
+  CHAIN_STATUS,
+  LEGACY_STATUS,
+  isState,
+  allowedTransitions,
+  canTransition,
+  transitionError,
+  applyTransition,
+  normalizeStatus,
+  stateFromChain,
+};
@@ -0,0 +1,154 @@
+/**
+ * Verification checklists
+ * What a verifier must check on site, per ecosystem type. Every item is answered pass, fail
+ * or n/a with references to the evidence that backs the answer; a project cannot be approved
+ * until every mandatory item passes. Approvals store the checklist version they were made
+ * against, so changing items means bumping CHECKLIST_VERSION. VERIFICATION_CHECKLISTS_PATH
+ * names a JSON file ({ "<ecosystemType>": [ { id, label, mandatory }, ... ] }) that replaces
+ * the checklists it lists.
+ */
+
+const fs = require('fs');
+
+const CHECKLIST_VERSION = process.env.VERIFICATION_CHECKLISTS_VERSION || '2025.1';
+
+const RESULTS = ['pass', 'fail', 'n/a'];
+
+// Checked for every ecosystem type, after the type-specific items
+const COMMON_ITEMS = [
+  { id: 'boundary_walked', label: 'Project boundary walked or matched to imagery', mandatory: true },
+  { id: 'community_consent_seen', label: 'Community consent document seen', mandatory: true },
+  { id: 'land_tenure_seen', label: 'Land tenure or lease document seen', mandatory: true },
+  { id: 'no_competing_claims', label: 'No competing carbon claims on the site', mandatory: false },
+];
+
+const DEFAULT_CHECKLISTS = {
+  mangrove: [
+    { id: 'species_confirmed', label: 'Planted species confirmed on site', mandatory: true },
+    { id: 'tree_count_sampled', label: 'Tree count sampled in plots', mandatory: true },
+    { id: 'dbh_plot_measured', label: 'DBH measured in a sample plot', mandatory: true },
+    { id: 'survival_rate_checked', label: 'Seedling survival rate checked', mandatory: false },
+    { id: 'soil_core_taken', label: 'Soil core taken or soil carbon report seen', mandatory: false },
+  ],
+  seagrass: [
+    { id: 'species_confirmed', label: 'Seagrass species confirmed', mandatory: true },
+    { id: 'meadow_area_checked', label: 'Meadow extent checked against the boundary', mandatory: true },
+    { id: 'shoot_density_sampled', label: 'Shoot density sampled with quadrats', mandatory: true },
+    { id: 'biomass_sampled', label: 'Biomass sample taken', mandatory: false },
+    { id: 'soil_core_taken', label: 'Sediment core taken or soil carbon report seen', mandatory: false },
+  ],
+  salt_marsh: [
+    { id: 'species_confirmed', label: 'Marsh species confirmed', mandatory: true },
+    { id: 'marsh_area_checked', label: 'Marsh extent checked against the boundary', mandatory: true },
+    { id: 'vegetation_height_measured', label: 'Vegetation height measured', mandatory: true },
+    { id: 'biomass_sampled', label: 'Biomass sample taken', mandatory: false },
+    { id: 'soil_core_taken', label: 'Soil core taken or soil carbon report seen', mandatory: false },
+  ],
+  // Ecosystem types without a specific checklist get these
+  default: [
+    { id: 'ecosystem_confirmed', label: 'Ecosystem type confirmed on site', mandatory: true },
+    { id: 'measurements_sampled', label: 'Owner measurements re-sampled', mandatory: true },
+  ],
+};
+
+function loadChecklists() {
+  const checklists = { ...DEFAULT_CHECKLISTS };
+  if (process.env.VERIFICATION_CHECKLISTS_PATH) {
+    Object.assign(checklists, JSON.parse(fs.readFileSync(process.env.VERIFICATION_CHECKLISTS_PATH, 'utf8')));
+  }
+
+  for (const [ecosystemType, items] of Object.entries(checklists)) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new Error(`Verification checklist "${ecosystemType}" must be a non-empty array`);
+    }
+    const ids = new Set(COMMON_ITEMS.map(item => item.id));
+    for (const item of items) {
+      if (typeof item.id !== 'string' || !item.id || typeof item.label !== 'string' || typeof item.mandatory !== 'boolean') {
+        throw new Error(`Invalid item in verification checklist "${ecosystemType}": ${JSON.stringify(item)}`);
+      }
+      if (ids.has(item.id)) {
+        throw new Error(`Duplicate item "${item.id}" in verification checklist "${ecosystemType}"`);
+      }
+      ids.add(item.id);
+    }
+  }
+  return checklists;
+}
+
+const CHECKLISTS = loadChecklists();
+
+/**
+ * Checklist items for an ecosystem type
+ * @param {string} ecosystemType - Evidence.ecosystemType
+ * @returns {Object[]} Items ({ id, label, mandatory }), type-specific first
+ */
+function checklistFor(ecosystemType) {
+  return [...(CHECKLISTS[ecosystemType] || CHECKLISTS.default), ...COMMON_ITEMS];
+}
+
+/**
+ * Check a verifier's completed checklist
+ * @param {string} ecosystemType
+ * @param {Array<{itemId: string, result: string, evidenceRefs?: string[], notes?: string}>} input
+ * @returns {{checklist: Object, errors: string[], failing: Object[]}} checklist is what gets
+ *   stored; failing lists mandatory items that did not pass
+ */
+function evaluateChecklist(ecosystemType, input) {
+  const items = checklistFor(ecosystemType);
+  if (!Array.isArray(input)) {
+    return { checklist: null, errors: ['checklist must be an array of { itemId, result, evidenceRefs }'], failing: [] };
+  }
+
+  const errors = [];
+  const answers = new Map();
+  input.forEach((answer, index) => {
+    const label = `checklist[${index}]`;
+    if (!items.some(item => item.id === answer?.itemId)) {
+      errors.push(`${label} itemId "${answer?.itemId}" is not on the ${ecosystemType} checklist`);
+    } else if (answers.has(answer.itemId)) {
+      errors.push(`${label} answers "${answer.itemId}" twice`);
+    } else {
+      answers.set(answer.itemId, answer);
+    }
+    if (!RESULTS.includes(answer?.result)) {
+      errors.push(`${label} result must be one of ${RESULTS.join(', ')}`);
+    }
+    if (answer?.evidenceRefs !== undefined &&
+        (!Array.isArray(answer.evidenceRefs) || answer.evidenceRefs.some(ref => typeof ref !== 'string' || !ref.trim()))) {
+      errors.push(`${label} evidenceRefs must be an array of evidence ids, file names or hashes`);
+    }
+  });
+
+  const completed = items.map((item) => {
+    const answer = answers.get(item.id);
+    if (!answer) {
+      errors.push(`Checklist item "${item.id}" was not answered`);
+    } else if (answer.result === 'pass' && item.mandatory && !(answer.evidenceRefs || []).length) {
+      errors.push(`Checklist item "${item.id}" passed without an evidence reference`);
+    }
+    return {
+      itemId: item.id,
+      label: item.label,
+      mandatory: item.mandatory,
+      result: answer?.result || null,
+      evidenceRefs: Array.isArray(answer?.evidenceRefs) ? answer.evidenceRefs.map(ref => String(ref).trim()) : [],
+      notes: typeof answer?.notes === 'string' ? answer.notes.trim() : undefined,
+    };
+  });
+
+  return {
+    checklist: { version: CHECKLIST_VERSION, ecosystemType, items: completed },
+    errors,
+    failing: completed.filter(item => item.mandatory && item.result !== 'pass'),
+  };
+}
+
+module.exports = {
+  CHECKLIST_VERSION,
+  RESULTS,
+  COMMON_ITEMS,
+  DEFAULT_CHECKLISTS,
+  CHECKLISTS,
+  checklistFor,
+  evaluateChecklist,
+};
@@ -0,0 +1,73 @@
+/**
+ * Verification quorum
+ * How many verifier approvals a project needs before it is registered on-chain, by size.
+ * Rules are matched on the largest tCO2e any approving verifier calculated; the project is
+ * then credited with the smallest. VERIFICATION_QUORUM_RULES replaces the defaults with a
+ * JSON array of the same shape, e.g. [{"minTCO2e":0,"approvals":1},{"minTCO2e":500,"approvals":2}].
+ */
+
+const DEFAULT_RULES = [
+  { minTCO2e: 0, approvals: 1 },
+  { minTCO2e: 1000, approvals: 2 },
+  { minTCO2e: 10000, approvals: 3 },
+];
+
+function loadRules() {
+  const rules = process.env.VERIFICATION_QUORUM_RULES
+    ? JSON.parse(process.env.VERIFICATION_QUORUM_RULES)
+    : DEFAULT_RULES;
+
+  if (!Array.isArray(rules) || rules.length === 0) {
+    throw new Error('VERIFICATION_QUORUM_RULES must be a non-empty array');
+  }
+  for (const rule of rules) {
+    if (!Number.isFinite(rule.minTCO2e) || !Number.isInteger(rule.approvals) || rule.approvals < 1) {
+      throw new Error(`Invalid verification quorum rule ${JSON.stringify(rule)}`);
+    }
+  }
+  return [...rules].sort((a, b) => a.minTCO2e - b.minTCO2e);
+}
+
+const RULES = loadRules();
+
+/**
+ * Approvals needed for a project of a given size
+ * @param {number} tco2e
+ * @returns {number}
+ */
+function requiredApprovals(tco2e) {
+  const amount = Number(tco2e) || 0;
+  const matched = RULES.filter(rule => amount >= rule.minTCO2e);
+  return matched.length > 0 ? matched[matched.length - 1].approvals : RULES[0].approvals;
+}
+
+/**
+ * Count the votes cast in one review round
+ * @param {Object[]} verifications - Verification records of the round
+ * @returns {Object} { required, approvals, dissents, approvingVerifiers, creditedTCO2e, met, blocked }
+ */
+function tallyVotes(verifications) {
+  const approvals = verifications.filter(v => v.status === 'Approved');
+  const dissents = verifications.filter(v => v.status === 'Rejected' && !v.dissentResolution?.decision);
+  const totals = approvals
+    .map(v => v.carbonCalculation?.totalTCO2e ?? v.co2Estimate)
+    .filter(Number.isFinite);
+
+  const required = requiredApprovals(totals.length > 0 ? Math.max(...totals) : 0);
+  return {
+    required,
+    approvals: approvals.length,
+    dissents: dissents.length,
+    approvingVerifiers: approvals.map(v => String(v.verifier?._id || v.verifier)),
+    creditedTCO2e: totals.length > 0 ? Math.min(...totals) : null,
+    met: approvals.length >= required,
+    blocked: dissents.length > 0,
+  };
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  RULES,
+  requiredApprovals,
+  tallyVotes,
+};
@@ -2,14 +2,33 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Burnable.sol";
 import "@openzeppelin/contracts/access/AccessControl.sol";
 
 /**
  * @title BlueCarbonToken
  * @dev ERC20 token representing tradable carbon credits
+ * Holders can burn their own tokens; the registry burns cancelled buffer credits this way.
+ * VintageCredit mints BCARB when vintage credits are wrapped and burns it (CANCELLER_ROLE)
+ * when they are unwrapped.
+ * Any holder can retire credits with retire(): the tokens are burned and a TokensRetired event
+ * records the beneficiary, reason and claimed period for the retirement ledger.
  */
-contract BlueCarbon is ERC20, AccessControl {
+contract BlueCarbon is ERC20, ERC20Burnable, AccessControl {
     bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
+    bytes32 public constant CANCELLER_ROLE = keccak256("CANCELLER_ROLE");
+
+    uint256 public retirementCount;
+
+    event TokensRetired(
+        uint256 indexed retirementId,
+        address indexed holder,
+        uint256 amount,
+        string beneficiary,
+        string reason,
+        uint64 periodStart,
+        uint64 periodEnd
+    );
 
     constructor() ERC20("BlueCarbon", "BCARB") {
         // Grant admin role to deployer
@@ -19,4 +38,31 @@ contract BlueCarbon is ERC20, AccessControl {
     function mint(address to, uint256 amount) external onlyRole(MINTER_ROLE) {
         _mint(to, amount);
     }
+
+    function cancelFrom(address from, uint256 amount) external onlyRole(CANCELLER_ROLE) {
+        _burn(from, amount);
+    }
+
+    /**
+     * @dev Retire (burn) the caller's credits on behalf of a beneficiary
+     * @param periodStart - Start of the period the retirement is claimed against (unix seconds)
+     * @param periodEnd - End of that period (unix seconds)
+     */
+    function retire(
+        uint256 amount,
+        string calldata beneficiary,
+        string calldata reason,
+        uint64 periodStart,
+        uint64 periodEnd
+    ) external returns (uint256 retirementId) {
+        require(amount > 0, "Amount must be > 0");
+        require(bytes(beneficiary).length > 0, "Beneficiary required");
+        require(bytes(reason).length > 0, "Reason required");
+        require(periodStart <= periodEnd, "Invalid period");
+
+        _burn(msg.sender, amount);
+        retirementId = ++retirementCount;
+
+        emit TokensRetired(retirementId, msg.sender, amount, beneficiary, reason, periodStart, periodEnd);
+    }
 }
@@ -7,39 +7,69 @@ import "@openzeppelin/contracts/utils/Pausable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/utils/Strings.sol";
 import "./BlueCarbonToken.sol"; // ERC20 token with AccessControl
+import "./VintageCredit.sol"; // ERC1155 credits per (project, vintage)
 
 /**
  * @title CarbonCreditRegistry
  * @dev NFT registry for carbon projects with ERC20 integration
+ * Every credit amount (arguments, storage, events) is in credit units of 1 kg CO2e
+ * (CREDIT_DECIMALS = 3); BCARB has 18 decimals, so one unit is TOKENS_PER_CREDIT token wei.
+ * The owner's share of every issuance is minted as VintageCredit for its (project, vintage);
+ * owners wrap it into BCARB for liquidity, which is the only way owner credits become BCARB.
+ * The buffer pool is held as BCARB until it is released as VintageCredit. Retiring burns the retirer's VintageCredit, then BCARB.
+ * Each project stores the IPFS CID of its metadata as a string; tokenURI is ipfs://<CID>.
  */
 contract CarbonCreditRegistry is ERC721, Ownable, Pausable, ReentrancyGuard {
     using Strings for uint256;
 
+    uint8 public constant CREDIT_DECIMALS = 3;
+    uint256 public constant TOKENS_PER_CREDIT = 1e15; // BCARB wei per credit unit
+
     uint256 private _tokenIdCounter;
 
     BlueCarbon public blueCarbon; // ERC20 token reference
+    VintageCredit public vintageToken; // ERC1155 credits per (project, vintage)
 
     enum ProjectStatus { PENDING, VERIFIED, RETIRED }
 
     struct CarbonProjectOnChain {
         string projectId;        // Unique project ID
-        uint16 carbonCredits;    // NFT credits
+        uint256 carbonCredits;   // NFT credits
         ProjectStatus status;
         bool isRetired;
         uint64 retirementDate;
         address projectOwner;
-        bytes32 ipfsHash;        // IPFS hash for off-chain metadata
+        string ipfsHash;         // IPFS CID of the off-chain metadata
+    }
+
+    struct Retirement {
+        uint256 amount;
+        string reason;
+        string beneficiary;      // who the retirement is claimed for
+        uint64 timestamp;
+        address retiredBy;
     }
 
     mapping(uint256 => CarbonProjectOnChain) public projects;
     mapping(string => uint256) public projectToToken;
-    mapping(uint256 => bool) public retiredCredits;
+    mapping(uint256 => bool) public retiredCredits; // tokenId => every credit retired
+    mapping(uint256 => mapping(uint16 => uint256)) public vintageCredits; // tokenId => vintage year => credits issued
+    mapping(uint256 => uint256) public bufferCredits; // tokenId => credits held by this contract in the buffer pool
+    mapping(uint256 => uint256) public totalRetired; // tokenId => credits retired so far
+    mapping(uint256 => Retirement[]) private _retirements;
+    mapping(uint256 => uint16[]) private _vintages; // tokenId => vintages issued, in issuance order
 
     // Events
     event ProjectRegistered(uint256 indexed tokenId, string indexed projectId, address indexed owner, uint256 carbonCredits);
     event CreditsRetired(uint256 indexed tokenId, string indexed projectId, uint256 amount, string reason);
-    event ERC20CreditsMinted(uint256 indexed tokenId, uint256 amount, address to);
     event VerifierRewardMinted(uint256 indexed tokenId, address indexed verifier, uint256 amount);
+    event VintageIssued(uint256 indexed tokenId, uint16 indexed vintage, uint256 amount, address indexed owner, string ipfsHash);
+    event BufferDeposited(uint256 indexed tokenId, uint256 amount);
+    event BufferCancelled(uint256 indexed tokenId, uint256 amount, string reason);
+    event BufferReleased(uint256 indexed tokenId, uint16 indexed vintage, uint256 amount, address indexed to);
+    event OwnerCreditsCancelled(uint256 indexed tokenId, uint256 amount, uint256 tokensBurned, string reason);
+    event VintageCreditsMinted(uint256 indexed tokenId, uint16 indexed vintage, uint256 amount, address indexed to);
+    event MetadataUpdate(uint256 _tokenId); // ERC-4906: marketplaces refresh the token's metadata
 
     // Modifiers
     modifier onlyProjectOwner(uint256 tokenId) {
@@ -52,34 +82,46 @@ contract CarbonCreditRegistry is ERC721, Ownable, Pausable, ReentrancyGuard {
         _;
     }
 
-    constructor(address _blueCarbonToken)
+    constructor(address _blueCarbonToken, address _vintageToken)
         ERC721("Carbon Credit Registry", "CCR")
         Ownable(msg.sender)
         Pausable()
     {
         blueCarbon = BlueCarbon(_blueCarbonToken);
+        vintageToken = VintageCredit(_vintageToken);
     }
 
     /** 
      * @dev Register a new NFT project
+     * @param vintage - Year the registration credits belong to
+     * @param carbonCredits - Credits issued, including the buffer share
+     * @param bufferAmount - Share of carbonCredits withheld in the buffer pool
+     * @param ipfsHash - IPFS CID of the project metadata
      */
     function registerProject(
     string memory projectId,
-    uint16 carbonCredits,
+    uint16 vintage,
+    uint256 carbonCredits,
+    uint256 bufferAmount,
     address projectOwner,       // Add this parameter
-    bytes32 ipfsHash
-) external whenNotPaused nonReentrant returns (uint256) {
+    string memory ipfsHash
+) external onlyOwner whenNotPaused nonReentrant returns (uint256) {
     require(bytes(projectId).length > 0, "Project ID required");
     require(projectToToken[projectId] == 0, "Project exists");
+    require(vintage > 0, "Vintage required");
     require(carbonCredits > 0, "Credits > 0");
+    require(bufferAmount < carbonCredits, "Buffer >= credits");
     require(projectOwner != address(0), "Invalid owner");
+    require(bytes(ipfsHash).length > 0, "IPFS CID required");
 
     uint256 tokenId = _tokenIdCounter;
     _tokenIdCounter++;
 
+    uint256 ownerCredits = carbonCredits - bufferAmount;
+
     projects[tokenId] = CarbonProjectOnChain({
         projectId: projectId,
-        carbonCredits: carbonCredits,
+        carbonCredits: ownerCredits,
         status: ProjectStatus.VERIFIED, // automatically verified
         isRetired: false,
         retirementDate: 0,
@@ -92,71 +134,292 @@ contract CarbonCreditRegistry is ERC721, Ownable, Pausable, ReentrancyGuard {
     _safeMint(projectOwner, tokenId); // NFT goes to project owner
     emit ProjectRegistered(tokenId, projectId, projectOwner, carbonCredits);
 
-    // Mint ERC20 tokens immediately (scale to 18 decimals)
-    blueCarbon.mint(projectOwner, uint256(carbonCredits) * 1e18);
-    emit ERC20CreditsMinted(tokenId, carbonCredits, projectOwner);
+    // Mint the owner's vintage credits immediately; the buffer share is held here
+    _mintVintage(tokenId, vintage, carbonCredits, ownerCredits, projectOwner);
+    _depositBuffer(tokenId, bufferAmount);
 
     return tokenId;
 }
 
 
     /**
-     * @dev Mint ERC20 tokens from NFT credits
-     * Note: Registry contract must have MINTER_ROLE on BlueCarbon
+     * @dev Issue credits for a verified monitoring period of a registered project
+     * @param tokenId - The project's token ID
+     * @param vintage - Year the sequestration belongs to
+     * @param amount - Credits to add, including the buffer share (the rest is minted as VintageCredit to the project owner)
+     * @param bufferAmount - Share of amount withheld in the buffer pool
+     * @param ipfsHash - IPFS CID of the monitoring period metadata
      */
-    function mintERC20Credits(uint256 tokenId, uint256 amount, address to)
-        external
-        onlyProjectOwner(tokenId)
-        projectExists(tokenId)
-        whenNotPaused
-    {
-        require(amount > 0, "Amount must be > 0");
+    function issueVintageCredits(
+        uint256 tokenId,
+        uint16 vintage,
+        uint256 amount,
+        uint256 bufferAmount,
+        string memory ipfsHash
+    ) external onlyOwner projectExists(tokenId) whenNotPaused nonReentrant {
+        require(vintage > 0, "Vintage required");
+        require(amount > 0, "Credits > 0");
+        require(bufferAmount < amount, "Buffer >= credits");
+
         CarbonProjectOnChain storage project = projects[tokenId];
+        require(project.status == ProjectStatus.VERIFIED, "Project must be verified");
         require(!project.isRetired, "Project retired");
-        require(amount <= project.carbonCredits, "Amount exceeds NFT credits");
 
-        // Reduce NFT credits
-        project.carbonCredits -= uint16(amount);
+        uint256 ownerCredits = amount - bufferAmount;
+        project.carbonCredits += ownerCredits;
 
-        // Mint ERC20 tokens (scale to 18 decimals)
-        blueCarbon.mint(to, amount * 1e18);
+        emit VintageIssued(tokenId, vintage, amount, project.projectOwner, ipfsHash);
+        _mintVintage(tokenId, vintage, amount, ownerCredits, project.projectOwner);
+        _depositBuffer(tokenId, bufferAmount);
+    }
 
-        emit ERC20CreditsMinted(tokenId, amount, to);
+    /**
+     * @dev Re-create a project of a previous registry deployment (see scripts/migrate-credit-precision.js)
+     * Amounts are already in credit units. Projects must be imported in tokenId order so the ids
+     * match the old registry, and only while this registry is paused. Only the buffer share is
+     * minted: the owner's BCARB already exists on the shared token. ipfsHash may be empty when the
+     * old registry only kept a hash of the CID; set it afterwards with setMetadataCID.
+     */
+    function importProject(
+        uint256 tokenId,
+        string memory projectId,
+        address projectOwner,
+        address holder,
+        string memory ipfsHash,
+        uint256 carbonCredits,
+        uint256 bufferAmount,
+        uint256 retiredAmount
+    ) external onlyOwner whenPaused nonReentrant {
+        require(tokenId == _tokenIdCounter, "Import out of order");
+        require(bytes(projectId).length > 0, "Project ID required");
+        require(projectToToken[projectId] == 0, "Project exists");
+        require(projectOwner != address(0) && holder != address(0), "Invalid owner");
+
+        _tokenIdCounter++;
+        bool retired = carbonCredits == 0 && retiredAmount > 0;
+
+        projects[tokenId] = CarbonProjectOnChain({
+            projectId: projectId,
+            carbonCredits: carbonCredits,
+            status: retired ? ProjectStatus.RETIRED : ProjectStatus.VERIFIED,
+            isRetired: retired,
+            retirementDate: 0,
+            projectOwner: projectOwner,
+            ipfsHash: ipfsHash
+        });
+        projectToToken[projectId] = tokenId;
+        totalRetired[tokenId] = retiredAmount;
+        retiredCredits[tokenId] = retired;
+
+        _safeMint(holder, tokenId);
+        emit ProjectRegistered(tokenId, projectId, projectOwner, carbonCredits + bufferAmount);
+        _depositBuffer(tokenId, bufferAmount);
     }
 
     /**
-     * @dev Retire NFT credits permanently
+     * @dev Copy the per-vintage issuance totals of an imported project
      */
-    function retireCredits(
+    function importVintageCredits(
+        uint256 tokenId,
+        uint16[] calldata vintages,
+        uint256[] calldata amounts
+    ) external onlyOwner whenPaused projectExists(tokenId) {
+        require(vintages.length == amounts.length, "Length mismatch");
+        for (uint256 i = 0; i < vintages.length; i++) {
+            if (vintageCredits[tokenId][vintages[i]] == 0) {
+                _vintages[tokenId].push(vintages[i]);
+            }
+            vintageCredits[tokenId][vintages[i]] = amounts[i];
+        }
+    }
+
+    /**
+     * @dev Cancel buffer credits of a project after a reported reversal (burns them)
+     */
+    function cancelBufferCredits(
         uint256 tokenId,
-        uint16 amount,
+        uint256 amount,
         string memory reason
-    ) external onlyProjectOwner(tokenId) projectExists(tokenId) whenNotPaused nonReentrant {
+    ) external onlyOwner projectExists(tokenId) nonReentrant {
+        require(amount > 0 && amount <= bufferCredits[tokenId], "Invalid amount");
+        require(bytes(reason).length > 0, "Reason required");
+
+        bufferCredits[tokenId] -= amount;
+        blueCarbon.burn(amount * TOKENS_PER_CREDIT);
+
+        emit BufferCancelled(tokenId, amount, reason);
+    }
+
+    /**
+     * @dev Release buffer credits of a project to its owner at the end of the project
+     * The pool's BCARB is burned and the owner receives VintageCredit of an issued vintage,
+     * like the rest of their credits.
+     * @param vintage - Vintage the released credits are minted as
+     */
+    function releaseBufferCredits(
+        uint256 tokenId,
+        uint16 vintage,
+        uint256 amount
+    ) external onlyOwner projectExists(tokenId) nonReentrant {
+        require(amount > 0 && amount <= bufferCredits[tokenId], "Invalid amount");
+        require(vintageCredits[tokenId][vintage] > 0, "Vintage not issued");
+
+        CarbonProjectOnChain storage project = projects[tokenId];
+        bufferCredits[tokenId] -= amount;
+        project.carbonCredits += amount;
+        blueCarbon.burn(amount * TOKENS_PER_CREDIT);
+        vintageToken.mint(project.projectOwner, tokenId, vintage, amount);
+
+        emit BufferReleased(tokenId, vintage, amount, project.projectOwner);
+    }
+
+    /**
+     * @dev Cancel a project owner's unretired credits after a confirmed reversal the buffer could not cover
+     * Burns the owner's vintage credits too, newest vintage first, up to their balance (credits
+     * already sold or wrapped into BCARB stay with their holder). tokensBurned is in credit units.
+     * Note: Registry contract must have CANCELLER_ROLE on VintageCredit
+     */
+    function cancelOwnerCredits(
+        uint256 tokenId,
+        uint256 amount,
+        string memory reason
+    ) external onlyOwner projectExists(tokenId) nonReentrant {
         CarbonProjectOnChain storage project = projects[tokenId];
-        require(!project.isRetired, "Already retired");
         require(amount > 0 && amount <= project.carbonCredits, "Invalid amount");
         require(bytes(reason).length > 0, "Reason required");
 
         project.carbonCredits -= amount;
-        project.isRetired = true;
-        project.retirementDate = uint64(block.timestamp);
-        project.status = ProjectStatus.RETIRED;
+        uint256 tokensBurned = _burnVintages(tokenId, project.projectOwner, amount);
+
+        emit OwnerCreditsCancelled(tokenId, amount, tokensBurned, reason);
+    }
 
-        retiredCredits[tokenId] = true;
+    // Record an issuance for its vintage and mint the owner's share as VintageCredit
+    function _mintVintage(uint256 tokenId, uint16 vintage, uint256 amount, uint256 ownerCredits, address to) internal {
+        if (vintageCredits[tokenId][vintage] == 0) {
+            _vintages[tokenId].push(vintage);
+        }
+        vintageCredits[tokenId][vintage] += amount;
+
+        vintageToken.mint(to, tokenId, vintage, ownerCredits);
+        emit VintageCreditsMinted(tokenId, vintage, ownerCredits, to);
+    }
+
+    function _depositBuffer(uint256 tokenId, uint256 amount) internal {
+        if (amount == 0) return;
+        bufferCredits[tokenId] += amount;
+        blueCarbon.mint(address(this), amount * TOKENS_PER_CREDIT);
+        emit BufferDeposited(tokenId, amount);
+    }
+
+    // Burn a retirement from a holder and record it
+    function _retire(
+        uint256 tokenId,
+        address from,
+        uint256 amount,
+        string memory reason,
+        string memory beneficiary
+    ) internal {
+        CarbonProjectOnChain storage project = projects[tokenId];
+        require(!project.isRetired, "Already retired");
+        require(amount > 0 && amount <= project.carbonCredits, "Invalid amount");
+        require(bytes(reason).length > 0, "Reason required");
+
+        project.carbonCredits -= amount;
+        uint256 vintageBurned = _burnVintages(tokenId, from, amount);
+        if (vintageBurned < amount) {
+            blueCarbon.cancelFrom(from, (amount - vintageBurned) * TOKENS_PER_CREDIT);
+        }
+
+        project.retirementDate = uint64(block.timestamp); // latest retirement
+        totalRetired[tokenId] += amount;
+        _retirements[tokenId].push(Retirement({
+            amount: amount,
+            reason: reason,
+            beneficiary: beneficiary,
+            timestamp: uint64(block.timestamp),
+            retiredBy: from
+        }));
+
+        if (project.carbonCredits == 0) {
+            project.isRetired = true;
+            project.status = ProjectStatus.RETIRED;
+            retiredCredits[tokenId] = true;
+        }
 
         emit CreditsRetired(tokenId, project.projectId, amount, reason);
     }
 
-    /** ERC721 Metadata URI */
+    // Burn up to amount of a holder's vintage credits of a project, newest vintage first
+    function _burnVintages(uint256 tokenId, address from, uint256 amount) internal returns (uint256 burned) {
+        uint16[] storage vintages = _vintages[tokenId];
+        for (uint256 i = vintages.length; i > 0 && burned < amount; i--) {
+            uint256 id = vintageToken.creditId(tokenId, vintages[i - 1]);
+            uint256 balance = vintageToken.balanceOf(from, id);
+            uint256 burn = amount - burned < balance ? amount - burned : balance;
+            if (burn > 0) {
+                vintageToken.cancelFrom(from, id, burn);
+                burned += burn;
+            }
+        }
+    }
+
+    /**
+     * @dev Retire part (or the rest) of a project's NFT credits permanently
+     * Can be called repeatedly; the project only becomes RETIRED once no credits are left.
+     * The credits are burned from the caller: this project's VintageCredit first (newest vintage
+     * first), then BCARB for the rest, so the caller must hold amount between the two.
+     * Note: Registry contract must have CANCELLER_ROLE on VintageCredit and on BlueCarbon
+     * @param beneficiary - Who the retirement is claimed for (may be empty)
+     */
+    function retireCredits(
+        uint256 tokenId,
+        uint256 amount,
+        string memory reason,
+        string memory beneficiary
+    ) external onlyProjectOwner(tokenId) projectExists(tokenId) whenNotPaused nonReentrant {
+        _retire(tokenId, msg.sender, amount, reason, beneficiary);
+    }
+
+    /**
+     * @dev Retire credits for the project owner from the registry owner's wallet (the backend)
+     * Same as retireCredits, but the credits are burned from the project owner.
+     */
+    function retireCreditsFor(
+        uint256 tokenId,
+        uint256 amount,
+        string memory reason,
+        string memory beneficiary
+    ) external onlyOwner projectExists(tokenId) whenNotPaused nonReentrant {
+        _retire(tokenId, projects[tokenId].projectOwner, amount, reason, beneficiary);
+    }
+
+    function getVintages(uint256 tokenId) external view projectExists(tokenId) returns (uint16[] memory) {
+        return _vintages[tokenId];
+    }
+
+    function retirementCount(uint256 tokenId) external view projectExists(tokenId) returns (uint256) {
+        return _retirements[tokenId].length;
+    }
+
+    function getRetirements(uint256 tokenId) external view projectExists(tokenId) returns (Retirement[] memory) {
+        return _retirements[tokenId];
+    }
+
+    /** ERC721 Metadata URI: ipfs://<CID>, or empty while a project has no CID */
     function tokenURI(uint256 tokenId) public view override projectExists(tokenId) returns (string memory) {
-        string memory baseURI = "https://ipfs.io/ipfs/";
-        return string(abi.encodePacked(baseURI, _bytes32ToString(projects[tokenId].ipfsHash)));
+        string memory cid = projects[tokenId].ipfsHash;
+        if (bytes(cid).length == 0) return "";
+        return string(abi.encodePacked("ipfs://", cid));
     }
 
-    function _bytes32ToString(bytes32 data) internal pure returns (string memory) {
-        bytes memory bytesData = new bytes(32);
-        for (uint i = 0; i < 32; i++) bytesData[i] = data[i];
-        return string(bytesData);
+    /**
+     * @dev Point a project at new metadata, or restore the CID of an imported project
+     */
+    function setMetadataCID(uint256 tokenId, string memory cid) external onlyOwner projectExists(tokenId) {
+        require(bytes(cid).length > 0, "IPFS CID required");
+        projects[tokenId].ipfsHash = cid;
+        emit MetadataUpdate(tokenId);
     }
 
     // Pause/unpause
@@ -170,33 +433,11 @@ contract CarbonCreditRegistry is ERC721, Ownable, Pausable, ReentrancyGuard {
         projects[tokenId].projectOwner = newOwner;
     }
 
-function verifyAndMint(uint256 tokenId) external onlyOwner projectExists(tokenId) {
-    CarbonProjectOnChain storage project = projects[tokenId];
-
-    require(project.status != ProjectStatus.VERIFIED, "Already verified");
-    require(!project.isRetired, "Project retired");
-
-    // Mark project as verified
-    project.status = ProjectStatus.VERIFIED;
-
-    // Mint ERC20 tokens equal to NFT credits
-    uint256 amount = project.carbonCredits;
-    require(amount > 0, "No credits left");
-
-    // Reduce NFT credits
-    project.carbonCredits = 0;
-
-    // Mint ERC20 tokens to project owner (scale to 18 decimals)
-    blueCarbon.mint(project.projectOwner, amount * 1e18);
-
-    emit ERC20CreditsMinted(tokenId, amount, project.projectOwner);
-}
-
     /**
      * @dev Mint blue carbon tokens to verifier as reward for approving a project
      * @param tokenId - The token ID of the approved project
      * @param verifierAddress - The address of the verifier who approved the project
-     * @param rewardAmount - The amount of tokens to mint to the verifier (in tokens, will be scaled to 18 decimals)
+     * @param rewardAmount - The amount to mint to the verifier, in credit units (scaled to 18 decimals)
      */
     function mintVerifierReward(
         uint256 tokenId,
@@ -210,7 +451,7 @@ function verifyAndMint(uint256 tokenId) external onlyOwner projectExists(tokenId
         require(project.status == ProjectStatus.VERIFIED, "Project must be verified");
 
         // Mint ERC20 tokens to verifier (scale to 18 decimals)
-        blueCarbon.mint(verifierAddress, rewardAmount * 1e18);
+        blueCarbon.mint(verifierAddress, rewardAmount * TOKENS_PER_CREDIT);
 
         emit VerifierRewardMinted(tokenId, verifierAddress, rewardAmount);
     }
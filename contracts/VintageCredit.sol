@@ -0,0 +1,93 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC1155/ERC1155.sol";
+import "@openzeppelin/contracts/token/ERC1155/extensions/ERC1155Supply.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "./BlueCarbonToken.sol";
+
+/**
+ * @title VintageCredit
+ * @dev Semi-fungible carbon credits: one ERC1155 id per (project, vintage)
+ * The id is the registry tokenId shifted left 16 bits plus the vintage year, so credits of
+ * different projects or years never mix. Amounts are credit units (1 kg CO2e), as in the registry.
+ * The registry mints issuances here (MINTER_ROLE) and burns cancelled owner credits
+ * (CANCELLER_ROLE). Holders can wrap credits into fungible BCARB for liquidity and unwrap
+ * BCARB back into an id, up to what was wrapped from that id.
+ * Note: this contract must have MINTER_ROLE and CANCELLER_ROLE on BlueCarbon
+ */
+contract VintageCredit is ERC1155, ERC1155Supply, AccessControl {
+    bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
+    bytes32 public constant CANCELLER_ROLE = keccak256("CANCELLER_ROLE");
+
+    uint8 public constant CREDIT_DECIMALS = 3;
+    uint256 public constant TOKENS_PER_CREDIT = 1e15; // BCARB wei per credit unit
+
+    BlueCarbon public blueCarbon;
+
+    mapping(uint256 => uint256) public wrappedSupply; // id => credits currently wrapped into BCARB
+
+    event Wrapped(address indexed holder, uint256 indexed id, uint256 amount);
+    event Unwrapped(address indexed holder, uint256 indexed id, uint256 amount);
+
+    constructor(address _blueCarbonToken, string memory uri_) ERC1155(uri_) {
+        blueCarbon = BlueCarbon(_blueCarbonToken);
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+    }
+
+    /** @dev ERC1155 id of a project's vintage */
+    function creditId(uint256 projectTokenId, uint16 vintage) public pure returns (uint256) {
+        return (projectTokenId << 16) | vintage;
+    }
+
+    /** @dev Registry tokenId and vintage of an id */
+    function decodeId(uint256 id) external pure returns (uint256 projectTokenId, uint16 vintage) {
+        return (id >> 16, uint16(id));
+    }
+
+    function mint(address to, uint256 projectTokenId, uint16 vintage, uint256 amount) external onlyRole(MINTER_ROLE) {
+        _mint(to, creditId(projectTokenId, vintage), amount, "");
+    }
+
+    function cancelFrom(address from, uint256 id, uint256 amount) external onlyRole(CANCELLER_ROLE) {
+        _burn(from, id, amount);
+    }
+
+    /**
+     * @dev Exchange vintage credits for BCARB (1 credit unit = TOKENS_PER_CREDIT wei)
+     */
+    function wrap(uint256 id, uint256 amount) external {
+        require(amount > 0, "Amount must be > 0");
+        _burn(msg.sender, id, amount);
+        wrappedSupply[id] += amount;
+        blueCarbon.mint(msg.sender, amount * TOKENS_PER_CREDIT);
+        emit Wrapped(msg.sender, id, amount);
+    }
+
+    /**
+     * @dev Exchange BCARB back for credits of an id that was wrapped before
+     */
+    function unwrap(uint256 id, uint256 amount) external {
+        require(amount > 0, "Amount must be > 0");
+        require(amount <= wrappedSupply[id], "Exceeds wrapped supply");
+        wrappedSupply[id] -= amount;
+        blueCarbon.cancelFrom(msg.sender, amount * TOKENS_PER_CREDIT);
+        _mint(msg.sender, id, amount, "");
+        emit Unwrapped(msg.sender, id, amount);
+    }
+
+    function setURI(string memory uri_) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _setURI(uri_);
+    }
+
+    function _update(address from, address to, uint256[] memory ids, uint256[] memory values)
+        internal
+        override(ERC1155, ERC1155Supply)
+    {
+        super._update(from, to, ids, values);
+    }
+
+    function supportsInterface(bytes4 interfaceId) public view override(ERC1155, AccessControl) returns (bool) {
+        return super.supportsInterface(interfaceId);
+    }
+}
@@ -6,7 +6,32 @@
 const Project = require('../models/Evidence'); // This is the actual Project model
 const ProjectStamp = require('../models/Project'); // This is ProjectStamp
 const Verification = require('../models/Verification');
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const User = require('../models/User');
+const Invitation = require('../models/Invitation');
+const authTokens = require('../utils/authTokens');
+const auditLog = require('../utils/auditLog');
+const { conflictsOfInterest, pickVerifiers, assignVerifiers } = require('../utils/verifierAssignment');
+const { requiredApprovals } = require('../config/verificationQuorum');
 const blockchainService = require('../utils/blockchainService');
+const { AWAITING_REVIEW, VERIFIED, ON_CHAIN } = require('../config/projectLifecycle');
+const { roundCredits } = require('../config/creditUnits');
+
+// User fields captured in audit snapshots
+const AUDITED_USER_FIELDS = ['name', 'email', 'role', 'walletAddress', 'walletVerifiedAt', 'organization', 'isActive', 'deactivatedAt'];
+
+const USER_ROLES = User.schema.path('role').enumValues;
+const INVITATION_TTL_DAYS = Number(process.env.INVITATION_TTL_DAYS || 7);
+
+/**
+ * Whether removing this user's Admin rights would leave no active admin
+ */
+async function isLastActiveAdmin(user) {
+  if (user.role !== 'Admin' || user.isActive === false) return false;
+  const activeAdmins = await User.countDocuments({ role: 'Admin', isActive: { $ne: false } });
+  return activeAdmins <= 1;
+}
 
 /**
  * Get all pending projects for admin
@@ -14,7 +39,7 @@ const blockchainService = require('../utils/blockchainService');
 exports.getPendingProjects = async (req, res) => {
   try {
     // Get pending projects from ProjectStamp
-    const pendingStamps = await ProjectStamp.find({ status: "Pending" })
+    const pendingStamps = await ProjectStamp.find({ status: { $in: AWAITING_REVIEW } })
       .populate('ownerId', 'name email')
       .populate('assignedInspector', 'name email')
       .select("projectId ownerId assignedInspector status createdAt updatedAt ownerWalletAddress")
@@ -74,9 +99,7 @@ exports.getPendingProjects = async (req, res) => {
 exports.getApprovedProjects = async (req, res) => {
   try {
     // Get approved/verified projects
-    const approvedProjects = await Project.find({ 
-      status: { $in: ["Approved", "Verified"] }
-    })
+    const approvedProjects = await Project.find({ status: { $in: VERIFIED } })
       .populate('createdBy', 'name email')
       .sort({ Verified_Date: -1, createdAt: -1 })
       .lean();
@@ -183,20 +206,20 @@ exports.getApprovedProjects = async (req, res) => {
 exports.getAdminStatistics = async (req, res) => {
   try {
     const [pendingCount, approvedCount, totalProjects] = await Promise.all([
-      ProjectStamp.countDocuments({ status: "Pending" }),
-      Project.countDocuments({ status: { $in: ["Approved", "Verified"] } }),
+      ProjectStamp.countDocuments({ status: { $in: AWAITING_REVIEW } }),
+      Project.countDocuments({ status: { $in: VERIFIED } }),
       Project.countDocuments({})
     ]);
 
     // Get total tokens minted
-    const approvedProjects = await Project.find({ 
-      status: { $in: ["Approved", "Verified"] },
+    const approvedProjects = await Project.find({
+      status: { $in: ON_CHAIN },
       'blockchain.isRegistered': true
     }).lean();
 
-    const totalTokensMinted = approvedProjects.reduce((sum, project) => {
+    const totalTokensMinted = roundCredits(approvedProjects.reduce((sum, project) => {
       return sum + (project.Carbon_Credits_Issued || 0);
-    }, 0);
+    }, 0));
 
     res.json({
       success: true,
@@ -217,3 +240,578 @@ exports.getAdminStatistics = async (req, res) => {
   }
 };
 
+
+/**
+ * Revoke every active session for a user (e.g. when a verifier leaves)
+ */
+exports.revokeUserSessions = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const user = await User.findById(userId).select('name email role').lean();
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const revokedSessions = await authTokens.revokeAllSessions(
+      user._id,
+      `Revoked by admin ${req.user.email || req.user.id}`
+    );
+
+    await auditLog.record(req, {
+      action: 'user.revoke-sessions',
+      targetType: 'User',
+      targetId: user._id,
+      metadata: { revokedSessions }
+    });
+
+    res.json({
+      success: true,
+      message: `Revoked ${revokedSessions} session(s) for ${user.email}`,
+      data: {
+        userId: user._id,
+        revokedSessions
+      }
+    });
+  } catch (error) {
+    console.error('Error revoking user sessions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke user sessions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * List users with optional role/status/search filters
+ */
+exports.listUsers = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, role, status, search } = req.query;
+
+    const query = {};
+    if (role) query.role = role;
+    if (status === 'active') query.isActive = { $ne: false };
+    if (status === 'deactivated') query.isActive = false;
+    if (search) {
+      const pattern = new RegExp(String(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      query.$or = [{ name: pattern }, { email: pattern }, { walletAddress: pattern }];
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(query)
+        .select('-password')
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit)
+        .lean(),
+      User.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        users,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error listing users:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list users',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a single user
+ */
+exports.getUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId)
+      .select('-password')
+      .populate('invitedBy', 'name email')
+      .populate('deactivatedBy', 'name email')
+      .lean();
+
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    res.json({ success: true, data: user });
+  } catch (error) {
+    console.error('Error fetching user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch user',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update a user's name, role or wallet address
+ */
+exports.updateUser = async (req, res) => {
+  try {
+    const { name, role, walletAddress, organization } = req.body;
+
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const before = auditLog.snapshot(user, AUDITED_USER_FIELDS);
+
+    if (role !== undefined && role !== user.role) {
+      if (!USER_ROLES.includes(role)) {
+        return res.status(400).json({ success: false, message: `Role must be one of: ${USER_ROLES.join(', ')}` });
+      }
+      if (String(user._id) === String(req.user.id)) {
+        return res.status(400).json({ success: false, message: 'You cannot change your own role' });
+      }
+      if (await isLastActiveAdmin(user)) {
+        return res.status(400).json({ success: false, message: 'Cannot remove the last active admin' });
+      }
+      user.role = role;
+    }
+
+    if (walletAddress !== undefined) {
+      if (walletAddress === null || walletAddress === '') {
+        user.walletAddress = null;
+      } else {
+        if (!ethers.isAddress(walletAddress)) {
+          return res.status(400).json({ success: false, message: 'Invalid wallet address' });
+        }
+        const checksummed = ethers.getAddress(walletAddress);
+        const owner = await User.findOne({ walletAddress: checksummed, _id: { $ne: user._id } })
+          .collation({ locale: 'en', strength: 2 });
+        if (owner) {
+          return res.status(409).json({ success: false, message: 'This wallet is already linked to another account' });
+        }
+        user.walletAddress = checksummed;
+      }
+      // Set by an admin, not proven by a signature
+      user.walletVerifiedAt = null;
+    }
+
+    if (name !== undefined) {
+      user.name = name;
+    }
+
+    if (organization !== undefined) {
+      user.organization = typeof organization === 'string' && organization.trim() ? organization.trim() : null;
+    }
+
+    await user.save();
+
+    await auditLog.record(req, {
+      action: 'user.update',
+      targetType: 'User',
+      targetId: user._id,
+      before,
+      after: auditLog.snapshot(user, AUDITED_USER_FIELDS)
+    });
+
+    const data = user.toObject();
+    delete data.password;
+
+    res.json({ success: true, message: 'User updated successfully', data });
+  } catch (error) {
+    console.error('Error updating user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update user',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Deactivate a user and revoke their sessions
+ */
+exports.deactivateUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    if (String(user._id) === String(req.user.id)) {
+      return res.status(400).json({ success: false, message: 'You cannot deactivate your own account' });
+    }
+
+    if (await isLastActiveAdmin(user)) {
+      return res.status(400).json({ success: false, message: 'Cannot deactivate the last active admin' });
+    }
+
+    const before = auditLog.snapshot(user, AUDITED_USER_FIELDS);
+
+    user.isActive = false;
+    user.deactivatedAt = new Date();
+    user.deactivatedBy = req.user.id;
+    await user.save();
+
+    const revokedSessions = await authTokens.revokeAllSessions(user._id, 'Account deactivated');
+
+    await auditLog.record(req, {
+      action: 'user.deactivate',
+      targetType: 'User',
+      targetId: user._id,
+      before,
+      after: auditLog.snapshot(user, AUDITED_USER_FIELDS),
+      metadata: { revokedSessions }
+    });
+
+    res.json({
+      success: true,
+      message: `User ${user.email} deactivated`,
+      data: { userId: user._id, revokedSessions }
+    });
+  } catch (error) {
+    console.error('Error deactivating user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to deactivate user',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Reactivate a deactivated user
+ */
+exports.reactivateUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId).select('-password');
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const before = auditLog.snapshot(user, AUDITED_USER_FIELDS);
+
+    user.isActive = true;
+    user.deactivatedAt = null;
+    user.deactivatedBy = null;
+    await user.save();
+
+    await auditLog.record(req, {
+      action: 'user.reactivate',
+      targetType: 'User',
+      targetId: user._id,
+      before,
+      after: auditLog.snapshot(user, AUDITED_USER_FIELDS)
+    });
+
+    res.json({ success: true, message: `User ${user.email} reactivated`, data: user });
+  } catch (error) {
+    console.error('Error reactivating user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reactivate user',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Invite a user to register with a given role
+ * The raw token is only returned once; it is passed to /api/auth/register as inviteToken.
+ */
+exports.createInvitation = async (req, res) => {
+  try {
+    const { email, role, name } = req.body;
+
+    if (!email || !role) {
+      return res.status(400).json({ success: false, message: 'email and role are required' });
+    }
+    if (!USER_ROLES.includes(role)) {
+      return res.status(400).json({ success: false, message: `Role must be one of: ${USER_ROLES.join(', ')}` });
+    }
+
+    const normalizedEmail = String(email).toLowerCase().trim();
+    if (await User.exists({ email: normalizedEmail })) {
+      return res.status(400).json({ success: false, message: 'A user with this email already exists' });
+    }
+
+    // Only one open invitation per email
+    await Invitation.updateMany(
+      { email: normalizedEmail, acceptedAt: null, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    const inviteToken = crypto.randomBytes(32).toString('hex');
+    const invitation = await Invitation.create({
+      email: normalizedEmail,
+      role,
+      name,
+      tokenHash: authTokens.hashToken(inviteToken),
+      invitedBy: req.user.id,
+      expiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000)
+    });
+
+    await auditLog.record(req, {
+      action: 'invitation.create',
+      targetType: 'Invitation',
+      targetId: invitation._id,
+      after: auditLog.snapshot(invitation, ['email', 'role', 'expiresAt'])
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Invitation created for ${normalizedEmail} as ${role}`,
+      data: {
+        id: invitation._id,
+        email: invitation.email,
+        role: invitation.role,
+        expiresAt: invitation.expiresAt,
+        inviteToken
+      }
+    });
+  } catch (error) {
+    console.error('Error creating invitation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create invitation',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * List invitations (open ones by default)
+ */
+exports.listInvitations = async (req, res) => {
+  try {
+    const query = req.query.all === 'true'
+      ? {}
+      : { acceptedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } };
+
+    const invitations = await Invitation.find(query)
+      .select('-tokenHash')
+      .populate('invitedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({ success: true, count: invitations.length, data: invitations });
+  } catch (error) {
+    console.error('Error listing invitations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list invitations',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Revoke an open invitation
+ */
+exports.revokeInvitation = async (req, res) => {
+  try {
+    const invitation = await Invitation.findOneAndUpdate(
+      { _id: req.params.invitationId, acceptedAt: null, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    ).select('-tokenHash');
+
+    if (!invitation) {
+      return res.status(404).json({ success: false, message: 'Open invitation not found' });
+    }
+
+    await auditLog.record(req, {
+      action: 'invitation.revoke',
+      targetType: 'Invitation',
+      targetId: invitation._id,
+      metadata: { email: invitation.email, role: invitation.role }
+    });
+
+    res.json({ success: true, message: 'Invitation revoked', data: invitation });
+  } catch (error) {
+    console.error('Error revoking invitation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke invitation',
+      error: error.message
+    });
+  }
+};
+
+// The registration document (with Project_ID) speaks for a project over extra evidence plots
+async function findProjectForAssignment(projectId) {
+  return (await Project.findOne({ Project_ID: projectId })) || Project.findOne({ projectId });
+}
+
+/**
+ * Assign verifiers to a project by hand
+ * Body: { verifierIds: [...] } (the first becomes the lead inspector)
+ */
+exports.assignProjectVerifiers = async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { verifierIds } = req.body;
+
+    if (!Array.isArray(verifierIds) || verifierIds.length === 0) {
+      return res.status(400).json({ success: false, message: 'verifierIds must be a non-empty array' });
+    }
+
+    const project = await findProjectForAssignment(projectId);
+    if (!project) {
+      return res.status(404).json({ success: false, message: 'Project not found' });
+    }
+    if (!AWAITING_REVIEW.includes(project.status)) {
+      return res.status(409).json({ success: false, message: `Project is ${project.status}; only projects awaiting review can be assigned` });
+    }
+
+    const verifiers = await User.find({ _id: { $in: verifierIds }, role: 'Verifier', isActive: { $ne: false } })
+      .select('name email walletAddress organization')
+      .lean();
+    const found = new Set(verifiers.map(verifier => String(verifier._id)));
+    const unknown = verifierIds.filter(id => !found.has(String(id)));
+    if (unknown.length > 0) {
+      return res.status(400).json({ success: false, message: 'Some ids are not active verifiers', unknown });
+    }
+
+    const owner = await User.findById(project.createdBy).select('organization').lean();
+    const conflicts = verifiers
+      .map(verifier => ({ verifierId: verifier._id, reasons: conflictsOfInterest(verifier, project, owner) }))
+      .filter(conflict => conflict.reasons.length > 0);
+    if (conflicts.length > 0) {
+      return res.status(400).json({ success: false, message: 'Conflict of interest', conflicts });
+    }
+
+    // Keep the order the admin gave
+    const ordered = verifierIds.map(id => verifiers.find(verifier => String(verifier._id) === String(id)));
+    const before = auditLog.snapshot(await ProjectStamp.findOne({ projectId: project.projectId }).lean(), ['assignedVerifiers', 'assignedInspector']);
+    const stamp = await assignVerifiers(project.projectId, ordered, req.user.id);
+    if (!stamp) {
+      return res.status(404).json({ success: false, message: 'Project has no tracking stamp to assign verifiers to' });
+    }
+
+    await auditLog.record(req, {
+      action: 'project.assign-verifiers',
+      targetType: 'Project',
+      targetId: project.projectId,
+      before,
+      after: auditLog.snapshot(stamp, ['assignedVerifiers', 'assignedInspector']),
+      metadata: { mode: 'manual' }
+    });
+
+    res.json({ success: true, message: 'Verifiers assigned', data: stamp });
+  } catch (error) {
+    console.error('Error assigning verifiers:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to assign verifiers',
+      error: error.message
+    });
+  }
+};
+
+// Round-robin assignment for one project; returns the stamp and how many verifiers were missing
+async function autoAssign(req, project, count) {
+  const needed = count || requiredApprovals(project.co2Estimate || project.Carbon_Sequestration_tCO2);
+  const verifiers = await pickVerifiers(project, needed);
+  if (verifiers.length === 0) return { stamp: null, needed, assigned: 0 };
+
+  const stamp = await assignVerifiers(project.projectId, verifiers, req.user.id);
+  if (stamp) {
+    await auditLog.record(req, {
+      action: 'project.assign-verifiers',
+      targetType: 'Project',
+      targetId: project.projectId,
+      after: auditLog.snapshot(stamp, ['assignedVerifiers', 'assignedInspector']),
+      metadata: { mode: 'round-robin', needed }
+    });
+  }
+  return { stamp, needed, assigned: stamp ? verifiers.length : 0 };
+}
+
+/**
+ * Assign verifiers to a project round-robin
+ * Body: { count } (defaults to the approvals the project's quorum needs)
+ */
+exports.autoAssignProjectVerifiers = async (req, res) => {
+  try {
+    const project = await findProjectForAssignment(req.params.projectId);
+    if (!project) {
+      return res.status(404).json({ success: false, message: 'Project not found' });
+    }
+    if (!AWAITING_REVIEW.includes(project.status)) {
+      return res.status(409).json({ success: false, message: `Project is ${project.status}; only projects awaiting review can be assigned` });
+    }
+
+    const count = req.body?.count !== undefined ? parseInt(req.body.count, 10) : undefined;
+    if (count !== undefined && (!Number.isInteger(count) || count < 1)) {
+      return res.status(400).json({ success: false, message: 'count must be a positive integer' });
+    }
+
+    const { stamp, needed, assigned } = await autoAssign(req, project, count);
+    if (!stamp) {
+      return res.status(409).json({ success: false, message: 'No eligible verifier (or no tracking stamp) for this project' });
+    }
+
+    res.json({
+      success: true,
+      message: assigned < needed ? `Assigned ${assigned} of ${needed} verifiers; no other verifier is eligible` : 'Verifiers assigned',
+      data: stamp,
+      shortfall: needed - assigned
+    });
+  } catch (error) {
+    console.error('Error auto-assigning verifiers:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to assign verifiers',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Assign verifiers round-robin to every unassigned project awaiting review
+ */
+exports.autoAssignPendingProjects = async (req, res) => {
+  try {
+    const stamps = await ProjectStamp.find({
+      status: { $in: AWAITING_REVIEW },
+      $or: [{ assignedVerifiers: { $exists: false } }, { assignedVerifiers: { $size: 0 } }]
+    })
+      .select('projectId')
+      .lean();
+
+    const results = [];
+    for (const { projectId } of stamps) {
+      const project = await findProjectForAssignment(projectId);
+      if (!project) {
+        results.push({ projectId, assigned: 0, error: 'Project not found' });
+        continue;
+      }
+      const { stamp, needed, assigned } = await autoAssign(req, project);
+      results.push({ projectId, needed, assigned, assignedVerifiers: stamp?.assignedVerifiers || [] });
+    }
+
+    res.json({
+      success: true,
+      count: results.length,
+      unassigned: results.filter(result => result.assigned === 0).length,
+      data: results
+    });
+  } catch (error) {
+    console.error('Error auto-assigning pending projects:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to assign verifiers',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,134 @@
+/**
+ * Audit Controller
+ * Query, export and verify the append-only audit log
+ */
+
+const AuditEvent = require('../models/AuditEvent');
+const auditLog = require('../utils/auditLog');
+
+/**
+ * Build a Mongo query from audit filters in the query string
+ */
+function buildQuery({ actor, action, targetType, targetId, txHash, from, to }) {
+  const query = {};
+  if (actor) query.actor = actor;
+  if (action) query.action = action;
+  if (targetType) query.targetType = targetType;
+  if (targetId) query.targetId = targetId;
+  if (txHash) query.txHash = txHash;
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = new Date(from);
+    if (to) query.createdAt.$lte = new Date(to);
+  }
+  return query;
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Query audit events (newest first)
+ */
+exports.getAuditEvents = async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const query = buildQuery(req.query);
+
+    const [events, total] = await Promise.all([
+      AuditEvent.find(query)
+        .populate('actor', 'name email')
+        .sort({ sequence: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit)
+        .lean(),
+      AuditEvent.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        events,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching audit events:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit events',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Export audit events as CSV or JSON (oldest first, streamed)
+ */
+exports.exportAuditEvents = async (req, res) => {
+  try {
+    const format = req.query.format === 'json' ? 'json' : 'csv';
+    const query = buildQuery(req.query);
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const cursor = AuditEvent.find(query).sort({ sequence: 1 }).lean().cursor();
+
+    res.setHeader('Content-Disposition', `attachment; filename="audit-${stamp}.${format}"`);
+
+    if (format === 'json') {
+      res.setHeader('Content-Type', 'application/json');
+      res.write('[');
+      let first = true;
+      for await (const event of cursor) {
+        res.write(`${first ? '' : ','}\n${JSON.stringify(event)}`);
+        first = false;
+      }
+      res.end('\n]\n');
+      return;
+    }
+
+    const columns = [
+      'sequence', 'createdAt', 'actor', 'actorEmail', 'role', 'action', 'targetType', 'targetId',
+      'txHash', 'ip', 'diff', 'metadata', 'prevHash', 'hash'
+    ];
+    res.setHeader('Content-Type', 'text/csv');
+    res.write(`${columns.join(',')}\n`);
+    for await (const event of cursor) {
+      res.write(`${columns.map(column => csvCell(
+        column === 'createdAt' ? new Date(event.createdAt).toISOString() : event[column]
+      )).join(',')}\n`);
+    }
+    res.end();
+  } catch (error) {
+    console.error('Error exporting audit events:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export audit events',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Recompute the hash chain to detect tampering
+ */
+exports.verifyAuditChain = async (req, res) => {
+  try {
+    const result = await auditLog.verifyChain();
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Error verifying audit chain:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify audit chain',
+      error: error.message
+    });
+  }
+};
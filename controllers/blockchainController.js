@@ -1,7 +1,26 @@
 const { ethers } = require('ethers');
-const Project = require('../models/Project');
+const Project = require('../models/Evidence'); // Evidence model contains the actual project data
+const ProjectStamp = require('../models/Project');
 const blockchainService = require('../utils/blockchainService');
 const ipfsService = require('../utils/ipfsUpload');
+const auditLog = require('../utils/auditLog');
+const { resolveTokenMetadata } = require('../utils/nftMetadata');
+const { roundCredits, isCreditAmount } = require('../config/creditUnits');
+const { hasPermission } = require('../config/permissions');
+const {
+  STATES,
+  CHAIN_STATUS,
+  canTransition,
+  transitionError,
+  applyTransition,
+  stateFromChain
+} = require('../config/projectLifecycle');
+
+// Project fields captured in audit snapshots
+const AUDITED_PROJECT_FIELDS = ['status', 'Carbon_Credits_Issued', 'blockchain'];
+
+// Projects created by registerProject carry Project_ID; evidence-only projects only projectId
+const findProject = (projectId) => Project.findOne({ $or: [{ Project_ID: projectId }, { projectId }] });
 
 /**
  * Register a project on the blockchain
@@ -11,7 +30,7 @@ const registerProject = async (req, res) => {
     const { projectId } = req.params;
     
     // Find project in database
-    const project = await Project.findOne({ Project_ID: projectId });
+    const project = await findProject(projectId);
     if (!project) {
       return res.status(404).json({ error: 'Project not found' });
     }
@@ -21,6 +40,12 @@ const registerProject = async (req, res) => {
       return res.status(400).json({ error: 'Project already registered on blockchain' });
     }
 
+    if (!canTransition(project.status, STATES.REGISTERED)) {
+      return res.status(409).json(transitionError(project.status, STATES.REGISTERED));
+    }
+
+    const before = auditLog.snapshot(project, AUDITED_PROJECT_FIELDS);
+
     // Register on blockchain
     const result = await blockchainService.registerProject(project);
 
@@ -35,8 +60,26 @@ const registerProject = async (req, res) => {
       isRetired: false,
       lastBlockchainUpdate: new Date()
     };
+    project.recordBuffer('deposit', result.bufferCredits, {
+      percent: result.bufferPercent,
+      periodNumber: 0,
+      transactionHash: result.transactionHash,
+      by: req.user.id
+    });
+    applyTransition(project, STATES.REGISTERED, { by: req.user.id });
 
     await project.save();
+    await ProjectStamp.syncStatus(project.projectId, project.status, { by: req.user.id });
+
+    await auditLog.record(req, {
+      action: 'project.register-onchain',
+      targetType: 'Project',
+      targetId: projectId,
+      before,
+      after: auditLog.snapshot(project, AUDITED_PROJECT_FIELDS),
+      txHash: result.transactionHash,
+      metadata: { tokenId: result.tokenId }
+    });
 
     res.json({
       success: true,
@@ -46,7 +89,11 @@ const registerProject = async (req, res) => {
         transactionHash: result.transactionHash,
         blockNumber: result.blockNumber,
         ipfsHash: result.ipfsHash,
-        gasUsed: result.gasUsed
+        gasUsed: result.gasUsed,
+        vintage: result.vintage,
+        carbonCredits: result.carbonCredits,
+        bufferCredits: result.bufferCredits,
+        bufferPercent: result.bufferPercent
       }
     });
   } catch (error) {
@@ -60,22 +107,35 @@ const registerProject = async (req, res) => {
 
 /**
  * Retire carbon credits
+ * Retirements can be partial and repeated; the project is RETIRED once no credits are left.
+ * The server wallet burns the credits from the project owner, so only the owner or an admin may ask.
+ * Body: { amount, reason, beneficiary }
  */
 const retireCredits = async (req, res) => {
   try {
     const { projectId } = req.params;
-    const { amount, reason } = req.body;
+    const { amount, reason, beneficiary } = req.body;
 
     if (!amount || !reason) {
       return res.status(400).json({ error: 'Amount and reason are required' });
     }
+    if (!isCreditAmount(amount)) {
+      return res.status(400).json({ error: 'Amount must be a positive number of credits (tonnes, up to 3 decimals)' });
+    }
+    if (beneficiary !== undefined && typeof beneficiary !== 'string') {
+      return res.status(400).json({ error: 'Beneficiary must be a string' });
+    }
 
     // Find project
-    const project = await Project.findOne({ Project_ID: projectId });
+    const project = await findProject(projectId);
     if (!project) {
       return res.status(404).json({ error: 'Project not found' });
     }
 
+    if (String(project.createdBy) !== String(req.user.id) && !hasPermission(req.user.role, 'project:update-status')) {
+      return res.status(403).json({ error: 'Only the project owner or an admin can retire its credits' });
+    }
+
     if (!project.isBlockchainRegistered()) {
       return res.status(400).json({ error: 'Project not registered on blockchain' });
     }
@@ -84,34 +144,69 @@ const retireCredits = async (req, res) => {
       return res.status(400).json({ error: 'Credits already retired' });
     }
 
-    if (amount > project.Carbon_Credits_Issued) {
-      return res.status(400).json({ error: 'Amount exceeds available credits' });
+    // The NFT's remaining credits are what can still be retired
+    const available = await blockchainService.getOwnerCredits(project.blockchain.tokenId);
+    if (amount > available) {
+      return res.status(400).json({ error: 'Amount exceeds available credits', available });
+    }
+
+    const target = amount === available ? STATES.RETIRED : STATES.PARTIALLY_RETIRED;
+    if (!canTransition(project.status, target)) {
+      return res.status(409).json(transitionError(project.status, target));
     }
 
+    const before = auditLog.snapshot(project, AUDITED_PROJECT_FIELDS);
+
     // Retire credits on blockchain
     const result = await blockchainService.retireCredits(
       project.blockchain.tokenId,
       amount,
-      reason
+      reason,
+      beneficiary ? beneficiary.trim() : ''
     );
 
     // Update project
-    project.blockchain.isRetired = true;
-    project.blockchain.retirementDate = new Date();
+    const retiredAt = new Date();
+    project.blockchain.retirements.push({
+      amount,
+      reason,
+      beneficiary: beneficiary ? beneficiary.trim() : undefined,
+      transactionHash: result.transactionHash,
+      blockNumber: result.blockNumber,
+      retiredBy: req.user.id,
+      retiredAt
+    });
+    project.blockchain.creditsRetired = roundCredits((project.blockchain.creditsRetired || 0) + amount);
+    project.blockchain.isRetired = target === STATES.RETIRED;
+    project.blockchain.retirementDate = retiredAt;
     project.blockchain.retirementReason = reason;
     project.blockchain.retirementTransactionHash = result.transactionHash;
     project.blockchain.lastBlockchainUpdate = new Date();
-    project.status = 'Retired';
+    applyTransition(project, target, { by: req.user.id, reason });
 
     await project.save();
+    await ProjectStamp.syncStatus(project.projectId, project.status, { by: req.user.id, reason });
+
+    await auditLog.record(req, {
+      action: 'credits.retire',
+      targetType: 'Project',
+      targetId: projectId,
+      before,
+      after: auditLog.snapshot(project, AUDITED_PROJECT_FIELDS),
+      txHash: result.transactionHash,
+      metadata: { tokenId: project.blockchain.tokenId, amount, reason, beneficiary }
+    });
 
     res.json({
       success: true,
-      message: 'Credits retired successfully',
+      message: target === STATES.RETIRED ? 'All remaining credits retired' : 'Credits retired successfully',
       data: {
         transactionHash: result.transactionHash,
         blockNumber: result.blockNumber,
-        gasUsed: result.gasUsed
+        gasUsed: result.gasUsed,
+        creditsRetired: project.blockchain.creditsRetired,
+        remainingCredits: roundCredits(available - amount),
+        retirements: project.blockchain.retirements
       }
     });
   } catch (error) {
@@ -123,6 +218,44 @@ const retireCredits = async (req, res) => {
   }
 };
 
+/**
+ * Retirement history of a project
+ * Query: onChain=true also reads the retirement records from the registry
+ */
+const getRetirementHistory = async (req, res) => {
+  try {
+    const { projectId } = req.params;
+
+    const project = await findProject(projectId);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (!project.isBlockchainRegistered()) {
+      return res.status(400).json({ error: 'Project not registered on blockchain' });
+    }
+
+    const data = {
+      projectId,
+      tokenId: project.blockchain.tokenId,
+      creditsRetired: project.blockchain.creditsRetired || 0,
+      isRetired: project.blockchain.isRetired,
+      retirements: project.blockchain.retirements
+    };
+    if (req.query.onChain === 'true') {
+      data.onChain = await blockchainService.getRetirements(project.blockchain.tokenId);
+    }
+
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Error getting retirement history:', error);
+    res.status(500).json({
+      error: 'Failed to get retirement history',
+      details: error.message
+    });
+  }
+};
+
 /**
  * Update project status on blockchain
  */
@@ -136,7 +269,7 @@ const updateProjectStatus = async (req, res) => {
     }
 
     // Find project
-    const project = await Project.findOne({ Project_ID: projectId });
+    const project = await findProject(projectId);
     if (!project) {
       return res.status(404).json({ error: 'Project not found' });
     }
@@ -145,17 +278,40 @@ const updateProjectStatus = async (req, res) => {
       return res.status(400).json({ error: 'Project not registered on blockchain' });
     }
 
+    // Only on-chain lifecycle states can be pushed to the registry
+    if (CHAIN_STATUS[status] === undefined) {
+      return res.status(400).json({
+        error: `Status must be one of ${Object.keys(CHAIN_STATUS).join(', ')}`
+      });
+    }
+
+    if (!canTransition(project.status, status)) {
+      return res.status(409).json(transitionError(project.status, status));
+    }
+
+    const before = auditLog.snapshot(project, AUDITED_PROJECT_FIELDS);
+
     // Update status on blockchain
     const result = await blockchainService.updateProjectStatus(
       project.blockchain.tokenId,
-      status
+      CHAIN_STATUS[status]
     );
 
     // Update project
-    project.status = status;
+    applyTransition(project, status, { by: req.user.id });
     project.blockchain.lastBlockchainUpdate = new Date();
 
     await project.save();
+    await ProjectStamp.syncStatus(project.projectId, project.status, { by: req.user.id });
+
+    await auditLog.record(req, {
+      action: 'project.status-update',
+      targetType: 'Project',
+      targetId: projectId,
+      before,
+      after: auditLog.snapshot(project, AUDITED_PROJECT_FIELDS),
+      txHash: result.transactionHash
+    });
 
     res.json({
       success: true,
@@ -183,7 +339,7 @@ const getProjectFromBlockchain = async (req, res) => {
     const { projectId } = req.params;
 
     // Check if project exists in database
-    const project = await Project.findOne({ Project_ID: projectId });
+    const project = await findProject(projectId);
     if (!project) {
       return res.status(404).json({ error: 'Project not found in database' });
     }
@@ -259,6 +415,7 @@ const getTokenInfo = async (req, res) => {
         erc20Token: process.env.BLUECARBON_ADDRESS || null,
         erc20Symbol: process.env.BLUECARBON_SYMBOL || 'BCARB',
         erc20Decimals: process.env.BLUECARBON_DECIMALS || 18,
+        vintageCredit: process.env.VINTAGE_CREDIT_ADDRESS || null,
         network: process.env.SE_POLIA_NETWORK_NAME || 'sepolia'
       }
     });
@@ -345,7 +502,7 @@ const getTokenURI = async (req, res) => {
   try {
     const { projectId } = req.params;
 
-    const project = await Project.findOne({ Project_ID: projectId });
+    const project = await findProject(projectId);
     if (!project) {
       return res.status(404).json({ error: 'Project not found' });
     }
@@ -373,6 +530,89 @@ const getTokenURI = async (req, res) => {
   }
 };
 
+/**
+ * Resolve a token's metadata from its on-chain CID and validate it
+ */
+const getTokenMetadata = async (req, res) => {
+  try {
+    const { tokenId } = req.params;
+    if (!/^\d+$/.test(tokenId)) {
+      return res.status(400).json({ error: 'Invalid token ID' });
+    }
+
+    const result = await resolveTokenMetadata(tokenId);
+    if (!result) {
+      return res.status(404).json({ error: 'Token not found on blockchain' });
+    }
+
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Error resolving token metadata:', error);
+    res.status(500).json({ 
+      error: 'Failed to resolve token metadata',
+      details: error.message 
+    });
+  }
+};
+
+/**
+ * Write the project's metadata CID from the database to its token
+ * For tokens without a usable CID, e.g. projects imported from a registry that stored a hash of it
+ */
+const restoreTokenMetadata = async (req, res) => {
+  try {
+    const { tokenId } = req.params;
+    if (!/^\d+$/.test(tokenId)) {
+      return res.status(400).json({ error: 'Invalid token ID' });
+    }
+
+    const project = await Project.findOne({ 'blockchain.tokenId': tokenId });
+    if (!project) {
+      return res.status(404).json({ error: 'No registered project for this token' });
+    }
+    const cid = project.blockchain.ipfsHash;
+    if (!ipfsService.isValidIPFSHash(cid)) {
+      return res.status(400).json({ error: 'The project has no valid metadata CID to restore' });
+    }
+
+    if (!blockchainService.contract) {
+      await blockchainService.initialize();
+    }
+    const onChainProject = await blockchainService.contract.projects(tokenId);
+    if (onChainProject.ipfsHash === cid) {
+      return res.status(409).json({ error: 'Token already points at this CID' });
+    }
+
+    const result = await blockchainService.setMetadataCID(tokenId, cid);
+
+    await auditLog.record(req, {
+      action: 'project.metadata-restore',
+      targetType: 'Project',
+      targetId: project.projectId || project.Project_ID,
+      txHash: result.transactionHash,
+      metadata: { tokenId, previousCid: onChainProject.ipfsHash || null, cid }
+    });
+
+    res.json({
+      success: true,
+      message: 'Token metadata CID restored',
+      data: {
+        tokenId,
+        cid,
+        tokenURI: ipfsService.toIPFSUri(cid),
+        transactionHash: result.transactionHash,
+        blockNumber: result.blockNumber
+      }
+    });
+  } catch (error) {
+    console.error('Error restoring token metadata:', error);
+    res.status(500).json({ 
+      error: 'Failed to restore token metadata',
+      details: error.message 
+    });
+  }
+};
+
 /**
  * Get NFTs owned by an address
  */
@@ -439,6 +679,60 @@ const getTokenBalance = async (req, res) => {
   }
 };
 
+/**
+ * Vintage credits (ERC1155) an address holds, per project and vintage, plus its BCARB balance
+ * Query: projectId - only this project
+ */
+const getVintageBalances = async (req, res) => {
+  try {
+    const { address } = req.params;
+    const { projectId } = req.query;
+
+    if (!address || !ethers.isAddress(address)) {
+      return res.status(400).json({ 
+        error: 'Invalid address',
+        details: 'Please provide a valid Ethereum address' 
+      });
+    }
+
+    const query = { 'blockchain.isRegistered': true };
+    if (projectId) {
+      query.$or = [{ Project_ID: projectId }, { projectId }];
+    }
+    const projects = await Project.find(query).select('Project_ID projectId blockchain.tokenId').lean();
+    const projectIds = new Map(projects
+      .filter(project => project.blockchain?.tokenId)
+      .map(project => [String(project.blockchain.tokenId), project.Project_ID || project.projectId]));
+
+    const balances = (await blockchainService.getVintageBalances(address, [...projectIds.keys()]))
+      .filter(entry => entry.balance > 0)
+      .map(entry => ({ projectId: projectIds.get(entry.tokenId), ...entry }));
+
+    let wrappedBalance = null;
+    try {
+      wrappedBalance = await blockchainService.getERC20Balance(address);
+    } catch (e) {
+      console.warn('Failed to fetch BCARB balance:', e.message || e);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        address,
+        balances,
+        totalCredits: roundCredits(balances.reduce((total, entry) => total + entry.balance, 0)),
+        wrappedBalance
+      }
+    });
+  } catch (error) {
+    console.error('Error getting vintage balances:', error);
+    res.status(500).json({ 
+      error: 'Failed to get vintage balances',
+      details: error.message 
+    });
+  }
+};
+
 /**
  * Sync project with blockchain data
  */
@@ -446,7 +740,7 @@ const syncProjectWithBlockchain = async (req, res) => {
   try {
     const { projectId } = req.params;
 
-    const project = await Project.findOne({ Project_ID: projectId });
+    const project = await findProject(projectId);
     if (!project) {
       return res.status(404).json({ error: 'Project not found' });
     }
@@ -457,15 +751,30 @@ const syncProjectWithBlockchain = async (req, res) => {
 
     // Get latest data from blockchain
     const blockchainData = await blockchainService.getProject(project.blockchain.tokenId);
+    const before = auditLog.snapshot(project, AUDITED_PROJECT_FIELDS);
 
     // Update project with latest blockchain data
-    project.status = blockchainData.status;
+    // The chain is authoritative, so its status is taken even where the lifecycle would refuse it
+    const chainState = stateFromChain(blockchainData.status, project.status);
+    if (chainState !== project.status) {
+      project.statusHistory.push({ from: project.status, to: chainState, at: new Date(), reason: 'Synced from blockchain' });
+      project.status = chainState;
+    }
     project.blockchain.isRetired = blockchainData.isRetired;
     project.blockchain.retirementDate = blockchainData.retirementDate ? new Date(blockchainData.retirementDate) : null;
     project.blockchain.retirementReason = blockchainData.retirementReason;
     project.blockchain.lastBlockchainUpdate = new Date();
 
     await project.save();
+    await ProjectStamp.syncStatus(project.projectId, project.status, { reason: 'Synced from blockchain' });
+
+    await auditLog.record(req, {
+      action: 'project.sync',
+      targetType: 'Project',
+      targetId: projectId,
+      before,
+      after: auditLog.snapshot(project, AUDITED_PROJECT_FIELDS)
+    });
 
     res.json({
       success: true,
@@ -487,14 +796,18 @@ const syncProjectWithBlockchain = async (req, res) => {
 module.exports = {
   registerProject,
   retireCredits,
+  getRetirementHistory,
   updateProjectStatus,
   getProjectFromBlockchain,
   getBlockchainStatistics,
   getBlockchainProjects,
   verifyProjectOnBlockchain,
   getTokenURI,
+  getTokenMetadata,
+  restoreTokenMetadata,
   getTokenInfo,
   syncProjectWithBlockchain,
   getOwnedNFTs,
-  getTokenBalance
+  getTokenBalance,
+  getVintageBalances
 };
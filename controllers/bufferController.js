@@ -0,0 +1,241 @@
+const Project = require("../models/Evidence"); // Evidence model contains the actual project data
+const blockchainService = require("../utils/blockchainService");
+const auditLog = require("../utils/auditLog");
+const { RULES, bufferPercent } = require("../config/bufferPool");
+const { roundCredits, isCreditAmount } = require("../config/creditUnits");
+
+// Audit snapshot of a project's risk score and buffer totals (the history is left out)
+const bufferSnapshot = (project) => ({
+  riskScore: project.riskScore ?? null,
+  bufferDeposited: project.buffer?.deposited || 0,
+  bufferCancelled: project.buffer?.cancelled || 0,
+  bufferReleased: project.buffer?.released || 0
+});
+
+// The registration document (with Project_ID) speaks for a project over extra evidence plots
+async function findProject(projectId) {
+  return (await Project.findOne({ Project_ID: projectId })) || Project.findOne({ projectId });
+}
+
+const bufferSummary = (project) => ({
+  projectId: project.projectId,
+  tokenId: project.blockchain?.tokenId,
+  ecosystemType: project.ecosystemType,
+  riskScore: project.riskScore,
+  bufferPercent: bufferPercent(project.ecosystemType, project.riskScore),
+  deposited: project.buffer?.deposited || 0,
+  cancelled: project.buffer?.cancelled || 0,
+  released: project.buffer?.released || 0,
+  held: project.bufferHeld()
+});
+
+// Registered project with buffer credits, or a response already sent
+async function loadBufferProject(req, res) {
+  const project = await findProject(req.params.projectId);
+  if (!project) {
+    res.status(404).json({ success: false, message: "Project not found." });
+    return null;
+  }
+  if (!project.isBlockchainRegistered()) {
+    res.status(409).json({ success: false, message: "Project is not registered on blockchain." });
+    return null;
+  }
+  return project;
+}
+
+/**
+ * Buffer pool overview: the rules and every project holding buffer credits
+ * Query: onChain=true also reads each project's buffer balance from the registry
+ */
+exports.getBufferPool = async (req, res) => {
+  try {
+    const projects = await Project.find({ "buffer.deposited": { $gt: 0 } }).sort({ createdAt: -1 });
+    const summaries = projects.map(bufferSummary);
+
+    if (req.query.onChain === "true") {
+      for (const summary of summaries) {
+        try {
+          summary.onChainHeld = await blockchainService.getBufferCredits(summary.tokenId);
+        } catch (error) {
+          summary.onChainError = error.message;
+        }
+      }
+    }
+
+    res.json({
+      success: true,
+      rules: RULES,
+      totals: {
+        deposited: roundCredits(summaries.reduce((total, summary) => total + summary.deposited, 0)),
+        cancelled: roundCredits(summaries.reduce((total, summary) => total + summary.cancelled, 0)),
+        released: roundCredits(summaries.reduce((total, summary) => total + summary.released, 0)),
+        held: roundCredits(summaries.reduce((total, summary) => total + summary.held, 0))
+      },
+      projects: summaries
+    });
+  } catch (error) {
+    console.error("Error fetching buffer pool:", error);
+    res.status(500).json({ success: false, message: "Server error while fetching buffer pool." });
+  }
+};
+
+/**
+ * Set a project's non-permanence risk score; applies to issuances from now on
+ * Body: { riskScore } - 0 to 100, or null to fall back to the ecosystem's base rate
+ */
+exports.setRiskScore = async (req, res) => {
+  try {
+    const { riskScore } = req.body;
+    if (riskScore !== null && (typeof riskScore !== "number" || !Number.isFinite(riskScore) || riskScore < 0 || riskScore > 100)) {
+      return res.status(400).json({ success: false, message: "riskScore must be a number from 0 to 100, or null." });
+    }
+
+    const project = await findProject(req.params.projectId);
+    if (!project) {
+      return res.status(404).json({ success: false, message: "Project not found." });
+    }
+
+    const before = bufferSnapshot(project);
+    project.riskScore = riskScore;
+    project.riskAssessedAt = new Date();
+    project.riskAssessedBy = req.user.id;
+    await project.save();
+
+    await auditLog.record(req, {
+      action: "project.risk-score",
+      targetType: "Project",
+      targetId: project.projectId,
+      before,
+      after: bufferSnapshot(project)
+    });
+
+    res.json({ success: true, message: "Risk score updated.", buffer: bufferSummary(project) });
+  } catch (error) {
+    console.error("Error setting risk score:", error);
+    res.status(500).json({ success: false, message: "Server error while setting risk score." });
+  }
+};
+
+/**
+ * Cancel (burn) buffer credits after a reported reversal
+ * Body: { amount, reason }
+ */
+exports.cancelBufferCredits = async (req, res) => {
+  try {
+    const { amount, reason } = req.body;
+    if (!isCreditAmount(amount)) {
+      return res.status(400).json({ success: false, message: "amount must be a positive number of credits (tonnes, up to 3 decimals)." });
+    }
+    if (typeof reason !== "string" || !reason.trim()) {
+      return res.status(400).json({ success: false, message: "reason is required to cancel buffer credits." });
+    }
+
+    const project = await loadBufferProject(req, res);
+    if (!project) return;
+    if (amount > project.bufferHeld()) {
+      return res.status(409).json({
+        success: false,
+        message: `Project holds ${project.bufferHeld()} buffer credits.`
+      });
+    }
+
+    const before = bufferSnapshot(project);
+    const result = await blockchainService.cancelBufferCredits(project.blockchain.tokenId, amount, reason.trim());
+
+    project.recordBuffer("cancel", amount, {
+      reason: reason.trim(),
+      transactionHash: result.transactionHash,
+      by: req.user.id
+    });
+    await project.save();
+
+    await auditLog.record(req, {
+      action: "buffer.cancel",
+      targetType: "Project",
+      targetId: project.projectId,
+      before,
+      after: bufferSnapshot(project),
+      txHash: result.transactionHash,
+      metadata: { amount, reason: reason.trim() }
+    });
+
+    res.json({
+      success: true,
+      message: `${amount} buffer credits cancelled.`,
+      transactionHash: result.transactionHash,
+      buffer: bufferSummary(project)
+    });
+  } catch (error) {
+    console.error("Error cancelling buffer credits:", error);
+    res.status(500).json({ success: false, message: "Failed to cancel buffer credits.", error: error.message });
+  }
+};
+
+/**
+ * Release buffer credits to the project owner at the end of the project
+ * Body: { amount, reason, vintage } - amount defaults to everything still held,
+ * vintage (the VintageCredit the owner receives) to the project's latest issued vintage
+ */
+exports.releaseBufferCredits = async (req, res) => {
+  try {
+    const { reason } = req.body;
+    if (req.body.amount !== undefined && !isCreditAmount(req.body.amount)) {
+      return res.status(400).json({ success: false, message: "amount must be a positive number of credits (tonnes, up to 3 decimals)." });
+    }
+    if (typeof reason !== "string" || !reason.trim()) {
+      return res.status(400).json({ success: false, message: "reason is required to release buffer credits." });
+    }
+
+    const project = await loadBufferProject(req, res);
+    if (!project) return;
+    const amount = req.body.amount ?? project.bufferHeld();
+    if (amount <= 0 || amount > project.bufferHeld()) {
+      return res.status(409).json({
+        success: false,
+        message: `Project holds ${project.bufferHeld()} buffer credits.`
+      });
+    }
+
+    const vintages = await blockchainService.getVintages(project.blockchain.tokenId);
+    const vintage = req.body.vintage ?? vintages[vintages.length - 1];
+    if (!vintages.includes(vintage)) {
+      return res.status(400).json({
+        success: false,
+        message: vintages.length > 0
+          ? `vintage must be one the project has issued: ${vintages.join(", ")}.`
+          : "Project has no vintages on-chain to release buffer credits as."
+      });
+    }
+
+    const before = bufferSnapshot(project);
+    const result = await blockchainService.releaseBufferCredits(project.blockchain.tokenId, vintage, amount);
+
+    project.recordBuffer("release", amount, {
+      reason: reason.trim(),
+      transactionHash: result.transactionHash,
+      by: req.user.id
+    });
+    await project.save();
+
+    await auditLog.record(req, {
+      action: "buffer.release",
+      targetType: "Project",
+      targetId: project.projectId,
+      before,
+      after: bufferSnapshot(project),
+      txHash: result.transactionHash,
+      metadata: { amount, vintage, reason: reason.trim() }
+    });
+
+    res.json({
+      success: true,
+      message: `${amount} buffer credits released to the project owner as vintage ${vintage} credits.`,
+      vintage,
+      transactionHash: result.transactionHash,
+      buffer: bufferSummary(project)
+    });
+  } catch (error) {
+    console.error("Error releasing buffer credits:", error);
+    res.status(500).json({ success: false, message: "Failed to release buffer credits.", error: error.message });
+  }
+};
@@ -1,19 +1,27 @@
 const { ethers } = require("ethers");
 require("dotenv").config();
+const { bufferPercent, splitCredits } = require("../config/bufferPool");
+const { CREDIT_DECIMALS, toCreditUnits, isCreditAmount } = require("../config/creditUnits");
+const ipfsService = require("../utils/ipfsUpload");
 
 const TOKEN_ADDRESS = process.env.BLUE_CARBON_TOKEN_ADDRESS;
 const REGISTRY_ADDRESS = process.env.CARBON_CREDIT_REGISTRY_ADDRESS;
-const RPC_URL = process.env.SEPOLIA_RPC_URL || process.env.RPC_URL || "http://127.0.0.1:8545";
-const PRIVATE_KEY = process.env.PRIVATE_KEY;
+const VINTAGE_CREDIT_ADDRESS = process.env.VINTAGE_CREDIT_ADDRESS;
 
 const erc20Iface = new ethers.Interface([
   "function transfer(address to, uint256 value)",
   "function approve(address spender, uint256 value)",
   "function transferFrom(address from, address to, uint256 value)",
+  "function retire(uint256 amount, string beneficiary, string reason, uint64 periodStart, uint64 periodEnd) returns (uint256)",
 ]);
 
 const registryIface = new ethers.Interface([
-  "function registerProject(string projectId, uint16 carbonCredits, address projectOwner, bytes32 ipfsHash) external returns (uint256)",
+  "function registerProject(string projectId, uint16 vintage, uint256 carbonCredits, uint256 bufferAmount, address projectOwner, string ipfsHash) external returns (uint256)",
+]);
+
+const vintageIface = new ethers.Interface([
+  "function wrap(uint256 id, uint256 amount)",
+  "function unwrap(uint256 id, uint256 amount)",
 ]);
 
 function parseAmount(amount) {
@@ -23,6 +31,46 @@ function parseAmount(amount) {
   try { return ethers.parseUnits(String(amount), 18); } catch { return BigInt(amount); }
 }
 
+// Buffer share of a registration in tonnes, always from the buffer pool rules
+function registrationBuffer({ carbonCredits, ecosystemType, riskScore }) {
+  return splitCredits(Number(carbonCredits), bufferPercent(ecosystemType, riskScore)).bufferCredits;
+}
+
+// registerProject arguments; credits are given in tonnes and sent in on-chain credit units,
+// the vintage defaults to the current year
+function registrationArgs(body) {
+  const { projectId, carbonCredits, projectOwner, ipfsHash } = body;
+  const vintage = body.vintage || new Date().getUTCFullYear();
+  return [projectId, vintage, toCreditUnits(carbonCredits), toCreditUnits(registrationBuffer(body)), projectOwner, ipfsHash];
+}
+
+const isVintage = (vintage) => vintage === undefined || (Number.isInteger(vintage) && vintage > 0 && vintage <= 65535);
+
+// wrap/unwrap payload: the VintageCredit id of (projectTokenId, vintage) and an amount in tonnes
+function buildVintageTx(method) {
+  return async (req, res) => {
+    try {
+      const { projectTokenId, vintage, amount } = req.body;
+      if (!VINTAGE_CREDIT_ADDRESS) return res.status(500).json({ error: "VINTAGE_CREDIT address not set" });
+      if (projectTokenId === undefined || !vintage || amount === undefined) {
+        return res.status(400).json({ error: "projectTokenId, vintage, amount required" });
+      }
+      if (!/^\d+$/.test(String(projectTokenId)) || !isVintage(vintage)) {
+        return res.status(400).json({ error: "projectTokenId must be a token ID and vintage a year" });
+      }
+      if (!isCreditAmount(Number(amount))) {
+        return res.status(400).json({ error: "amount must be a positive number of tonnes with up to 3 decimals" });
+      }
+      const id = (BigInt(projectTokenId) << 16n) | BigInt(vintage);
+      const data = vintageIface.encodeFunctionData(method, [id, toCreditUnits(amount)]);
+      return res.json({ to: VINTAGE_CREDIT_ADDRESS, data, value: "0x0", id: id.toString() });
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ error: "Failed to build tx", details: e.message });
+    }
+  };
+}
+
 exports.buildRegisterProjectTx = async (req, res) => {
   try {
     const { projectId, carbonCredits, projectOwner, ipfsHash } = req.body;
@@ -30,12 +78,16 @@ exports.buildRegisterProjectTx = async (req, res) => {
     if (!projectId || !carbonCredits || !projectOwner || !ipfsHash) {
       return res.status(400).json({ error: "projectId, carbonCredits, projectOwner, ipfsHash required" });
     }
-    const data = registryIface.encodeFunctionData("registerProject", [
-      projectId,
-      Number(carbonCredits),
-      projectOwner,
-      ipfsHash,
-    ]);
+    if (!isCreditAmount(Number(carbonCredits))) {
+      return res.status(400).json({ error: "carbonCredits must be a positive number of tonnes with up to 3 decimals" });
+    }
+    if (!isVintage(req.body.vintage)) {
+      return res.status(400).json({ error: "vintage must be a year" });
+    }
+    if (!ipfsService.isValidIPFSHash(ipfsHash)) {
+      return res.status(400).json({ error: "ipfsHash must be the IPFS CID of the project metadata" });
+    }
+    const data = registryIface.encodeFunctionData("registerProject", registrationArgs(req.body));
     return res.json({ to: REGISTRY_ADDRESS, data, value: "0x0" });
   } catch (e) {
     console.error(e);
@@ -85,28 +137,48 @@ exports.buildTransferFromTx = async (req, res) => {
   }
 };
 
-exports.serverRegisterProject = async (req, res) => {
+// Burn-based retirement of the caller's BCARB; index the mined tx with POST /api/retirements/index
+exports.buildRetireTx = async (req, res) => {
   try {
-    const { projectId, carbonCredits, projectOwner, ipfsHash } = req.body;
-    if (!REGISTRY_ADDRESS) return res.status(500).json({ error: "REGISTRY address not set" });
-    if (!PRIVATE_KEY) return res.status(500).json({ error: "Server PRIVATE_KEY not set" });
-
-    const provider = new ethers.JsonRpcProvider(RPC_URL);
-    const wallet = new ethers.Wallet(PRIVATE_KEY, provider);
-    const registry = new ethers.Contract(REGISTRY_ADDRESS, registryIface, wallet);
-
-    const tx = await registry.registerProject(projectId, Number(carbonCredits), projectOwner, ipfsHash);
-    const receipt = await tx.wait();
-    return res.json({ success: true, txHash: tx.hash, blockNumber: receipt.blockNumber });
+    const { amount, beneficiary, reason, periodStart, periodEnd } = req.body;
+    if (!TOKEN_ADDRESS) return res.status(500).json({ error: "TOKEN address not set" });
+    if (!amount || !beneficiary || !reason) {
+      return res.status(400).json({ error: "amount, beneficiary, reason required" });
+    }
+    // Claimed period as dates; both or neither
+    const start = periodStart ? new Date(periodStart) : null;
+    const end = periodEnd ? new Date(periodEnd) : null;
+    if (Boolean(start) !== Boolean(end) || (start && (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start > end))) {
+      return res.status(400).json({ error: "periodStart and periodEnd must both be dates, with periodStart not after periodEnd" });
+    }
+    const seconds = (date) => (date ? Math.floor(date.getTime() / 1000) : 0);
+    const data = erc20Iface.encodeFunctionData("retire", [
+      parseAmount(amount),
+      beneficiary,
+      reason,
+      seconds(start),
+      seconds(end),
+    ]);
+    return res.json({ to: TOKEN_ADDRESS, data, value: "0x0" });
   } catch (e) {
     console.error(e);
-    return res.status(500).json({ error: "Failed to send tx", details: e.message });
+    return res.status(500).json({ error: "Failed to build tx", details: e.message });
   }
 };
 
+// Vintage credits into BCARB (wrap) and back (unwrap, up to what was wrapped from that id)
+exports.buildWrapTx = buildVintageTx("wrap");
+exports.buildUnwrapTx = buildVintageTx("unwrap");
+
 exports.tokenDetails = async (_req, res) => {
   try {
-    return res.json({ address: TOKEN_ADDRESS, symbol: "BCARB", decimals: 18 });
+    return res.json({
+      address: TOKEN_ADDRESS,
+      symbol: "BCARB",
+      decimals: 18,
+      creditDecimals: CREDIT_DECIMALS,
+      vintageCredit: VINTAGE_CREDIT_ADDRESS || null,
+    });
   } catch (e) {
     return res.status(500).json({ error: "Failed" });
   }
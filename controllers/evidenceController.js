@@ -2,13 +2,72 @@ const Evidence = require("../models/Evidence");
 const Project = require("../models/Project");
 const User = require("../models/User");
 const crypto = require("crypto");
+const auditLog = require("../utils/auditLog");
+const { generateHash } = require("../utils/hashUtils");
+const ipfsService = require("../utils/ipfsUpload");
+const { checkPhotos } = require("../utils/photoChecks");
+const { assessSite } = require("../utils/overlapDetection");
+const { calculateCarbon, ecosystemInputs } = require("../utils/carbonCalculator");
+const { STATES } = require("../config/projectLifecycle");
 
-// Utility: create SHA256 hash of evidence JSON
-function generateHash(data) {
-  return crypto.createHash("sha256").update(JSON.stringify(data)).digest("hex");
+// Multipart fields hold strings; the structured payload is sent as a JSON "payload" field
+function parseBody(req) {
+  if (req.is("multipart/form-data") && typeof req.body.payload === "string") {
+    return JSON.parse(req.body.payload);
+  }
+  return req.body || {};
+}
+
+// Uploaded "documents" are field photos, matching the JSON payload's documents → photos mapping
+const UPLOAD_TARGET = { photos: "photos", documents: "photos", videos: "videos" };
+
+// Uploaded files in a fixed order: photos, documents, videos
+function listUploads(files = {}) {
+  return Object.keys(UPLOAD_TARGET).flatMap(field => (files[field] || []).map(file => ({ field, file })));
+}
+
+// Hash each uploaded file and pin it to IPFS, returning the manifest in upload order
+async function pinUploadedFiles(uploads) {
+  const manifest = [];
+  for (const { field, file } of uploads) {
+    const sha256 = crypto.createHash("sha256").update(file.buffer).digest("hex");
+    const cid = await ipfsService.uploadFileToIPFS(file.buffer, file.originalname);
+    if (!ipfsService.isValidIPFSHash(cid)) {
+      throw new Error(`IPFS returned an invalid CID for ${file.originalname}: ${cid}`);
+    }
+    manifest.push({
+      field,
+      filename: file.originalname,
+      mimeType: file.mimetype,
+      size: file.size,
+      cid,
+      sha256,
+    });
+  }
+  return manifest;
+}
+
+// Run EXIF checks on uploaded images; identical images already on other evidence are flagged
+async function checkUploadedPhotos(uploads, manifest, payload) {
+  const photos = uploads
+    .map(({ field, file }, i) => ({ field, buffer: file.buffer, mimeType: file.mimetype, ...manifest[i] }))
+    .filter(photo => photo.field !== "videos" && /^image\//.test(photo.mimeType));
+  if (photos.length === 0) return [];
+
+  const reused = await Evidence.find({ "files.sha256": { $in: photos.map(photo => photo.sha256) } })
+    .select("files.sha256")
+    .lean();
+  const knownHashes = new Set(reused.flatMap(doc => doc.files.map(file => file.sha256)));
+
+  return checkPhotos(photos, {
+    gps: payload.gps,
+    timestampISO: payload.timestampISO,
+    submittedAt: new Date(),
+  }, { knownHashes });
 }
 
 // Transform raw frontend payload → backend schema
+// Also used by /api/frontend/calculate-co2 so estimates match what submission computes
 function transformPayload(payload) {
   const ecosystemTypeMap = {
     mangroves: "mangrove",
@@ -24,88 +83,52 @@ function transformPayload(payload) {
     precision: Number(payload.gpsPrecision || 5),
   };
 
-  let mangroveData, seagrassData, saltMarshData;
-  if (ecosystemType === "mangrove") {
-    mangroveData = {
-      species: payload.plantationSpecies || [],
-      treeCount: Number(payload.treeCount || 0),
-      avgDBHcm: Number(payload.averageBreadth || payload.averageLength || 0),
-      avgHeightM: Number(payload.averageHeight || 0),
-      seedlingsCount: Number(payload.seedlings || 0),
-      soilCarbonContentPercent: payload.soilCarbonContentPercent || undefined,
-    };
-  } else if (ecosystemType === "seagrass") {
-    seagrassData = {
-      species: payload.plantationSpecies || [],
-      meadowAreaM2: Number(payload.area || 0),
-      shootDensity: Number(payload.density || 0),
-      biomassKgPerM2: Number(payload.biomass || 0),
-      soilCarbonContentPercent: payload.soilCarbonContentPercent || undefined,
-    };
-  } else if (ecosystemType === "salt_marsh") {
-    saltMarshData = {
-      species: payload.plantationSpecies || [],
-      areaM2: Number(payload.area || 0),
-      vegetationHeightM: Number(payload.averageHeight || 0),
-      biomassKgPerM2: Number(payload.biomass || 0),
-      soilCarbonContentPercent: payload.soilCarbonContentPercent || undefined,
-    };
-  }
-
   return {
     projectId: payload.projectId,
     plotId: payload.plotId,
     timestampISO: payload.timestampISO || new Date().toISOString(),
     gps,
-    photos: ((payload.documents || []).map(doc => {
-      if (!doc.ipfsHash) console.warn("Missing IPFS hash for document:", doc.name);
-      return doc.ipfsHash;
-    }).filter(Boolean)),
+    photos: (payload.documents || []).map(doc => doc.ipfsHash),
     videos: (payload.videos || []).map(video => video.ipfsHash),
     ecosystemType,
-    mangroveData,
-    seagrassData,
-    saltMarshData,
+    ...ecosystemInputs(payload, ecosystemType, { areaM2: Number(payload.area || 0) }),
     soilCores: payload.soilCores || [],
     sensorReadings: payload.sensorReadings || {},
-    co2Estimate: Number(payload.estimatedCO2Sequestration || 0),
+    declaredCo2Estimate: Number(payload.estimatedCO2Sequestration || 0),
   };
 }
 
-// @desc Submit field evidence for a project
+// @desc Submit field evidence for a project (JSON, or multipart with photos/videos/documents files)
 // @route POST /api/evidence
 // @access Inspector
 exports.submitEvidence = async (req, res) => {
   try {
-    const payload = transformPayload(req.body);
-
-    // // Check if project exists
-    // const project = await Project.findById(payload.projectId);
-    // if (!project) {
-    //   return res.status(404).json({ message: "Project not found" });
-    // }
-
-    // const existingEvidence = await Evidence.findOne({
-    //   "gps.latitude": payload.gps.latitude,
-    //   "gps.longitude": payload.gps.longitude,
-    // });
-    const existingEvidence = false;
-    
-    if (existingEvidence) {
+    let body;
+    try {
+      body = parseBody(req);
+    } catch (parseError) {
+      return res.status(400).json({ message: "Invalid JSON in payload field", error: parseError.message });
+    }
+
+    // Pre-uploaded references must carry their IPFS hash; uploads without one are rejected, not dropped
+    const unreferenced = [...(body.documents || []), ...(body.videos || [])]
+      .filter(item => !item || !item.ipfsHash)
+      .map(item => item?.name || "(unnamed)");
+    if (unreferenced.length > 0) {
       return res.status(400).json({
-        message: "Project already listed",
+        message: "Every referenced document and video needs an ipfsHash; upload the files with the request instead",
+        missingIpfsHash: unreferenced,
       });
     }
 
-    // Generate hash for immutability
-    const evidenceHash = generateHash(payload);
+    const payload = transformPayload(body);
 
     // Get owner wallet address from request body - REQUIRED
-    let ownerWalletAddress = req.body.ownerWalletAddress || req.body.ownerAddress;
+    let ownerWalletAddress = body.ownerWalletAddress || body.ownerAddress;
     
     // If not provided in request body, try to get it from the user's profile
-    if (!ownerWalletAddress && req.user._id) {
-      const user = await User.findById(req.user._id);
+    if (!ownerWalletAddress && req.user.id) {
+      const user = await User.findById(req.user.id);
       if (user && user.walletAddress) {
         ownerWalletAddress = user.walletAddress;
       }
@@ -119,13 +142,47 @@ exports.submitEvidence = async (req, res) => {
       });
     }
 
+    // Pin uploaded files and record what was stored
+    const uploads = listUploads(req.files);
+    let files;
+    try {
+      files = await pinUploadedFiles(uploads);
+    } catch (uploadError) {
+      console.error("Error pinning evidence files:", uploadError);
+      return res.status(502).json({ message: "Failed to upload evidence files to IPFS" });
+    }
+    for (const file of files) {
+      payload[UPLOAD_TARGET[file.field]].push(file.cid);
+    }
+
+    // Generate hash for immutability; the manifest ties it to the raw file bytes
+    const evidenceHash = generateHash({ ...payload, files });
+
+    // tCO2e is computed from the measurements, never taken from the client
+    const carbonCalculation = calculateCarbon(payload, { areaHectares: body.area });
+
+    // Where and when the photos say they were taken, for the verifier
+    const photoChecks = await checkUploadedPhotos(uploads, files, payload);
+
+    // Flag plots that fall on another project's site (possible double counting)
+    const site = body.location
+      ? await assessSite({ point: payload.gps, radiusM: payload.gps.precision, projectId: payload.projectId })
+      : {};
+
     // Create the evidence document
     const evidence = await Evidence.create({
       ...payload,
+      ...site,
+      co2Estimate: carbonCalculation.totalTCO2e,
+      carbonCalculation,
+      files,
+      photoChecks,
       evidenceHash,
-      inspector: req.user._id,
+      inspector: req.user.id,
       ownerWalletAddress: ownerWalletAddress.trim(), // Required - must be provided
-      createdBy: req.user._id,
+      createdBy: req.user.id,
+      status: STATES.SUBMITTED,
+      statusHistory: [{ from: STATES.DRAFT, to: STATES.SUBMITTED, by: req.user.id }],
     });
 
     const projectStamp = await Project.findOneAndUpdate(
@@ -133,16 +190,23 @@ exports.submitEvidence = async (req, res) => {
       {
         $set: {
           ownerId: req.user.id,
-          status: "Pending",
         },
+        // New evidence does not move an existing project back through the lifecycle
         $setOnInsert: {
-          ownerId: req.user._id, // fallback if stamp not created yet
           projectId: payload.projectId,
+          status: STATES.SUBMITTED,
         },
       },
       { new: true, upsert: true } // create if not exists
     );
 
+    await auditLog.record(req, {
+      action: "evidence.submit",
+      targetType: "Evidence",
+      targetId: evidence._id,
+      after: auditLog.snapshot(evidence, ["projectId", "plotId", "ecosystemType", "gps", "co2Estimate", "declaredCo2Estimate", "files", "overlap", "evidenceHash", "status", "ownerWalletAddress"])
+    });
+
     res.status(201).json({
       message: "Evidence submitted successfully, ProjectStamp updated",
       evidence,
@@ -153,3 +217,5 @@ exports.submitEvidence = async (req, res) => {
     res.status(500).json({ message: "Server error" });
   }
 };
+
+exports.transformPayload = transformPayload;
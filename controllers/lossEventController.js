@@ -0,0 +1,342 @@
+const mongoose = require("mongoose");
+const Project = require("../models/Evidence"); // Evidence model contains the actual project data
+const LossEvent = require("../models/LossEvent");
+const blockchainService = require("../utils/blockchainService");
+const auditLog = require("../utils/auditLog");
+const { reviewerRefusal } = require("../utils/verifierAssignment");
+const { hasPermission } = require("../config/permissions");
+const { roundCredits, isCreditAmount } = require("../config/creditUnits");
+
+const LOSS = LossEvent.STATES;
+
+// Loss event fields captured in audit snapshots
+const AUDITED_LOSS_FIELDS = ["status", "creditsLost", "confirmation", "cancellation"];
+
+// The registration document (with Project_ID) speaks for a project over extra evidence plots
+async function findProject(projectId) {
+  return (await Project.findOne({ Project_ID: projectId })) || Project.findOne({ projectId });
+}
+
+async function loadEvent(req, res) {
+  const project = await findProject(req.params.projectId);
+  if (!project) {
+    res.status(404).json({ success: false, message: "Project not found." });
+    return {};
+  }
+  const event = await LossEvent.findOne({
+    projectId: project.projectId,
+    eventNumber: Number(req.params.eventNumber)
+  });
+  if (!event) {
+    res.status(404).json({ success: false, message: "Loss event not found." });
+    return {};
+  }
+  return { project, event };
+}
+
+// Every step is also written to the project's audit trail (GET /api/admin/audit?targetId=<projectId>)
+function recordStep(req, project, event, action, { before, txHash, metadata } = {}) {
+  return auditLog.record(req, {
+    action,
+    targetType: "Project",
+    targetId: project.projectId,
+    before,
+    after: auditLog.snapshot(event, AUDITED_LOSS_FIELDS),
+    txHash,
+    metadata: { eventNumber: event.eventNumber, ...metadata }
+  });
+}
+
+/**
+ * Cancel a confirmed loss: from the project's buffer pool first, then from the owner's
+ * unretired credits on-chain. Confirmed credits neither can cover are recorded as a shortfall.
+ * Leaves the event CONFIRMED with cancellation.error when a transaction fails; what was already
+ * cancelled is kept, so a retry only cancels the rest.
+ * @returns {Promise<{error?: Error}>}
+ */
+async function cancelLoss(req, project, event) {
+  const tokenId = project.blockchain.tokenId;
+  const reason = `Loss event #${event.eventNumber} (${event.cause}): ${event.description}`.slice(0, 200);
+
+  try {
+    const fromBuffer = Math.min(event.outstandingCredits(), project.bufferHeld());
+    if (fromBuffer > 0) {
+      const result = await blockchainService.cancelBufferCredits(tokenId, fromBuffer, reason);
+      project.recordBuffer("cancel", fromBuffer, { reason, transactionHash: result.transactionHash, by: req.user.id });
+      await project.save();
+
+      event.cancellation.fromBuffer = roundCredits(event.cancellation.fromBuffer + fromBuffer);
+      event.addStep("buffer-cancelled", { amount: fromBuffer, transactionHash: result.transactionHash, by: req.user.id });
+      await event.save();
+      await recordStep(req, project, event, "loss.cancel-buffer", {
+        txHash: result.transactionHash,
+        metadata: { amount: fromBuffer }
+      });
+    }
+
+    const remaining = event.outstandingCredits();
+    if (remaining > 0) {
+      const fromOwner = Math.min(remaining, await blockchainService.getOwnerCredits(tokenId));
+      if (fromOwner > 0) {
+        const result = await blockchainService.cancelOwnerCredits(tokenId, fromOwner, reason);
+        project.creditsCancelled = roundCredits((project.creditsCancelled || 0) + fromOwner);
+        await project.save();
+
+        event.cancellation.fromOwner = roundCredits(event.cancellation.fromOwner + fromOwner);
+        event.addStep("owner-cancelled", {
+          amount: fromOwner,
+          transactionHash: result.transactionHash,
+          note: `${result.tokensBurned ?? "unknown"} vintage credits burned from the owner's wallet`,
+          by: req.user.id
+        });
+        await event.save();
+        await recordStep(req, project, event, "loss.cancel-owner", {
+          txHash: result.transactionHash,
+          metadata: { amount: fromOwner, tokensBurned: result.tokensBurned }
+        });
+      }
+    }
+
+    const shortfall = event.outstandingCredits();
+    if (shortfall > 0) {
+      event.cancellation.shortfall = roundCredits(event.cancellation.shortfall + shortfall);
+      event.addStep("cancellation-shortfall", {
+        amount: shortfall,
+        note: "Buffer pool and owner credits exhausted",
+        by: req.user.id
+      });
+    }
+
+    event.cancellation.error = undefined;
+    event.cancellation.completedAt = new Date();
+    event.status = LOSS.CANCELLED;
+    await event.save();
+    return {};
+  } catch (error) {
+    console.error("Loss cancellation failed:", error);
+    event.cancellation.error = error.message;
+    event.addStep("cancellation-failed", { note: error.message, by: req.user.id });
+    await event.save();
+    return { error };
+  }
+}
+
+// Response for a cancellation attempt, shared by confirmation and retry
+function sendCancellation(res, event, { error }) {
+  if (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Loss event confirmed but cancelling its credits failed. Retry the cancellation.",
+      blockchainError: error.message,
+      lossEvent: event
+    });
+  }
+  const { fromBuffer, fromOwner, shortfall } = event.cancellation;
+  return res.json({
+    success: true,
+    message: `Cancelled ${fromBuffer} buffer credits and ${fromOwner} owner credits` +
+      (shortfall > 0 ? `; ${shortfall} credits could not be covered.` : "."),
+    lossEvent: event
+  });
+}
+
+/**
+ * Report a loss event (storm, dieback, ...) on a registered project
+ * Body: { occurredAt, cause, description, creditsLost, affectedAreaHa, evidenceIds }
+ */
+exports.reportLossEvent = async (req, res) => {
+  try {
+    const { occurredAt, cause, description, creditsLost, affectedAreaHa, evidenceIds } = req.body;
+
+    const project = await findProject(req.params.projectId);
+    if (!project) {
+      return res.status(404).json({ success: false, message: "Project not found." });
+    }
+    if (String(project.createdBy) !== String(req.user.id) && !hasPermission(req.user.role, "loss:confirm")) {
+      return res.status(403).json({ success: false, message: "Only the project owner or a verifier can report a loss event." });
+    }
+    if (!project.isBlockchainRegistered()) {
+      return res.status(409).json({ success: false, message: "Project has no credits on-chain to report a loss against." });
+    }
+
+    const occurred = new Date(occurredAt);
+    if (Number.isNaN(occurred.getTime()) || occurred > new Date()) {
+      return res.status(400).json({ success: false, message: "occurredAt must be a date that is not in the future." });
+    }
+    if (!LossEvent.CAUSES.includes(cause)) {
+      return res.status(400).json({ success: false, message: `cause must be one of ${LossEvent.CAUSES.join(", ")}.` });
+    }
+    if (typeof description !== "string" || !description.trim()) {
+      return res.status(400).json({ success: false, message: "description is required." });
+    }
+    if (!isCreditAmount(creditsLost)) {
+      return res.status(400).json({ success: false, message: "creditsLost must be a positive number of credits (tonnes, up to 3 decimals)." });
+    }
+    if (affectedAreaHa !== undefined && (typeof affectedAreaHa !== "number" || !(affectedAreaHa > 0))) {
+      return res.status(400).json({ success: false, message: "affectedAreaHa must be a positive number." });
+    }
+
+    // Evidence of the loss: this project's own, submitted through POST /evidence
+    if (!Array.isArray(evidenceIds) || evidenceIds.length === 0 || !evidenceIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ success: false, message: "evidenceIds must be a non-empty array of evidence ids." });
+    }
+    const evidence = await Project.find({ _id: { $in: evidenceIds, $ne: project._id }, projectId: project.projectId }).select("_id");
+    const found = new Set(evidence.map(item => String(item._id)));
+    const errors = evidenceIds
+      .filter(id => !found.has(String(id)))
+      .map(id => `Evidence ${id} is not evidence of project ${project.projectId}`);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: "Invalid evidence.", errors });
+    }
+
+    const last = await LossEvent.findOne({ projectId: project.projectId }).sort({ eventNumber: -1 }).select("eventNumber");
+    const event = new LossEvent({
+      projectId: project.projectId,
+      project: project._id,
+      eventNumber: last ? last.eventNumber + 1 : 1,
+      occurredAt: occurred,
+      cause,
+      description: description.trim(),
+      affectedAreaHa,
+      creditsLost,
+      evidence: evidence.map(item => item._id),
+      reportedBy: req.user.id
+    });
+    event.addStep("reported", { amount: creditsLost, note: cause, by: req.user.id });
+    await event.save();
+
+    await recordStep(req, project, event, "loss.report", { metadata: { evidenceIds: event.evidence, cause } });
+
+    res.status(201).json({ success: true, message: "Loss event reported for verification.", lossEvent: event });
+  } catch (error) {
+    console.error("Error reporting loss event:", error);
+    res.status(500).json({ success: false, message: "Server error while reporting loss event." });
+  }
+};
+
+// List a project's loss events, oldest first
+exports.getLossEvents = async (req, res) => {
+  try {
+    const project = await findProject(req.params.projectId);
+    if (!project) {
+      return res.status(404).json({ success: false, message: "Project not found." });
+    }
+
+    const events = await LossEvent.find({ projectId: project.projectId })
+      .populate("reportedBy", "name email role")
+      .populate("confirmation.verifier", "name email")
+      .sort({ eventNumber: 1 });
+
+    res.json({
+      success: true,
+      projectId: project.projectId,
+      creditsCancelled: {
+        fromBuffer: events.reduce((total, event) => total + event.cancellation.fromBuffer, 0),
+        fromOwner: events.reduce((total, event) => total + event.cancellation.fromOwner, 0),
+        shortfall: events.reduce((total, event) => total + event.cancellation.shortfall, 0)
+      },
+      lossEvents: events,
+      count: events.length
+    });
+  } catch (error) {
+    console.error("Error fetching loss events:", error);
+    res.status(500).json({ success: false, message: "Server error while fetching loss events." });
+  }
+};
+
+/**
+ * Confirm a reported loss and cancel the lost credits
+ * Body: { comments, creditsLost } - creditsLost defaults to the reported amount
+ */
+exports.confirmLossEvent = async (req, res) => {
+  try {
+    const { comments } = req.body;
+    const { project, event } = await loadEvent(req, res);
+    if (!event) return;
+
+    if (event.status !== LOSS.REPORTED) {
+      return res.status(409).json({ success: false, message: `Loss event is ${event.status}.` });
+    }
+    if (typeof comments !== "string" || !comments.trim()) {
+      return res.status(400).json({ success: false, message: "comments are required to confirm a loss event." });
+    }
+    const creditsLost = req.body.creditsLost ?? event.creditsLost;
+    if (!isCreditAmount(creditsLost)) {
+      return res.status(400).json({ success: false, message: "creditsLost must be a positive number of credits (tonnes, up to 3 decimals)." });
+    }
+    if (String(event.reportedBy) === String(req.user.id)) {
+      return res.status(403).json({ success: false, message: "A loss event must be confirmed by someone other than its reporter." });
+    }
+
+    const refusal = await reviewerRefusal(req.user, project);
+    if (refusal) {
+      return res.status(403).json(refusal);
+    }
+
+    const before = auditLog.snapshot(event, AUDITED_LOSS_FIELDS);
+    event.confirmation = { verifier: req.user.id, creditsLost, comments: comments.trim(), at: new Date() };
+    event.status = LOSS.CONFIRMED;
+    event.addStep("confirmed", { amount: creditsLost, note: comments.trim(), by: req.user.id });
+    await event.save();
+    await recordStep(req, project, event, "loss.confirm", { before, metadata: { creditsLost } });
+
+    const outcome = await cancelLoss(req, project, event);
+    sendCancellation(res, event, outcome);
+  } catch (error) {
+    console.error("Error confirming loss event:", error);
+    res.status(500).json({ success: false, message: "Server error while confirming loss event." });
+  }
+};
+
+/**
+ * Dismiss a reported loss; nothing is cancelled
+ * Body: { comments }
+ */
+exports.dismissLossEvent = async (req, res) => {
+  try {
+    const { comments } = req.body;
+    const { project, event } = await loadEvent(req, res);
+    if (!event) return;
+
+    if (event.status !== LOSS.REPORTED) {
+      return res.status(409).json({ success: false, message: `Loss event is ${event.status}.` });
+    }
+    if (typeof comments !== "string" || !comments.trim()) {
+      return res.status(400).json({ success: false, message: "comments are required to dismiss a loss event." });
+    }
+
+    const refusal = await reviewerRefusal(req.user, project);
+    if (refusal) {
+      return res.status(403).json(refusal);
+    }
+
+    const before = auditLog.snapshot(event, AUDITED_LOSS_FIELDS);
+    event.status = LOSS.DISMISSED;
+    event.addStep("dismissed", { note: comments.trim(), by: req.user.id });
+    await event.save();
+    await recordStep(req, project, event, "loss.dismiss", { before, metadata: { comments: comments.trim() } });
+
+    res.json({ success: true, message: "Loss event dismissed.", lossEvent: event });
+  } catch (error) {
+    console.error("Error dismissing loss event:", error);
+    res.status(500).json({ success: false, message: "Server error while dismissing loss event." });
+  }
+};
+
+// Retry the on-chain cancellation of a confirmed loss
+exports.retryCancellation = async (req, res) => {
+  try {
+    const { project, event } = await loadEvent(req, res);
+    if (!event) return;
+
+    if (event.status !== LOSS.CONFIRMED) {
+      return res.status(409).json({ success: false, message: `Loss event is ${event.status}; only confirmed losses awaiting cancellation can be cancelled.` });
+    }
+
+    const outcome = await cancelLoss(req, project, event);
+    sendCancellation(res, event, outcome);
+  } catch (error) {
+    console.error("Error cancelling loss event credits:", error);
+    res.status(500).json({ success: false, message: "Server error while cancelling loss event credits." });
+  }
+};
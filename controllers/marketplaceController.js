@@ -1,5 +1,6 @@
 const Listing = require('../models/Listing');
 const Project = require('../models/Project');
+const auditLog = require('../utils/auditLog');
 
 // Create a marketplace listing
 exports.createListing = async (req, res) => {
@@ -22,6 +23,13 @@ exports.createListing = async (req, res) => {
     const listing = new Listing({ projectId, tokenId, sellerAddress, priceWei });
     await listing.save();
 
+    await auditLog.record(req, {
+      action: 'listing.create',
+      targetType: 'Listing',
+      targetId: listing._id,
+      after: auditLog.snapshot(listing, ['projectId', 'tokenId', 'sellerAddress', 'priceWei', 'currency', 'status'])
+    });
+
     res.json({ success: true, message: 'Listing created', listing });
   } catch (error) {
     console.error('Error creating listing:', error);
@@ -0,0 +1,609 @@
+const mongoose = require("mongoose");
+const Project = require("../models/Evidence"); // Evidence model contains the actual project data
+const MonitoringPeriod = require("../models/MonitoringPeriod");
+const Verification = require("../models/Verification");
+const blockchainService = require("../utils/blockchainService");
+const auditLog = require("../utils/auditLog");
+const { reviewerRefusal } = require("../utils/verifierAssignment");
+const { evaluateChecklist } = require("../config/verificationChecklists");
+const { tallyVotes } = require("../config/verificationQuorum");
+const { bufferPercent, splitCredits } = require("../config/bufferPool");
+const { roundCredits } = require("../config/creditUnits");
+const { STATES, ON_CHAIN, canTransition, applyTransition } = require("../config/projectLifecycle");
+
+const PERIOD = MonitoringPeriod.STATES;
+
+// Projects that can still receive credits (the contract refuses retired tokens)
+const ISSUABLE = ON_CHAIN.filter(state => state !== STATES.RETIRED);
+
+// Period fields captured in audit snapshots
+const AUDITED_PERIOD_FIELDS = ["status", "creditsIssued", "bufferCredits", "stockTCO2e", "verification", "issuance"];
+
+// The registration document (with Project_ID) speaks for a project over extra evidence plots
+async function findProject(projectId) {
+  return (await Project.findOne({ Project_ID: projectId })) || Project.findOne({ projectId });
+}
+
+const vintageOf = (date) => new Date(date).getUTCFullYear();
+
+/**
+ * Period 0: the credits minted at registration, created the first time a project's periods
+ * are read or added so every issuance, including the first, is listed as a vintage.
+ */
+async function ensureBaselinePeriod(project) {
+  const existing = await MonitoringPeriod.findOne({ projectId: project.projectId, periodNumber: 0 });
+  if (existing || !project.blockchain?.isRegistered) return existing;
+
+  const stockTCO2e = project.carbonCalculation?.totalTCO2e ?? project.Carbon_Sequestration_tCO2 ?? 0;
+  const endDate = project.Verified_Date || project.blockchain.lastBlockchainUpdate || new Date();
+  try {
+    return await MonitoringPeriod.create({
+      projectId: project.projectId,
+      project: project._id,
+      periodNumber: 0,
+      source: "registration",
+      startDate: project.Plantation_Date || project.createdAt || endDate,
+      endDate,
+      vintage: vintageOf(endDate),
+      stockTCO2e,
+      previousStockTCO2e: 0,
+      creditsIssued: project.Carbon_Credits_Issued || roundCredits(stockTCO2e),
+      bufferCredits: roundCredits((project.buffer?.history || [])
+        .filter(entry => entry.action === "deposit" && entry.periodNumber === 0)
+        .reduce((total, entry) => total + entry.amount, 0)),
+      status: PERIOD.ISSUED,
+      statusHistory: [{ from: null, to: PERIOD.ISSUED, at: new Date(), reason: "Registration issuance" }],
+      issuance: {
+        transactionHash: project.blockchain.transactionHash,
+        blockNumber: project.blockchain.blockNumber,
+        ipfsHash: project.blockchain.ipfsHash,
+        issuedAt: endDate
+      }
+    });
+  } catch (error) {
+    // Another request created it first
+    if (error.code === 11000) {
+      return MonitoringPeriod.findOne({ projectId: project.projectId, periodNumber: 0 });
+    }
+    throw error;
+  }
+}
+
+async function loadPeriod(req, res) {
+  const project = await findProject(req.params.projectId);
+  if (!project) {
+    res.status(404).json({ success: false, message: "Project not found." });
+    return {};
+  }
+  const period = await MonitoringPeriod.findOne({
+    projectId: project.projectId,
+    periodNumber: Number(req.params.periodNumber)
+  });
+  if (!period) {
+    res.status(404).json({ success: false, message: "Monitoring period not found." });
+    return {};
+  }
+  return { project, period };
+}
+
+// Move a period's evidence items along with the period's review
+async function transitionEvidence(period, to, { by, reason }) {
+  const items = await Project.find({ _id: { $in: period.evidence } });
+  for (const item of items) {
+    if (!canTransition(item.status, to)) continue;
+    applyTransition(item, to, { by, reason });
+    item.verifier = by;
+    item.verifiedAt = new Date();
+    await item.save();
+  }
+  return items;
+}
+
+/**
+ * Issue a verified period's credits on-chain as a vintage
+ * Leaves the period APPROVED with issuance.error when the transaction fails.
+ * @returns {Promise<{result?: Object, error?: Error}>}
+ */
+async function issuePeriod(req, project, period) {
+  // The risk score may have changed since submission, so the split is made at issuance
+  const percent = bufferPercent(project.ecosystemType, project.riskScore);
+  period.bufferCredits = splitCredits(period.creditsIssued, percent).bufferCredits;
+
+  const verification = period.verification
+    ? await Verification.findById(period.verification).select("verifier verifiedAt checklist comments").lean()
+    : null;
+  const evidence = await Project.find({ _id: { $in: period.evidence } })
+    .select("evidenceHash co2Estimate timestampISO files.cid")
+    .lean();
+
+  const metadata = {
+    name: `${project.Project_Name || project.name} - monitoring period ${period.periodNumber}`,
+    projectId: project.Project_ID || project.projectId,
+    tokenId: project.blockchain.tokenId,
+    periodNumber: period.periodNumber,
+    vintage: period.vintage,
+    startDate: period.startDate,
+    endDate: period.endDate,
+    stockTCO2e: period.stockTCO2e,
+    previousStockTCO2e: period.previousStockTCO2e,
+    credits: period.creditsIssued,
+    bufferCredits: period.bufferCredits,
+    evidence: evidence.map(item => ({
+      id: String(item._id),
+      evidenceHash: item.evidenceHash,
+      co2Estimate: item.co2Estimate,
+      measuredAt: item.timestampISO,
+      files: (item.files || []).map(file => file.cid)
+    })),
+    verification: verification && {
+      verifiedAt: verification.verifiedAt,
+      checklist: verification.checklist
+    },
+    timestamp: new Date().toISOString(),
+    version: "1.0"
+  };
+
+  try {
+    const result = await blockchainService.issueVintageCredits(
+      project.blockchain.tokenId,
+      period.vintage,
+      period.creditsIssued,
+      period.bufferCredits,
+      metadata
+    );
+
+    period.issuance = {
+      transactionHash: result.transactionHash,
+      blockNumber: result.blockNumber,
+      ipfsHash: result.ipfsHash,
+      issuedAt: new Date()
+    };
+    period.moveTo(PERIOD.ISSUED, { by: req.user.id });
+    await period.save();
+
+    project.Carbon_Credits_Issued = roundCredits((project.Carbon_Credits_Issued || 0) + period.creditsIssued);
+    project.recordBuffer("deposit", period.bufferCredits, {
+      percent,
+      periodNumber: period.periodNumber,
+      transactionHash: result.transactionHash,
+      by: req.user.id
+    });
+    project.blockchain.lastBlockchainUpdate = new Date();
+    await project.save();
+    return { result };
+  } catch (error) {
+    console.error("Vintage issuance failed:", error);
+    period.issuance = { error: error.message };
+    await period.save();
+    return { error };
+  }
+}
+
+// Response for an issuance attempt, shared by approval and retry
+function sendIssuance(res, period, { result, error }, extra = {}) {
+  if (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Monitoring period verified but issuing its credits failed. Retry the issuance.",
+      blockchainError: error.message,
+      period,
+      ...extra
+    });
+  }
+  return res.json({
+    success: true,
+    message: `Issued ${period.creditsIssued} credits for vintage ${period.vintage}.`,
+    period,
+    blockchainResult: result,
+    ...extra
+  });
+}
+
+/**
+ * Submit a monitoring period with its evidence set
+ * Body: { startDate, endDate, evidenceIds }
+ */
+exports.createMonitoringPeriod = async (req, res) => {
+  try {
+    const { startDate, endDate, evidenceIds } = req.body;
+
+    const project = await findProject(req.params.projectId);
+    if (!project) {
+      return res.status(404).json({ success: false, message: "Project not found." });
+    }
+    if (String(project.createdBy) !== String(req.user.id)) {
+      return res.status(403).json({ success: false, message: "Only the project owner can submit monitoring periods." });
+    }
+    if (!ISSUABLE.includes(project.status) || !project.blockchain?.isRegistered) {
+      return res.status(409).json({
+        success: false,
+        message: `Project is ${project.status}; monitoring periods need a registered project that is not retired.`
+      });
+    }
+
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start >= end) {
+      return res.status(400).json({ success: false, message: "startDate and endDate must be dates, with startDate before endDate." });
+    }
+    if (end > new Date()) {
+      return res.status(400).json({ success: false, message: "A monitoring period cannot end in the future." });
+    }
+
+    const baseline = await ensureBaselinePeriod(project);
+    const periods = await MonitoringPeriod.find({ projectId: project.projectId }).sort({ periodNumber: 1 });
+
+    const open = periods.find(period => [PERIOD.SUBMITTED, PERIOD.APPROVED].includes(period.status));
+    if (open) {
+      return res.status(409).json({
+        success: false,
+        message: `Monitoring period ${open.periodNumber} is still ${open.status}. Finish it before submitting another.`
+      });
+    }
+
+    const covered = periods.filter(period => period.status !== PERIOD.REJECTED);
+    const coveredUntil = covered.length > 0 ? covered[covered.length - 1].endDate : null;
+    if (coveredUntil && start < coveredUntil) {
+      return res.status(400).json({
+        success: false,
+        message: `Monitoring periods cannot overlap; the next one starts on or after ${coveredUntil.toISOString()}.`
+      });
+    }
+
+    // The evidence set: this project's own, not yet reviewed, measured within the period
+    if (!Array.isArray(evidenceIds) || evidenceIds.length === 0 || !evidenceIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ success: false, message: "evidenceIds must be a non-empty array of evidence ids." });
+    }
+    const evidence = await Project.find({ _id: { $in: evidenceIds, $ne: project._id }, projectId: project.projectId });
+    const errors = [];
+    const found = new Set(evidence.map(item => String(item._id)));
+    evidenceIds.filter(id => !found.has(String(id))).forEach(id => errors.push(`Evidence ${id} is not evidence of project ${project.projectId}`));
+    evidence.forEach((item) => {
+      if (item.status !== STATES.SUBMITTED) errors.push(`Evidence ${item._id} is ${item.status}; only unreviewed evidence can be used`);
+      const measuredAt = new Date(item.timestampISO);
+      if (measuredAt < start || measuredAt > end) errors.push(`Evidence ${item._id} was measured outside the period`);
+    });
+    if (await MonitoringPeriod.exists({ evidence: { $in: evidenceIds }, status: { $ne: PERIOD.REJECTED } })) {
+      errors.push("Some evidence already belongs to another monitoring period");
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: "Invalid evidence set.", errors });
+    }
+
+    // Credits are the growth of the stock since the last issued period
+    const lastIssued = [...periods].reverse().find(period => period.status === PERIOD.ISSUED) || baseline;
+    const stockTCO2e = roundCredits(evidence.reduce((total, item) => total + (item.co2Estimate || 0), 0));
+    const previousStockTCO2e = lastIssued?.stockTCO2e || 0;
+
+    const period = await MonitoringPeriod.create({
+      projectId: project.projectId,
+      project: project._id,
+      periodNumber: periods.length > 0 ? periods[periods.length - 1].periodNumber + 1 : 1,
+      startDate: start,
+      endDate: end,
+      vintage: vintageOf(end),
+      evidence: evidence.map(item => item._id),
+      stockTCO2e,
+      previousStockTCO2e,
+      creditsIssued: Math.max(0, roundCredits(stockTCO2e - previousStockTCO2e)),
+      statusHistory: [{ from: null, to: PERIOD.SUBMITTED, at: new Date(), by: req.user.id }],
+      createdBy: req.user.id
+    });
+
+    await auditLog.record(req, {
+      action: "monitoring-period.submit",
+      targetType: "MonitoringPeriod",
+      targetId: `${project.projectId}#${period.periodNumber}`,
+      after: auditLog.snapshot(period, AUDITED_PERIOD_FIELDS),
+      metadata: { evidenceIds: period.evidence, vintage: period.vintage }
+    });
+
+    res.status(201).json({ success: true, message: "Monitoring period submitted for verification.", period });
+  } catch (error) {
+    console.error("Error submitting monitoring period:", error);
+    res.status(500).json({ success: false, message: "Server error while submitting monitoring period." });
+  }
+};
+
+// List a project's monitoring periods, registration (period 0) first
+exports.getMonitoringPeriods = async (req, res) => {
+  try {
+    const project = await findProject(req.params.projectId);
+    if (!project) {
+      return res.status(404).json({ success: false, message: "Project not found." });
+    }
+
+    await ensureBaselinePeriod(project);
+    const periods = await MonitoringPeriod.find({ projectId: project.projectId })
+      .populate("verification", "status verifier verifiedAt comments")
+      .sort({ periodNumber: 1 });
+
+    res.json({ success: true, projectId: project.projectId, periods, count: periods.length });
+  } catch (error) {
+    console.error("Error fetching monitoring periods:", error);
+    res.status(500).json({ success: false, message: "Server error while fetching monitoring periods." });
+  }
+};
+
+/**
+ * Credits issued per vintage for a project
+ * Query: ?onChain=true also reads each vintage's total from the registry contract and its
+ * VintageCredit supply (credits held as ERC1155 and credits wrapped into BCARB)
+ */
+exports.getVintages = async (req, res) => {
+  try {
+    const project = await findProject(req.params.projectId);
+    if (!project) {
+      return res.status(404).json({ success: false, message: "Project not found." });
+    }
+
+    await ensureBaselinePeriod(project);
+    const issued = await MonitoringPeriod.find({ projectId: project.projectId, status: PERIOD.ISSUED })
+      .sort({ vintage: 1, periodNumber: 1 })
+      .lean();
+
+    const byVintage = new Map();
+    for (const period of issued) {
+      const entry = byVintage.get(period.vintage) || { vintage: period.vintage, credits: 0, issuances: [] };
+      entry.credits = roundCredits(entry.credits + period.creditsIssued);
+      entry.issuances.push({
+        periodNumber: period.periodNumber,
+        source: period.source,
+        startDate: period.startDate,
+        endDate: period.endDate,
+        credits: period.creditsIssued,
+        transactionHash: period.issuance?.transactionHash,
+        ipfsHash: period.issuance?.ipfsHash,
+        issuedAt: period.issuance?.issuedAt
+      });
+      byVintage.set(period.vintage, entry);
+    }
+    const vintages = [...byVintage.values()];
+
+    // Projects migrated from whole-tonne registries only have VintageCredit for later issuances
+    if (req.query.onChain === "true" && project.blockchain?.tokenId) {
+      for (const entry of vintages) {
+        try {
+          entry.onChainCredits = await blockchainService.getVintageCredits(project.blockchain.tokenId, entry.vintage);
+          entry.creditId = blockchainService.vintageCreditId(project.blockchain.tokenId, entry.vintage).toString();
+          const { supply, wrapped } = await blockchainService.getVintageSupply(project.blockchain.tokenId, entry.vintage);
+          entry.vintageSupply = supply;
+          entry.wrappedCredits = wrapped;
+        } catch (error) {
+          entry.onChainError = error.message;
+        }
+      }
+    }
+
+    res.json({
+      success: true,
+      projectId: project.projectId,
+      tokenId: project.blockchain?.tokenId,
+      totalCredits: roundCredits(vintages.reduce((total, entry) => total + entry.credits, 0)),
+      vintages
+    });
+  } catch (error) {
+    console.error("Error fetching vintages:", error);
+    res.status(500).json({ success: false, message: "Server error while fetching vintages." });
+  }
+};
+
+// Whether a verifier has already voted on a period
+function hasVoted(period, verifierId) {
+  return Verification.exists({ monitoringPeriod: period._id, verifier: verifierId });
+}
+
+/**
+ * Record a verifier's approval of a monitoring period; once the approvals meet the
+ * verification quorum (config/verificationQuorum.js) the period's credits are issued
+ * Body: { comments, checklist }
+ */
+exports.approveMonitoringPeriod = async (req, res) => {
+  try {
+    const { comments, checklist: checklistInput } = req.body;
+    const { project, period } = await loadPeriod(req, res);
+    if (!period) return;
+
+    if (period.status !== PERIOD.SUBMITTED) {
+      return res.status(409).json({ success: false, message: `Monitoring period is ${period.status}.` });
+    }
+    if (!ISSUABLE.includes(project.status)) {
+      return res.status(409).json({ success: false, message: `Project is ${project.status}; no more credits can be issued.` });
+    }
+
+    const refusal = await reviewerRefusal(req.user, project);
+    if (refusal) {
+      return res.status(403).json(refusal);
+    }
+
+    const { checklist, errors: checklistErrors, failing } = evaluateChecklist(project.ecosystemType, checklistInput);
+    if (checklistErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Complete the ${project.ecosystemType} verification checklist (GET /api/verification/checklist/${project.ecosystemType}).`,
+        errors: checklistErrors
+      });
+    }
+    if (failing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Approval is blocked until every mandatory checklist item passes. Reject the period instead.",
+        failingItems: failing.map(item => ({ itemId: item.itemId, label: item.label, result: item.result }))
+      });
+    }
+
+    if (await hasVoted(period, req.user.id)) {
+      return res.status(409).json({ success: false, message: "You have already voted on this monitoring period." });
+    }
+
+    const before = auditLog.snapshot(period, AUDITED_PERIOD_FIELDS);
+    const verification = await Verification.create({
+      projectId: project._id,
+      monitoringPeriod: period._id,
+      status: "Approved",
+      round: project.reviewRound || 1,
+      comments,
+      verifier: req.user.id,
+      co2Estimate: period.stockTCO2e,
+      checklist,
+      verifiedAt: new Date()
+    });
+
+    const tally = tallyVotes(await Verification.find({ monitoringPeriod: period._id }).lean());
+    if (!tally.met) {
+      await auditLog.record(req, {
+        action: "monitoring-period.approve-vote",
+        targetType: "MonitoringPeriod",
+        targetId: `${project.projectId}#${period.periodNumber}`,
+        before,
+        after: auditLog.snapshot(period, AUDITED_PERIOD_FIELDS),
+        metadata: { verificationId: verification._id, comments, quorum: tally }
+      });
+      return res.status(202).json({
+        success: true,
+        message: `Approval recorded (${tally.approvals} of ${tally.required} required).`,
+        quorum: { required: tally.required, approvals: tally.approvals },
+        period,
+        verification
+      });
+    }
+
+    // Claim the period so concurrent approvals cannot issue it twice
+    const claimed = await MonitoringPeriod.findOneAndUpdate(
+      { _id: period._id, status: PERIOD.SUBMITTED },
+      {
+        $set: { status: PERIOD.APPROVED, verification: verification._id },
+        $push: { statusHistory: { from: PERIOD.SUBMITTED, to: PERIOD.APPROVED, at: new Date(), by: req.user.id, reason: comments } }
+      },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(409).json({ success: false, message: "Monitoring period was approved by another verifier.", verification });
+    }
+    await transitionEvidence(claimed, STATES.APPROVED, { by: req.user.id, reason: comments });
+
+    let outcome = { result: null };
+    if (period.creditsIssued > 0) {
+      outcome = await issuePeriod(req, project, claimed);
+    } else {
+      // No growth since the last issuance: nothing to mint
+      claimed.moveTo(PERIOD.ISSUED, { by: req.user.id, reason: "No net sequestration in the period" });
+      await claimed.save();
+    }
+
+    await auditLog.record(req, {
+      action: "monitoring-period.approve",
+      targetType: "MonitoringPeriod",
+      targetId: `${project.projectId}#${period.periodNumber}`,
+      before,
+      after: auditLog.snapshot(claimed, AUDITED_PERIOD_FIELDS),
+      txHash: claimed.issuance?.transactionHash,
+      metadata: { verificationId: verification._id, comments, quorum: tally, blockchainError: outcome.error?.message }
+    });
+
+    sendIssuance(res, claimed, outcome, { verification });
+  } catch (error) {
+    console.error("Error approving monitoring period:", error);
+    res.status(500).json({ success: false, message: "Server error while approving monitoring period." });
+  }
+};
+
+/**
+ * Reject a monitoring period; its evidence is rejected with it
+ * Body: { comments }
+ */
+exports.rejectMonitoringPeriod = async (req, res) => {
+  try {
+    const { comments } = req.body;
+    const { project, period } = await loadPeriod(req, res);
+    if (!period) return;
+
+    if (period.status !== PERIOD.SUBMITTED) {
+      return res.status(409).json({ success: false, message: `Monitoring period is ${period.status}.` });
+    }
+    if (typeof comments !== "string" || !comments.trim()) {
+      return res.status(400).json({ success: false, message: "comments are required to reject a monitoring period." });
+    }
+
+    const refusal = await reviewerRefusal(req.user, project);
+    if (refusal) {
+      return res.status(403).json(refusal);
+    }
+
+    if (await hasVoted(period, req.user.id)) {
+      return res.status(409).json({ success: false, message: "You have already voted on this monitoring period." });
+    }
+
+    const before = auditLog.snapshot(period, AUDITED_PERIOD_FIELDS);
+    const verification = await Verification.create({
+      projectId: project._id,
+      monitoringPeriod: period._id,
+      status: "Rejected",
+      round: project.reviewRound || 1,
+      comments,
+      verifier: req.user.id,
+      verifiedAt: new Date()
+    });
+
+    // Claimed like an approval, so a period that reached quorum meanwhile is not rejected
+    const rejected = await MonitoringPeriod.findOneAndUpdate(
+      { _id: period._id, status: PERIOD.SUBMITTED },
+      {
+        $set: { status: PERIOD.REJECTED, verification: verification._id },
+        $push: { statusHistory: { from: PERIOD.SUBMITTED, to: PERIOD.REJECTED, at: new Date(), by: req.user.id, reason: comments } }
+      },
+      { new: true }
+    );
+    if (!rejected) {
+      return res.status(409).json({ success: false, message: "Monitoring period was approved by another verifier.", verification });
+    }
+    await transitionEvidence(rejected, STATES.REJECTED, { by: req.user.id, reason: comments });
+
+    await auditLog.record(req, {
+      action: "monitoring-period.reject",
+      targetType: "MonitoringPeriod",
+      targetId: `${project.projectId}#${period.periodNumber}`,
+      before,
+      after: auditLog.snapshot(rejected, AUDITED_PERIOD_FIELDS),
+      metadata: { verificationId: verification._id, comments }
+    });
+
+    res.json({ success: true, message: "Monitoring period rejected.", period: rejected, verification });
+  } catch (error) {
+    console.error("Error rejecting monitoring period:", error);
+    res.status(500).json({ success: false, message: "Server error while rejecting monitoring period." });
+  }
+};
+
+// Retry the on-chain issuance of a verified period
+exports.retryIssuance = async (req, res) => {
+  try {
+    const { project, period } = await loadPeriod(req, res);
+    if (!period) return;
+
+    if (period.status !== PERIOD.APPROVED) {
+      return res.status(409).json({ success: false, message: `Monitoring period is ${period.status}; only verified periods awaiting issuance can be issued.` });
+    }
+    if (!ISSUABLE.includes(project.status)) {
+      return res.status(409).json({ success: false, message: `Project is ${project.status}; no more credits can be issued.` });
+    }
+
+    const before = auditLog.snapshot(period, AUDITED_PERIOD_FIELDS);
+    const outcome = await issuePeriod(req, project, period);
+
+    await auditLog.record(req, {
+      action: "monitoring-period.issue",
+      targetType: "MonitoringPeriod",
+      targetId: `${project.projectId}#${period.periodNumber}`,
+      before,
+      after: auditLog.snapshot(period, AUDITED_PERIOD_FIELDS),
+      txHash: period.issuance?.transactionHash,
+      metadata: { blockchainError: outcome.error?.message }
+    });
+
+    sendIssuance(res, period, outcome);
+  } catch (error) {
+    console.error("Error issuing monitoring period credits:", error);
+    res.status(500).json({ success: false, message: "Server error while issuing monitoring period credits." });
+  }
+};
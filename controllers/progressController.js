@@ -1,7 +1,10 @@
 const { ethers } = require('ethers');
-const Project = require('../models/Project');
+const Project = require('../models/Evidence'); // Evidence model contains the actual project data
+const ProjectStamp = require('../models/Project');
 const blockchainService = require('../utils/blockchainService');
 const ipfsService = require('../utils/ipfsUpload');
+const { roundCredits } = require('../config/creditUnits');
+const { STATES, canTransition, transitionError, applyTransition } = require('../config/projectLifecycle');
 
 class ProgressController {
   constructor() {
@@ -18,7 +21,7 @@ class ProgressController {
       const { userAddress } = req.body;
 
       // Find project in database
-      const project = await Project.findOne({ Project_ID: projectId });
+      const project = await Project.findOne({ $or: [{ Project_ID: projectId }, { projectId }] });
       if (!project) {
         return res.status(404).json({ error: 'Project not found' });
       }
@@ -28,6 +31,10 @@ class ProgressController {
         return res.status(400).json({ error: 'Project already registered on blockchain' });
       }
 
+      if (!canTransition(project.status, STATES.REGISTERED)) {
+        return res.status(409).json(transitionError(project.status, STATES.REGISTERED));
+      }
+
       // Create registration session
       const sessionId = `reg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
       
@@ -54,7 +61,7 @@ class ProgressController {
       this.activeRegistrations.set(sessionId, registrationData);
 
       // Start the registration process asynchronously
-      this.processRegistration(sessionId, project, userAddress);
+      this.processRegistration(sessionId, project, userAddress, req.user.id);
 
       res.json({
         success: true,
@@ -76,7 +83,7 @@ class ProgressController {
   /**
    * Process project registration with progress updates
    */
-  async processRegistration(sessionId, project, userAddress) {
+  async processRegistration(sessionId, project, userAddress, userId) {
     const registration = this.activeRegistrations.get(sessionId);
     if (!registration) return;
 
@@ -114,7 +121,7 @@ class ProgressController {
       this.updateProgress(sessionId, 'confirmation', 'completed');
 
       // Update project in database
-      await this.updateProjectInDatabase(project, finalResult);
+      await this.updateProjectInDatabase(project, finalResult, userId);
 
       registration.status = 'completed';
       registration.progress = 100;
@@ -213,17 +220,21 @@ class ProgressController {
   }
 
   /**
-   * Prepare blockchain registration data
+   * Prepare blockchain registration data, in the fields blockchainService.registerProject reads
+   * co2Estimate is already in tCO2e; the service splits off the buffer share and uploads the metadata.
    */
   async prepareBlockchainRegistration(project, ipfsHash, userAddress) {
-    const carbonCredits = Math.floor(project.co2Estimate / 1000); // Convert to credits
-    const ipfsHashBytes32 = ethers.keccak256(ethers.toUtf8Bytes(ipfsHash));
-
     return {
       projectId: project.Project_ID,
-      carbonCredits,
-      projectOwner: userAddress,
-      ipfsHash: ipfsHashBytes32
+      projectName: project.projectName,
+      description: project.description,
+      ecosystemType: project.ecosystemType,
+      riskScore: project.riskScore,
+      boundary: project.boundary,
+      boundaryAreaHectares: project.boundaryAreaHectares,
+      verifiedDate: project.Verified_Date,
+      estimatedCO2Sequestration: roundCredits(project.co2Estimate || 0),
+      ownerAddress: userAddress
     };
   }
 
@@ -233,12 +244,15 @@ class ProgressController {
   async registerOnBlockchain(registrationData) {
     await blockchainService.initialize();
     
-    const tx = await blockchainService.registerProject(registrationData);
+    const result = await blockchainService.registerProject(registrationData);
     
     return {
-      transactionHash: tx.hash,
-      blockNumber: tx.blockNumber,
-      gasUsed: tx.gasUsed
+      transactionHash: result.transactionHash,
+      blockNumber: result.blockNumber,
+      gasUsed: result.gasUsed,
+      ipfsHash: result.ipfsHash,
+      bufferCredits: result.bufferCredits,
+      bufferPercent: result.bufferPercent
     };
   }
 
@@ -283,14 +297,17 @@ class ProgressController {
       tokenId,
       transactionHash: txResult.transactionHash,
       blockNumber: receipt.blockNumber,
-      gasUsed: receipt.gasUsed.toString()
+      gasUsed: receipt.gasUsed.toString(),
+      ipfsHash: txResult.ipfsHash,
+      bufferCredits: txResult.bufferCredits,
+      bufferPercent: txResult.bufferPercent
     };
   }
 
   /**
    * Update project in database with blockchain data
    */
-  async updateProjectInDatabase(project, result) {
+  async updateProjectInDatabase(project, result, userId) {
     project.blockchain = {
       tokenId: result.tokenId,
       contractAddress: process.env.CONTRACT_ADDRESS,
@@ -301,8 +318,16 @@ class ProgressController {
       isRetired: false,
       lastBlockchainUpdate: new Date()
     };
+    project.recordBuffer('deposit', result.bufferCredits, {
+      percent: result.bufferPercent,
+      periodNumber: 0,
+      transactionHash: result.transactionHash,
+      by: userId
+    });
+    applyTransition(project, STATES.REGISTERED, { by: userId });
 
     await project.save();
+    await ProjectStamp.syncStatus(project.projectId, project.status, { by: userId });
   }
 
   /**
@@ -320,7 +345,7 @@ class ProgressController {
   getRegistryABI() {
     return [
       "event ProjectRegistered(uint256 indexed tokenId, string indexed projectId, address indexed projectOwner, uint256 carbonCredits)",
-      "event ERC20CreditsMinted(uint256 indexed tokenId, uint256 indexed amount, address indexed recipient)"
+      "event VintageCreditsMinted(uint256 indexed tokenId, uint16 indexed vintage, uint256 amount, address indexed to)"
     ];
   }
 
@@ -1,18 +1,62 @@
 const Project = require("../models/Evidence");
 const ProjectStamp = require("../models/Project");
 const { v4: uuidv4 } = require('uuid');
-
-// Get all projects assigned to the logged-in register/inspector
+const auditLog = require("../utils/auditLog");
+const { assessSite, footprintRadiusM } = require("../utils/overlapDetection");
+const { validateBoundary, geodesicAreaM2, boundaryCentre } = require("../utils/geo");
+const { STATES, AWAITING_REVIEW, canTransition, transitionError, applyTransition } = require("../config/projectLifecycle");
+const { calculateCarbon, ecosystemInputs } = require("../utils/carbonCalculator");
+const { RESUBMITTABLE_FIELDS, MEASUREMENT_FIELDS, METADATA_MEASUREMENT_FIELDS, resolveRequiredChanges } = require("../utils/resubmission");
+const { evidenceHash } = require("../utils/hashUtils");
+const mongoose = require("mongoose");
+
+// Allowed gap between the declared area and the area of the submitted boundary
+const BOUNDARY_AREA_TOLERANCE_PERCENT = Number(process.env.BOUNDARY_AREA_TOLERANCE_PERCENT || 10);
+
+// Compare the declared area with the boundary's geodesic area
+function checkDeclaredArea(declaredHectares, computedHectares) {
+  const declared = Number(declaredHectares);
+  if (!Number.isFinite(declared) || declared <= 0) {
+    return { declaredHectares: null, computedHectares, differencePercent: null, mismatch: false };
+  }
+  const differencePercent = Math.round((Math.abs(declared - computedHectares) / computedHectares) * 1000) / 10;
+  return {
+    declaredHectares: declared,
+    computedHectares,
+    differencePercent,
+    mismatch: differencePercent > BOUNDARY_AREA_TOLERANCE_PERCENT
+  };
+}
+
+// Fields whose edit moves the project on the map
+const SITE_FIELDS = ["Latitude_Longitude", "Area_Hectares", "boundary", "gps"];
+
+// Where a project sits for the overlap check: its declared point, else its GPS fix, else its boundary centre
+function projectSite(project) {
+  const boundary = project.boundary?.type ? project.boundary : undefined;
+  const [latitude, longitude] = (project.Latitude_Longitude || "").split(",").map(parseFloat);
+  let point = { latitude, longitude };
+  if (!Number.isFinite(latitude) && project.gps) {
+    point = { latitude: project.gps.latitude, longitude: project.gps.longitude };
+  }
+  if (boundary && !Number.isFinite(point.latitude)) point = boundaryCentre(boundary);
+
+  return {
+    point,
+    radiusM: footprintRadiusM(project.boundaryAreaHectares || project.Area_Hectares) || project.gps?.precision || 0,
+    projectId: project.projectId,
+    boundary
+  };
+}
+
+// Get all projects assigned to the logged-in inspector
+// Access is checked by requirePermission("project:read-assigned") on the route
 exports.getAssignedProjects = async (req, res) => {
   try {
     const userId = req.user.id; // from authMiddleware
-    let projects;
-
-    if (["Inspector", "Owner"].includes(req.user.role)) {
-      projects = await Project.find({ assignedInspector: userId });
-    } else {
-      return res.status(403).json({ message: "Invalid role for this action." });
-    }
+    // Assignments live on the ProjectStamp; the project data is in Evidence
+    const assigned = await ProjectStamp.find({ assignedVerifiers: userId }).distinct("projectId");
+    const projects = await Project.find({ projectId: { $in: assigned } }).sort({ createdAt: -1 });
 
     if (!projects || projects.length === 0) {
       return res.status(404).json({ message: "No projects found for your account." });
@@ -56,13 +100,39 @@ exports.registerProject = async (req, res) => {
       averageLength,
       averageBreadth,
       seedlings,
+      biomass,
+      soilCarbonContentPercent,
+      soilCores,
       estimatedCO2Sequestration,
       verifierRewardAmount,  // Required: Amount of blue carbon tokens to mint to verifier on approval
+      boundary: boundaryInput, // Optional GeoJSON Polygon/MultiPolygon (or a Feature wrapping one)
       // Explicitly ignore projectId from frontend - we generate it on backend
       projectId: _ignoredProjectId,
       Project_ID: _ignoredProject_ID
     } = req.body;
 
+    // Validate the boundary before doing any other work
+    let boundary = null;
+    let boundaryAreaHectares;
+    if (boundaryInput) {
+      const { geometry, errors } = validateBoundary(boundaryInput);
+      if (!geometry) {
+        return res.status(400).json({
+          success: false,
+          message: 'boundary must be a valid GeoJSON Polygon or MultiPolygon.',
+          errors
+        });
+      }
+      boundary = geometry;
+      boundaryAreaHectares = Math.round(geodesicAreaM2(boundary) / 100) / 100;
+      if (boundaryAreaHectares <= 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'boundary encloses no area.'
+        });
+      }
+    }
+
     // Generate unique project ID - always generate a new one on the backend
     // Ignore any projectId from the frontend to ensure uniqueness
     let projectId;
@@ -119,6 +189,38 @@ exports.registerProject = async (req, res) => {
       });
     }
 
+    // The registration measurements are what verifiers recalculate on approval,
+    // so a project the calculator cannot credit is turned away now rather than then
+    const normalizedEcosystemType = Project.normalizeEcosystemType(ecosystemType);
+    const measurements = {
+      ...ecosystemInputs(
+        { plantationSpecies, treeCount, averageHeight, averageLength, averageBreadth, density, biomass, seedlings, soilCarbonContentPercent },
+        normalizedEcosystemType
+      ),
+      soilCores: Array.isArray(soilCores) ? soilCores : []
+    };
+    const carbonCalculation = calculateCarbon(
+      { ecosystemType: normalizedEcosystemType, ...measurements },
+      { areaHectares: boundaryAreaHectares || parseFloat(area) }
+    );
+    if (carbonCalculation.totalTCO2e <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The measurements give no creditable tCO2e. Provide treeCount and averageBreadth (DBH, cm) for mangroves, or biomass (kg/m²) for seagrass and salt marsh.',
+        errors: carbonCalculation.warnings
+      });
+    }
+
+    // Check whether this coastline is already claimed by another project
+    // A boundary supplies the centre when no point was given, and its area sizes the footprint
+    const declaredPoint = { latitude: parseFloat(location?.lat), longitude: parseFloat(location?.lng) };
+    const site = await assessSite({
+      point: boundary && !Number.isFinite(declaredPoint.latitude) ? boundaryCentre(boundary) : declaredPoint,
+      radiusM: footprintRadiusM(boundaryAreaHectares || area),
+      projectId,
+      boundary,
+    });
+
     // Create new project
     const project = new Project({
       // Legacy fields for compatibility
@@ -126,8 +228,17 @@ exports.registerProject = async (req, res) => {
       location: location?.address || `${location?.lat}, ${location?.lng}`,
       area: parseFloat(area) || 0,
       method: ecosystemType,
-      status: "Pending",
+      status: STATES.SUBMITTED,
+      statusHistory: [{ from: STATES.DRAFT, to: STATES.SUBMITTED, by: req.user.id }],
       createdBy: req.user.id,
+      timestampISO: new Date().toISOString(),
+      ecosystemType: normalizedEcosystemType,
+
+      // Calculator inputs and the tCO2e they give; the declared figure is kept for comparison
+      ...measurements,
+      co2Estimate: carbonCalculation.totalTCO2e,
+      carbonCalculation,
+      declaredCo2Estimate: Number(estimatedCO2Sequestration || 0),
 
       // Project ID fields (both formats for compatibility)
       projectId: projectId, // Used by Evidence model and getAllProjectsID endpoint
@@ -177,7 +288,17 @@ exports.registerProject = async (req, res) => {
       blockchain: {
         isRegistered: false,
         isRetired: false
-      }
+      },
+
+      // Boundary, computed area and how it compares with the declared area
+      ...(boundary && {
+        boundary,
+        boundaryAreaHectares,
+        areaCheck: checkDeclaredArea(area, boundaryAreaHectares)
+      }),
+
+      // Site footprint and overlap with existing projects
+      ...site
     });
 
     await project.save();
@@ -206,7 +327,7 @@ exports.registerProject = async (req, res) => {
             projectId: projectId,
             ownerId: req.user.id,
             ownerWalletAddress: ownerAddress.trim(),
-            status: "Pending"
+            status: STATES.SUBMITTED
           },
           $setOnInsert: {
             assignedInspector: null // Will be assigned later by admin/verifier
@@ -251,6 +372,13 @@ exports.registerProject = async (req, res) => {
       // Don't fail the entire registration, but log the error clearly
     }
 
+    await auditLog.record(req, {
+      action: "project.register",
+      targetType: "Project",
+      targetId: projectId,
+      after: auditLog.snapshot(project, ["projectId", "Project_Name", "Ecosystem_Type", "Area_Hectares", "boundaryAreaHectares", "areaCheck", "Carbon_Sequestration_tCO2", "ownerWalletAddress", "status", "overlap"])
+    });
+
     res.status(201).json({
       success: true,
       message: "Project registered successfully and is pending verification.",
@@ -262,11 +390,19 @@ exports.registerProject = async (req, res) => {
         status: project.status,
         ecosystemType: project.Ecosystem_Type,
         area: project.Area_Hectares,
-        createdAt: project.createdAt
+        co2Estimate: project.co2Estimate,
+        createdAt: project.createdAt,
+        boundaryAreaHectares: project.boundaryAreaHectares,
+        areaCheck: project.areaCheck,
+        overlap: project.overlap
       }
     });
 
   } catch (error) {
+    // The 2dsphere index rejects geometry validateBoundary lets through, e.g. overlapping polygons
+    if (error.code === 16755) {
+      return res.status(400).json({ success: false, message: 'boundary is not a valid polygon.', errors: [error.message] });
+    }
     console.error("Error registering project:", error);
     res.status(500).json({ 
       success: false, 
@@ -293,12 +429,40 @@ exports.getProjectById = async (req, res) => {
   }
 };
 
+// Fetch a project's boundary as a GeoJSON Feature
+exports.getProjectBoundary = async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const project = await Project.findOne({ projectId, boundary: { $exists: true } })
+      .select("projectId boundary boundaryAreaHectares areaCheck")
+      .lean();
+    if (!project) {
+      return res.status(404).json({ message: "No boundary found for this project." });
+    }
+
+    res.type("application/geo+json").json({
+      type: "Feature",
+      geometry: project.boundary,
+      properties: {
+        projectId: project.projectId,
+        areaHectares: project.boundaryAreaHectares,
+        declaredAreaHectares: project.areaCheck?.declaredHectares ?? null,
+        areaMismatch: Boolean(project.areaCheck?.mismatch)
+      }
+    });
+  } catch (error) {
+    console.error("Error fetching project boundary:", error);
+    res.status(500).json({ message: "Server error while fetching project boundary." });
+  }
+};
+
 // Get all projects for the logged-in user
 exports.getUserProjects = async (req, res) => {
   try {
     const userId = req.user.id;
+    // requiredChanges and resubmissions come with each project so owners can act on a rejection
     const projects = await Project.find({ createdBy: userId })
-      .populate('assignedInspector', 'name email')
+      .populate('verifier', 'name email')
       .sort({ createdAt: -1 });
 
     res.json({
@@ -315,6 +479,167 @@ exports.getUserProjects = async (req, res) => {
   }
 };
 
+// Edit a rejected project and send it back for review
+// Body: { updates: { <field>: value }, responses: [{ changeId, response }] }
+exports.resubmitProject = async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { updates = {}, responses = [] } = req.body;
+
+    // Evidence documents are addressed by _id, registered projects by their project ID
+    const project = mongoose.Types.ObjectId.isValid(projectId)
+      ? await Project.findById(projectId)
+      : await Project.findOne({ Project_ID: projectId });
+    if (!project) {
+      return res.status(404).json({ success: false, message: "Project not found." });
+    }
+
+    if (String(project.createdBy) !== String(req.user.id)) {
+      return res.status(403).json({ success: false, message: "Only the project owner can resubmit it." });
+    }
+
+    if (!canTransition(project.status, STATES.RESUBMITTED)) {
+      return res.status(409).json(transitionError(project.status, STATES.RESUBMITTED));
+    }
+
+    if (!updates || typeof updates !== "object" || Array.isArray(updates) || !Array.isArray(responses)) {
+      return res.status(400).json({ success: false, message: "updates must be an object and responses an array." });
+    }
+
+    const unknownFields = Object.keys(updates).filter(field => !RESUBMITTABLE_FIELDS.includes(field));
+    if (unknownFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `These fields cannot be changed on resubmission: ${unknownFields.join(", ")}`,
+        allowedFields: RESUBMITTABLE_FIELDS
+      });
+    }
+
+    const before = auditLog.snapshot(project, RESUBMITTABLE_FIELDS);
+
+    for (const [field, value] of Object.entries(updates)) {
+      if (field === "boundary") {
+        const { geometry, errors } = validateBoundary(value);
+        if (!geometry) {
+          return res.status(400).json({
+            success: false,
+            message: "boundary must be a valid GeoJSON Polygon or MultiPolygon.",
+            errors
+          });
+        }
+        project.boundary = geometry;
+        project.boundaryAreaHectares = Math.round(geodesicAreaM2(geometry) / 100) / 100;
+      } else {
+        project.set(field, value);
+        if (field.startsWith("metadata.")) project.markModified("metadata"); // Mixed path
+      }
+    }
+
+    // Keep the legacy mirrors in step
+    if (updates.Project_Name !== undefined) project.name = project.Project_Name;
+    if (updates.Area_Hectares !== undefined) project.area = project.Area_Hectares;
+    if (project.boundary?.type && (updates.boundary || updates.Area_Hectares !== undefined)) {
+      project.areaCheck = checkDeclaredArea(project.Area_Hectares, project.boundaryAreaHectares);
+    }
+
+    const changes = auditLog.diffSnapshots(before, auditLog.snapshot(project, RESUBMITTABLE_FIELDS));
+    const editedFields = changes.map(change => change.field);
+
+    const unresolved = resolveRequiredChanges(project.requiredChanges, editedFields, responses);
+    if (unresolved.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Every required change needs an edit to its field or a response.",
+        unresolved
+      });
+    }
+
+    if (changes.length === 0 && responses.length === 0) {
+      return res.status(400).json({ success: false, message: "Nothing was changed." });
+    }
+
+    // Measurements edited in metadata flow into the calculator inputs, unless those were edited directly
+    const [dataField] = Object.keys(ecosystemInputs({}, project.ecosystemType));
+    if (dataField && !editedFields.includes(dataField) && editedFields.some(field => METADATA_MEASUREMENT_FIELDS.includes(field))) {
+      const current = project.toObject()[dataField] || {};
+      const derived = ecosystemInputs({
+        ...project.metadata,
+        plantationSpecies: current.species,
+        biomass: current.biomassKgPerM2,
+        soilCarbonContentPercent: current.soilCarbonContentPercent
+      }, project.ecosystemType, { areaM2: current.meadowAreaM2 ?? current.areaM2 });
+      project.set(dataField, { ...current, ...derived[dataField] });
+    }
+
+    if (editedFields.some(field => MEASUREMENT_FIELDS.includes(field))) {
+      const carbonCalculation = calculateCarbon(project, {
+        areaHectares: project.boundaryAreaHectares || project.Area_Hectares
+      });
+      project.carbonCalculation = carbonCalculation;
+      project.co2Estimate = carbonCalculation.totalTCO2e;
+    }
+
+    if (editedFields.some(field => SITE_FIELDS.includes(field))) {
+      Object.assign(project, await assessSite(projectSite(project)));
+    }
+
+    // The hash must cover the data that is reviewed, approved and registered
+    project.evidenceHash = evidenceHash(project);
+
+    const statusBefore = auditLog.snapshot(project, ["status", "reviewRound"]);
+    project.reviewRound = (project.reviewRound || 1) + 1;
+    project.resubmissions.push({
+      round: project.reviewRound,
+      by: req.user.id,
+      changes,
+      responses: responses
+        .filter(answer => answer && answer.changeId && answer.response)
+        .map(({ changeId, response }) => ({ changeId, response }))
+    });
+    applyTransition(project, STATES.RESUBMITTED, { by: req.user.id, reason: `Review round ${project.reviewRound}` });
+
+    await project.save();
+    await ProjectStamp.syncStatus(project.projectId, project.status, { by: req.user.id });
+
+    await auditLog.record(req, {
+      action: "project.resubmit",
+      targetType: "Project",
+      targetId: project.projectId || project._id,
+      before: { ...before, ...statusBefore },
+      after: auditLog.snapshot(project, [...RESUBMITTABLE_FIELDS, "status", "reviewRound"]),
+      metadata: { round: project.reviewRound, changedFields: editedFields }
+    });
+
+    res.json({
+      success: true,
+      message: "Project resubmitted for review.",
+      project: {
+        id: project._id,
+        projectId: project.projectId,
+        status: project.status,
+        reviewRound: project.reviewRound,
+        changes,
+        requiredChanges: project.requiredChanges,
+        co2Estimate: project.co2Estimate,
+        overlap: project.overlap
+      }
+    });
+  } catch (error) {
+    // Edited values that do not fit the schema (e.g. an unparseable date)
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    if (error.code === 16755) {
+      return res.status(400).json({ success: false, message: "boundary is not a valid polygon.", errors: [error.message] });
+    }
+    console.error("Error resubmitting project:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while resubmitting project."
+    });
+  }
+};
+
 // Get all projects (Admin/Verifier only)
 exports.getAllProjects = async (req, res) => {
   try {
@@ -338,16 +663,13 @@ exports.getAllProjects = async (req, res) => {
 exports.getAllProjectsID = async (req, res) => {
   try {
     // Get all pending ProjectStamps
-    const pendingStamps = await ProjectStamp.find({ status: "Pending" })
+    const pendingStamps = await ProjectStamp.find({ status: { $in: AWAITING_REVIEW } })
       .select("projectId ownerId assignedInspector status createdAt updatedAt ownerWalletAddress")
       .lean();
 
-    // Also find Evidence documents with "Pending" or "PENDING" status that might not have ProjectStamps yet
+    // Also find Evidence documents awaiting review that might not have ProjectStamps yet
     const pendingEvidence = await Project.find({
-      $or: [
-        { status: "Pending" },
-        { status: "PENDING" }
-      ],
+      status: { $in: AWAITING_REVIEW },
       projectId: { $exists: true, $ne: null }
     })
       .select("projectId timestampISO gps photos videos ecosystemType soilCores co2Estimate evidenceHash status submittedAt inspector ownerWalletAddress createdBy")
@@ -367,7 +689,7 @@ exports.getAllProjectsID = async (req, res) => {
       projectId: ev.projectId,
       ownerId: ev.createdBy,
       ownerWalletAddress: ev.ownerWalletAddress,
-      status: "Pending",
+      status: ev.status,
       assignedInspector: null,
       createdAt: ev.submittedAt || ev.createdAt,
       updatedAt: ev.updatedAt || ev.createdAt
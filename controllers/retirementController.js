@@ -0,0 +1,245 @@
+const TokenRetirement = require("../models/TokenRetirement");
+const auditLog = require("../utils/auditLog");
+const blockchainService = require("../utils/blockchainService");
+const { syncRetirements, indexTransaction } = require("../utils/retirementLedger");
+const {
+  parseCertificateId,
+  loadRetirement,
+  buildCertificate,
+  verifyCertificateSignature,
+  renderPdf
+} = require("../utils/retirementCertificate");
+
+const TX_HASH = /^0x[0-9a-fA-F]{64}$/;
+
+/**
+ * List the retirement ledger, newest first
+ * Query: holder, beneficiary (case-insensitive substring), from, to (retirement date), page, limit
+ */
+exports.getRetirements = async (req, res) => {
+  try {
+    const { holder, beneficiary, from, to } = req.query;
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    const filter = {};
+    if (holder) filter.holder = String(holder).toLowerCase();
+    if (beneficiary) {
+      filter.beneficiary = { $regex: String(beneficiary).replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), $options: "i" };
+    }
+    if (from || to) {
+      filter.retiredAt = {};
+      if (from) filter.retiredAt.$gte = new Date(from);
+      if (to) filter.retiredAt.$lte = new Date(to);
+    }
+
+    const [retirements, total] = await Promise.all([
+      TokenRetirement.find(filter).sort({ retirementId: -1 }).skip((page - 1) * limit).limit(limit),
+      TokenRetirement.countDocuments(filter)
+    ]);
+
+    res.json({ success: true, retirements, total, page, limit });
+  } catch (error) {
+    console.error("Error fetching retirements:", error);
+    res.status(500).json({ success: false, message: "Server error while fetching retirements." });
+  }
+};
+
+// One ledger entry by its on-chain retirement id
+exports.getRetirement = async (req, res) => {
+  try {
+    const retirement = await TokenRetirement.findOne({ retirementId: Number(req.params.id) });
+    if (!retirement) {
+      return res.status(404).json({ success: false, message: "Retirement not found." });
+    }
+    res.json({ success: true, retirement });
+  } catch (error) {
+    console.error("Error fetching retirement:", error);
+    res.status(500).json({ success: false, message: "Server error while fetching retirement." });
+  }
+};
+
+/**
+ * Add the retirements of a mined transaction to the ledger
+ * Body: { txHash } - the hash MetaMask returned for a retire() call
+ */
+exports.indexRetirementTx = async (req, res) => {
+  try {
+    const { txHash } = req.body;
+    if (typeof txHash !== "string" || !TX_HASH.test(txHash)) {
+      return res.status(400).json({ success: false, message: "txHash must be a transaction hash." });
+    }
+
+    const retirements = await indexTransaction(txHash);
+    if (retirements === null) {
+      return res.status(409).json({ success: false, message: "Transaction is not mined yet. Try again shortly." });
+    }
+    if (retirements.length === 0) {
+      return res.status(400).json({ success: false, message: "Transaction did not retire any BCARB." });
+    }
+
+    await auditLog.record(req, {
+      action: "retirement.index",
+      targetType: "TokenRetirement",
+      targetId: retirements.map(retirement => retirement.retirementId).join(","),
+      txHash
+    });
+
+    res.json({ success: true, message: `Indexed ${retirements.length} retirement(s).`, retirements });
+  } catch (error) {
+    console.error("Error indexing retirement transaction:", error);
+    res.status(500).json({ success: false, message: "Failed to index retirement transaction.", error: error.message });
+  }
+};
+
+/**
+ * Index all retirements since the last indexed block
+ * Body: { fromBlock } - optional, re-index from this block
+ */
+exports.syncRetirementLedger = async (req, res) => {
+  try {
+    const { fromBlock } = req.body || {};
+    if (fromBlock !== undefined && (!Number.isInteger(fromBlock) || fromBlock < 0)) {
+      return res.status(400).json({ success: false, message: "fromBlock must be a block number." });
+    }
+
+    const result = await syncRetirements({ fromBlock });
+
+    await auditLog.record(req, {
+      action: "retirement.sync",
+      targetType: "TokenRetirement",
+      targetId: "ledger",
+      metadata: result
+    });
+
+    res.json({ success: true, message: `Indexed ${result.indexed} retirement(s).`, ...result });
+  } catch (error) {
+    console.error("Error syncing retirement ledger:", error);
+    res.status(500).json({ success: false, message: "Failed to sync retirement ledger.", error: error.message });
+  }
+};
+
+// Public URL of a certificate's verification endpoint (PUBLIC_API_URL, else this server)
+const verificationUrl = (req, id) =>
+  `${process.env.PUBLIC_API_URL || `${req.protocol}://${req.get("host")}/api`}/retirements/${id}/verify`;
+
+/**
+ * Retirement certificate for a registry retirement (CreditsRetired event)
+ * Params: id - "<tokenId>-<index>", the retirement's position in the token's history
+ * Query: format=pdf (default) or jsonld
+ */
+exports.getCertificate = async (req, res) => {
+  try {
+    const format = req.query.format || "pdf";
+    if (!["pdf", "jsonld"].includes(format)) {
+      return res.status(400).json({ success: false, message: "format must be pdf or jsonld." });
+    }
+    const parsed = parseCertificateId(req.params.id);
+    if (!parsed) {
+      return res.status(400).json({ success: false, message: "Certificate id must be <tokenId>-<index>." });
+    }
+
+    const retirement = await loadRetirement(parsed.tokenId, parsed.index);
+    if (!retirement) {
+      return res.status(404).json({ success: false, message: "Retirement not found on-chain." });
+    }
+    const certificate = await buildCertificate(retirement, verificationUrl(req, retirement.certificateId));
+
+    if (format === "jsonld") {
+      res.type("application/ld+json");
+      return res.send(JSON.stringify(certificate, null, 2));
+    }
+    const pdf = await renderPdf(certificate);
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="retirement-${retirement.certificateId}.pdf"`
+    });
+    res.send(pdf);
+  } catch (error) {
+    console.error("Error generating retirement certificate:", error);
+    res.status(500).json({ success: false, message: "Failed to generate retirement certificate.", error: error.message });
+  }
+};
+
+/**
+ * Public: re-check a retirement against the chain (the certificate's QR code points here)
+ * Params: id - "<tokenId>-<index>"
+ */
+exports.verifyRetirement = async (req, res) => {
+  try {
+    const parsed = parseCertificateId(req.params.id);
+    if (!parsed) {
+      return res.status(400).json({ success: false, message: "Certificate id must be <tokenId>-<index>." });
+    }
+
+    const retirement = await loadRetirement(parsed.tokenId, parsed.index);
+    if (!retirement) {
+      return res.status(404).json({ success: false, valid: false, message: "No such retirement on-chain." });
+    }
+
+    const [receipt, latestBlock] = await Promise.all([
+      blockchainService.provider.getTransactionReceipt(retirement.transactionHash),
+      blockchainService.provider.getBlockNumber()
+    ]);
+    const checks = {
+      eventFound: true,
+      transactionSucceeded: receipt?.status === 1,
+      inBlock: receipt?.blockNumber === retirement.blockNumber,
+      confirmations: latestBlock - retirement.blockNumber + 1
+    };
+
+    res.json({
+      success: true,
+      valid: checks.transactionSucceeded && checks.inBlock,
+      checkedAt: new Date().toISOString(),
+      checks,
+      retirement
+    });
+  } catch (error) {
+    console.error("Error verifying retirement:", error);
+    res.status(500).json({ success: false, message: "Failed to verify retirement.", error: error.message });
+  }
+};
+
+/**
+ * Public: check a JSON-LD certificate's signature and that it matches the chain
+ * Body: the certificate, as returned by ?format=jsonld
+ */
+exports.verifyCertificate = async (req, res) => {
+  try {
+    const certificate = req.body;
+    const subject = certificate?.credentialSubject;
+    const parsed = parseCertificateId(String(subject?.id || "").split(":").pop());
+    if (!parsed) {
+      return res.status(400).json({ success: false, message: "Body must be a retirement certificate (JSON-LD)." });
+    }
+
+    // Only the registry wallet issues certificates; without it nothing can be vouched for
+    if (!blockchainService.wallet) {
+      await blockchainService.initialize();
+    }
+
+    const retirement = await loadRetirement(parsed.tokenId, parsed.index);
+    const signature = verifyCertificateSignature(certificate, blockchainService.wallet.address);
+
+    const mismatches = retirement
+      ? ["amount", "beneficiary", "reason", "transactionHash", "blockNumber", "registry", "chainId"]
+        .filter(field => String(subject[field] ?? "") !== String(retirement[field] ?? ""))
+      : [];
+
+    res.json({
+      success: true,
+      valid: signature.valid && Boolean(retirement) && mismatches.length === 0,
+      checks: {
+        signatureValid: signature.valid,
+        signerAddress: signature.signerAddress,
+        signedByThisRegistry: signature.valid,
+        retirementFound: Boolean(retirement),
+        mismatches
+      }
+    });
+  } catch (error) {
+    console.error("Error verifying certificate:", error);
+    res.status(500).json({ success: false, message: "Failed to verify certificate.", error: error.message });
+  }
+};
@@ -1,5 +1,5 @@
 const { ethers } = require('ethers');
-const Project = require('../models/Project');
+const Project = require('../models/Evidence'); // Evidence model contains the actual project data
 
 class TransactionController {
   constructor() {
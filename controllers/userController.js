@@ -0,0 +1,268 @@
+const { ethers } = require('ethers');
+const User = require('../models/User');
+const AuthNonce = require('../models/AuthNonce');
+const siwe = require('../utils/siwe');
+const authTokens = require('../utils/authTokens');
+
+// Case-insensitive match on stored wallet addresses
+const walletCollation = { locale: 'en', strength: 2 };
+
+/**
+ * Validate a signed SIWE message and consume its nonce
+ * @returns {Promise<{address: string}|{status: number, message: string}>}
+ */
+async function consumeSignedMessage(message, signature) {
+  const fields = siwe.parseMessage(message);
+  if (!fields || !fields.nonce) {
+    return { status: 400, message: 'Malformed sign-in message' };
+  }
+
+  const signer = siwe.recoverAddress(message, signature);
+  if (!signer || signer !== fields.address) {
+    return { status: 401, message: 'Signature does not match address' };
+  }
+
+  // Atomically mark the nonce as used so the same signature can never be replayed
+  const challenge = await AuthNonce.findOneAndUpdate(
+    {
+      nonce: fields.nonce,
+      address: signer.toLowerCase(),
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!challenge) {
+    return { status: 401, message: 'Nonce is invalid, expired or already used' };
+  }
+
+  // The wallet must have signed exactly the challenge we issued (domain, chain, expiry)
+  if (challenge.message !== message) {
+    return { status: 401, message: 'Signed message does not match the issued challenge' };
+  }
+
+  return { address: signer };
+}
+
+// @desc Issue a Sign-In With Ethereum challenge for a wallet
+// @route POST /api/auth/siwe/nonce
+// @access Public
+exports.requestNonce = async (req, res) => {
+  try {
+    const { address, chainId } = req.body;
+
+    if (!address || !ethers.isAddress(address)) {
+      return res.status(400).json({ message: 'A valid wallet address is required' });
+    }
+
+    const nonce = siwe.generateNonce();
+    const issuedAt = new Date();
+    const expiresAt = new Date(issuedAt.getTime() + siwe.NONCE_TTL_MINUTES * 60 * 1000);
+
+    const message = siwe.buildMessage({
+      address,
+      nonce,
+      chainId: Number(chainId) || siwe.SIWE_CHAIN_ID,
+      issuedAt: issuedAt.toISOString(),
+      expirationTime: expiresAt.toISOString()
+    });
+
+    await AuthNonce.create({ nonce, address, message, expiresAt });
+
+    res.json({ nonce, message, expiresAt });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc Log in with a signed SIWE message; the wallet must already be linked to a user
+// @route POST /api/auth/siwe/login
+// @access Public
+exports.siweLogin = async (req, res) => {
+  try {
+    const { message, signature } = req.body;
+    if (!message || !signature) {
+      return res.status(400).json({ message: 'message and signature are required' });
+    }
+
+    const result = await consumeSignedMessage(message, signature);
+    if (!result.address) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    const user = await User.findOne({ walletAddress: result.address }).collation(walletCollation);
+    if (!user) {
+      return res.status(404).json({
+        message: 'No account is linked to this wallet. Log in with email and password and link it first.'
+      });
+    }
+
+    if (user.isActive === false) {
+      return res.status(403).json({ message: 'Account has been deactivated' });
+    }
+
+    // Signing only verifies the wallet already on the account, never a different one
+    const signedStoredWallet = !user.walletAddress ||
+      user.walletAddress.toLowerCase() === result.address.toLowerCase();
+    if (!user.walletVerifiedAt && signedStoredWallet) {
+      user.walletAddress = result.address;
+      user.walletVerifiedAt = new Date();
+      await user.save();
+    }
+
+    res.json(await authTokens.issueSession(user, req.ip));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Bind the wallet that signed a SIWE message to a user
+ * @returns {Promise<{user: Object}|{status: number, message: string}>}
+ */
+async function bindWallet(userId, message, signature) {
+  const result = await consumeSignedMessage(message, signature);
+  if (!result.address) return result;
+
+  const owner = await User.findOne({
+    walletAddress: result.address,
+    _id: { $ne: userId }
+  }).collation(walletCollation);
+  if (owner) {
+    return { status: 409, message: 'This wallet is already linked to another account' };
+  }
+
+  const user = await User.findById(userId);
+  if (!user) {
+    return { status: 404, message: 'User not found' };
+  }
+
+  user.walletAddress = result.address;
+  user.walletVerifiedAt = new Date();
+  await user.save();
+
+  return { user };
+}
+
+// @desc Link the signing wallet to the logged-in user
+// @route POST /api/auth/siwe/link
+// @access Private
+exports.linkWallet = async (req, res) => {
+  try {
+    const { message, signature } = req.body;
+    if (!message || !signature) {
+      return res.status(400).json({ message: 'message and signature are required' });
+    }
+
+    const result = await bindWallet(req.user.id, message, signature);
+    if (!result.user) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    res.json({
+      message: 'Wallet linked successfully',
+      walletAddress: result.user.walletAddress
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc Get the logged-in user's profile
+// @route GET /api/auth/me
+// @access Private
+exports.getProfile = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('-password').lean();
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({ user });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc Update the logged-in user's profile
+// Only the name can be edited directly; a wallet is bound by sending a signed SIWE
+// message and signature, so owners can only receive credits on a wallet they control.
+// @route PATCH /api/auth/me
+// @access Private
+exports.updateProfile = async (req, res) => {
+  try {
+    const { name, walletAddress, message, signature } = req.body;
+
+    if (walletAddress !== undefined && (!message || !signature)) {
+      return res.status(400).json({
+        message: 'To bind a wallet, request a challenge from /api/auth/siwe/nonce and send the signed message and signature'
+      });
+    }
+
+    if (message && signature) {
+      const signedAddress = siwe.parseMessage(message)?.address;
+      if (walletAddress && signedAddress?.toLowerCase() !== String(walletAddress).toLowerCase()) {
+        return res.status(400).json({ message: 'walletAddress does not match the signed message' });
+      }
+
+      const result = await bindWallet(req.user.id, message, signature);
+      if (!result.user) {
+        return res.status(result.status).json({ message: result.message });
+      }
+    }
+
+    if (name !== undefined) {
+      if (typeof name !== 'string' || name.trim().length === 0) {
+        return res.status(400).json({ message: 'Name cannot be empty' });
+      }
+      await User.updateOne({ _id: req.user.id }, { $set: { name: name.trim() } });
+    }
+
+    const user = await User.findById(req.user.id).select('-password').lean();
+    res.json({ message: 'Profile updated successfully', user });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc Exchange a refresh token for a new access token (the refresh token is rotated)
+// @route POST /api/auth/refresh
+// @access Public
+exports.refreshToken = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'refreshToken is required' });
+    }
+
+    const result = await authTokens.rotateRefreshToken(refreshToken, (id) => User.findOne({ _id: id, isActive: { $ne: false } }), req.ip);
+    if (!result) {
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+
+    res.json(result);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc Log out: revoke the current access token and its session's refresh tokens
+// @route POST /api/auth/logout
+// @access Private
+exports.logout = async (req, res) => {
+  try {
+    await authTokens.logout(req.user);
+    res.json({ message: 'Logged out successfully' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
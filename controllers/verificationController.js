@@ -3,17 +3,79 @@ const ProjectStamp = require("../models/Project"); // ProjectStamp is the tracki
 const Verification = require("../models/Verification");
 const User = require("../models/User");
 const blockchainService = require("../utils/blockchainService");
-
-// Get all projects pending verification
+const auditLog = require("../utils/auditLog");
+const { calculateCarbon, ecosystemInputs } = require("../utils/carbonCalculator");
+const { analyzeDiscrepancies } = require("../utils/discrepancyAnalysis");
+const { validateRequiredChanges } = require("../utils/resubmission");
+const { requiredApprovals, tallyVotes } = require("../config/verificationQuorum");
+const { hasPermission } = require("../config/permissions");
+const { reviewerRefusal } = require("../utils/verifierAssignment");
+const { checklistFor, evaluateChecklist, CHECKLIST_VERSION } = require("../config/verificationChecklists");
+const { roundCredits, UNITS_PER_TONNE } = require("../config/creditUnits");
+const {
+  STATES,
+  AWAITING_REVIEW,
+  VERIFIED,
+  canTransition,
+  transitionError,
+  applyTransition
+} = require("../config/projectLifecycle");
+
+// Project fields captured in audit snapshots
+const AUDITED_PROJECT_FIELDS = [
+  "status",
+  "Verification_Agency",
+  "Verified_Date",
+  "Carbon_Sequestration_tCO2",
+  "Carbon_Credits_Issued",
+  "co2Estimate",
+  "carbonCalculation",
+  "blockchain"
+];
+
+// Votes cast on a project in its current review round (monitoring period reviews excluded)
+function roundVotes(project) {
+  return Verification.find({ projectId: project._id, round: project.reviewRound || 1, monitoringPeriod: null })
+    .sort({ verifiedAt: 1 })
+    .lean();
+}
+
+// Completed checklists of the round's approvals, for the IPFS metadata
+async function approvalChecklists(project) {
+  const approvals = await Verification.find({ projectId: project._id, round: project.reviewRound || 1, status: "Approved", monitoringPeriod: null })
+    .populate("verifier", "name")
+    .sort({ verifiedAt: 1 })
+    .lean();
+  return approvals
+    .filter(approval => approval.checklist)
+    .map(approval => ({
+      verifier: approval.verifier?.name || String(approval.verifier?._id || ""),
+      verifiedAt: approval.verifiedAt,
+      ...approval.checklist
+    }));
+}
+
+function storeQuorum(project, tally) {
+  project.quorum = {
+    required: tally.required,
+    approvals: tally.approvals,
+    dissents: tally.dissents,
+    met: tally.met,
+    blocked: tally.blocked,
+    updatedAt: new Date()
+  };
+}
+
+// Get all projects pending verification (verifiers see their assigned queue)
 exports.getPendingVerifications = async (req, res) => {
   try {
-    // Find projects with either "Pending" or "PENDING" status
-    const projects = await Project.find({ 
-      $or: [
-        { status: "Pending" },
-        { status: "PENDING" }
-      ]
-    })
+    const filter = { status: { $in: AWAITING_REVIEW } };
+    if (!hasPermission(req.user.role, "verification:assign")) {
+      const assigned = await ProjectStamp.find({ assignedVerifiers: req.user.id }).distinct("projectId");
+      filter.projectId = { $in: assigned };
+    }
+
+    const projects = await Project.find(filter)
       .populate('createdBy', 'name email')
       .sort({ createdAt: -1 });
 
@@ -31,6 +93,30 @@ exports.getPendingVerifications = async (req, res) => {
   }
 };
 
+// Get the checklist for an ecosystem type
+exports.getChecklist = async (req, res) => {
+  const ecosystemType = Project.normalizeEcosystemType(req.params.ecosystemType);
+  res.json({
+    success: true,
+    ecosystemType,
+    version: CHECKLIST_VERSION,
+    items: checklistFor(ecosystemType)
+  });
+};
+
+// Summarise EXIF photo checks so verifiers see anomalies first
+function buildPhotoReport(photoChecks = []) {
+  const flagged = photoChecks.filter(check => check.anomalies && check.anomalies.length > 0);
+  return {
+    checked: photoChecks.length,
+    flagged: flagged.length,
+    anomalyCounts: flagged
+      .flatMap(check => check.anomalies.map(a => a.code))
+      .reduce((counts, code) => ({ ...counts, [code]: (counts[code] || 0) + 1 }), {}),
+    photos: [...flagged, ...photoChecks.filter(check => !flagged.includes(check))]
+  };
+}
+
 // Get verification details for a specific project
 exports.getVerificationDetails = async (req, res) => {
   try {
@@ -38,7 +124,7 @@ exports.getVerificationDetails = async (req, res) => {
     
     const project = await Project.findById(projectId)
       .populate('createdBy', 'name email phone')
-      .populate('assignedInspector', 'name email');
+      .populate('verifier', 'name email');
 
     if (!project) {
       return res.status(404).json({ 
@@ -54,7 +140,10 @@ exports.getVerificationDetails = async (req, res) => {
     res.json({ 
       success: true, 
       project,
-      verification 
+      verification,
+      photoReport: buildPhotoReport(project.photoChecks),
+      possibleDoubleCounting: Boolean(project.overlap?.possibleDoubleCounting),
+      conflictingProjectIds: project.overlap?.conflictingProjectIds || []
     });
   } catch (error) {
     console.error("Error fetching verification details:", error);
@@ -77,10 +166,10 @@ exports.approveProject = async (req, res) => {
       saltMarshData, 
       soilCores, 
       sensorReadings, 
-      co2Estimate,
       photos,
       videos,
-      evidenceHash 
+      evidenceHash,
+      checklist: checklistInput
     } = req.body;
 
     const verifierId = req.user.id; // from authMiddleware
@@ -112,19 +201,85 @@ exports.approveProject = async (req, res) => {
       });
     }
 
-    // Check status - Evidence model uses "PENDING", but projects created via registerProject use "Pending"
-    const isPending = project.status === "Pending" || project.status === "PENDING";
-    if (!isPending) {
-      return res.status(400).json({ 
-        success: false, 
-        message: `Project is not in pending status. Current status: ${project.status}` 
+    if (!canTransition(project.status, STATES.APPROVED)) {
+      return res.status(409).json(transitionError(project.status, STATES.APPROVED));
+    }
+
+    const refusal = await reviewerRefusal(req.user, project);
+    if (refusal) {
+      return res.status(403).json(refusal);
+    }
+
+    const { checklist, errors: checklistErrors, failing } = evaluateChecklist(project.ecosystemType, checklistInput);
+    if (checklistErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Complete the ${project.ecosystemType} verification checklist (GET /api/verification/checklist/${project.ecosystemType}).`,
+        errors: checklistErrors
+      });
+    }
+    if (failing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Approval is blocked until every mandatory checklist item passes. Reject with required changes instead.",
+        failingItems: failing.map(item => ({ itemId: item.itemId, label: item.label, result: item.result }))
       });
     }
 
-    // Create verification record
+    // Projects registered before their measurements were mapped keep them only in metadata
+    const recorded = project.mangroveData || project.seagrassData || project.saltMarshData
+      ? project
+      : ecosystemInputs({
+          ...project.metadata,
+          plantationSpecies: (project.Species_Planted || "").split(", ").filter(Boolean)
+        }, project.ecosystemType);
+
+    // Recalculate tCO2e from the measurements, using any the verifier corrected on site
+    const measuredCalculation = calculateCarbon({
+      ecosystemType: project.ecosystemType,
+      mangroveData: mangroveData || recorded.mangroveData,
+      seagrassData: seagrassData || recorded.seagrassData,
+      saltMarshData: saltMarshData || recorded.saltMarshData,
+      soilCores: soilCores || project.soilCores
+    }, { areaHectares: project.boundaryAreaHectares || project.carbonCalculation?.inputs?.soil?.areaHectares });
+
+    // The owner's claim stands within tolerance; beyond it the lower figure is credited
+    const discrepancy = analyzeDiscrepancies(project, { gps, mangroveData, seagrassData, saltMarshData }, measuredCalculation);
+    const carbonCalculation = discrepancy.basis === "owner" ? project.toObject().carbonCalculation : measuredCalculation;
+    const co2Estimate = carbonCalculation.totalTCO2e;
+
+    if (co2Estimate <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Carbon calculation produced no creditable tCO2e. Provide the missing measurements and try again.",
+        carbonCalculation,
+        discrepancy
+      });
+    }
+
+    // Checked before the vote is recorded so a missing wallet does not use up the vote
+    if (!project.ownerWalletAddress && !project.metadata?.ownerAddress) {
+      return res.status(400).json({
+        success: false,
+        message: "Project owner wallet address is required. Cannot register project on blockchain without owner address."
+      });
+    }
+
+    const round = project.reviewRound || 1;
+    if (await Verification.exists({ projectId: project._id, round, verifier: verifierId, monitoringPeriod: null })) {
+      return res.status(409).json({
+        success: false,
+        message: "You have already voted on this project in the current review round."
+      });
+    }
+
+    const before = auditLog.snapshot(project, AUDITED_PROJECT_FIELDS);
+
+    // Record this verifier's approval
     const verification = new Verification({
-      projectId,
+      projectId: project._id,
       status: "Approved",
+      round,
       comments,
       verifier: verifierId,
       gps,
@@ -134,171 +289,45 @@ exports.approveProject = async (req, res) => {
       soilCores,
       sensorReadings,
       co2Estimate,
+      carbonCalculation,
+      measuredCalculation,
+      discrepancy,
       photos,
       videos,
       evidenceHash,
+      checklist,
       verifiedAt: new Date()
     });
 
     await verification.save();
 
-    // Update project status to Approved/Verified
-    // Use "APPROVED" for Evidence model, but keep "Approved" for backward compatibility
-    project.status = project.status === "PENDING" ? "APPROVED" : "Approved"; // Mark as approved
-    project.Verification_Agency = req.user.name || req.user.email;
-    project.Verified_Date = new Date();
-    project.Carbon_Sequestration_tCO2 = co2Estimate || project.estimatedCO2Sequestration || 0;
-    project.Carbon_Credits_Issued = Math.floor(co2Estimate || project.estimatedCO2Sequestration || 0);
-
-    // Prepare project data for blockchain registration
-    const projectData = {
-      projectId: project.Project_ID || `PROJ_${project._id}`,
-      projectName: project.Project_Name || project.name,
-      description: project.description || '',
-      ecosystemType: project.Ecosystem_Type || project.ecosystemType,
-      organizationName: project.organizationName || '',
-      ownerName: project.ownerName || project.createdBy?.name || '',
-      email: project.email || project.createdBy?.email || '',
-      phone: project.phone || '',
-      area: project.Area_Hectares?.toString() || project.area?.toString() || '',
-      density: project.density || '',
-      location: {
-        lat: project.Latitude_Longitude?.split(',')[0] || '',
-        lng: project.Latitude_Longitude?.split(',')[1] || '',
-        address: project.location || '',
-        stateUT: project.State_UT || '',
-        district: project.District || '',
-        villagePanchayat: project.Village_Coastal_Panchayat || ''
-      },
-      startDate: project.Plantation_Date || project.startDate || new Date(),
-      duration: project.duration || '',
-      legalOwnership: project.legalOwnership || '',
-      permits: project.permits || [],
-      baselineData: project.baselineData || '',
-      monitoringPlan: project.monitoringPlan || '',
-      validator: project.Verification_Agency || req.user.name,
-      communityConsent: project.communityConsent || true,
-      documents: project.documents || [],
-      plantationSpecies: project.Species_Planted?.split(',') || project.plantationSpecies || [],
-      treeCount: project.treeCount || '',
-      averageHeight: project.averageHeight || '',
-      averageLength: project.averageLength || '',
-      averageBreadth: project.averageBreadth || '',
-      seedlings: project.seedlings || '',
-      estimatedCO2Sequestration: co2Estimate || project.estimatedCO2Sequestration || 0
-    };
+    const tally = tallyVotes(await roundVotes(project));
+    storeQuorum(project, tally);
 
-    // Attach owner wallet address - REQUIRED for minting tokens to owner
-    const ownerAddress = project.ownerWalletAddress || project.metadata?.ownerAddress;
-    if (!ownerAddress) {
-      return res.status(400).json({
-        success: false,
-        message: "Project owner wallet address is required. Cannot register project on blockchain without owner address."
-      });
-    }
-    projectData.ownerAddress = ownerAddress;
-
-    try {
-      // Register project on blockchain
-      const blockchainResult = await blockchainService.registerProject(projectData);
-
-      // Update project with blockchain information
-      project.blockchain = {
-        tokenId: blockchainResult.tokenId,
-        contractAddress: process.env.CONTRACT_ADDRESS,
-        transactionHash: blockchainResult.transactionHash,
-        blockNumber: blockchainResult.blockNumber,
-        ipfsHash: blockchainResult.ipfsHash,
-        isRegistered: true,
-        lastBlockchainUpdate: new Date()
-      };
-
-      // Enrich blockchain info: tokenURI and ERC20 balance for owner (optional)
-      try {
-        const tokenUri = await blockchainService.getTokenURI(blockchainResult.tokenId);
-        project.blockchain.tokenURI = tokenUri;
-      } catch (e) {
-        console.warn('Failed to fetch tokenURI:', e.message || e);
-      }
-
-      try {
-        const ownerAddr = projectData.ownerAddress || project.ownerWalletAddress || project.createdBy;
-        if (ownerAddr) {
-          const erc20Balance = await blockchainService.getERC20Balance(ownerAddr);
-          project.blockchain.ownerAddress = ownerAddr;
-          project.blockchain.erc20Balance = erc20Balance;
-        }
-      } catch (e) {
-        console.warn('Failed to fetch ERC20 balance:', e.message || e);
+    // Wait for the rest of the quorum, or for an Admin to settle a dissent
+    if (!tally.met || tally.blocked) {
+      if (project.status !== STATES.UNDER_REVIEW) {
+        applyTransition(project, STATES.UNDER_REVIEW, { by: verifierId, reason: "Verification votes in progress" });
       }
-
       await project.save();
-
-      // Mint blue carbon tokens to verifier as reward
-      let verifierRewardResult = null;
-      try {
-        // Get verifier's wallet address
-        const verifier = await User.findById(verifierId);
-        if (!verifier || !verifier.walletAddress) {
-          console.warn('Verifier wallet address not found. Skipping verifier reward minting.');
-        } else {
-          // Get verifierRewardAmount from project metadata
-          const verifierRewardAmount = project.metadata?.verifierRewardAmount || 0;
-          
-          if (verifierRewardAmount > 0) {
-            console.log(`Minting ${verifierRewardAmount} tokens to verifier ${verifier.walletAddress}`);
-            verifierRewardResult = await blockchainService.mintVerifierReward(
-              blockchainResult.tokenId,
-              verifier.walletAddress,
-              verifierRewardAmount
-            );
-            console.log('Verifier reward minted successfully:', verifierRewardResult);
-          } else {
-            console.warn('Verifier reward amount is 0 or not set. Skipping verifier reward minting.');
-          }
-        }
-      } catch (verifierRewardError) {
-        console.error('Failed to mint verifier reward:', verifierRewardError);
-        // Don't fail the entire approval if verifier reward minting fails
-        // The project is already registered and NFT is minted
-      }
-
-      res.json({
-        success: true,
-        message: `Project approved and registered on blockchain successfully. NFT minted to owner (${ownerAddress}). ${project.Carbon_Credits_Issued} BCARB tokens minted to owner.`,
-        verification,
-        blockchainResult,
-        verifierReward: verifierRewardResult,
-        ownerReward: {
-          address: ownerAddress,
-          tokensMinted: project.Carbon_Credits_Issued,
-          nftTokenId: blockchainResult.tokenId
-        },
-        project: {
-          id: project._id,
-          status: project.status,
-          blockchain: project.blockchain
-        }
+      await ProjectStamp.syncStatus(project.projectId, project.status, { by: verifierId });
+
+      await auditLog.record(req, {
+        action: "project.approve-vote",
+        targetType: "Project",
+        targetId: project.projectId || project._id,
+        before,
+        after: auditLog.snapshot(project, [...AUDITED_PROJECT_FIELDS, "quorum"]),
+        metadata: { verificationId: verification._id, comments, round, quorum: tally }
       });
 
-    } catch (blockchainError) {
-      console.error("Blockchain registration failed:", blockchainError);
-      
-      // Still save the verification but mark blockchain registration as failed
-      // Use "APPROVED" for Evidence model (which is what Project refers to)
-      project.status = "APPROVED";
-      project.blockchain = {
-        isRegistered: false,
-        registrationError: blockchainError.message,
-        lastBlockchainUpdate: new Date()
-      };
-      await project.save();
-
-      res.status(500).json({
-        success: false,
-        message: "Project approved but blockchain registration failed. Please retry blockchain registration.",
+      return res.status(202).json({
+        success: true,
+        message: tally.blocked
+          ? "Approval recorded. Registration is blocked by a dissenting vote until an Admin resolves it."
+          : `Approval recorded (${tally.approvals} of ${tally.required} required).`,
         verification,
-        blockchainError: blockchainError.message,
+        quorum: project.quorum,
         project: {
           id: project._id,
           status: project.status
@@ -306,6 +335,7 @@ exports.approveProject = async (req, res) => {
       });
     }
 
+    return await completeApproval(req, res, project, { verification, tally, comments, before });
   } catch (error) {
     console.error("Error approving project:", error);
     res.status(500).json({ 
@@ -315,11 +345,241 @@ exports.approveProject = async (req, res) => {
   }
 };
 
+/**
+ * Approve a project whose quorum is met and register it on-chain
+ * Credits the smallest tCO2e among the round's approvals and splits the verifier reward
+ * between the approving verifiers. Sends the response.
+ */
+async function completeApproval(req, res, project, { verification, tally, comments, before }) {
+  const approvals = (await roundVotes(project)).filter(vote => vote.status === "Approved" && vote.carbonCalculation);
+  const credited = approvals.reduce((lowest, vote) =>
+    !lowest || vote.carbonCalculation.totalTCO2e < lowest.carbonCalculation.totalTCO2e ? vote : lowest, null);
+  const carbonCalculation = credited.carbonCalculation;
+  const co2Estimate = carbonCalculation.totalTCO2e;
+
+  applyTransition(project, STATES.APPROVED, { by: req.user.id, reason: comments });
+  project.Verification_Agency = req.user.name || req.user.email;
+  project.Verified_Date = new Date();
+  project.carbonCalculation = carbonCalculation;
+  project.co2Estimate = co2Estimate;
+  project.Carbon_Sequestration_tCO2 = co2Estimate;
+  project.Carbon_Credits_Issued = roundCredits(co2Estimate);
+
+  // Prepare project data for blockchain registration
+  const projectData = {
+    projectId: project.Project_ID || `PROJ_${project._id}`,
+    projectName: project.Project_Name || project.name,
+    description: project.description || '',
+    ecosystemType: project.Ecosystem_Type || project.ecosystemType,
+    organizationName: project.organizationName || '',
+    ownerName: project.ownerName || project.createdBy?.name || '',
+    email: project.email || project.createdBy?.email || '',
+    phone: project.phone || '',
+    area: project.Area_Hectares?.toString() || project.area?.toString() || '',
+    density: project.density || '',
+    location: {
+      lat: project.Latitude_Longitude?.split(',')[0] || '',
+      lng: project.Latitude_Longitude?.split(',')[1] || '',
+      address: project.location || '',
+      stateUT: project.State_UT || '',
+      district: project.District || '',
+      villagePanchayat: project.Village_Coastal_Panchayat || ''
+    },
+    boundary: project.boundary?.type ? project.boundary : null,
+    boundaryAreaHectares: project.boundaryAreaHectares,
+    startDate: project.Plantation_Date || project.startDate || new Date(),
+    duration: project.duration || '',
+    legalOwnership: project.legalOwnership || '',
+    permits: project.permits || [],
+    baselineData: project.baselineData || '',
+    monitoringPlan: project.monitoringPlan || '',
+    validator: project.Verification_Agency || req.user.name,
+    communityConsent: project.communityConsent || true,
+    documents: project.documents || [],
+    plantationSpecies: project.Species_Planted?.split(',') || project.plantationSpecies || [],
+    treeCount: project.treeCount || '',
+    averageHeight: project.averageHeight || '',
+    averageLength: project.averageLength || '',
+    averageBreadth: project.averageBreadth || '',
+    seedlings: project.seedlings || '',
+    estimatedCO2Sequestration: co2Estimate,
+    verifiedDate: project.Verified_Date,
+    riskScore: project.riskScore,
+    verificationChecklists: await approvalChecklists(project)
+  };
+
+  // Attach owner wallet address - REQUIRED for minting tokens to owner
+  const ownerAddress = project.ownerWalletAddress || project.metadata?.ownerAddress;
+  if (!ownerAddress) {
+    return res.status(400).json({
+      success: false,
+      message: "Project owner wallet address is required. Cannot register project on blockchain without owner address."
+    });
+  }
+  projectData.ownerAddress = ownerAddress;
+
+  try {
+    // Register project on blockchain
+    const blockchainResult = await blockchainService.registerProject(projectData);
+
+    // Update project with blockchain information
+    project.blockchain = {
+      tokenId: blockchainResult.tokenId,
+      contractAddress: process.env.CONTRACT_ADDRESS,
+      transactionHash: blockchainResult.transactionHash,
+      blockNumber: blockchainResult.blockNumber,
+      ipfsHash: blockchainResult.ipfsHash,
+      isRegistered: true,
+      lastBlockchainUpdate: new Date()
+    };
+    project.recordBuffer("deposit", blockchainResult.bufferCredits, {
+      percent: blockchainResult.bufferPercent,
+      periodNumber: 0,
+      transactionHash: blockchainResult.transactionHash,
+      by: req.user.id
+    });
+
+    // Enrich blockchain info: tokenURI and ERC20 balance for owner (optional)
+    try {
+      const tokenUri = await blockchainService.getTokenURI(blockchainResult.tokenId);
+      project.blockchain.tokenURI = tokenUri;
+    } catch (e) {
+      console.warn('Failed to fetch tokenURI:', e.message || e);
+    }
+
+    try {
+      const ownerAddr = projectData.ownerAddress || project.ownerWalletAddress || project.createdBy;
+      if (ownerAddr) {
+        const erc20Balance = await blockchainService.getERC20Balance(ownerAddr);
+        project.blockchain.ownerAddress = ownerAddr;
+        project.blockchain.erc20Balance = erc20Balance;
+      }
+    } catch (e) {
+      console.warn('Failed to fetch ERC20 balance:', e.message || e);
+    }
+
+    applyTransition(project, STATES.REGISTERED, { by: req.user.id });
+    await project.save();
+    await ProjectStamp.syncStatus(project.projectId, project.status, { by: req.user.id });
+
+    // Mint blue carbon tokens to the approving verifiers as reward, split evenly
+    const verifierRewardResults = [];
+    try {
+      const verifiers = await User.find({ _id: { $in: tally.approvingVerifiers } }).select('walletAddress');
+      const withWallet = verifiers.filter(verifier => verifier.walletAddress);
+      const verifierRewardAmount = project.metadata?.verifierRewardAmount || 0;
+      const share = withWallet.length > 0 ? Math.floor((verifierRewardAmount / withWallet.length) * UNITS_PER_TONNE) / UNITS_PER_TONNE : 0;
+
+      if (withWallet.length < verifiers.length) {
+        console.warn('Some approving verifiers have no wallet address. Their reward share is skipped.');
+      }
+      if (share > 0) {
+        for (const verifier of withWallet) {
+          console.log(`Minting ${share} tokens to verifier ${verifier.walletAddress}`);
+          verifierRewardResults.push(await blockchainService.mintVerifierReward(
+            blockchainResult.tokenId,
+            verifier.walletAddress,
+            share
+          ));
+        }
+        console.log('Verifier rewards minted successfully:', verifierRewardResults);
+      } else {
+        console.warn('Verifier reward amount is 0 or not set. Skipping verifier reward minting.');
+      }
+    } catch (verifierRewardError) {
+      console.error('Failed to mint verifier reward:', verifierRewardError);
+      // Don't fail the entire approval if verifier reward minting fails
+      // The project is already registered and NFT is minted
+    }
+    const verifierRewardResult = verifierRewardResults[0] || null;
+
+    await auditLog.record(req, {
+      action: "project.approve",
+      targetType: "Project",
+      targetId: project.projectId || project._id,
+      before,
+      after: auditLog.snapshot(project, AUDITED_PROJECT_FIELDS),
+      txHash: blockchainResult.transactionHash,
+      metadata: {
+        verificationId: verification._id,
+        comments,
+        quorum: tally,
+        tokenId: blockchainResult.tokenId,
+        ownerAddress,
+        verifierRewardTxHashes: verifierRewardResults.map(result => result?.transactionHash || null)
+      }
+    });
+
+    // The owner gets the credits net of the buffer share as VintageCredit; BCARB only comes from wrapping them
+    const ownerCredits = roundCredits(blockchainResult.carbonCredits - blockchainResult.bufferCredits);
+
+    res.json({
+      success: true,
+      message: `Project approved and registered on blockchain successfully. NFT minted to owner (${ownerAddress}). ${ownerCredits} vintage ${blockchainResult.vintage} credits minted to owner.`,
+      verification,
+      quorum: project.quorum,
+      blockchainResult,
+      verifierReward: verifierRewardResult,
+      verifierRewards: verifierRewardResults,
+      ownerReward: {
+        address: ownerAddress,
+        vintageCredits: ownerCredits,
+        vintage: blockchainResult.vintage,
+        bufferCredits: blockchainResult.bufferCredits,
+        nftTokenId: blockchainResult.tokenId
+      },
+      project: {
+        id: project._id,
+        status: project.status,
+        blockchain: project.blockchain
+      }
+    });
+
+  } catch (blockchainError) {
+    console.error("Blockchain registration failed:", blockchainError);
+    
+    // Still save the verification but mark blockchain registration as failed
+    // The project stays APPROVED until the registration is retried
+    project.blockchain = {
+      isRegistered: false,
+      registrationError: blockchainError.message,
+      lastBlockchainUpdate: new Date()
+    };
+    await project.save();
+    await ProjectStamp.syncStatus(project.projectId, project.status, { by: req.user.id });
+
+    await auditLog.record(req, {
+      action: "project.approve",
+      targetType: "Project",
+      targetId: project.projectId || project._id,
+      before,
+      after: auditLog.snapshot(project, AUDITED_PROJECT_FIELDS),
+      metadata: {
+        verificationId: verification._id,
+        comments,
+        quorum: tally,
+        blockchainError: blockchainError.message
+      }
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Project approved but blockchain registration failed. Please retry blockchain registration.",
+      verification,
+      blockchainError: blockchainError.message,
+      project: {
+        id: project._id,
+        status: project.status
+      }
+    });
+  }
+}
+
 // Reject a project
 exports.rejectProject = async (req, res) => {
   try {
     const { projectId } = req.params;
-    const { comments, reason } = req.body;
+    const { comments, reason, requiredChanges: requiredChangesInput } = req.body;
     const verifierId = req.user.id;
 
     const project = await Project.findById(projectId);
@@ -330,17 +590,88 @@ exports.rejectProject = async (req, res) => {
       });
     }
 
-    if (project.status !== "Pending") {
-      return res.status(400).json({ 
-        success: false, 
-        message: "Project is not in pending status." 
+    if (!canTransition(project.status, STATES.REJECTED)) {
+      return res.status(409).json(transitionError(project.status, STATES.REJECTED));
+    }
+
+    const refusal = await reviewerRefusal(req.user, project);
+    if (refusal) {
+      return res.status(403).json(refusal);
+    }
+
+    // The owner needs something to act on: a bare reason becomes one general change
+    const { changes: requiredChanges, errors } = await validateRequiredChanges(
+      project,
+      requiredChangesInput || (comments || reason ? [{ message: comments || reason }] : [])
+    );
+    if (errors.length > 0 || requiredChanges.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Rejection needs at least one required change (field or evidence item, with a message).",
+        errors
+      });
+    }
+
+    const before = auditLog.snapshot(project, AUDITED_PROJECT_FIELDS);
+    const round = project.reviewRound || 1;
+
+    // On a quorum project a verifier's rejection is a dissenting vote that blocks registration
+    // until an Admin resolves it; Admins reject outright
+    const votes = await roundVotes(project);
+    const needsQuorum = requiredApprovals(project.co2Estimate || project.Carbon_Sequestration_tCO2) > 1 ||
+      votes.some(vote => vote.status === "Approved");
+    if (needsQuorum && !hasPermission(req.user.role, "verification:resolve-dissent")) {
+      if (votes.some(vote => String(vote.verifier) === String(verifierId))) {
+        return res.status(409).json({
+          success: false,
+          message: "You have already voted on this project in the current review round."
+        });
+      }
+
+      const dissent = await Verification.create({
+        projectId: project._id,
+        status: "Rejected",
+        round,
+        requiredChanges,
+        comments: comments || reason,
+        verifier: verifierId,
+        verifiedAt: new Date()
+      });
+
+      storeQuorum(project, tallyVotes(await roundVotes(project)));
+      if (project.status !== STATES.UNDER_REVIEW) {
+        applyTransition(project, STATES.UNDER_REVIEW, { by: verifierId, reason: "Verification votes in progress" });
+      }
+      await project.save();
+      await ProjectStamp.syncStatus(project.projectId, project.status, { by: verifierId });
+
+      await auditLog.record(req, {
+        action: "project.dissent",
+        targetType: "Project",
+        targetId: project.projectId || project._id,
+        before,
+        after: auditLog.snapshot(project, [...AUDITED_PROJECT_FIELDS, "quorum"]),
+        metadata: { verificationId: dissent._id, comments: comments || reason, round, requiredChanges }
+      });
+
+      return res.status(202).json({
+        success: true,
+        message: "Dissent recorded. The project stays under review until an Admin resolves it.",
+        verification: dissent,
+        quorum: project.quorum,
+        project: {
+          id: project._id,
+          status: project.status
+        }
       });
     }
 
     // Create verification record
     const verification = new Verification({
-      projectId,
+      projectId: project._id,
       status: "Rejected",
+      round,
+      requiredChanges,
       comments: comments || reason,
       verifier: verifierId,
       verifiedAt: new Date()
@@ -349,11 +680,22 @@ exports.rejectProject = async (req, res) => {
     await verification.save();
 
     // Update project status
-    project.status = "Rejected";
+    applyTransition(project, STATES.REJECTED, { by: verifierId, reason: comments || reason });
+    project.requiredChanges = requiredChanges;
     project.Verification_Agency = req.user.name || req.user.email;
     project.Verified_Date = new Date();
 
     await project.save();
+    await ProjectStamp.syncStatus(project.projectId, project.status, { by: verifierId, reason: comments || reason });
+
+    await auditLog.record(req, {
+      action: "project.reject",
+      targetType: "Project",
+      targetId: project.projectId || project._id,
+      before,
+      after: auditLog.snapshot(project, AUDITED_PROJECT_FIELDS),
+      metadata: { verificationId: verification._id, comments: comments || reason, round: project.reviewRound, requiredChanges }
+    });
 
     res.json({
       success: true,
@@ -361,7 +703,9 @@ exports.rejectProject = async (req, res) => {
       verification,
       project: {
         id: project._id,
-        status: project.status
+        status: project.status,
+        reviewRound: project.reviewRound,
+        requiredChanges: project.requiredChanges
       }
     });
 
@@ -374,6 +718,115 @@ exports.rejectProject = async (req, res) => {
   }
 };
 
+// Settle dissenting votes on a quorum project (Admin)
+// "uphold" rejects the project with the dissenters' required changes (plus any sent here);
+// "override" discards the dissents and registers the project if the approvals already meet the quorum
+exports.resolveDissent = async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { decision, comments, requiredChanges: requiredChangesInput = [] } = req.body;
+
+    if (!["uphold", "override"].includes(decision)) {
+      return res.status(400).json({ success: false, message: 'decision must be "uphold" or "override"' });
+    }
+
+    const project = await Project.findById(projectId);
+    if (!project) {
+      return res.status(404).json({ success: false, message: "Project not found." });
+    }
+
+    const dissents = (await roundVotes(project))
+      .filter(vote => vote.status === "Rejected" && !vote.dissentResolution?.decision);
+    if (dissents.length === 0) {
+      return res.status(409).json({ success: false, message: "Project has no unresolved dissent in the current review round." });
+    }
+
+    const target = decision === "uphold" ? STATES.REJECTED : STATES.APPROVED;
+    if (!canTransition(project.status, target)) {
+      return res.status(409).json(transitionError(project.status, target));
+    }
+
+    let extraChanges = [];
+    if (decision === "uphold") {
+      const { changes, errors } = await validateRequiredChanges(project, requiredChangesInput);
+      if (errors.length > 0) {
+        return res.status(400).json({ success: false, message: "Invalid required changes.", errors });
+      }
+      extraChanges = changes;
+    }
+
+    const before = auditLog.snapshot(project, [...AUDITED_PROJECT_FIELDS, "quorum"]);
+
+    await Verification.updateMany(
+      { _id: { $in: dissents.map(vote => vote._id) } },
+      {
+        $set: {
+          dissentResolution: {
+            decision: decision === "uphold" ? "upheld" : "overridden",
+            by: req.user.id,
+            at: new Date(),
+            comments
+          }
+        }
+      }
+    );
+
+    const tally = tallyVotes(await roundVotes(project));
+    storeQuorum(project, tally);
+
+    await auditLog.record(req, {
+      action: "project.resolve-dissent",
+      targetType: "Project",
+      targetId: project.projectId || project._id,
+      before,
+      after: auditLog.snapshot(project, [...AUDITED_PROJECT_FIELDS, "quorum"]),
+      metadata: { decision, comments, verificationIds: dissents.map(vote => vote._id), round: project.reviewRound || 1 }
+    });
+
+    if (decision === "uphold") {
+      applyTransition(project, STATES.REJECTED, { by: req.user.id, reason: comments });
+      project.requiredChanges = [...dissents.flatMap(vote => vote.requiredChanges || []), ...extraChanges];
+      project.Verification_Agency = req.user.name || req.user.email;
+      project.Verified_Date = new Date();
+      await project.save();
+      await ProjectStamp.syncStatus(project.projectId, project.status, { by: req.user.id, reason: comments });
+
+      return res.json({
+        success: true,
+        message: "Dissent upheld. Project rejected.",
+        project: {
+          id: project._id,
+          status: project.status,
+          reviewRound: project.reviewRound,
+          requiredChanges: project.requiredChanges
+        }
+      });
+    }
+
+    if (!tally.met) {
+      await project.save();
+      return res.json({
+        success: true,
+        message: `Dissent overridden. Waiting for approvals (${tally.approvals} of ${tally.required} required).`,
+        quorum: project.quorum,
+        project: {
+          id: project._id,
+          status: project.status
+        }
+      });
+    }
+
+    const verification = (await roundVotes(project)).filter(vote => vote.status === "Approved").pop();
+    return await completeApproval(req, res, project, { verification, tally, comments, before });
+  } catch (error) {
+    console.error("Error resolving dissent:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while resolving dissent."
+    });
+  }
+};
+
 // Retry blockchain registration for a verified project
 exports.retryBlockchainRegistration = async (req, res) => {
   try {
@@ -387,12 +840,8 @@ exports.retryBlockchainRegistration = async (req, res) => {
       });
     }
 
-    // Check if project is approved (Evidence model uses "APPROVED", not "Verified")
-    if (project.status !== "APPROVED" && project.status !== "Approved") {
-      return res.status(400).json({ 
-        success: false, 
-        message: "Project must be approved/verified to register on blockchain." 
-      });
+    if (!canTransition(project.status, STATES.REGISTERED)) {
+      return res.status(409).json(transitionError(project.status, STATES.REGISTERED));
     }
 
     if (project.blockchain?.isRegistered) {
@@ -431,6 +880,8 @@ exports.retryBlockchainRegistration = async (req, res) => {
         district: project.District || '',
         villagePanchayat: project.Village_Coastal_Panchayat || ''
       },
+      boundary: project.boundary?.type ? project.boundary : null,
+      boundaryAreaHectares: project.boundaryAreaHectares,
       startDate: project.Plantation_Date || project.startDate || new Date(),
       duration: project.duration || '',
       legalOwnership: project.legalOwnership || '',
@@ -446,10 +897,15 @@ exports.retryBlockchainRegistration = async (req, res) => {
       averageLength: project.averageLength || '',
       averageBreadth: project.averageBreadth || '',
       seedlings: project.seedlings || '',
-      estimatedCO2Sequestration: project.Carbon_Sequestration_tCO2 || project.estimatedCO2Sequestration || 0,
+      estimatedCO2Sequestration: project.carbonCalculation?.totalTCO2e || project.Carbon_Sequestration_tCO2 || project.estimatedCO2Sequestration || 0,
+      verifiedDate: project.Verified_Date,
+      riskScore: project.riskScore,
+      verificationChecklists: await approvalChecklists(project),
       ownerAddress: ownerAddress  // Set owner address for blockchain registration
     };
 
+    const before = auditLog.snapshot(project, AUDITED_PROJECT_FIELDS);
+
     try {
       // Register project on blockchain
       const blockchainResult = await blockchainService.registerProject(projectData);
@@ -464,8 +920,26 @@ exports.retryBlockchainRegistration = async (req, res) => {
         isRegistered: true,
         lastBlockchainUpdate: new Date()
       };
+      project.recordBuffer("deposit", blockchainResult.bufferCredits, {
+        percent: blockchainResult.bufferPercent,
+        periodNumber: 0,
+        transactionHash: blockchainResult.transactionHash,
+        by: req.user.id
+      });
 
+      applyTransition(project, STATES.REGISTERED, { by: req.user.id });
       await project.save();
+      await ProjectStamp.syncStatus(project.projectId, project.status, { by: req.user.id });
+
+      await auditLog.record(req, {
+        action: "project.register-onchain",
+        targetType: "Project",
+        targetId: project.projectId || project._id,
+        before,
+        after: auditLog.snapshot(project, AUDITED_PROJECT_FIELDS),
+        txHash: blockchainResult.transactionHash,
+        metadata: { tokenId: blockchainResult.tokenId, retry: true }
+      });
 
       res.json({
         success: true,
@@ -510,7 +984,8 @@ exports.retryBlockchainRegistration = async (req, res) => {
   }
 };
 
-// Get verification history for a project
+// Get verification history for a project, grouped into review rounds
+// Each round after the first opens with the owner's resubmission and the fields it changed
 exports.getVerificationHistory = async (req, res) => {
   try {
     const { projectId } = req.params;
@@ -519,10 +994,30 @@ exports.getVerificationHistory = async (req, res) => {
       .populate('verifier', 'name email')
       .sort({ verifiedAt: -1 });
 
+    const project = await Project.findById(projectId)
+      .select("status reviewRound requiredChanges resubmissions createdAt")
+      .lean();
+
+    const currentRound = project?.reviewRound || 1;
+    const rounds = [];
+    for (let round = 1; round <= currentRound; round++) {
+      const resubmission = (project?.resubmissions || []).find(entry => entry.round === round) || null;
+      rounds.push({
+        round,
+        submittedAt: resubmission ? resubmission.at : project?.createdAt || null,
+        resubmission,
+        verifications: verifications.filter(verification => (verification.round || 1) === round)
+      });
+    }
+
     res.json({
       success: true,
       verifications,
-      count: verifications.length
+      count: verifications.length,
+      status: project?.status || null,
+      currentRound,
+      requiredChanges: project?.requiredChanges || [],
+      rounds
     });
   } catch (error) {
     console.error("Error fetching verification history:", error);
@@ -536,15 +1031,9 @@ exports.getVerificationHistory = async (req, res) => {
 // Get all verified projects
 exports.getVerifiedProjects = async (req, res) => {
   try {
-    // Evidence model uses "APPROVED", but also check for "Approved" for backward compatibility
-    const projects = await Project.find({ 
-      $or: [
-        { status: "APPROVED" },
-        { status: "Approved" }
-      ]
-    })
+    const projects = await Project.find({ status: { $in: VERIFIED } })
       .populate('createdBy', 'name email')
-      .populate('assignedInspector', 'name email')
+      .populate('verifier', 'name email')
       .sort({ Verified_Date: -1 });
 
     res.json({ 
@@ -566,7 +1055,7 @@ exports.getPendingEvidence = async (req, res) => {
   try {
     const Evidence = require("../models/Evidence");
     
-    const pendingEvidence = await Evidence.find({ status: "PENDING" })
+    const pendingEvidence = await Evidence.find({ status: { $in: AWAITING_REVIEW } })
       .populate('inspector', 'name email')
       .sort({ submittedAt: -1 });
 
@@ -584,18 +1073,17 @@ exports.getPendingEvidence = async (req, res) => {
   }
 };
 
-// Submit verification for evidence (new endpoint for verifiers)
+// Reject evidence (verifiers). Approval goes through approveProject, so it is
+// counted towards the quorum and checked against the checklist and discrepancy rules
 exports.submitVerification = async (req, res) => {
   try {
     const { 
       evidenceId,
-      projectId,
-      status, // "APPROVED" or "REJECTED"
+      status, // "REJECTED"
       comments,
       gps,
       ecosystemType,
       soilCores,
-      co2Estimate,
       photos,
       videos,
       evidenceHash
@@ -611,6 +1099,19 @@ exports.submitVerification = async (req, res) => {
       });
     }
 
+    if (status === STATES.APPROVED) {
+      return res.status(400).json({
+        success: false,
+        message: "Evidence is approved with POST /api/verification/approve/:projectId, which applies the quorum and checklist."
+      });
+    }
+    if (status !== STATES.REJECTED) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be ${STATES.REJECTED}`
+      });
+    }
+
     // Find the evidence
     const Evidence = require("../models/Evidence");
     const evidence = await Evidence.findById(evidenceId);
@@ -621,25 +1122,28 @@ exports.submitVerification = async (req, res) => {
       });
     }
 
-    // Check if evidence is already verified
-    if (evidence.status !== "PENDING") {
-      return res.status(400).json({
-        success: false,
-        message: "Evidence has already been verified"
-      });
+    if (!canTransition(evidence.status, status)) {
+      return res.status(409).json(transitionError(evidence.status, status));
+    }
+
+    const refusal = await reviewerRefusal(req.user, evidence);
+    if (refusal) {
+      return res.status(403).json(refusal);
     }
 
+    const before = auditLog.snapshot(evidence, ["status", "verifier", "verifiedAt"]);
+
     // Create verification record
     const verification = new Verification({
       projectId: evidence.projectId,
       evidenceId: evidenceId,
-      status: status === "APPROVED" ? "Approved" : "Rejected",
+      status: "Rejected",
       comments,
       verifier: verifierId,
       gps: gps || evidence.gps,
       ecosystemType: ecosystemType || evidence.ecosystemType,
       soilCores: soilCores || evidence.soilCores,
-      co2Estimate: co2Estimate || evidence.co2Estimate,
+      co2Estimate: evidence.co2Estimate, // computed by the carbon calculation engine at submission
       photos: photos || evidence.photos,
       videos: videos || evidence.videos,
       evidenceHash,
@@ -649,87 +1153,30 @@ exports.submitVerification = async (req, res) => {
     await verification.save();
 
     // Update evidence status
-    evidence.status = status;
+    applyTransition(evidence, status, { by: verifierId, reason: comments });
     evidence.verifiedAt = new Date();
     evidence.verifier = verifierId;
     await evidence.save();
 
-    // If approved, register minimal data on blockchain
-    if (status === "APPROVED") {
-      try {
-        // Prepare minimal data for blockchain storage
-        const minimalProjectData = {
-          projectId: evidence.projectId || `EVIDENCE_${evidenceId}`,
-          projectName: `Verified ${ecosystemType || evidence.ecosystemType} Project`,
-          ecosystemType: ecosystemType || evidence.ecosystemType,
-          location: {
-            stateUT: "Unknown", // Could be extracted from GPS if needed
-            district: "Unknown",
-            villagePanchayat: "Unknown"
-          },
-          estimatedCO2Sequestration: co2Estimate || evidence.co2Estimate || 0
-        };
-
-        // Register on blockchain with minimal data
-        const blockchainResult = await blockchainService.registerProject(minimalProjectData);
-
-        // Update verification with blockchain info
-        verification.blockchain = {
-          tokenId: blockchainResult.tokenId,
-          transactionHash: blockchainResult.transactionHash,
-          blockNumber: blockchainResult.blockNumber,
-          ipfsHash: blockchainResult.ipfsHash,
-          isRegistered: true
-        };
-        await verification.save();
-
-        res.json({
-          success: true,
-          message: "Evidence verified and registered on blockchain successfully",
-          verification,
-          blockchainResult,
-          evidence: {
-            id: evidence._id,
-            status: evidence.status,
-            verifiedAt: evidence.verifiedAt
-          }
-        });
+    await auditLog.record(req, {
+      action: "evidence.verify",
+      targetType: "Evidence",
+      targetId: evidence._id,
+      before,
+      after: auditLog.snapshot(evidence, ["status", "verifier", "verifiedAt"]),
+      metadata: { verificationId: verification._id, projectId: evidence.projectId, comments }
+    });
 
-      } catch (blockchainError) {
-        console.error("Blockchain registration failed:", blockchainError);
-        
-        // Still save verification but mark blockchain registration as failed
-        verification.blockchain = {
-          isRegistered: false,
-          registrationError: blockchainError.message
-        };
-        await verification.save();
-
-        res.status(500).json({
-          success: false,
-          message: "Evidence verified but blockchain registration failed. Please retry blockchain registration.",
-          verification,
-          blockchainError: blockchainError.message,
-          evidence: {
-            id: evidence._id,
-            status: evidence.status,
-            verifiedAt: evidence.verifiedAt
-          }
-        });
+    res.json({
+      success: true,
+      message: "Evidence verification completed (rejected)",
+      verification,
+      evidence: {
+        id: evidence._id,
+        status: evidence.status,
+        verifiedAt: evidence.verifiedAt
       }
-    } else {
-      // For rejected evidence, just save verification
-      res.json({
-        success: true,
-        message: "Evidence verification completed (rejected)",
-        verification,
-        evidence: {
-          id: evidence._id,
-          status: evidence.status,
-          verifiedAt: evidence.verifiedAt
-        }
-      });
-    }
+    });
 
   } catch (error) {
     console.error("Error submitting verification:", error);
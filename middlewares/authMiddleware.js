@@ -1,16 +1,17 @@
 const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { isRevoked } = require('../utils/authTokens');
 
-const authMiddleware = (req, res, next) => {
+const authMiddleware = async (req, res, next) => {
   const token = req.header('Authorization')?.replace('Bearer ', '');
 
   if (!token) {
     return res.status(401).json({ message: 'No token, authorization denied' });
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded; // includes id, role, email, name
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (error) {
     console.error('Token verification error:', error);
 
@@ -24,6 +25,40 @@ const authMiddleware = (req, res, next) => {
 
     return res.status(401).json({ message: 'Invalid or expired token' });
   }
+
+  // Tokens issued before sessions existed carry no jti/sid and cannot be revoked
+  if (!decoded.jti || !decoded.sid) {
+    return res.status(401).json({ message: 'Token format is no longer supported, please log in again' });
+  }
+
+  let user;
+  try {
+    if (await isRevoked(decoded)) {
+      return res.status(401).json({ message: 'Token has been revoked' });
+    }
+
+    user = await User.findById(decoded.id).select('role walletAddress organization isActive').lean();
+  } catch (error) {
+    console.error('Session lookup error:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+
+  if (!user) {
+    return res.status(401).json({ message: 'User no longer exists' });
+  }
+
+  if (user.isActive === false) {
+    return res.status(403).json({ message: 'Account has been deactivated' });
+  }
+
+  // Role, wallet and organization come from the database so admin changes apply immediately
+  req.user = {
+    ...decoded, // includes id, email, name, jti, sid
+    role: user.role,
+    walletAddress: user.walletAddress,
+    organization: user.organization,
+  };
+  next();
 };
 
 module.exports = authMiddleware;
@@ -0,0 +1,28 @@
+const { isKnownPermission, hasPermission } = require('../config/permissions');
+
+/**
+ * Require every listed permission for the current user's role
+ * Unknown permission names throw when the route is defined, so typos fail at boot.
+ * @param {...string} permissions - Permission names from config/permissions.js
+ */
+module.exports = function requirePermission(...permissions) {
+  const unknown = permissions.filter(permission => !isKnownPermission(permission));
+  if (permissions.length === 0 || unknown.length > 0) {
+    throw new Error(`requirePermission: unknown permission(s): ${unknown.join(', ') || '(none given)'}`);
+  }
+
+  const middleware = (req, res, next) => {
+    const missing = permissions.filter(permission => !hasPermission(req.user?.role, permission));
+    if (missing.length > 0) {
+      return res.status(403).json({
+        message: "Access denied: insufficient permission",
+        currentRole: req.user?.role,
+        requiredPermission: missing,
+      });
+    }
+    next();
+  };
+
+  middleware.permissions = permissions;
+  return middleware;
+};
@@ -1,12 +0,0 @@
-module.exports = function (roles = []) {
-  return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
-      return res.status(403).json({
-        message: "Access denied: insufficient role",
-        currentRole: req.user.role,
-        requiredRole: roles,
-      });
-    }
-    next();
-  };
-};
@@ -0,0 +1,41 @@
+const multer = require('multer');
+
+const MAX_FILE_SIZE_MB = Number(process.env.EVIDENCE_MAX_FILE_SIZE_MB || 50);
+
+// Files are kept in memory so they can be hashed and pinned to IPFS without touching disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE_MB * 1024 * 1024 },
+});
+
+const EVIDENCE_FIELDS = [
+  { name: 'photos', maxCount: 20 },
+  { name: 'videos', maxCount: 5 },
+  { name: 'documents', maxCount: 10 },
+];
+
+/**
+ * Parse multipart evidence uploads into req.files ({ photos, videos, documents })
+ * JSON requests pass straight through. Upload errors (too large, unexpected field) return 400.
+ */
+const evidenceUpload = (req, res, next) => {
+  if (!req.is('multipart/form-data')) return next();
+
+  upload.fields(EVIDENCE_FIELDS)(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({
+        message: error.code === 'LIMIT_FILE_SIZE'
+          ? `File "${error.field}" exceeds the ${MAX_FILE_SIZE_MB} MB limit`
+          : `Invalid upload: ${error.message}`,
+        error: error.code,
+      });
+    }
+    next(error);
+  });
+};
+
+module.exports = {
+  evidenceUpload,
+  EVIDENCE_FIELDS,
+  MAX_FILE_SIZE_MB,
+};
@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+
+// Append-only, hash-chained record of a state-changing action
+const auditEventSchema = new mongoose.Schema({
+  sequence: { type: Number, required: true, unique: true }, // position in the chain, starting at 1
+
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: "User", index: true },
+  actorEmail: String,
+  role: String,
+
+  action: { type: String, required: true, index: true }, // e.g. "project.approve", "credits.retire"
+  targetType: { type: String, required: true },           // e.g. "Project", "User", "Listing"
+  targetId: { type: String, index: true },
+
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  diff: [{
+    _id: false,
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed,
+  }],
+
+  ip: String,
+  userAgent: String,
+  txHash: { type: String, default: null, index: true },
+  metadata: mongoose.Schema.Types.Mixed,
+
+  createdAt: { type: Date, required: true },
+  prevHash: { type: String, required: true }, // hash of the previous event ("0" * 64 for the first)
+  hash: { type: String, required: true, unique: true },
+}, { minimize: false });
+
+auditEventSchema.index({ createdAt: -1 });
+
+// Events are never edited or removed; the hash chain would expose it anyway
+const blockMutation = function () {
+  throw new Error("Audit events are append-only");
+};
+[
+  "updateOne", "updateMany", "findOneAndUpdate", "replaceOne",
+  "deleteOne", "deleteMany", "findOneAndDelete", "findOneAndReplace",
+].forEach(op => auditEventSchema.pre(op, blockMutation));
+auditEventSchema.pre("save", function () {
+  if (!this.isNew) blockMutation();
+});
+
+module.exports = mongoose.model("AuditEvent", auditEventSchema);
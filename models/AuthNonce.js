@@ -0,0 +1,15 @@
+const mongoose = require("mongoose");
+
+// One-time Sign-In With Ethereum challenge
+const authNonceSchema = new mongoose.Schema({
+  nonce: { type: String, required: true, unique: true },
+  address: { type: String, required: true, lowercase: true }, // wallet the challenge was issued for
+  message: { type: String, required: true },                  // exact EIP-4361 text the wallet must sign
+  usedAt: { type: Date, default: null },                      // set once consumed, so replays are rejected
+  expiresAt: { type: Date, required: true },
+});
+
+// Let MongoDB purge expired challenges
+authNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("AuthNonce", authNonceSchema);
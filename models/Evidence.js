@@ -1,4 +1,6 @@
 const mongoose = require("mongoose");
+const { STATES } = require("../config/projectLifecycle");
+const { roundCredits } = require("../config/creditUnits");
 
 const gpsSchema = new mongoose.Schema({
   latitude: Number,
@@ -6,6 +8,83 @@ const gpsSchema = new mongoose.Schema({
   precision: Number, // meters
 });
 
+// One file uploaded with the evidence and pinned to IPFS by the server
+const evidenceFileSchema = new mongoose.Schema({
+  field: { type: String, enum: ["photos", "videos", "documents"] },
+  filename: String,
+  mimeType: String,
+  size: Number,        // bytes
+  cid: String,         // IPFS CID
+  sha256: String,      // hex SHA-256 of the raw file
+}, { _id: false });
+
+// One movement of the project's credits into or out of the buffer pool
+const bufferEntrySchema = new mongoose.Schema({
+  action: { type: String, enum: ["deposit", "cancel", "release"], required: true },
+  amount: { type: Number, required: true },
+  percent: Number,        // buffer percentage applied (deposits)
+  periodNumber: Number,   // monitoring period of the deposit; 0 is registration
+  reason: String,
+  transactionHash: String,
+  by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  at: { type: Date, default: Date.now },
+}, { _id: false });
+
+// One (partial) retirement of the project's credits on-chain
+const retirementSchema = new mongoose.Schema({
+  amount: { type: Number, required: true },
+  reason: String,
+  beneficiary: String,
+  transactionHash: String,
+  blockNumber: Number,
+  retiredBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  retiredAt: { type: Date, default: Date.now },
+}, { _id: false });
+
+// EXIF consistency report for one uploaded photo (see utils/photoChecks.js)
+const photoCheckSchema = new mongoose.Schema({
+  filename: String,
+  cid: String,
+  sha256: String,
+  exif: {
+    latitude: Number,
+    longitude: Number,
+    capturedAt: Date,
+    timezoneKnown: Boolean,
+    camera: String,
+  },
+  distanceM: Number,       // from the declared gps
+  timeDeltaHours: Number,  // capture time minus declared timestampISO
+  anomalies: [{ _id: false, code: String, message: String }],
+}, { _id: false });
+
+// One lifecycle transition (see config/projectLifecycle.js)
+const statusChangeSchema = new mongoose.Schema({
+  from: String,
+  to: String,
+  at: { type: Date, default: Date.now },
+  by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  reason: String,
+}, { _id: false });
+
+// A change a verifier asked for when rejecting (utils/resubmission.js)
+const requiredChangeSchema = new mongoose.Schema({
+  field: String,           // project field to fix
+  evidenceId: { type: mongoose.Schema.Types.ObjectId, ref: "BlueCarbonEvidence" }, // or an evidence item
+  message: { type: String, required: true },
+  resolved: { type: Boolean, default: false },
+  response: String,        // owner's answer when resubmitting
+});
+
+// What an owner changed when resubmitting
+const resubmissionSchema = new mongoose.Schema({
+  round: Number,           // review round this resubmission opened
+  at: { type: Date, default: Date.now },
+  by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  changes: [{ _id: false, field: String, from: mongoose.Schema.Types.Mixed, to: mongoose.Schema.Types.Mixed }],
+  responses: [{ _id: false, changeId: mongoose.Schema.Types.ObjectId, response: String }],
+}, { _id: false });
+
 const mangroveDataSchema = new mongoose.Schema({
   species: [String],           // dominant mangrove species
   treeCount: Number,
@@ -56,9 +135,42 @@ const blueCarbonSchema = new mongoose.Schema({
   timestampISO: { type: String, required: true },
   gps: gpsSchema,
 
+  // GeoJSON copy of the site centre for 2dsphere queries, and the radius it is assumed to cover
+  geoLocation: {
+    type: { type: String, enum: ["Point"] },
+    coordinates: { type: [Number], default: undefined }, // [longitude, latitude]
+  },
+  footprintRadiusM: Number,
+
+  // Project boundary as GeoJSON Polygon/MultiPolygon, validated on registration
+  boundary: {
+    type: { type: String, enum: ["Polygon", "MultiPolygon"] },
+    coordinates: { type: mongoose.Schema.Types.Mixed, default: undefined },
+  },
+  boundaryAreaHectares: Number, // geodesic area computed from the boundary
+  areaCheck: {
+    declaredHectares: Number,
+    computedHectares: Number,
+    differencePercent: Number,
+    mismatch: Boolean,          // difference above BOUNDARY_AREA_TOLERANCE_PERCENT
+  },
+
+  // Overlap with other projects at submission time (see utils/overlapDetection.js)
+  overlap: {
+    possibleDoubleCounting: { type: Boolean, default: false },
+    conflictingProjectIds: [String],
+    conflicts: [{ _id: false, projectId: String, evidenceId: String, distanceM: Number }],
+    bufferM: Number,
+    checkedAt: Date,
+  },
+
   photos: [String], // URLs or hashes
   videos: [String],
 
+  // Manifest of files uploaded through POST /api/evidence (covered by evidenceHash)
+  files: [evidenceFileSchema],
+  photoChecks: [photoCheckSchema],
+
   // Type of blue carbon ecosystem
   ecosystemType: {
     type: String,
@@ -75,6 +187,8 @@ const blueCarbonSchema = new mongoose.Schema({
     soilCoreId: String,
     depthCm: Number,
     sampleLabel: String,
+    bulkDensityGcm3: Number,      // optional; ecosystem default used when missing
+    organicCarbonPercent: Number, // optional; ecosystem soilCarbonContentPercent used when missing
   }],
 
   sensorReadings: {
@@ -83,18 +197,148 @@ const blueCarbonSchema = new mongoose.Schema({
     pH: Number,
   },
 
-  co2Estimate: Number,    // calculated carbon sequestration
+  co2Estimate: Number,          // tCO2e from the carbon calculation engine
+  declaredCo2Estimate: Number,  // figure the submitter claimed, kept for comparison
+
+  // Breakdown behind co2Estimate (see utils/carbonCalculator.js)
+  carbonCalculation: {
+    methodologyVersion: String,
+    ecosystemType: String,
+    aboveGroundTCO2e: Number,
+    belowGroundTCO2e: Number,
+    soilTCO2e: Number,
+    totalTCO2e: Number,
+    inputs: mongoose.Schema.Types.Mixed,
+    warnings: [String],
+    calculatedAt: Date,
+  },
 
-  evidenceHash: String,   // hash of raw evidence files
+  evidenceHash: String,   // SHA-256 of the evidence payload, including the file manifest
+
+  // Lifecycle state; change it with applyTransition() from config/projectLifecycle.js
   status: {
     type: String,
-    enum: ["PENDING", "APPROVED", "REJECTED"],
-    default: "PENDING",
+    enum: Object.values(STATES),
+    default: STATES.SUBMITTED,
+    index: true,
   },
+  statusHistory: [statusChangeSchema],
   
   // Verification fields
   verifier: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
-  verifiedAt: { type: Date }
-});
+  verifiedAt: { type: Date },
+
+  // Votes in the current review round (config/verificationQuorum.js)
+  quorum: {
+    required: Number,
+    approvals: Number,
+    dissents: Number,       // unresolved; any dissent blocks registration until an Admin settles it
+    met: Boolean,
+    blocked: Boolean,
+    updatedAt: Date,
+  },
+
+  // Reject-and-resubmit loop
+  reviewRound: { type: Number, default: 1 },
+  requiredChanges: [requiredChangeSchema], // from the latest rejection
+  resubmissions: [resubmissionSchema],
+
+  // Project registration fields (set by projectController.registerProject)
+  Project_ID: { type: String, index: true },
+  Project_Name: String,
+  Ecosystem_Type: String,
+  State_UT: String,
+  District: String,
+  Village_Coastal_Panchayat: String,
+  Latitude_Longitude: String,     // "lat, lng"
+  Area_Hectares: Number,          // declared area
+  Species_Planted: String,
+  Plantation_Date: Date,
+  Verification_Agency: String,
+  Verified_Date: Date,
+  Carbon_Sequestration_tCO2: Number,
+  Carbon_Credits_Issued: Number,
+  Supporting_NGO_Community: String,
+  name: String,
+  location: String,               // address or "lat, lng"
+  area: Number,
+  method: String,
+  metadata: mongoose.Schema.Types.Mixed,
+
+  // On-chain registration
+  blockchain: {
+    tokenId: String,
+    contractAddress: String,
+    transactionHash: String,
+    blockNumber: Number,
+    ipfsHash: String,
+    tokenURI: String,
+    ownerAddress: String,
+    projectOwner: String,
+    erc20Balance: String,
+    isRegistered: { type: Boolean, default: false },
+    registrationError: String,
+    isRetired: { type: Boolean, default: false }, // every credit retired
+    retirementDate: Date,                          // latest retirement
+    retirementReason: String,
+    retirementTransactionHash: String,
+    creditsRetired: { type: Number, default: 0 },
+    retirements: [retirementSchema],
+    lastBlockchainUpdate: Date,
+  },
+
+  // Non-permanence risk (0-100), set by an Admin; raises the buffer share (config/bufferPool.js)
+  riskScore: { type: Number, min: 0, max: 100, default: null },
+  riskAssessedAt: Date,
+  riskAssessedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+
+  // Credits (tonnes, to config/creditUnits.js precision) withheld in the registry's buffer pool;
+  // held = deposited - cancelled - released
+  buffer: {
+    deposited: { type: Number, default: 0 },
+    cancelled: { type: Number, default: 0 },
+    released: { type: Number, default: 0 },
+    history: [bufferEntrySchema],
+  },
+
+  // Owner credits cancelled on-chain after confirmed loss events the buffer could not cover
+  creditsCancelled: { type: Number, default: 0 },
+}, { timestamps: true });
+
+blueCarbonSchema.methods.bufferHeld = function () {
+  const buffer = this.buffer || {};
+  return roundCredits((buffer.deposited || 0) - (buffer.cancelled || 0) - (buffer.released || 0));
+};
+
+// Record a buffer pool movement confirmed on-chain; the caller saves the document
+blueCarbonSchema.methods.recordBuffer = function (action, amount, { percent, periodNumber, reason, transactionHash, by } = {}) {
+  if (!amount) return this;
+  const total = { deposit: "deposited", cancel: "cancelled", release: "released" }[action];
+  this.buffer[total] = roundCredits((this.buffer[total] || 0) + amount);
+  this.buffer.history.push({ action, amount, percent, periodNumber, reason, transactionHash, by, at: new Date() });
+  return this;
+};
+
+// Frontend ecosystem names mapped to the ecosystemType enum
+const ECOSYSTEM_TYPE_ALIASES = {
+  mangroves: "mangrove",
+  seagrass: "seagrass",
+  saltMarsh: "salt_marsh",
+};
+
+blueCarbonSchema.statics.normalizeEcosystemType = function (ecosystemType) {
+  return ECOSYSTEM_TYPE_ALIASES[ecosystemType] || ecosystemType;
+};
+
+blueCarbonSchema.methods.isBlockchainRegistered = function () {
+  return Boolean(this.blockchain && this.blockchain.isRegistered && this.blockchain.tokenId);
+};
+
+// Used to spot the same photo being submitted again
+blueCarbonSchema.index({ "files.sha256": 1 });
+// Used for overlap detection
+blueCarbonSchema.index({ geoLocation: "2dsphere" });
+blueCarbonSchema.index({ boundary: "2dsphere" });
+blueCarbonSchema.index({ footprintRadiusM: -1 });
 
 module.exports = mongoose.model("BlueCarbonEvidence", blueCarbonSchema);
@@ -0,0 +1,16 @@
+const mongoose = require("mongoose");
+
+// Invitation to register with a privileged role (Admin/Verifier cannot self-register)
+const invitationSchema = new mongoose.Schema({
+  email: { type: String, required: true, lowercase: true, trim: true, index: true },
+  role: { type: String, enum: ["Admin", "Owner", "Verifier"], required: true },
+  name: String,
+  tokenHash: { type: String, required: true, unique: true }, // SHA-256 of the invite token sent to the user
+  invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  expiresAt: { type: Date, required: true },
+  acceptedAt: { type: Date, default: null },
+  acceptedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  revokedAt: { type: Date, default: null },
+}, { timestamps: true });
+
+module.exports = mongoose.model("Invitation", invitationSchema);
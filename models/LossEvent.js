@@ -0,0 +1,86 @@
+const mongoose = require("mongoose");
+const { roundCredits } = require("../config/creditUnits");
+
+// Loss event states: REPORTED -> CONFIRMED -> CANCELLED, or REPORTED -> DISMISSED
+const LOSS_STATES = {
+  REPORTED: "REPORTED",
+  CONFIRMED: "CONFIRMED", // verified; waiting for (or retrying) the on-chain cancellation
+  CANCELLED: "CANCELLED", // the lost credits have been cancelled
+  DISMISSED: "DISMISSED",
+};
+
+const LOSS_CAUSES = ["storm", "dieback", "erosion", "disease", "fire", "human_activity", "other"];
+
+// One step of a loss event, in order; on-chain steps carry their transaction hash
+const lossStepSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ["reported", "confirmed", "dismissed", "buffer-cancelled", "owner-cancelled", "cancellation-failed", "cancellation-shortfall"],
+    required: true,
+  },
+  amount: Number,
+  transactionHash: String,
+  note: String,
+  by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  at: { type: Date, default: Date.now },
+}, { _id: false });
+
+// A reversal (storm, dieback, ...) reported on a project after credits were issued
+const lossEventSchema = new mongoose.Schema({
+  projectId: { type: String, required: true, index: true }, // Evidence.projectId
+  project: { type: mongoose.Schema.Types.ObjectId, ref: "BlueCarbonEvidence", required: true },
+  eventNumber: { type: Number, required: true },
+
+  occurredAt: { type: Date, required: true },
+  cause: { type: String, enum: LOSS_CAUSES, required: true },
+  description: { type: String, required: true },
+  affectedAreaHa: Number,
+  creditsLost: { type: Number, required: true }, // as reported
+
+  // Evidence of the loss, submitted for the project through POST /evidence
+  evidence: [{ type: mongoose.Schema.Types.ObjectId, ref: "BlueCarbonEvidence" }],
+
+  status: {
+    type: String,
+    enum: Object.values(LOSS_STATES),
+    default: LOSS_STATES.REPORTED,
+    index: true,
+  },
+  reportedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+
+  confirmation: {
+    verifier: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    creditsLost: Number, // as confirmed; this is what gets cancelled
+    comments: String,
+    at: Date,
+  },
+
+  cancellation: {
+    fromBuffer: { type: Number, default: 0 },
+    fromOwner: { type: Number, default: 0 },
+    shortfall: { type: Number, default: 0 }, // confirmed credits there was nothing left to cancel
+    completedAt: Date,
+    error: String,
+  },
+
+  steps: [lossStepSchema],
+}, { timestamps: true });
+
+lossEventSchema.index({ projectId: 1, eventNumber: 1 }, { unique: true });
+
+lossEventSchema.statics.STATES = LOSS_STATES;
+lossEventSchema.statics.CAUSES = LOSS_CAUSES;
+
+// Record a step; the caller saves the document
+lossEventSchema.methods.addStep = function (action, { amount, transactionHash, note, by } = {}) {
+  this.steps.push({ action, amount, transactionHash, note, by, at: new Date() });
+  return this;
+};
+
+// Confirmed credits not yet cancelled or written off
+lossEventSchema.methods.outstandingCredits = function () {
+  const { fromBuffer = 0, fromOwner = 0, shortfall = 0 } = this.cancellation || {};
+  return Math.max(0, roundCredits((this.confirmation?.creditsLost || 0) - fromBuffer - fromOwner - shortfall));
+};
+
+module.exports = mongoose.model("LossEvent", lossEventSchema);
@@ -0,0 +1,69 @@
+const mongoose = require("mongoose");
+
+// Monitoring period states: SUBMITTED -> APPROVED -> ISSUED, or SUBMITTED -> REJECTED
+const PERIOD_STATES = {
+  SUBMITTED: "SUBMITTED",
+  APPROVED: "APPROVED",   // verified; waiting for (or retrying) the on-chain issuance
+  ISSUED: "ISSUED",
+  REJECTED: "REJECTED",
+};
+
+// One monitoring period of a registered project and the vintage issuance it produced.
+// Period 0 stands for the credits minted at registration.
+const monitoringPeriodSchema = new mongoose.Schema({
+  projectId: { type: String, required: true, index: true }, // Evidence.projectId
+  project: { type: mongoose.Schema.Types.ObjectId, ref: "BlueCarbonEvidence", required: true },
+  periodNumber: { type: Number, required: true },
+  source: { type: String, enum: ["registration", "monitoring"], default: "monitoring" },
+  startDate: { type: Date, required: true },
+  endDate: { type: Date, required: true },
+  vintage: { type: Number, required: true, index: true }, // year of endDate (UTC)
+
+  // New evidence set measured during the period
+  evidence: [{ type: mongoose.Schema.Types.ObjectId, ref: "BlueCarbonEvidence" }],
+
+  // Carbon stock at the end of the period and at the end of the last issued one; credits are the growth
+  stockTCO2e: Number,
+  previousStockTCO2e: Number,
+  creditsIssued: { type: Number, default: 0 },
+  bufferCredits: { type: Number, default: 0 }, // share of creditsIssued withheld in the buffer pool
+
+  status: {
+    type: String,
+    enum: Object.values(PERIOD_STATES),
+    default: PERIOD_STATES.SUBMITTED,
+    index: true,
+  },
+  statusHistory: [{
+    _id: false,
+    from: String,
+    to: String,
+    at: { type: Date, default: Date.now },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    reason: String,
+  }],
+
+  verification: { type: mongoose.Schema.Types.ObjectId, ref: "Verification" },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+
+  issuance: {
+    transactionHash: String,
+    blockNumber: Number,
+    ipfsHash: String,
+    issuedAt: Date,
+    error: String,
+  },
+}, { timestamps: true });
+
+monitoringPeriodSchema.index({ projectId: 1, periodNumber: 1 }, { unique: true });
+
+monitoringPeriodSchema.statics.STATES = PERIOD_STATES;
+
+// Record a status change; the caller saves the document
+monitoringPeriodSchema.methods.moveTo = function (to, { by, reason } = {}) {
+  this.statusHistory.push({ from: this.status, to, at: new Date(), by, reason });
+  this.status = to;
+  return this;
+};
+
+module.exports = mongoose.model("MonitoringPeriod", monitoringPeriodSchema);
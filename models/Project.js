@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { STATES } = require("../config/projectLifecycle");
 
 const projectStampSchema = new mongoose.Schema(
   {
@@ -26,16 +27,37 @@ const projectStampSchema = new mongoose.Schema(
       }
     },
     assignedInspector: {
-      type: mongoose.Schema.Types.ObjectId, // verifier
+      type: mongoose.Schema.Types.ObjectId, // lead verifier (first of assignedVerifiers)
       ref: "User",
       default: null,
       index: true,
     },
+    // Verifiers who may vote on the project (utils/verifierAssignment.js)
+    assignedVerifiers: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        index: true,
+      },
+    ],
+    assignedAt: { type: Date, default: null },
+    assignedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    // Mirrors the project's Evidence status (config/projectLifecycle.js)
     status: {
       type: String,
-      enum: ["Pending", "Under Review", "Verified", "Completed", "Retired"],
-      default: "Pending",
+      enum: Object.values(STATES),
+      default: STATES.SUBMITTED,
     },
+    statusHistory: [
+      {
+        _id: false,
+        from: String,
+        to: String,
+        at: { type: Date, default: Date.now },
+        by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        reason: String,
+      },
+    ],
     createdAt: {
       type: Date,
       default: Date.now,
@@ -44,4 +66,23 @@ const projectStampSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+/**
+ * Copy a project's new lifecycle state onto its stamp
+ * The Evidence document has already been checked with applyTransition(), so the stamp
+ * follows it rather than being validated on its own.
+ */
+projectStampSchema.statics.syncStatus = async function (projectId, to, { by, reason } = {}) {
+  const stamp = await this.findOne({ projectId }).select("status").lean();
+  if (!stamp || stamp.status === to) return stamp;
+
+  return this.findOneAndUpdate(
+    { _id: stamp._id },
+    {
+      $set: { status: to },
+      $push: { statusHistory: { from: stamp.status, to, at: new Date(), by, reason } },
+    },
+    { new: true }
+  );
+};
+
 module.exports = mongoose.model("ProjectStamp", projectStampSchema);
@@ -0,0 +1,18 @@
+const mongoose = require("mongoose");
+
+// Server-side record of an issued refresh token (only the SHA-256 hash is stored)
+const refreshTokenSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true, unique: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+  sessionId: { type: String, required: true, index: true }, // shared by every token in one login session
+  expiresAt: { type: Date, required: true },
+  createdAt: { type: Date, default: Date.now },
+  createdByIp: String,
+  revokedAt: { type: Date, default: null },
+  revokedReason: String,
+  replacedByHash: { type: String, default: null }, // set when rotated
+});
+
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RefreshToken", refreshTokenSchema);
@@ -0,0 +1,14 @@
+const mongoose = require("mongoose");
+
+// Denylist of access token IDs (jti) and session IDs (sid) checked by authMiddleware
+const revokedTokenSchema = new mongoose.Schema({
+  tokenId: { type: String, required: true, unique: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  reason: String,
+  revokedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true }, // no need to keep entries once the token would have expired anyway
+});
+
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RevokedToken", revokedTokenSchema);
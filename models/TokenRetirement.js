@@ -0,0 +1,23 @@
+const mongoose = require("mongoose");
+
+// Ledger of BCARB retirements, indexed from the token's TokensRetired events (utils/retirementLedger.js)
+const tokenRetirementSchema = new mongoose.Schema({
+  retirementId: { type: Number, required: true, unique: true }, // on-chain id, from 1
+  holder: { type: String, required: true, index: true },       // address that burned the tokens (lowercase)
+  amount: { type: String, required: true },                   // BCARB, decimal string
+  amountWei: { type: String, required: true },
+  beneficiary: { type: String, required: true, index: true },
+  reason: { type: String, required: true },
+  periodStart: Date, // claimed period; unset when the retirement did not claim one
+  periodEnd: Date,
+
+  tokenAddress: { type: String, required: true },
+  transactionHash: { type: String, required: true, index: true },
+  logIndex: { type: Number, required: true },
+  blockNumber: { type: Number, required: true, index: true },
+  retiredAt: Date, // block timestamp
+
+  indexedAt: { type: Date, default: Date.now },
+});
+
+module.exports = mongoose.model("TokenRetirement", tokenRetirementSchema);
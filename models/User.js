@@ -5,7 +5,19 @@ const userSchema = new mongoose.Schema({
   email: { type: String, unique: true },
   password: String, // store hashed password
   role: { type: String, enum: ["Admin", "Owner", "Verifier"], required: true },
-  walletAddress: { type: String, default: null } // Wallet address for blockchain transactions
-});
+  walletAddress: { type: String, default: null }, // Wallet address for blockchain transactions
+  walletVerifiedAt: { type: Date, default: null }, // Set when ownership is proven via Sign-In With Ethereum
+
+  // Account state (deactivated users are rejected by authMiddleware)
+  isActive: { type: Boolean, default: true },
+  deactivatedAt: { type: Date, default: null },
+  deactivatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+
+  invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null }, // Admin who invited a privileged user
+
+  // Verifier assignment (utils/verifierAssignment.js)
+  organization: { type: String, default: null }, // set by an Admin; used for conflict-of-interest checks
+  lastAssignedAt: { type: Date, default: null }  // round-robin position
+}, { timestamps: true });
 
 module.exports = mongoose.models.User || mongoose.model('User', userSchema);
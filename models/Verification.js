@@ -8,6 +8,35 @@ const verificationSchema = new mongoose.Schema({
   comments: String,
   verifier: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
   verifiedAt: { type: Date, default: Date.now },
+  round: { type: Number, default: 1 }, // project review round this decision belongs to
+  monitoringPeriod: { type: mongoose.Schema.Types.ObjectId, ref: "MonitoringPeriod", default: null }, // set for monitoring period reviews
+  // Set when an Admin settles a dissenting (Rejected) vote on a quorum project
+  dissentResolution: {
+    decision: { type: String, enum: ["upheld", "overridden"] },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    at: Date,
+    comments: String,
+  },
+  requiredChanges: [{
+    _id: false,
+    field: String,
+    evidenceId: { type: mongoose.Schema.Types.ObjectId, ref: "BlueCarbonEvidence" },
+    message: String,
+  }],
+  // Completed site checklist (config/verificationChecklists.js), required to approve
+  checklist: {
+    version: String,
+    ecosystemType: String,
+    items: [{
+      _id: false,
+      itemId: String,
+      label: String,
+      mandatory: Boolean,
+      result: { type: String, enum: ["pass", "fail", "n/a"] },
+      evidenceRefs: [String], // evidence ids, file names or hashes backing the result
+      notes: String,
+    }],
+  },
 
   // Additional fields for verification process
 
@@ -56,7 +85,30 @@ const verificationSchema = new mongoose.Schema({
   },
 
   // Co2 sequestration estimate for verification
-  co2Estimate: Number,    // calculated carbon sequestration
+  co2Estimate: Number,    // tCO2e this approval credits
+  carbonCalculation: mongoose.Schema.Types.Mixed, // breakdown credited: the owner's, or the verifier's when lower and out of tolerance
+  measuredCalculation: mongoose.Schema.Types.Mixed, // breakdown from the verifier's own measurements
+
+  // Owner evidence vs verifier measurements (utils/discrepancyAnalysis.js)
+  discrepancy: {
+    fields: [{
+      _id: false,
+      field: String,
+      owner: Number,
+      verifier: Number,
+      deviationPercent: Number,
+      tolerancePercent: Number,
+      distanceM: Number,   // gpsDistanceM only
+      toleranceM: Number,
+      exceeded: Boolean,
+    }],
+    exceeded: Boolean,
+    basis: { type: String, enum: ["owner", "verifier"] },
+    ownerTCO2e: Number,
+    verifierTCO2e: Number,
+    creditedTCO2e: Number,
+    analyzedAt: Date,
+  },
 
   // Verification photos and videos (optional for verification purposes)
   photos: [String], // URLs or hashes
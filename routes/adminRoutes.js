@@ -1,21 +1,59 @@
 const express = require('express');
 const router = express.Router();
 const adminController = require('../controllers/adminController');
+const auditController = require('../controllers/auditController');
+const bufferController = require('../controllers/bufferController');
 const authMiddleware = require('../middlewares/authMiddleware');
-const roleMiddleware = require('../middlewares/roleMiddleware');
+const requirePermission = require('../middlewares/permissionMiddleware');
 
-// Apply authentication and admin role check
+// Apply authentication to all admin routes
 router.use(authMiddleware);
-router.use(roleMiddleware(['Admin']));
+
+const dashboard = requirePermission('admin:dashboard');
+const manageUsers = requirePermission('users:manage');
+const readAudit = requirePermission('audit:read');
+const assignVerifiers = requirePermission('verification:assign');
+const manageBuffer = requirePermission('buffer:manage');
 
 // Get all pending projects
-router.get('/pending-projects', adminController.getPendingProjects);
+router.get('/pending-projects', dashboard, adminController.getPendingProjects);
 
 // Get all approved projects with minting details
-router.get('/approved-projects', adminController.getApprovedProjects);
+router.get('/approved-projects', dashboard, adminController.getApprovedProjects);
 
 // Get admin statistics
-router.get('/statistics', adminController.getAdminStatistics);
+router.get('/statistics', dashboard, adminController.getAdminStatistics);
+
+// Verifier assignment (manual or round-robin)
+router.post('/projects/auto-assign', assignVerifiers, adminController.autoAssignPendingProjects);
+router.post('/projects/:projectId/assign', assignVerifiers, adminController.assignProjectVerifiers);
+router.post('/projects/:projectId/auto-assign', assignVerifiers, adminController.autoAssignProjectVerifiers);
+
+// Non-permanence buffer pool: risk scores, reversals (cancel) and end-of-project release
+router.get('/buffer-pool', manageBuffer, bufferController.getBufferPool);
+router.patch('/projects/:projectId/risk', manageBuffer, bufferController.setRiskScore);
+router.post('/projects/:projectId/buffer/cancel', manageBuffer, bufferController.cancelBufferCredits);
+router.post('/projects/:projectId/buffer/release', manageBuffer, bufferController.releaseBufferCredits);
+
+// User management
+router.get('/users', manageUsers, adminController.listUsers);
+router.get('/users/:userId', manageUsers, adminController.getUser);
+router.patch('/users/:userId', manageUsers, adminController.updateUser);
+router.post('/users/:userId/deactivate', manageUsers, adminController.deactivateUser);
+router.post('/users/:userId/reactivate', manageUsers, adminController.reactivateUser);
+
+// Revoke all sessions (refresh and access tokens) for a user
+router.post('/users/:userId/revoke-sessions', manageUsers, adminController.revokeUserSessions);
+
+// Invitations for privileged roles
+router.post('/invitations', manageUsers, adminController.createInvitation);
+router.get('/invitations', manageUsers, adminController.listInvitations);
+router.delete('/invitations/:invitationId', manageUsers, adminController.revokeInvitation);
+
+// Audit log: query, export (?format=csv|json) and hash-chain verification
+router.get('/audit', readAudit, auditController.getAuditEvents);
+router.get('/audit/export', readAudit, auditController.exportAuditEvents);
+router.get('/audit/verify', readAudit, auditController.verifyAuditChain);
 
 module.exports = router;
 
@@ -2,18 +2,22 @@ const express = require('express');
 const router = express.Router();
 const blockchainController = require('../controllers/blockchainController');
 const authMiddleware = require('../middlewares/authMiddleware');
+const requirePermission = require('../middlewares/permissionMiddleware');
 
 // Apply authentication middleware to all routes
 router.use(authMiddleware);
 
 // Register project on blockchain
-router.post('/register/:projectId', blockchainController.registerProject);
+router.post('/register/:projectId', requirePermission('blockchain:register'), blockchainController.registerProject);
 
 // Retire carbon credits
-router.post('/retire/:projectId', blockchainController.retireCredits);
+router.post('/retire/:projectId', requirePermission('credits:retire'), blockchainController.retireCredits);
+
+// Retirement history (?onChain=true adds the registry's records)
+router.get('/retire/:projectId', blockchainController.getRetirementHistory);
 
 // Update project status on blockchain
-router.put('/status/:projectId', blockchainController.updateProjectStatus);
+router.put('/status/:projectId', requirePermission('project:update-status'), blockchainController.updateProjectStatus);
 
 // Get project data from blockchain
 router.get('/project/:projectId', blockchainController.getProjectFromBlockchain);
@@ -30,10 +34,19 @@ router.get('/verify/:projectId', blockchainController.verifyProjectOnBlockchain)
 // Get token URI for a project
 router.get('/token-uri/:projectId', blockchainController.getTokenURI);
 
+// Resolve and validate the metadata of any token
+router.get('/metadata/:tokenId', blockchainController.getTokenMetadata);
+
+// Write the database's metadata CID to a token that lacks it
+router.post('/metadata/:tokenId/restore', requirePermission('blockchain:sync'), blockchainController.restoreTokenMetadata);
+
 // Get token/contract info for frontend (MetaMask)
 router.get('/token-info', blockchainController.getTokenInfo);
 
+// Vintage credits held by an address (?projectId= for one project)
+router.get('/vintage-balances/:address', blockchainController.getVintageBalances);
+
 // Sync project with blockchain data
-router.post('/sync/:projectId', blockchainController.syncProjectWithBlockchain);
+router.post('/sync/:projectId', requirePermission('blockchain:sync'), blockchainController.syncProjectWithBlockchain);
 
 module.exports = router;
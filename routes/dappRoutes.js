@@ -1,15 +1,18 @@
 const express = require("express");
 const router = express.Router();
 const dapp = require("../controllers/dappController");
+const authMiddleware = require("../middlewares/authMiddleware");
+const requirePermission = require("../middlewares/permissionMiddleware");
 
 // Build unsigned tx payloads for MetaMask
-router.post("/build/register-project", dapp.buildRegisterProjectTx);
+// registerProject is owner-only on the registry; projects are normally registered on approval
+router.post("/build/register-project", authMiddleware, requirePermission("registry:register"), dapp.buildRegisterProjectTx);
 router.post("/build/transfer", dapp.buildTransferTx);
 router.post("/build/approve", dapp.buildApproveTx);
 router.post("/build/transfer-from", dapp.buildTransferFromTx);
-
-// Optional server-signed registration
-router.post("/server/register-project", dapp.serverRegisterProject);
+router.post("/build/retire", dapp.buildRetireTx);
+router.post("/build/wrap", dapp.buildWrapTx);
+router.post("/build/unwrap", dapp.buildUnwrapTx);
 
 // Token details for easy MetaMask import
 router.get("/token", dapp.tokenDetails);
@@ -2,9 +2,10 @@ const express = require("express");
 const router = express.Router();
 const { submitEvidence } = require("../controllers/evidenceController");
 const authMiddleware = require("../middlewares/authMiddleware");
-const roleMiddleware = require("../middlewares/roleMiddleware");
+const requirePermission = require("../middlewares/permissionMiddleware");
+const { evidenceUpload } = require("../middlewares/uploadMiddleware");
 
-// Inspector-only route
-router.post("/", authMiddleware, roleMiddleware(["Owner", "Inspector"]), submitEvidence);
+// Submit field evidence (JSON, or multipart/form-data with photos, videos and documents files)
+router.post("/", authMiddleware, requirePermission("evidence:submit"), evidenceUpload, submitEvidence);
 
 module.exports = router;
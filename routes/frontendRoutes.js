@@ -2,6 +2,12 @@ const express = require('express');
 const router = express.Router();
 const blockchainService = require('../utils/blockchainService');
 const authMiddleware = require('../middlewares/authMiddleware');
+const { calculateCarbon } = require('../utils/carbonCalculator');
+const { transformPayload } = require('../controllers/evidenceController');
+
+// Carbon estimate for frontend form data, using the same engine as evidence submission
+const estimateCarbon = (formData) =>
+  calculateCarbon(transformPayload(formData), { areaHectares: formData.area });
 
 // Apply authentication middleware to all routes
 router.use(authMiddleware);
@@ -49,22 +55,15 @@ router.post('/register-project', async (req, res) => {
       });
     }
 
-    // Calculate CO2 sequestration if not provided
-    if (!frontendData.estimatedCO2Sequestration || frontendData.estimatedCO2Sequestration === 0) {
-      try {
-        const co2Sequestration = await blockchainService.contract.calculateCO2Sequestration(
-          frontendData.treeCount,
-          frontendData.averageHeight || 1,
-          frontendData.averageLength || 1,
-          frontendData.averageBreadth || 1,
-          frontendData.ecosystemType
-        );
-        frontendData.estimatedCO2Sequestration = co2Sequestration.toString();
-      } catch (error) {
-        console.warn('Could not calculate CO2 sequestration:', error.message);
-        // Continue without calculation
-      }
+    // CO2 sequestration is always calculated server-side; a client-supplied figure is ignored
+    const carbonCalculation = estimateCarbon(frontendData);
+    if (carbonCalculation.totalTCO2e <= 0) {
+      return res.status(400).json({
+        error: 'Carbon calculation produced no creditable tCO2e',
+        carbonCalculation
+      });
     }
+    frontendData.estimatedCO2Sequestration = carbonCalculation.totalTCO2e;
 
     // Register project on blockchain
     const result = await blockchainService.registerProjectFromFrontend(frontendData);
@@ -81,7 +80,8 @@ router.post('/register-project', async (req, res) => {
         projectId: frontendData.projectId,
         projectName: frontendData.projectName,
         ecosystemType: frontendData.ecosystemType,
-        carbonCredits: frontendData.estimatedCO2Sequestration
+        carbonCredits: frontendData.estimatedCO2Sequestration,
+        carbonCalculation
       }
     });
   } catch (error) {
@@ -99,38 +99,23 @@ router.post('/register-project', async (req, res) => {
  */
 router.post('/calculate-co2', async (req, res) => {
   try {
-    const { treeCount, averageHeight, averageLength, averageBreadth, ecosystemType } = req.body;
+    const { ecosystemType } = req.body;
 
     // Validate required fields
-    if (!treeCount || !ecosystemType) {
+    if (!ecosystemType) {
       return res.status(400).json({ 
-        error: 'Tree count and ecosystem type are required' 
+        error: 'Ecosystem type is required' 
       });
     }
 
-    // Initialize blockchain service if needed
-    if (!blockchainService.contract) {
-      await blockchainService.initialize();
-    }
-
-    // Calculate CO2 sequestration
-    const co2Sequestration = await blockchainService.contract.calculateCO2Sequestration(
-      treeCount,
-      averageHeight || 1,
-      averageLength || 1,
-      averageBreadth || 1,
-      ecosystemType
-    );
+    // Same form fields as project registration / evidence submission
+    const carbonCalculation = estimateCarbon(req.body);
 
     res.json({
       success: true,
       data: {
-        co2Sequestration: co2Sequestration.toString(),
-        treeCount,
-        ecosystemType,
-        averageHeight: averageHeight || 1,
-        averageLength: averageLength || 1,
-        averageBreadth: averageBreadth || 1
+        co2Sequestration: carbonCalculation.totalTCO2e,
+        carbonCalculation
       }
     });
   } catch (error) {
@@ -2,11 +2,12 @@ const express = require('express');
 const router = express.Router();
 const marketplaceController = require('../controllers/marketplaceController');
 const authMiddleware = require('../middlewares/authMiddleware');
+const requirePermission = require('../middlewares/permissionMiddleware');
 
 router.use(authMiddleware);
 
 // Create a new listing
-router.post('/list', marketplaceController.createListing);
+router.post('/list', requirePermission('marketplace:list'), marketplaceController.createListing);
 
 // Get active listings
 router.get('/listings', marketplaceController.getListings);
@@ -2,13 +2,14 @@ const express = require('express');
 const router = express.Router();
 const progressController = require('../controllers/progressController');
 const authMiddleware = require('../middlewares/authMiddleware');
+const requirePermission = require('../middlewares/permissionMiddleware');
 
 /**
  * @route POST /api/progress/start/:projectId
  * @desc Start project registration with progress tracking
- * @access Private
+ * @access Private (blockchain:register)
  */
-router.post('/start/:projectId', authMiddleware, progressController.startProjectRegistration);
+router.post('/start/:projectId', authMiddleware, requirePermission('blockchain:register'), progressController.startProjectRegistration);
 
 /**
  * @route GET /api/progress/:sessionId
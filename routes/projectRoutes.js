@@ -1,14 +1,16 @@
 const express = require("express");
 const router = express.Router();
 const authMiddleware = require("../middlewares/authMiddleware");
-const roleMiddleware = require("../middlewares/roleMiddleware");
+const requirePermission = require("../middlewares/permissionMiddleware");
 const projectController = require("../controllers/projectController");
+const monitoringController = require("../controllers/monitoringController");
+const lossEventController = require("../controllers/lossEventController");
 
-// Register a new project (Owner, Inspector, or Verifier can register)
+// Register a new project
 router.post(
   "/register",
   authMiddleware,
-  roleMiddleware(["Owner", "Inspector", "Verifier", "Admin"]),
+  requirePermission("project:register"),
   projectController.registerProject
 );
 
@@ -16,26 +18,118 @@ router.post(
 router.get(
   "/my-projects",
   authMiddleware,
-  roleMiddleware(["Register", "Owner", "Inspector"]),
+  requirePermission("project:read-own"),
   projectController.getUserProjects
 );
 
-// Get all projects assigned to the user (Inspector role)
+// Get all projects assigned to the user for inspection
 router.get(
   "/assigned",
   authMiddleware,
-  roleMiddleware(["Owner", "Inspector"]),
+  requirePermission("project:read-assigned"),
   projectController.getAssignedProjects
 );
 
-// Get all projects (Admin/Verifier only)
+// Get all projects awaiting verification
 router.get(
   "/allID",
   authMiddleware,
-  roleMiddleware(["Verifier"]),
+  requirePermission("project:read-all"),
   projectController.getAllProjectsID
 );
 
+// Edit a rejected project and resubmit it for review
+router.put(
+  "/:projectId/resubmit",
+  authMiddleware,
+  requirePermission("project:resubmit"),
+  projectController.resubmitProject
+);
+
+// Monitoring periods: submit, list, verify and (re)issue their vintage credits
+router.post(
+  "/:projectId/monitoring-periods",
+  authMiddleware,
+  requirePermission("monitoring:submit"),
+  monitoringController.createMonitoringPeriod
+);
+
+router.get(
+  "/:projectId/monitoring-periods",
+  authMiddleware,
+  monitoringController.getMonitoringPeriods
+);
+
+router.post(
+  "/:projectId/monitoring-periods/:periodNumber/approve",
+  authMiddleware,
+  requirePermission("monitoring:verify"),
+  monitoringController.approveMonitoringPeriod
+);
+
+router.post(
+  "/:projectId/monitoring-periods/:periodNumber/reject",
+  authMiddleware,
+  requirePermission("monitoring:verify"),
+  monitoringController.rejectMonitoringPeriod
+);
+
+router.post(
+  "/:projectId/monitoring-periods/:periodNumber/issue",
+  authMiddleware,
+  requirePermission("blockchain:register"),
+  monitoringController.retryIssuance
+);
+
+// Get credits issued per vintage
+router.get(
+  "/:projectId/vintages",
+  authMiddleware,
+  monitoringController.getVintages
+);
+
+// Loss events (reversals): report, list, confirm or dismiss, and retry the credit cancellation
+router.post(
+  "/:projectId/loss-events",
+  authMiddleware,
+  requirePermission("loss:report"),
+  lossEventController.reportLossEvent
+);
+
+router.get(
+  "/:projectId/loss-events",
+  authMiddleware,
+  lossEventController.getLossEvents
+);
+
+router.post(
+  "/:projectId/loss-events/:eventNumber/confirm",
+  authMiddleware,
+  requirePermission("loss:confirm"),
+  lossEventController.confirmLossEvent
+);
+
+router.post(
+  "/:projectId/loss-events/:eventNumber/dismiss",
+  authMiddleware,
+  requirePermission("loss:confirm"),
+  lossEventController.dismissLossEvent
+);
+
+router.post(
+  "/:projectId/loss-events/:eventNumber/cancel",
+  authMiddleware,
+  requirePermission("blockchain:register"),
+  lossEventController.retryCancellation
+);
+
+// Get a project's boundary as GeoJSON
+router.get(
+  "/:projectId/boundary",
+  authMiddleware,
+  projectController.getProjectBoundary
+);
+
 // Get a single project by ID
 router.get(
   "/:projectId",
@@ -0,0 +1,23 @@
+const express = require("express");
+const router = express.Router();
+const retirementController = require("../controllers/retirementController");
+const authMiddleware = require("../middlewares/authMiddleware");
+const requirePermission = require("../middlewares/permissionMiddleware");
+
+// Public verification of registry retirements and their certificates
+router.get("/:id/verify", retirementController.verifyRetirement);
+router.post("/verify-certificate", retirementController.verifyCertificate);
+
+router.use(authMiddleware);
+
+// BCARB retirement ledger, indexed from TokensRetired events
+router.get("/", retirementController.getRetirements);
+router.post("/index", retirementController.indexRetirementTx);
+router.post("/sync", requirePermission("blockchain:sync"), retirementController.syncRetirementLedger);
+
+// Certificate for a registry retirement (?format=pdf|jsonld)
+router.get("/:id/certificate", retirementController.getCertificate);
+
+router.get("/:id", retirementController.getRetirement);
+
+module.exports = router;
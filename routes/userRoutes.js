@@ -1,17 +1,19 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
+const Invitation = require('../models/Invitation');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-
-
-
+const authMiddleware = require('../middlewares/authMiddleware');
+const userController = require('../controllers/userController');
+const { issueSession, hashToken } = require('../utils/authTokens');
 
+// POST /api/auth/register
+// Anyone can register as an Owner; Admin and Verifier accounts require an invitation
 router.post('/register', async (req, res) => {
-  const { name, email, password, role } = req.body;
+  const { name, email, password, role = 'Owner', inviteToken } = req.body;
 
   // Basic validation
-  if (!name || !email || !password || !role) {
+  if (!name || !email || !password) {
     return res.status(400).json({ message: 'Please provide all required fields' });
   }
 
@@ -20,6 +22,23 @@ router.post('/register', async (req, res) => {
     const existingUser = await User.findOne({ email });
     if (existingUser) return res.status(400).json({ message: 'User already exists' });
 
+    // Resolve the role from the invitation, if any
+    let invitation = null;
+    if (inviteToken) {
+      invitation = await Invitation.findOne({
+        tokenHash: hashToken(inviteToken),
+        acceptedAt: null,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+      });
+
+      if (!invitation || invitation.email !== String(email).toLowerCase().trim()) {
+        return res.status(400).json({ message: 'Invitation is invalid, expired or issued for a different email' });
+      }
+    } else if (role !== 'Owner') {
+      return res.status(403).json({ message: `An invitation is required to register as ${role}` });
+    }
+
     // Hash password
     const salt = await bcrypt.genSalt(10);
     const hashedPassword = await bcrypt.hash(password, salt);
@@ -29,12 +48,19 @@ router.post('/register', async (req, res) => {
       name,
       email,
       password: hashedPassword,
-      role
+      role: invitation ? invitation.role : 'Owner',
+      invitedBy: invitation ? invitation.invitedBy : null
     });
 
     await newUser.save();
 
-    res.status(201).json({ message: 'User created successfully' });
+    if (invitation) {
+      invitation.acceptedAt = new Date();
+      invitation.acceptedBy = newUser._id;
+      await invitation.save();
+    }
+
+    res.status(201).json({ message: 'User created successfully', role: newUser.role });
   } catch (err) {
     console.error(err);
     res.status(500).json({ message: 'Server error' });
@@ -55,22 +81,40 @@ router.post('/login', async (req, res) => {
     const isMatch = await bcrypt.compare(password, user.password);
     if (!isMatch) return res.status(400).json({ message: 'Invalid credentials' });
 
-    // 3. Generate JWT token
-    const payload = {
-      id: user._id,
-      role: user.role,
-      name: user.name,
-      email: user.email,
-    };
+    if (user.isActive === false) return res.status(403).json({ message: 'Account has been deactivated' });
 
-    const token = jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '7d' });
+    // 3. Start a session: short-lived access token + rotating refresh token
+    const session = await issueSession(user, req.ip);
 
-    // 4. Send token back
-    res.json({ token });
+    // 4. Send tokens back
+    res.json(session);
   } catch (err) {
     console.error(err);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// POST /api/auth/refresh - rotate refresh token and get a new access token
+router.post('/refresh', userController.refreshToken);
+
+// POST /api/auth/logout - revoke the current session
+router.post('/logout', authMiddleware, userController.logout);
+
+// Self-service profile
+// GET /api/auth/me - current user's profile
+router.get('/me', authMiddleware, userController.getProfile);
+
+// PATCH /api/auth/me - update name, or bind a wallet with a signed SIWE message
+router.patch('/me', authMiddleware, userController.updateProfile);
+
+// Sign-In With Ethereum (EIP-4361)
+// POST /api/auth/siwe/nonce - get a one-time challenge to sign
+router.post('/siwe/nonce', userController.requestNonce);
+
+// POST /api/auth/siwe/login - log in with a signed challenge
+router.post('/siwe/login', userController.siweLogin);
+
+// POST /api/auth/siwe/link - prove ownership of a wallet and link it to the logged-in user
+router.post('/siwe/link', authMiddleware, userController.linkWallet);
+
 module.exports = router;
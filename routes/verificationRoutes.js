@@ -2,62 +2,74 @@ const express = require("express");
 const router = express.Router();
 const verificationController = require("../controllers/verificationController");
 const authMiddleware = require("../middlewares/authMiddleware");
-const roleMiddleware = require("../middlewares/roleMiddleware");
+const requirePermission = require("../middlewares/permissionMiddleware");
 
 // Apply authentication middleware to all routes
 router.use(authMiddleware);
 
-// Get all projects pending verification (Verifiers only)
+// Get all projects pending verification
 router.get("/pending", 
-  roleMiddleware(["Verifier", "Admin"]), 
+  requirePermission("verification:read"), 
   verificationController.getPendingVerifications
 );
 
-// Get verification details for a specific project (Verifiers only)
+// Get the checklist a verifier completes for an ecosystem type
+router.get("/checklist/:ecosystemType",
+  requirePermission("verification:read"),
+  verificationController.getChecklist
+);
+
+// Get verification details for a specific project
 router.get("/project/:projectId", 
-  roleMiddleware(["Verifier", "Admin"]), 
+  requirePermission("verification:read"), 
   verificationController.getVerificationDetails
 );
 
-// Approve a project and register it on blockchain (Verifiers only)
+// Approve a project and register it on blockchain
 router.post("/approve/:projectId", 
-  roleMiddleware(["Verifier", "Admin"]), 
+  requirePermission("project:approve"), 
   verificationController.approveProject
 );
 
-// Reject a project (Verifiers only)
+// Reject a project
 router.post("/reject/:projectId", 
-  roleMiddleware(["Verifier", "Admin"]), 
+  requirePermission("project:reject"), 
   verificationController.rejectProject
 );
 
-// Retry blockchain registration for a verified project (Verifiers/Admins only)
+// Settle dissenting votes on a quorum project
+router.post("/resolve-dissent/:projectId", 
+  requirePermission("verification:resolve-dissent"), 
+  verificationController.resolveDissent
+);
+
+// Retry blockchain registration for a verified project
 router.post("/retry-blockchain/:projectId", 
-  roleMiddleware(["Verifier", "Admin"]), 
+  requirePermission("blockchain:register"), 
   verificationController.retryBlockchainRegistration
 );
 
-// Get verification history for a project (Verifiers/Admins only)
+// Get verification history for a project
 router.get("/history/:projectId", 
-  roleMiddleware(["Verifier", "Admin"]), 
+  requirePermission("verification:read"), 
   verificationController.getVerificationHistory
 );
 
-// Get all verified projects (Verifiers/Admins only)
+// Get all verified projects
 router.get("/verified", 
-  roleMiddleware(["Verifier", "Admin"]), 
+  requirePermission("verification:read"), 
   verificationController.getVerifiedProjects
 );
 
-// Get all pending evidence for verification (Verifiers only)
+// Get all pending evidence for verification
 router.get("/pending-evidence", 
-  roleMiddleware(["Verifier", "Admin"]), 
+  requirePermission("verification:read"), 
   verificationController.getPendingEvidence
 );
 
-// Submit verification for evidence (Verifiers only)
+// Submit verification for evidence
 router.post("/submit", 
-  roleMiddleware(["Verifier", "Admin"]), 
+  requirePermission("evidence:verify"), 
   verificationController.submitVerification
 );
 
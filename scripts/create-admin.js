@@ -0,0 +1,53 @@
+/* eslint-disable no-console */
+// Bootstrap the first Admin account (Admins can no longer self-register).
+// Usage: node scripts/create-admin.js --email admin@example.com --password secret --name "Registry Admin"
+require('dotenv').config();
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const User = require('../models/User');
+
+function getArg(name, defaultValue) {
+  const flag = `--${name}`;
+  const idx = process.argv.indexOf(flag);
+  if (idx !== -1 && process.argv[idx + 1]) {
+    return process.argv[idx + 1];
+  }
+  const envKey = `ADMIN_${name.toUpperCase()}`;
+  if (process.env[envKey]) {
+    return process.env[envKey];
+  }
+  return defaultValue;
+}
+
+async function main() {
+  const email = getArg('email');
+  const password = getArg('password');
+  const name = getArg('name', 'Admin');
+
+  if (!email || !password) {
+    throw new Error('Provide --email and --password (or ADMIN_EMAIL / ADMIN_PASSWORD)');
+  }
+
+  await connectDB();
+
+  const existing = await User.findOne({ email });
+  if (existing) {
+    existing.role = 'Admin';
+    existing.isActive = true;
+    existing.deactivatedAt = null;
+    await existing.save();
+    console.log(`Promoted existing user ${email} to Admin`);
+  } else {
+    const hashedPassword = await bcrypt.hash(password, await bcrypt.genSalt(10));
+    await User.create({ name, email, password: hashedPassword, role: 'Admin' });
+    console.log(`Created Admin ${email}`);
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
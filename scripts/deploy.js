@@ -14,18 +14,37 @@ async function main() {
 	const blueCarbonAddress = await blueCarbon.getAddress();
 	console.log('BlueCarbon deployed at:', blueCarbonAddress);
 
-	// Deploy CarbonCreditRegistry with token address
+	// Deploy VintageCredit (ERC1155 per project and vintage), wrapping into BCARB
+	const VintageCredit = await hre.ethers.getContractFactory('VintageCredit');
+	const vintageCredit = await VintageCredit.deploy(blueCarbonAddress, process.env.VINTAGE_CREDIT_URI || '');
+	await vintageCredit.waitForDeployment();
+	const vintageCreditAddress = await vintageCredit.getAddress();
+	console.log('VintageCredit deployed at:', vintageCreditAddress);
+
+	// Deploy CarbonCreditRegistry with token addresses
 	const CarbonCreditRegistry = await hre.ethers.getContractFactory('CarbonCreditRegistry');
-	const registry = await CarbonCreditRegistry.deploy(blueCarbonAddress);
+	const registry = await CarbonCreditRegistry.deploy(blueCarbonAddress, vintageCreditAddress);
 	await registry.waitForDeployment();
 	const registryAddress = await registry.getAddress();
 	console.log('CarbonCreditRegistry deployed at:', registryAddress);
 
-	// Grant MINTER_ROLE to registry on token
+	// Grant MINTER_ROLE (buffer pool) and CANCELLER_ROLE (retiring BCARB) to registry on token
 	const MINTER_ROLE = await blueCarbon.MINTER_ROLE();
+	const CANCELLER_ROLE = await blueCarbon.CANCELLER_ROLE();
 	const grantTx = await blueCarbon.grantRole(MINTER_ROLE, registryAddress);
 	await grantTx.wait();
-	console.log('Granted MINTER_ROLE to registry');
+	await (await blueCarbon.grantRole(CANCELLER_ROLE, registryAddress)).wait();
+	console.log('Granted MINTER_ROLE and CANCELLER_ROLE to registry');
+
+	// Grant MINTER_ROLE and CANCELLER_ROLE to VintageCredit on token (wrap and unwrap)
+	await (await blueCarbon.grantRole(MINTER_ROLE, vintageCreditAddress)).wait();
+	await (await blueCarbon.grantRole(CANCELLER_ROLE, vintageCreditAddress)).wait();
+	console.log('Granted MINTER_ROLE and CANCELLER_ROLE on token to VintageCredit');
+
+	// Grant MINTER_ROLE (issuances) and CANCELLER_ROLE (retirements, confirmed reversals) to registry on VintageCredit
+	await (await vintageCredit.grantRole(await vintageCredit.MINTER_ROLE(), registryAddress)).wait();
+	await (await vintageCredit.grantRole(await vintageCredit.CANCELLER_ROLE(), registryAddress)).wait();
+	console.log('Granted MINTER_ROLE and CANCELLER_ROLE on VintageCredit to registry');
 
 	// Persist deployment info
 	const fs = require('fs');
@@ -40,10 +59,15 @@ async function main() {
 			name: 'BlueCarbon',
 			symbol: 'BCARB'
 		},
+		vintageCredit: {
+			address: vintageCreditAddress,
+			name: 'VintageCredit'
+		},
 		carbonCreditRegistry: {
 			address: registryAddress,
 			name: 'Carbon Credit Registry',
-			symbol: 'CCR'
+			symbol: 'CCR',
+			creditDecimals: 3 // credit amounts are in kg CO2e
 		},
 		roles: {
 			registryHasMinterRole: true
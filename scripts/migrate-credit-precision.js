@@ -0,0 +1,208 @@
+/* eslint-disable no-console */
+/**
+ * Move an existing deployment to the kg-precision registry (config/creditUnits.js)
+ * Older registries count whole tonnes in uint16. This deploys a new CarbonCreditRegistry on the
+ * existing BlueCarbon token and copies every project into it with the same tokenId:
+ *   1. pause the old registry
+ *   2. deploy VintageCredit (unless the deployments file has one) and the new registry, pause
+ *      it and grant the token roles
+ *   3. import each project (credits, buffer, total retired, vintages) converted to credit units;
+ *      the old registry's buffer BCARB is burned and minted again to the new one. The old registry
+ *      only kept keccak256 of each metadata CID, so projects are imported without one
+ *   4. revoke the old registry's roles and unpause the new registry
+ *   5. record the new address in deployments/<network>.json
+ * BCARB balances do not change (1 BCARB is still 1 tonne). The signer must own the old registry
+ * and be admin of the token. Afterwards point CONTRACT_ADDRESS and CARBON_CREDIT_REGISTRY_ADDRESS
+ * at the new registry; the database already stores tonnes and tokenIds are unchanged. Then restore
+ * each token's CID from the database with POST /api/blockchain/metadata/:tokenId/restore.
+ *
+ * Usage: npx hardhat run scripts/migrate-credit-precision.js --network <network>
+ * Options (flags or env): --old-registry <address> (defaults to the deployments file), --dry-run true
+ */
+require('dotenv').config();
+const hre = require('hardhat');
+const fs = require('fs');
+const path = require('path');
+const { UNITS_PER_TONNE } = require('../config/creditUnits');
+
+// The parts of the whole-tonne registry the migration reads or calls
+const OLD_REGISTRY_ABI = [
+	'function owner() view returns (address)',
+	'function paused() view returns (bool)',
+	'function pause()',
+	'function ownerOf(uint256 tokenId) view returns (address)',
+	'function projects(uint256 tokenId) view returns (string projectId, uint16 carbonCredits, uint8 status, bool isRetired, uint64 retirementDate, address projectOwner, bytes32 ipfsHash)',
+	'function bufferCredits(uint256 tokenId) view returns (uint256)',
+	'function totalRetired(uint256 tokenId) view returns (uint256)',
+	'function vintageCredits(uint256 tokenId, uint16 vintage) view returns (uint256)',
+	'function cancelBufferCredits(uint256 tokenId, uint256 amount, string reason)',
+	'event ProjectRegistered(uint256 indexed tokenId, string indexed projectId, address indexed owner, uint256 carbonCredits)',
+	'event VintageIssued(uint256 indexed tokenId, uint16 indexed vintage, uint256 amount, address indexed owner, bytes32 ipfsHash)',
+];
+
+function getArg(name) {
+	const flag = `--${name}`;
+	const idx = process.argv.indexOf(flag);
+	if (idx !== -1 && process.argv[idx + 1]) return process.argv[idx + 1];
+	const envKey = name.toUpperCase().replace(/-/g, '_');
+	return process.env[envKey];
+}
+
+// Registries deployed before a feature lack its getters; treat those as zero
+async function readOrZero(read) {
+	try {
+		return BigInt(await read());
+	} catch (_) {
+		return 0n;
+	}
+}
+
+const toUnits = (tonnes) => BigInt(tonnes) * BigInt(UNITS_PER_TONNE);
+
+async function readProject(oldRegistry, tokenId, vintageLogs) {
+	const project = await oldRegistry.projects(tokenId);
+	const vintages = [...new Set(vintageLogs
+		.filter(log => log.args.tokenId === tokenId)
+		.map(log => Number(log.args.vintage)))];
+	const vintageAmounts = [];
+	for (const vintage of vintages) {
+		vintageAmounts.push(toUnits(await readOrZero(() => oldRegistry.vintageCredits(tokenId, vintage))));
+	}
+
+	return {
+		tokenId,
+		projectId: project.projectId,
+		projectOwner: project.projectOwner,
+		holder: await oldRegistry.ownerOf(tokenId),
+		buffer: await readOrZero(() => oldRegistry.bufferCredits(tokenId)), // tonnes, for the old registry
+		carbonCredits: toUnits(project.carbonCredits),
+		retired: toUnits(await readOrZero(() => oldRegistry.totalRetired(tokenId))),
+		vintages,
+		vintageAmounts,
+	};
+}
+
+async function main() {
+	const network = hre.network.name;
+	const deploymentsPath = path.join(__dirname, `../deployments/${network}.json`);
+	if (!fs.existsSync(deploymentsPath)) {
+		throw new Error(`No deployment found for network ${network}. Run scripts/deploy.js first.`);
+	}
+	const deployments = JSON.parse(fs.readFileSync(deploymentsPath, 'utf8'));
+	const dryRun = getArg('dry-run') === 'true';
+
+	const [signer] = await hre.ethers.getSigners();
+	const oldAddress = getArg('old-registry') || deployments.carbonCreditRegistry.address;
+	const tokenAddress = deployments.blueCarbonToken.address;
+	const oldRegistry = new hre.ethers.Contract(oldAddress, OLD_REGISTRY_ABI, signer);
+	const token = await hre.ethers.getContractAt('BlueCarbon', tokenAddress);
+
+	console.log('Network:', network);
+	console.log('Signer:', signer.address);
+	console.log('Old registry:', oldAddress);
+	console.log('Token:', tokenAddress);
+
+	if ((await oldRegistry.owner()).toLowerCase() !== signer.address.toLowerCase()) {
+		throw new Error('The signer does not own the old registry');
+	}
+	const DEFAULT_ADMIN_ROLE = await token.DEFAULT_ADMIN_ROLE();
+	if (!(await token.hasRole(DEFAULT_ADMIN_ROLE, signer.address))) {
+		throw new Error('The signer is not admin of the BlueCarbon token');
+	}
+
+	// 1) Freeze the old registry before reading it
+	if (!dryRun && !(await oldRegistry.paused())) {
+		await (await oldRegistry.pause()).wait();
+		console.log('Paused old registry');
+	}
+
+	const registered = await oldRegistry.queryFilter(oldRegistry.filters.ProjectRegistered(), 0, 'latest');
+	const vintageLogs = await oldRegistry.queryFilter(oldRegistry.filters.VintageIssued(), 0, 'latest');
+	const tokenIds = registered.map(log => log.args.tokenId).sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+	const projects = [];
+	for (const tokenId of tokenIds) {
+		projects.push(await readProject(oldRegistry, tokenId, vintageLogs));
+	}
+	console.log(`Projects to migrate: ${projects.length}`);
+	for (const project of projects) {
+		console.log(`  #${project.tokenId} ${project.projectId}: ${project.carbonCredits} units, buffer ${project.buffer} t, retired ${project.retired} units, vintages [${project.vintages.join(', ')}]`);
+	}
+	if (dryRun) {
+		console.log('Dry run: nothing was changed.');
+		return;
+	}
+
+	// 2) New registry on the same token, issuing into VintageCredit
+	const MINTER_ROLE = await token.MINTER_ROLE();
+	const CANCELLER_ROLE = await token.CANCELLER_ROLE();
+	let vintageCreditAddress = deployments.vintageCredit?.address;
+	if (!vintageCreditAddress) {
+		const VintageCredit = await hre.ethers.getContractFactory('VintageCredit');
+		const deployed = await VintageCredit.deploy(tokenAddress, process.env.VINTAGE_CREDIT_URI || '');
+		await deployed.waitForDeployment();
+		vintageCreditAddress = await deployed.getAddress();
+		await (await token.grantRole(MINTER_ROLE, vintageCreditAddress)).wait();
+		await (await token.grantRole(CANCELLER_ROLE, vintageCreditAddress)).wait();
+		console.log('VintageCredit deployed at:', vintageCreditAddress);
+	}
+	const vintageCredit = await hre.ethers.getContractAt('VintageCredit', vintageCreditAddress);
+
+	const CarbonCreditRegistry = await hre.ethers.getContractFactory('CarbonCreditRegistry');
+	const registry = await CarbonCreditRegistry.deploy(tokenAddress, vintageCreditAddress);
+	await registry.waitForDeployment();
+	const registryAddress = await registry.getAddress();
+	console.log('New CarbonCreditRegistry deployed at:', registryAddress);
+
+	await (await registry.pause()).wait();
+	await (await token.grantRole(MINTER_ROLE, registryAddress)).wait();
+	await (await token.grantRole(CANCELLER_ROLE, registryAddress)).wait();
+	await (await vintageCredit.grantRole(await vintageCredit.MINTER_ROLE(), registryAddress)).wait();
+	await (await vintageCredit.grantRole(await vintageCredit.CANCELLER_ROLE(), registryAddress)).wait();
+	console.log('Granted MINTER_ROLE and CANCELLER_ROLE on BCARB and on VintageCredit to the new registry');
+
+	// 3) Copy the projects, in tokenId order
+	for (const project of projects) {
+		await (await registry.importProject(
+			project.tokenId,
+			project.projectId,
+			project.projectOwner,
+			project.holder,
+			'', // metadata CID, restored from the database afterwards
+			project.carbonCredits,
+			toUnits(project.buffer),
+			project.retired
+		)).wait();
+		if (project.vintages.length > 0) {
+			await (await registry.importVintageCredits(project.tokenId, project.vintages, project.vintageAmounts)).wait();
+		}
+		if (project.buffer > 0n) {
+			await (await oldRegistry.cancelBufferCredits(project.tokenId, project.buffer, `Migrated to registry ${registryAddress}`)).wait();
+		}
+		console.log(`Imported #${project.tokenId} ${project.projectId}`);
+	}
+
+	// 4) Hand over the token roles
+	await (await token.revokeRole(MINTER_ROLE, oldAddress)).wait();
+	await (await token.revokeRole(CANCELLER_ROLE, oldAddress)).wait();
+	await (await registry.unpause()).wait();
+	console.log('Revoked the old registry\'s roles and unpaused the new registry');
+
+	// 5) Record the new address, keeping the old one for earlier retirement events
+	deployments.previousRegistries = [
+		...(deployments.previousRegistries || []),
+		{ address: oldAddress, creditDecimals: 0, replacedAt: new Date().toISOString() },
+	];
+	deployments.vintageCredit = { address: vintageCreditAddress, name: 'VintageCredit' };
+	deployments.carbonCreditRegistry.address = registryAddress;
+	deployments.carbonCreditRegistry.creditDecimals = Number(await registry.CREDIT_DECIMALS());
+	deployments.timestamp = new Date().toISOString();
+	fs.writeFileSync(deploymentsPath, JSON.stringify(deployments, null, 2));
+	console.log('Saved deployment to:', deploymentsPath);
+	console.log(`Set CONTRACT_ADDRESS and CARBON_CREDIT_REGISTRY_ADDRESS to ${registryAddress}`);
+	console.log('Then restore each token\'s metadata CID: POST /api/blockchain/metadata/<tokenId>/restore');
+}
+
+main().catch((error) => {
+	console.error(error);
+	process.exitCode = 1;
+});
@@ -0,0 +1,78 @@
+/* eslint-disable no-console */
+// Rewrite stored Evidence and ProjectStamp statuses to lifecycle states (config/projectLifecycle.js).
+// Safe to run more than once: documents already on a lifecycle state are left alone.
+// Usage: node scripts/migrate-project-lifecycle.js [--dry-run]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Evidence = require('../models/Evidence');
+const ProjectStamp = require('../models/Project');
+const { isState, normalizeStatus } = require('../config/projectLifecycle');
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function migrate(Model, label, stateFor) {
+  const counts = { migrated: 0, unchanged: 0, unknown: 0 };
+
+  // Raw collection access: legacy values fail the new enum, so documents are not loaded as models
+  const cursor = Model.collection.find({}, { projection: { status: 1, blockchain: 1, projectId: 1, Project_ID: 1 } });
+  for await (const doc of cursor) {
+    const to = stateFor(doc);
+    if (!to) {
+      counts.unknown += 1;
+      console.warn(`${label} ${doc._id}: unknown status "${doc.status}", left unchanged`);
+      continue;
+    }
+    if (to === doc.status) {
+      counts.unchanged += 1;
+      continue;
+    }
+
+    counts.migrated += 1;
+    if (dryRun) {
+      console.log(`${label} ${doc._id}: ${doc.status} -> ${to}`);
+      continue;
+    }
+    await Model.collection.updateOne(
+      { _id: doc._id },
+      {
+        $set: { status: to },
+        $push: { statusHistory: { from: doc.status ?? null, to, at: new Date(), reason: 'Lifecycle migration' } }
+      }
+    );
+  }
+
+  console.log(`${label}: ${counts.migrated} migrated, ${counts.unchanged} unchanged, ${counts.unknown} unknown`);
+  return counts;
+}
+
+async function main() {
+  await connectDB();
+
+  // Evidence with no status predates the enum default and was awaiting review
+  const evidenceStates = new Map();
+  await migrate(Evidence, 'Evidence', (doc) => {
+    const state = doc.status ? normalizeStatus(doc.status, doc.blockchain) : normalizeStatus('PENDING');
+    // The registration document (with Project_ID) speaks for the project over extra plots
+    if (doc.projectId && state && (doc.Project_ID || !evidenceStates.has(doc.projectId))) {
+      evidenceStates.set(doc.projectId, state);
+    }
+    return state;
+  });
+
+  // A stamp follows its project's Evidence document when there is one
+  await migrate(ProjectStamp, 'ProjectStamp', (doc) => {
+    const evidenceState = evidenceStates.get(doc.projectId);
+    if (evidenceState && !isState(doc.status)) return evidenceState;
+    return doc.status ? normalizeStatus(doc.status) : normalizeStatus('Pending');
+  });
+
+  if (dryRun) console.log('Dry run: no documents were changed');
+}
+
+main()
+  .catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
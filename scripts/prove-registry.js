@@ -3,6 +3,7 @@ require('dotenv').config();
 const hre = require('hardhat');
 const fs = require('fs');
 const path = require('path');
+const { CREDIT_DECIMALS } = require('../config/creditUnits');
 
 function getArg(name) {
 	const flag = `--${name}`;
@@ -49,21 +50,22 @@ async function main() {
 			tokenId: tokenId.toString(),
 			projectId,
 			projectOwner,
-			carbonCredits: carbonCredits.toString()
+			carbonCredits: hre.ethers.formatUnits(carbonCredits, CREDIT_DECIMALS)
 		});
 	}
 
-	// 3) Latest ERC20CreditsMinted event
-	const mintFilter = reg.filters.ERC20CreditsMinted();
+	// 3) Latest VintageCreditsMinted event (owner share of an issuance, as VintageCredit)
+	const mintFilter = reg.filters.VintageCreditsMinted();
 	const mintLogs = await reg.queryFilter(mintFilter, 0, 'latest');
 	if (mintLogs.length === 0) {
-		console.log('No ERC20CreditsMinted events found.');
+		console.log('No VintageCreditsMinted events found.');
 	} else {
 		const lastM = mintLogs[mintLogs.length - 1];
-		const { tokenId, amount, to } = lastM.args;
-		console.log('Last ERC20CreditsMinted:', {
+		const { tokenId, vintage, amount, to } = lastM.args;
+		console.log('Last VintageCreditsMinted:', {
 			tokenId: tokenId.toString(),
-			amount: amount.toString(),
+			vintage: Number(vintage),
+			amount: hre.ethers.formatUnits(amount, CREDIT_DECIMALS),
 			recipient: to
 		});
 	}
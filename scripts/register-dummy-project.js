@@ -3,14 +3,13 @@ require('dotenv').config();
 const hre = require('hardhat');
 const fs = require('fs');
 const path = require('path');
+const { toCreditUnits } = require('../config/creditUnits');
 
 // Default owner (MetaMask) fallback if not provided via --owner or OWNER env
 const DEFAULT_OWNER = process.env.DEFAULT_OWNER || '0xD60BE0d8fAcC911CfBFf11CC112987227Ed0aac2';
 
-function toBytes32FromString(input) {
-	const hex = hre.ethers.hexlify(hre.ethers.toUtf8Bytes(input));
-	return hre.ethers.zeroPadValue(hex, 32);
-}
+// Metadata CID stored on-chain (--cid or CID env); defaults to the empty IPFS directory
+const DEFAULT_CID = 'QmUNLLsPACCz1vLxQVkXqqLX5R1X345qqfHbsf67hvA3Nn';
 
 function getArg(name) {
 	const flag = `--${name}`;
@@ -47,11 +46,13 @@ async function main() {
 
 	// Dummy project details
 	const projectId = `DUMMY_${Date.now()}`;
-	const credits = 1000; // mints 1000 * 1e18 BCARB to owner
-	const ipfsHash32 = toBytes32FromString('dummy-ipfs-hash');
+	const credits = 1000.5; // tonnes; the registry counts kg (config/creditUnits.js)
+	const bufferCredits = 100.05; // withheld in the registry's buffer pool; owner receives 900.45 vintage credits
+	const vintage = new Date().getUTCFullYear();
+	const cid = getArg('cid') || DEFAULT_CID;
 
-	console.log('Registering project:', { projectId, credits });
-	const tx = await registry.registerProject(projectId, credits, projectOwner, ipfsHash32);
+	console.log('Registering project:', { projectId, vintage, credits, bufferCredits, cid });
+	const tx = await registry.registerProject(projectId, vintage, toCreditUnits(credits), toCreditUnits(bufferCredits), projectOwner, cid);
 	const receipt = await tx.wait();
 
 	// Find ProjectRegistered event
@@ -66,13 +67,20 @@ async function main() {
 		} catch (_) {}
 	}
 
-	// Token balance
-	const balance = await token.balanceOf(projectOwner);
+	// Vintage credit balance (wrap it into BCARB to see it in MetaMask)
+	const vintageCredit = await hre.ethers.getContractAt('VintageCredit', deployments.vintageCredit.address);
 	console.log('Token ID:', tokenId ?? '(not parsed)');
-	console.log('Owner BCARB balance:', hre.ethers.formatUnits(balance, 18));
+	if (tokenId !== null) {
+		console.log('Token URI:', await registry.tokenURI(tokenId));
+		const id = await vintageCredit.creditId(tokenId, vintage);
+		const balance = await vintageCredit.balanceOf(projectOwner, id);
+		console.log(`Owner vintage ${vintage} balance (id ${id}):`, hre.ethers.formatUnits(balance, 3));
+	}
+	console.log('Owner BCARB balance:', hre.ethers.formatUnits(await token.balanceOf(projectOwner), 18));
+	console.log('VintageCredit address:', deployments.vintageCredit.address);
 	console.log('BCARB token address:', tokenAddr);
 
-	console.log('Done. You can import BCARB into MetaMask using token address above.');
+	console.log('Done. Wrap vintage credits into BCARB to import them into MetaMask using the token address above.');
 }
 
 main().catch((err) => {
@@ -3,6 +3,7 @@ require('dotenv').config();
 const hre = require('hardhat');
 const fs = require('fs');
 const path = require('path');
+const { toCreditUnits } = require('../config/creditUnits');
 
 function getArg(name, defaultValue) {
   const flag = `--${name}`;
@@ -41,7 +42,7 @@ async function checkBalance(address, tokenAddress) {
   console.log('Balance (BCARB):', hre.ethers.formatUnits(balance, 18));
 }
 
-async function retireTokens(tokenId, amount, reason, registryAddress, signerIndex = 0) {
+async function retireTokens(tokenId, amount, reason, beneficiary, registryAddress, signerIndex = 0) {
   if (!tokenId) {
     throw new Error('Missing --tokenId');
   }
@@ -65,10 +66,11 @@ async function retireTokens(tokenId, amount, reason, registryAddress, signerInde
 
   console.log('Registry:', registryAddress);
   console.log('Signer:', signer.address);
-  console.log('Retiring amount:', parsedAmount);
+  console.log('Retiring amount (tCO2e):', parsedAmount);
   console.log('Reason:', reason);
+  console.log('Beneficiary:', beneficiary || '(none)');
 
-  const tx = await registry.retireCredits(tokenId, parsedAmount, reason);
+  const tx = await registry.retireCredits(tokenId, toCreditUnits(parsedAmount), reason, beneficiary || '');
   console.log('Transaction sent:', tx.hash);
   const receipt = await tx.wait();
 
@@ -99,11 +101,13 @@ async function main() {
     const tokenId = getArg('tokenId');
     const amount = getArg('amount');
     const reason = getArg('reason', 'Retired via CLI');
+    const beneficiary = getArg('beneficiary', '');
     const signerIndex = getArg('signer');
     await retireTokens(
       tokenId,
       amount,
       reason,
+      beneficiary,
       deployments.carbonCreditRegistry.address,
       signerIndex
     );
@@ -2,10 +2,16 @@ const express = require("express");
 const cors = require("cors");
 const dotenv = require("dotenv");
 const mongoose = require("mongoose");
+const { validatePermissionRegistry } = require("./config/permissions");
+const User = require("./models/User");
 
 dotenv.config();
 const app = express();
 
+// Fail fast if the permission registry and User roles have drifted apart.
+// Routes that ask for an unknown permission throw while being mounted below.
+validatePermissionRegistry(User.schema.path("role").enumValues);
+
 // Middleware
 app.use(express.json());
 
@@ -30,6 +36,7 @@ app.use("/api/dapp", require("./routes/dappRoutes"));
 app.use("/api/marketplace", require("./routes/marketplaceRoutes"));
 app.use("/api/activities", require("./routes/tradingMintingRoutes"));
 app.use("/api/admin", require("./routes/adminRoutes"));
+app.use("/api/retirements", require("./routes/retirementRoutes"));
 
 // MongoDB connect
 mongoose.connect(process.env.MONGODB_URI)
@@ -5,6 +5,7 @@
 
 const { ethers } = require('ethers');
 const blockchainService = require('../utils/blockchainService');
+const { CREDIT_DECIMALS } = require('../config/creditUnits');
 
 class TradingMintingService {
   constructor() {
@@ -21,10 +22,10 @@ class TradingMintingService {
     if (!this.registryContract && process.env.CONTRACT_ADDRESS) {
       const registryABI = [
         "event ProjectRegistered(uint256 indexed tokenId, string indexed projectId, address indexed owner, uint256 carbonCredits)",
-        "event ERC20CreditsMinted(uint256 indexed tokenId, uint256 amount, address to)",
         "event VerifierRewardMinted(uint256 indexed tokenId, address indexed verifier, uint256 amount)",
+        "event VintageCreditsMinted(uint256 indexed tokenId, uint16 indexed vintage, uint256 amount, address indexed to)",
         "event CreditsRetired(uint256 indexed tokenId, string indexed projectId, uint256 amount, string reason)",
-        "function projects(uint256 tokenId) external view returns (tuple(string projectId, uint16 carbonCredits, uint8 status, bool isRetired, uint64 retirementDate, address projectOwner, bytes32 ipfsHash))"
+        "function projects(uint256 tokenId) external view returns (string projectId, uint256 carbonCredits, uint8 status, bool isRetired, uint64 retirementDate, address projectOwner, string ipfsHash)"
       ];
       this.registryContract = new ethers.Contract(
         process.env.CONTRACT_ADDRESS,
@@ -60,9 +61,9 @@ class TradingMintingService {
         throw new Error('Registry contract not initialized');
       }
 
-      // Get ERC20CreditsMinted events
-      const mintFilter = this.registryContract.filters.ERC20CreditsMinted();
-      const mintEvents = await this.registryContract.queryFilter(mintFilter, fromBlock, toBlock);
+      // Get VintageCreditsMinted events (owner share of each issuance, as ERC1155)
+      const vintageMintFilter = this.registryContract.filters.VintageCreditsMinted();
+      const vintageMintEvents = await this.registryContract.queryFilter(vintageMintFilter, fromBlock, toBlock);
 
       // Get VerifierRewardMinted events
       const verifierRewardFilter = this.registryContract.filters.VerifierRewardMinted();
@@ -74,20 +75,21 @@ class TradingMintingService {
 
       const mintingActivities = [];
 
-      // Process ERC20 minting events
-      for (const event of mintEvents.slice(-limit)) {
+      // Process vintage credit minting events
+      for (const event of vintageMintEvents.slice(-limit)) {
         const block = await event.getBlock();
         const parsed = this.registryContract.interface.parseLog(event);
-        
+
         mintingActivities.push({
-          type: 'ERC20_MINT',
+          type: 'VINTAGE_MINT',
           tokenId: parsed.args.tokenId.toString(),
-          amount: ethers.formatUnits(parsed.args.amount, 18),
+          vintage: Number(parsed.args.vintage),
+          amount: ethers.formatUnits(parsed.args.amount, CREDIT_DECIMALS),
           to: parsed.args.to,
           transactionHash: event.transactionHash,
           blockNumber: event.blockNumber,
           timestamp: new Date(block.timestamp * 1000).toISOString(),
-          description: `Minted ${ethers.formatUnits(parsed.args.amount, 18)} BCARB tokens to ${parsed.args.to}`
+          description: `Minted ${ethers.formatUnits(parsed.args.amount, CREDIT_DECIMALS)} vintage ${parsed.args.vintage} credits of project #${parsed.args.tokenId} to ${parsed.args.to}`
         });
       }
 
@@ -99,12 +101,12 @@ class TradingMintingService {
         mintingActivities.push({
           type: 'VERIFIER_REWARD',
           tokenId: parsed.args.tokenId.toString(),
-          amount: parsed.args.amount.toString(),
+          amount: ethers.formatUnits(parsed.args.amount, CREDIT_DECIMALS),
           to: parsed.args.verifier,
           transactionHash: event.transactionHash,
           blockNumber: event.blockNumber,
           timestamp: new Date(block.timestamp * 1000).toISOString(),
-          description: `Minted ${parsed.args.amount} BCARB tokens as verifier reward to ${parsed.args.verifier}`
+          description: `Minted ${ethers.formatUnits(parsed.args.amount, CREDIT_DECIMALS)} BCARB tokens as verifier reward to ${parsed.args.verifier}`
         });
       }
 
@@ -117,7 +119,7 @@ class TradingMintingService {
           type: 'NFT_MINT',
           tokenId: parsed.args.tokenId.toString(),
           projectId: parsed.args.projectId,
-          amount: parsed.args.carbonCredits.toString(),
+          amount: ethers.formatUnits(parsed.args.carbonCredits, CREDIT_DECIMALS),
           to: parsed.args.owner,
           transactionHash: event.transactionHash,
           blockNumber: event.blockNumber,
@@ -233,7 +235,7 @@ class TradingMintingService {
       ]);
 
       const totalMinted = minting
-        .filter(m => m.type === 'ERC20_MINT' || m.type === 'VERIFIER_REWARD')
+        .filter(m => m.type === 'VINTAGE_MINT' || m.type === 'VERIFIER_REWARD')
         .reduce((sum, m) => sum + parseFloat(m.amount), 0);
 
       const totalTraded = trading
@@ -265,7 +267,7 @@ class TradingMintingService {
       const allActivities = await this.getAllActivities(fromBlock, toBlock, limit * 2);
       
       const addressActivities = allActivities.filter(activity => {
-        if (activity.type === 'NFT_MINT' || activity.type === 'ERC20_MINT' || activity.type === 'VERIFIER_REWARD') {
+        if (activity.type === 'NFT_MINT' || activity.type === 'VINTAGE_MINT' || activity.type === 'VERIFIER_REWARD') {
           return activity.to.toLowerCase() === address.toLowerCase();
         }
         if (activity.type === 'TRANSFER' || activity.type === 'BURN') {
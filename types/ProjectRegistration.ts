@@ -10,6 +10,11 @@ export interface Location {
   address: string; // This stays as 'address' for frontend compatibility
 }
 
+// GeoJSON project boundary; positions are [longitude, latitude]
+export type Boundary =
+  | { type: 'Polygon'; coordinates: number[][][] }
+  | { type: 'MultiPolygon'; coordinates: number[][][][] };
+
 export interface PlantationData {
   species: string[];
   treeCount: number;
@@ -32,6 +37,7 @@ export interface FormData {
   area: number;
   density: number;
   location: Location;
+  boundary?: Boundary;
   startDate: number;
   duration: number;
   legalOwnership: string;
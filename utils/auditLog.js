@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const AuditEvent = require('../models/AuditEvent');
+
+/**
+ * Audit log
+ * Every state-changing action appends an AuditEvent. Each event stores the hash of the
+ * previous one, so editing or deleting any event breaks the chain from that point on.
+ */
+
+const GENESIS_HASH = '0'.repeat(64);
+const MAX_APPEND_ATTEMPTS = 5;
+
+/**
+ * Turn documents, ObjectIds, Dates and BigInts into plain JSON values
+ */
+function toPlain(value) {
+  if (value === undefined) return undefined;
+  if (value && typeof value.toObject === 'function') value = value.toObject();
+  return JSON.parse(JSON.stringify(value, (key, v) => (typeof v === 'bigint' ? v.toString() : v)));
+}
+
+/**
+ * JSON with object keys sorted recursively, so the same event always hashes the same
+ */
+function canonicalJSON(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJSON).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Compute the hash of an event from its content and the previous hash
+ * @param {Object} event - Event fields (plain object)
+ * @returns {string} Hex SHA-256
+ */
+function computeHash(event) {
+  const content = {
+    sequence: event.sequence,
+    actor: event.actor ? String(event.actor) : null,
+    actorEmail: event.actorEmail || null,
+    role: event.role || null,
+    action: event.action,
+    targetType: event.targetType,
+    targetId: event.targetId || null,
+    before: event.before === undefined ? null : event.before,
+    after: event.after === undefined ? null : event.after,
+    diff: (event.diff || []).map(({ field, from, to }) => ({ field, from: from ?? null, to: to ?? null })),
+    ip: event.ip || null,
+    userAgent: event.userAgent || null,
+    txHash: event.txHash || null,
+    metadata: event.metadata === undefined ? null : event.metadata,
+    createdAt: new Date(event.createdAt).toISOString(),
+    prevHash: event.prevHash,
+  };
+
+  return crypto.createHash('sha256').update(canonicalJSON(content)).digest('hex');
+}
+
+/**
+ * List the top-level fields that differ between two snapshots
+ * @param {Object} before
+ * @param {Object} after
+ * @returns {Array<{field: string, from: *, to: *}>}
+ */
+function diffSnapshots(before, after) {
+  const from = before || {};
+  const to = after || {};
+  const fields = [...new Set([...Object.keys(from), ...Object.keys(to)])].sort();
+
+  return fields
+    .filter(field => canonicalJSON(from[field]) !== canonicalJSON(to[field]))
+    .map(field => ({ field, from: from[field] ?? null, to: to[field] ?? null }));
+}
+
+/**
+ * Copy selected fields from a document into a plain snapshot
+ * @param {Object} doc - Mongoose document or plain object
+ * @param {string[]} fields - Top-level field names
+ * @returns {Object|null}
+ */
+function snapshot(doc, fields) {
+  if (!doc) return null;
+  const plain = toPlain(doc);
+  return fields.reduce((acc, field) => {
+    // Dotted fields read a nested value, e.g. "metadata.description"
+    const value = field.split('.').reduce((parent, key) => parent?.[key], plain);
+    if (value !== undefined) acc[field] = value;
+    return acc;
+  }, {});
+}
+
+/**
+ * Append an event to the audit log
+ * Failures are logged rather than thrown: the audited action has already happened
+ * (often on-chain) and must still be reported to the caller.
+ * @param {Object} req - Express request (actor, IP and user agent are taken from it)
+ * @param {Object} entry - { action, targetType, targetId, before, after, txHash, metadata }
+ * @returns {Promise<Object|null>} Saved event, or null if it could not be written
+ */
+async function record(req, { action, targetType, targetId, before, after, txHash, metadata }) {
+  const base = {
+    actor: req?.user?.id || null,
+    actorEmail: req?.user?.email,
+    role: req?.user?.role,
+    action,
+    targetType,
+    targetId: targetId != null ? String(targetId) : null,
+    before: toPlain(before) ?? null,
+    after: toPlain(after) ?? null,
+    ip: req?.ip,
+    userAgent: req?.get ? req.get('user-agent') : undefined,
+    txHash: txHash || null,
+    metadata: toPlain(metadata) ?? null,
+  };
+  base.diff = diffSnapshots(base.before, base.after);
+
+  for (let attempt = 1; attempt <= MAX_APPEND_ATTEMPTS; attempt++) {
+    try {
+      const last = await AuditEvent.findOne().sort({ sequence: -1 }).select('sequence hash').lean();
+      const event = {
+        ...base,
+        sequence: last ? last.sequence + 1 : 1,
+        prevHash: last ? last.hash : GENESIS_HASH,
+        createdAt: new Date(),
+      };
+      event.hash = computeHash(event);
+
+      return await AuditEvent.create(event);
+    } catch (error) {
+      // Another event took this sequence number; re-read the tip and try again
+      if (error.code === 11000 && attempt < MAX_APPEND_ATTEMPTS) continue;
+      console.error(`Failed to write audit event "${action}":`, error);
+      return null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Recompute the hash chain and report the first broken link
+ * @returns {Promise<Object>} { valid, checked, brokenAt, reason }
+ */
+async function verifyChain() {
+  let prevHash = GENESIS_HASH;
+  let expectedSequence = 1;
+  let checked = 0;
+
+  const cursor = AuditEvent.find().sort({ sequence: 1 }).lean().cursor();
+  for await (const event of cursor) {
+    if (event.sequence !== expectedSequence) {
+      return { valid: false, checked, brokenAt: expectedSequence, reason: 'Missing event' };
+    }
+    if (event.prevHash !== prevHash) {
+      return { valid: false, checked, brokenAt: event.sequence, reason: 'Previous hash mismatch' };
+    }
+    if (computeHash(event) !== event.hash) {
+      return { valid: false, checked, brokenAt: event.sequence, reason: 'Event content does not match its hash' };
+    }
+
+    prevHash = event.hash;
+    expectedSequence++;
+    checked++;
+  }
+
+  return { valid: true, checked, brokenAt: null, reason: null };
+}
+
+module.exports = {
+  canonicalJSON,
+  record,
+  snapshot,
+  diffSnapshots,
+  computeHash,
+  verifyChain,
+};
@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const RevokedToken = require('../models/RevokedToken');
+
+/**
+ * Access/refresh token handling
+ * Access tokens are short-lived JWTs carrying a token ID (jti) and a session ID (sid).
+ * Refresh tokens are opaque, stored hashed, and rotated on every use.
+ */
+
+const ACCESS_TOKEN_TTL_MINUTES = Number(process.env.ACCESS_TOKEN_TTL_MINUTES || 15);
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 7);
+
+/**
+ * SHA-256 of an opaque token (refresh tokens and invitation tokens are stored hashed)
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Sign an access token for a session
+ * @param {Object} user - User document
+ * @param {string} sessionId - Login session ID
+ * @returns {string} Signed JWT
+ */
+function signAccessToken(user, sessionId) {
+  const payload = {
+    id: user._id,
+    role: user.role,
+    name: user.name,
+    email: user.email,
+    sid: sessionId,
+  };
+
+  return jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL_MINUTES * 60,
+    jwtid: crypto.randomUUID(),
+  });
+}
+
+/**
+ * Create a refresh token record and return the raw token
+ */
+async function createRefreshToken(user, sessionId, ip) {
+  const token = crypto.randomBytes(48).toString('hex');
+  await RefreshToken.create({
+    tokenHash: hashToken(token),
+    user: user._id,
+    sessionId,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    createdByIp: ip,
+  });
+  return token;
+}
+
+/**
+ * Start a new login session
+ * @param {Object} user - User document
+ * @param {string} ip - Request IP
+ * @returns {Promise<Object>} { token, refreshToken, expiresIn }
+ */
+async function issueSession(user, ip) {
+  const sessionId = crypto.randomUUID();
+  return {
+    token: signAccessToken(user, sessionId),
+    refreshToken: await createRefreshToken(user, sessionId, ip),
+    expiresIn: ACCESS_TOKEN_TTL_MINUTES * 60,
+  };
+}
+
+/**
+ * Add token or session IDs to the denylist
+ */
+async function denyTokenIds(tokenIds, user, reason, expiresAt) {
+  await Promise.all(tokenIds.filter(Boolean).map(tokenId =>
+    RevokedToken.updateOne(
+      { tokenId },
+      { $setOnInsert: { tokenId, user, reason, expiresAt } },
+      { upsert: true }
+    )
+  ));
+}
+
+/**
+ * Revoke a session: its refresh tokens stop working and its access tokens are denied
+ */
+async function revokeSession(sessionId, user, reason) {
+  await RefreshToken.updateMany(
+    { sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  await denyTokenIds(
+    [sessionId],
+    user,
+    reason,
+    new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  );
+}
+
+/**
+ * Exchange a refresh token for a new access/refresh pair
+ * Presenting an already-rotated token is treated as theft and kills the whole session.
+ * @param {string} token - Raw refresh token
+ * @param {Function} loadUser - async (userId) => User document
+ * @param {string} ip - Request IP
+ * @returns {Promise<Object|null>} New tokens, or null if the refresh token is not usable
+ */
+async function rotateRefreshToken(token, loadUser, ip) {
+  const record = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+  if (!record) return null;
+
+  if (record.revokedAt) {
+    if (record.replacedByHash) {
+      await revokeSession(record.sessionId, record.user, 'Refresh token reuse detected');
+    }
+    return null;
+  }
+
+  if (record.expiresAt <= new Date()) return null;
+
+  const user = await loadUser(record.user);
+  if (!user) return null;
+
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+
+  // Claim the old token atomically so two concurrent refreshes cannot both succeed
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: record._id, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: 'Rotated', replacedByHash: hashToken(refreshToken) } }
+  );
+  if (!claimed) return null;
+
+  await RefreshToken.create({
+    tokenHash: hashToken(refreshToken),
+    user: record.user,
+    sessionId: record.sessionId,
+    expiresAt: record.expiresAt, // rotation does not extend the session
+    createdByIp: ip,
+  });
+
+  return {
+    token: signAccessToken(user, record.sessionId),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL_MINUTES * 60,
+  };
+}
+
+/**
+ * Log out the session an access token belongs to
+ * @param {Object} decoded - Verified access token payload
+ */
+async function logout(decoded) {
+  await denyTokenIds([decoded.jti], decoded.id, 'Logout', new Date(decoded.exp * 1000));
+  await revokeSession(decoded.sid, decoded.id, 'Logout');
+}
+
+/**
+ * Revoke every active session of a user
+ * @param {string} userId - User ID
+ * @param {string} reason - Reason recorded on the revocation
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeAllSessions(userId, reason) {
+  const sessionIds = await RefreshToken.distinct('sessionId', {
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+
+  for (const sessionId of sessionIds) {
+    await revokeSession(sessionId, userId, reason);
+  }
+
+  return sessionIds.length;
+}
+
+/**
+ * Whether an access token (or the session it belongs to) has been revoked
+ * @param {Object} decoded - Verified access token payload
+ * @returns {Promise<boolean>}
+ */
+async function isRevoked(decoded) {
+  const hit = await RevokedToken.exists({ tokenId: { $in: [decoded.jti, decoded.sid] } });
+  return Boolean(hit);
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL_MINUTES,
+  hashToken,
+  issueSession,
+  rotateRefreshToken,
+  logout,
+  revokeAllSessions,
+  isRevoked
+};
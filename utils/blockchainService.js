@@ -1,5 +1,7 @@
 const { ethers } = require('ethers');
 const ipfsService = require('./ipfsUpload');
+const { bufferPercent, splitCredits } = require('../config/bufferPool');
+const { roundCredits, toCreditUnits, fromCreditUnits } = require('../config/creditUnits');
 
 class BlockchainService {
   constructor() {
@@ -42,11 +44,14 @@ class BlockchainService {
    */
   getContractABI() {
     return [
-      "function registerProject(string memory projectId, uint16 carbonCredits, address projectOwner, bytes32 ipfsHash) external returns (uint256)",
-      "function retireCredits(uint256 tokenId, uint16 amount, string memory reason) external",
+      "function registerProject(string memory projectId, uint16 vintage, uint256 carbonCredits, uint256 bufferAmount, address projectOwner, string memory ipfsHash) external returns (uint256)",
+      "function retireCredits(uint256 tokenId, uint256 amount, string memory reason, string memory beneficiary) external",
+      "function retireCreditsFor(uint256 tokenId, uint256 amount, string memory reason, string memory beneficiary) external",
+      "function totalRetired(uint256 tokenId) external view returns (uint256)",
+      "function getRetirements(uint256 tokenId) external view returns (tuple(uint256 amount, string reason, string beneficiary, uint64 timestamp, address retiredBy)[])",
       "function updateProjectStatus(uint256 tokenId, uint8 newStatus) external",
-      "function getProject(uint256 tokenId) external view returns (tuple(string projectId, string projectName, string ecosystemType, string stateUT, string district, string villagePanchayat, uint16 carbonCredits, bool isRetired, uint64 retirementDate, string retirementReason, uint8 status, address projectOwner, bytes32 ipfsHash))",
-      "function getProjectById(string memory projectId) external view returns (tuple(string projectId, string projectName, string ecosystemType, string stateUT, string district, string villagePanchayat, uint16 carbonCredits, bool isRetired, uint64 retirementDate, string retirementReason, uint8 status, address projectOwner, bytes32 ipfsHash))",
+      "function getProject(uint256 tokenId) external view returns (tuple(string projectId, string projectName, string ecosystemType, string stateUT, string district, string villagePanchayat, uint256 carbonCredits, bool isRetired, uint64 retirementDate, string retirementReason, uint8 status, address projectOwner, string ipfsHash))",
+      "function getProjectById(string memory projectId) external view returns (tuple(string projectId, string projectName, string ecosystemType, string stateUT, string district, string villagePanchayat, uint256 carbonCredits, bool isRetired, uint64 retirementDate, string retirementReason, uint8 status, address projectOwner, string ipfsHash))",
       "function getTotalProjects() external view returns (uint256)",
       "function getTotalCarbonCredits() external view returns (uint256)",
       "function getTotalRetiredCredits() external view returns (uint256)",
@@ -55,9 +60,25 @@ class BlockchainService {
       "function ownerOf(uint256 tokenId) external view returns (address)",
       "function balanceOf(address owner) external view returns (uint256)",
       "function tokenOfOwnerByIndex(address owner, uint256 index) external view returns (uint256)",
-      "function projects(uint256 tokenId) external view returns (tuple(string projectId, uint16 carbonCredits, uint8 status, bool isRetired, uint64 retirementDate, address projectOwner, bytes32 ipfsHash))",
+      "function projects(uint256 tokenId) external view returns (string projectId, uint256 carbonCredits, uint8 status, bool isRetired, uint64 retirementDate, address projectOwner, string ipfsHash)",
       "event ProjectRegistered(uint256 indexed tokenId, string indexed projectId, address indexed owner, uint256 carbonCredits)",
       "function mintVerifierReward(uint256 tokenId, address verifierAddress, uint256 rewardAmount) external",
+      "function issueVintageCredits(uint256 tokenId, uint16 vintage, uint256 amount, uint256 bufferAmount, string memory ipfsHash) external",
+      "function vintageCredits(uint256 tokenId, uint16 vintage) external view returns (uint256)",
+      "event VintageIssued(uint256 indexed tokenId, uint16 indexed vintage, uint256 amount, address indexed owner, string ipfsHash)",
+      "function getVintages(uint256 tokenId) external view returns (uint16[])",
+      "function vintageToken() external view returns (address)",
+      "function setMetadataCID(uint256 tokenId, string memory cid) external",
+      "event MetadataUpdate(uint256 _tokenId)",
+      "event VintageCreditsMinted(uint256 indexed tokenId, uint16 indexed vintage, uint256 amount, address indexed to)",
+      "function cancelBufferCredits(uint256 tokenId, uint256 amount, string memory reason) external",
+      "function releaseBufferCredits(uint256 tokenId, uint16 vintage, uint256 amount) external",
+      "function bufferCredits(uint256 tokenId) external view returns (uint256)",
+      "event BufferDeposited(uint256 indexed tokenId, uint256 amount)",
+      "event BufferCancelled(uint256 indexed tokenId, uint256 amount, string reason)",
+      "event BufferReleased(uint256 indexed tokenId, uint16 indexed vintage, uint256 amount, address indexed to)",
+      "function cancelOwnerCredits(uint256 tokenId, uint256 amount, string memory reason) external",
+      "event OwnerCreditsCancelled(uint256 indexed tokenId, uint256 amount, uint256 tokensBurned, string reason)",
       "event ProjectRegistered(uint256 indexed tokenId, string indexed projectId, address indexed owner, uint256 carbonCredits)",
       "event CreditsRetired(uint256 indexed tokenId, string indexed projectId, uint256 amount, string reason)",
       "event ProjectUpdated(uint256 indexed tokenId, string indexed projectId, string field, string newValue)",
@@ -76,13 +97,10 @@ class BlockchainService {
         await this.initialize();
       }
 
-      // Create metadata and upload to IPFS
+      // Create metadata and upload to IPFS; the CID itself is stored on-chain (tokenURI is ipfs://<CID>)
       const metadata = this.createProjectMetadata(projectData);
       const ipfsHash = await ipfsService.uploadToIPFS(metadata);
 
-      // Convert IPFS hash to bytes32
-      const ipfsHashBytes32 = ethers.keccak256(ethers.toUtf8Bytes(ipfsHash));
-
       // Get owner address - this is critical for minting tokens to the correct owner
       const ownerAddress = projectData.ownerAddress || projectData.ownerWalletAddress;
       if (!ownerAddress || ownerAddress === ethers.ZeroAddress) {
@@ -94,34 +112,43 @@ class BlockchainService {
         throw new Error(`Invalid owner address: ${ownerAddress}`);
       }
 
-      // Calculate carbon credits (ensure it fits in uint16: 0-65535)
-      const carbonCredits = Math.floor(projectData.estimatedCO2Sequestration || 0);
-      if (carbonCredits <= 0) {
+      // Carbon credits in tonnes, kept to the on-chain precision (config/creditUnits.js)
+      const carbonCredits = roundCredits(projectData.estimatedCO2Sequestration || 0);
+      if (!(carbonCredits > 0)) {
         throw new Error('Carbon credits must be greater than 0');
       }
-      if (carbonCredits > 65535) {
-        throw new Error('Carbon credits exceed maximum value (65535). Please reduce the CO2 estimate.');
-      }
+
+      // Share withheld in the non-permanence buffer (config/bufferPool.js)
+      const percent = projectData.bufferPercent ?? bufferPercent(projectData.ecosystemType, projectData.riskScore);
+      const { bufferCredits } = splitCredits(carbonCredits, percent);
+
+      // Registration credits belong to the year the project was verified
+      const vintage = projectData.vintage || new Date(projectData.verifiedDate || projectData.Verified_Date || Date.now()).getUTCFullYear();
 
       // Estimate gas
       const gasEstimate = await this.contract.registerProject.estimateGas(
         projectData.projectId,
-        carbonCredits,
+        vintage,
+        toCreditUnits(carbonCredits),
+        toCreditUnits(bufferCredits),
         ownerAddress,
-        ipfsHashBytes32
+        ipfsHash
       );
 
       // Register project - this will:
       // 1. Mint NFT to projectOwner
-      // 2. Mint ERC20 tokens to projectOwner (carbonCredits * 1e18)
+      // 2. Mint VintageCredit to projectOwner (carbonCredits - bufferCredits, for this vintage)
+      // 3. Mint the buffer share to the registry's buffer pool as BCARB
       const tx = await this.contract.registerProject(
         projectData.projectId,
-        carbonCredits,
+        vintage,
+        toCreditUnits(carbonCredits),
+        toCreditUnits(bufferCredits),
         ownerAddress,
-        ipfsHashBytes32,
+        ipfsHash,
         {
           gasLimit: gasEstimate * 2n, // Add buffer
-          gasPrice: await this.provider.getGasPrice()
+          gasPrice: (await this.provider.getFeeData()).gasPrice
         }
       );
 
@@ -151,6 +178,10 @@ class BlockchainService {
           transactionHash: tx.hash,
           blockNumber: receipt.blockNumber,
           ipfsHash: ipfsHash,
+          vintage,
+          carbonCredits,
+          bufferCredits,
+          bufferPercent: percent,
           gasUsed: receipt.gasUsed.toString()
         };
       } else {
@@ -171,6 +202,7 @@ class BlockchainService {
     return {
       name: projectData.projectName,
       description: projectData.description,
+      projectId: projectData.projectId,
       ecosystemType: projectData.ecosystemType,
       organizationName: projectData.organizationName,
       ownerName: projectData.ownerName,
@@ -179,6 +211,8 @@ class BlockchainService {
       area: projectData.area,
       density: projectData.density,
       location: projectData.location,
+      boundary: projectData.boundary?.type ? projectData.boundary : null, // GeoJSON Polygon/MultiPolygon
+      boundaryAreaHectares: projectData.boundaryAreaHectares || null,
       startDate: projectData.startDate,
       duration: projectData.duration,
       legalOwnership: projectData.legalOwnership,
@@ -195,31 +229,35 @@ class BlockchainService {
       averageBreadth: projectData.averageBreadth,
       seedlings: projectData.seedlings,
       estimatedCO2Sequestration: projectData.estimatedCO2Sequestration,
+      verificationChecklists: projectData.verificationChecklists || [], // one per approving verifier
       timestamp: new Date().toISOString(),
       version: "1.0"
     };
   }
 
   /**
-   * Retire carbon credits
+   * Retire carbon credits (part or the rest of a project's credits)
+   * Sent from the registry owner wallet, so the credits are burned from the project owner (retireCreditsFor).
    * @param {string} tokenId - Token ID
-   * @param {number} amount - Amount to retire
+   * @param {number} amount - Tonnes to retire
    * @param {string} reason - Retirement reason
+   * @param {string} [beneficiary] - Who the retirement is claimed for
    * @returns {Promise<Object>} Transaction result
    */
-  async retireCredits(tokenId, amount, reason) {
+  async retireCredits(tokenId, amount, reason, beneficiary = '') {
     try {
       if (!this.contract) {
         await this.initialize();
       }
 
-      const tx = await this.contract.retireCredits(
+      const tx = await this.contract.retireCreditsFor(
         tokenId,
-        Math.floor(amount), // Ensure it's an integer
+        toCreditUnits(amount),
         reason,
+        beneficiary,
         {
-          gasLimit: 200000,
-          gasPrice: await this.provider.getGasPrice()
+          gasLimit: 400000, // burns across the project's vintages
+          gasPrice: (await this.provider.getFeeData()).gasPrice
         }
       );
 
@@ -237,6 +275,67 @@ class BlockchainService {
     }
   }
 
+  /**
+   * CreditsRetired events of a project, oldest first
+   * The n-th event belongs to the n-th record of getRetirements.
+   * @param {string} tokenId - Token ID
+   * @returns {Promise<Object[]>}
+   */
+  async getCreditRetirementEvents(tokenId) {
+    try {
+      if (!this.contract) {
+        await this.initialize();
+      }
+
+      const logs = await this.contract.queryFilter(this.contract.filters.CreditsRetired(tokenId), 0, 'latest');
+      logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+      return logs.map(log => ({
+        tokenId: log.args.tokenId.toString(),
+        amount: fromCreditUnits(log.args.amount),
+        reason: log.args.reason,
+        transactionHash: log.transactionHash,
+        blockNumber: log.blockNumber,
+        logIndex: log.index
+      }));
+    } catch (error) {
+      console.error('Failed to get retirement events:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Retirement history of a project, oldest first
+   * @param {string} tokenId - Token ID
+   * @returns {Promise<{totalRetired: number, retirements: Object[]}>}
+   */
+  async getRetirements(tokenId) {
+    try {
+      if (!this.contract) {
+        await this.initialize();
+      }
+
+      const [totalRetired, retirements] = await Promise.all([
+        this.contract.totalRetired(tokenId),
+        this.contract.getRetirements(tokenId)
+      ]);
+
+      return {
+        totalRetired: fromCreditUnits(totalRetired),
+        retirements: retirements.map((retirement, index) => ({
+          index,
+          amount: fromCreditUnits(retirement.amount),
+          reason: retirement.reason,
+          beneficiary: retirement.beneficiary,
+          retiredAt: new Date(Number(retirement.timestamp) * 1000),
+          retiredBy: retirement.retiredBy
+        }))
+      };
+    } catch (error) {
+      console.error('Failed to get retirements:', error);
+      throw error;
+    }
+  }
+
   /**
    * Update project status
    * @param {string} tokenId - Token ID
@@ -254,7 +353,7 @@ class BlockchainService {
         newStatus,
         {
           gasLimit: 100000,
-          gasPrice: await this.provider.getGasPrice()
+          gasPrice: (await this.provider.getFeeData()).gasPrice
         }
       );
 
@@ -293,13 +392,13 @@ class BlockchainService {
         stateUT: project.stateUT,
         district: project.district,
         villagePanchayat: project.villagePanchayat,
-        carbonCredits: project.carbonCredits.toString(),
+        carbonCredits: fromCreditUnits(project.carbonCredits),
         isRetired: project.isRetired,
         retirementDate: project.retirementDate.toString(),
         retirementReason: project.retirementReason,
         status: this.getStatusString(project.status),
         projectOwner: project.projectOwner,
-        ipfsHash: this.bytes32ToString(project.ipfsHash)
+        ipfsHash: project.ipfsHash
       };
     } catch (error) {
       console.error('Failed to get project:', error);
@@ -321,16 +420,6 @@ class BlockchainService {
     }
   }
 
-  /**
-   * Convert bytes32 to string
-   * @param {string} bytes32Data - Bytes32 data
-   * @returns {string} String representation
-   */
-  bytes32ToString(bytes32Data) {
-    // Remove the 0x prefix and convert to string
-    return ethers.toUtf8String(bytes32Data);
-  }
-
   /**
    * Get project by project ID
    * @param {string} projectId - Project ID
@@ -351,13 +440,13 @@ class BlockchainService {
         stateUT: project.stateUT,
         district: project.district,
         villagePanchayat: project.villagePanchayat,
-        carbonCredits: project.carbonCredits.toString(),
+        carbonCredits: fromCreditUnits(project.carbonCredits),
         isRetired: project.isRetired,
         retirementDate: project.retirementDate.toString(),
         retirementReason: project.retirementReason,
         status: this.getStatusString(project.status),
         projectOwner: project.projectOwner,
-        ipfsHash: this.bytes32ToString(project.ipfsHash)
+        ipfsHash: project.ipfsHash
       };
     } catch (error) {
       console.error('Failed to get project by ID:', error);
@@ -383,9 +472,9 @@ class BlockchainService {
 
       return {
         totalProjects: totalProjects.toString(),
-        totalCarbonCredits: totalCredits.toString(),
-        totalRetiredCredits: retiredCredits.toString(),
-        activeCredits: (BigInt(totalCredits) - BigInt(retiredCredits)).toString()
+        totalCarbonCredits: fromCreditUnits(totalCredits),
+        totalRetiredCredits: fromCreditUnits(retiredCredits),
+        activeCredits: fromCreditUnits(BigInt(totalCredits) - BigInt(retiredCredits))
       };
     } catch (error) {
       console.error('Failed to get statistics:', error);
@@ -429,6 +518,36 @@ class BlockchainService {
     }
   }
 
+  /**
+   * Point a project's NFT at a metadata CID (tokenURI becomes ipfs://<cid>)
+   * @param {string} tokenId - Token ID
+   * @param {string} cid - IPFS CID of the metadata
+   * @returns {Promise<Object>} Transaction result
+   */
+  async setMetadataCID(tokenId, cid) {
+    try {
+      if (!this.contract) {
+        await this.initialize();
+      }
+
+      const tx = await this.contract.setMetadataCID(tokenId, cid, {
+        gasLimit: 150000,
+        gasPrice: (await this.provider.getFeeData()).gasPrice
+      });
+      const receipt = await tx.wait();
+
+      return {
+        success: true,
+        transactionHash: tx.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString()
+      };
+    } catch (error) {
+      console.error('Failed to set metadata CID:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get ERC20 token balance for an address (BlueCarbon token)
    * @param {string} ownerAddress
@@ -459,6 +578,106 @@ class BlockchainService {
     }
   }
 
+  /**
+   * BCARB contract for reading token retirements
+   * @returns {ethers.Contract}
+   */
+  getTokenContract() {
+    if (!process.env.BLUECARBON_ADDRESS) {
+      throw new Error('BLUECARBON_ADDRESS not configured');
+    }
+    return new ethers.Contract(process.env.BLUECARBON_ADDRESS, [
+      'event TokensRetired(uint256 indexed retirementId, address indexed holder, uint256 amount, string beneficiary, string reason, uint64 periodStart, uint64 periodEnd)'
+    ], this.provider);
+  }
+
+  /**
+   * Decode a TokensRetired log
+   * @param {ethers.Contract} token
+   * @param {Object} log - Raw or event log
+   * @param {number} [timestamp] - Block timestamp (seconds)
+   * @returns {Object}
+   */
+  parseTokenRetirement(token, log, timestamp) {
+    const { args } = token.interface.parseLog(log);
+    const seconds = (value) => (Number(value) > 0 ? new Date(Number(value) * 1000) : undefined);
+    return {
+      retirementId: Number(args.retirementId),
+      holder: args.holder.toLowerCase(),
+      amount: ethers.formatUnits(args.amount, 18),
+      amountWei: args.amount.toString(),
+      beneficiary: args.beneficiary,
+      reason: args.reason,
+      periodStart: seconds(args.periodStart),
+      periodEnd: seconds(args.periodEnd),
+      tokenAddress: log.address,
+      transactionHash: log.transactionHash,
+      logIndex: log.index,
+      blockNumber: log.blockNumber,
+      retiredAt: seconds(timestamp)
+    };
+  }
+
+  /**
+   * BCARB retirements (TokensRetired events) in a block range
+   * @param {number} fromBlock
+   * @param {number|string} [toBlock='latest']
+   * @returns {Promise<Object[]>}
+   */
+  async getTokenRetirements(fromBlock, toBlock = 'latest') {
+    try {
+      if (!this.provider) {
+        await this.initialize();
+      }
+
+      const token = this.getTokenContract();
+      const logs = await token.queryFilter(token.filters.TokensRetired(), fromBlock, toBlock);
+      const timestamps = new Map();
+      for (const log of logs) {
+        if (!timestamps.has(log.blockNumber)) {
+          timestamps.set(log.blockNumber, (await this.provider.getBlock(log.blockNumber)).timestamp);
+        }
+      }
+      return logs.map(log => this.parseTokenRetirement(token, log, timestamps.get(log.blockNumber)));
+    } catch (error) {
+      console.error('Failed to get token retirements:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * BCARB retirements made by one transaction
+   * @param {string} txHash
+   * @returns {Promise<Object[]|null>} null if the transaction is not mined yet
+   */
+  async getTokenRetirementsInTx(txHash) {
+    try {
+      if (!this.provider) {
+        await this.initialize();
+      }
+
+      const receipt = await this.provider.getTransactionReceipt(txHash);
+      if (!receipt) return null;
+
+      const token = this.getTokenContract();
+      const tokenAddress = (await token.getAddress()).toLowerCase();
+      const block = await this.provider.getBlock(receipt.blockNumber);
+      return receipt.logs
+        .filter(log => log.address.toLowerCase() === tokenAddress)
+        .filter(log => {
+          try {
+            return token.interface.parseLog(log).name === 'TokensRetired';
+          } catch (e) {
+            return false;
+          }
+        })
+        .map(log => this.parseTokenRetirement(token, log, block.timestamp));
+    } catch (error) {
+      console.error('Failed to get token retirements for transaction:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get wallet balance
    * @returns {Promise<string>} Balance in ETH
@@ -519,8 +738,8 @@ class BlockchainService {
             nfts.push({
               tokenId: tokenId.toString(),
               projectId: project.projectId,
-              carbonCredits: project.carbonCredits.toString(),
-              status: project.status,
+              carbonCredits: fromCreditUnits(project.carbonCredits),
+              status: Number(project.status),
               isRetired: project.isRetired,
               retirementDate: project.retirementDate.toString(),
               tokenURI: tokenURI,
@@ -546,7 +765,7 @@ class BlockchainService {
    * Mint blue carbon tokens to verifier as reward for approving a project
    * @param {string} tokenId - Token ID of the approved project
    * @param {string} verifierAddress - Wallet address of the verifier
-   * @param {number} rewardAmount - Amount of tokens to mint (in tokens, will be scaled to 18 decimals)
+   * @param {number} rewardAmount - BCARB to mint (tonnes, to the on-chain precision)
    * @returns {Promise<Object>} Transaction result
    */
   async mintVerifierReward(tokenId, verifierAddress, rewardAmount) {
@@ -567,8 +786,8 @@ class BlockchainService {
       // Convert tokenId to BigInt if it's a string
       const tokenIdBigInt = typeof tokenId === 'string' ? BigInt(tokenId) : tokenId;
       
-      // Convert rewardAmount to BigInt (will be scaled to 18 decimals in contract)
-      const rewardAmountBigInt = BigInt(Math.floor(rewardAmount));
+      // Convert rewardAmount to credit units (scaled to 18 decimals in contract)
+      const rewardAmountBigInt = toCreditUnits(rewardAmount);
 
       // Estimate gas
       const gasEstimate = await this.contract.mintVerifierReward.estimateGas(
@@ -584,7 +803,7 @@ class BlockchainService {
         rewardAmountBigInt,
         {
           gasLimit: gasEstimate * 2n, // Add buffer
-          gasPrice: await this.provider.getGasPrice()
+          gasPrice: (await this.provider.getFeeData()).gasPrice
         }
       );
 
@@ -607,6 +826,395 @@ class BlockchainService {
       throw error;
     }
   }
+
+  /**
+   * Issue credits for a verified monitoring period of a registered project
+   * Registration can only happen once ("Project exists"); later sequestration is added here.
+   * @param {string} tokenId - Token ID of the project
+   * @param {number} vintage - Year the credits belong to
+   * @param {number} amount - Credits to issue in tonnes, including the buffer share
+   * @param {number} bufferAmount - Share of amount withheld in the buffer pool
+   * @param {Object} metadata - Monitoring period metadata, pinned to IPFS
+   * @returns {Promise<Object>} Transaction result
+   */
+  async issueVintageCredits(tokenId, vintage, amount, bufferAmount, metadata) {
+    try {
+      if (!this.contract) {
+        await this.initialize();
+      }
+
+      const credits = roundCredits(amount);
+      if (!(credits > 0)) {
+        throw new Error('Carbon credits must be greater than 0');
+      }
+      if (!Number.isInteger(vintage) || vintage <= 0 || vintage > 65535) {
+        throw new Error(`Invalid vintage: ${vintage}`);
+      }
+      const buffer = roundCredits(bufferAmount || 0);
+      if (buffer < 0 || buffer >= credits) {
+        throw new Error('Buffer credits must be less than the credits issued');
+      }
+
+      const ipfsHash = await ipfsService.uploadToIPFS(metadata);
+      const tokenIdBigInt = typeof tokenId === 'string' ? BigInt(tokenId) : tokenId;
+
+      const gasEstimate = await this.contract.issueVintageCredits.estimateGas(
+        tokenIdBigInt,
+        vintage,
+        toCreditUnits(credits),
+        toCreditUnits(buffer),
+        ipfsHash
+      );
+
+      const tx = await this.contract.issueVintageCredits(
+        tokenIdBigInt,
+        vintage,
+        toCreditUnits(credits),
+        toCreditUnits(buffer),
+        ipfsHash,
+        {
+          gasLimit: gasEstimate * 2n, // Add buffer
+          gasPrice: (await this.provider.getFeeData()).gasPrice
+        }
+      );
+
+      console.log('Vintage issuance transaction sent:', tx.hash);
+
+      const receipt = await tx.wait();
+      console.log('Vintage issuance confirmed in block:', receipt.blockNumber);
+
+      return {
+        success: true,
+        transactionHash: tx.hash,
+        blockNumber: receipt.blockNumber,
+        ipfsHash,
+        credits,
+        bufferCredits: buffer,
+        vintage,
+        gasUsed: receipt.gasUsed.toString()
+      };
+    } catch (error) {
+      console.error('Failed to issue vintage credits:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Credits issued on-chain for one vintage of a project
+   * @param {string} tokenId - Token ID of the project
+   * @param {number} vintage - Vintage year
+   * @returns {Promise<number>}
+   */
+  async getVintageCredits(tokenId, vintage) {
+    try {
+      if (!this.contract) {
+        await this.initialize();
+      }
+
+      const credits = await this.contract.vintageCredits(tokenId, vintage);
+      return fromCreditUnits(credits);
+    } catch (error) {
+      console.error('Failed to get vintage credits:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel (burn) buffer credits of a project after a reported reversal
+   * @param {string} tokenId - Token ID of the project
+   * @param {number} amount - Tonnes to cancel
+   * @param {string} reason - Reversal description
+   * @returns {Promise<Object>} Transaction result
+   */
+  async cancelBufferCredits(tokenId, amount, reason) {
+    try {
+      if (!this.contract) {
+        await this.initialize();
+      }
+
+      const tx = await this.contract.cancelBufferCredits(
+        tokenId,
+        toCreditUnits(amount),
+        reason,
+        {
+          gasLimit: 200000,
+          gasPrice: (await this.provider.getFeeData()).gasPrice
+        }
+      );
+
+      const receipt = await tx.wait();
+
+      return {
+        success: true,
+        transactionHash: tx.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString()
+      };
+    } catch (error) {
+      console.error('Failed to cancel buffer credits:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Release buffer credits of a project to its owner as vintage credits
+   * @param {string} tokenId - Token ID of the project
+   * @param {number} vintage - Issued vintage the credits are minted as
+   * @param {number} amount - Tonnes to release
+   * @returns {Promise<Object>} Transaction result
+   */
+  async releaseBufferCredits(tokenId, vintage, amount) {
+    try {
+      if (!this.contract) {
+        await this.initialize();
+      }
+
+      const tx = await this.contract.releaseBufferCredits(
+        tokenId,
+        vintage,
+        toCreditUnits(amount),
+        {
+          gasLimit: 200000,
+          gasPrice: (await this.provider.getFeeData()).gasPrice
+        }
+      );
+
+      const receipt = await tx.wait();
+
+      return {
+        success: true,
+        transactionHash: tx.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString()
+      };
+    } catch (error) {
+      console.error('Failed to release buffer credits:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Buffer credits held on-chain for a project
+   * @param {string} tokenId - Token ID of the project
+   * @returns {Promise<number>}
+   */
+  async getBufferCredits(tokenId) {
+    try {
+      if (!this.contract) {
+        await this.initialize();
+      }
+
+      return fromCreditUnits(await this.contract.bufferCredits(tokenId));
+    } catch (error) {
+      console.error('Failed to get buffer credits:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a project owner's unretired credits after a confirmed reversal
+   * @param {string} tokenId - Token ID of the project
+   * @param {number} amount - Tonnes to cancel
+   * @param {string} reason - Reversal description
+   * @returns {Promise<Object>} Transaction result with the vintage credits burned (tonnes)
+   */
+  async cancelOwnerCredits(tokenId, amount, reason) {
+    try {
+      if (!this.contract) {
+        await this.initialize();
+      }
+
+      const tx = await this.contract.cancelOwnerCredits(
+        tokenId,
+        toCreditUnits(amount),
+        reason,
+        {
+          gasLimit: 400000, // burns across the project's vintages
+          gasPrice: (await this.provider.getFeeData()).gasPrice
+        }
+      );
+
+      const receipt = await tx.wait();
+
+      const event = receipt.logs.find(log => {
+        try {
+          return this.contract.interface.parseLog(log).name === 'OwnerCreditsCancelled';
+        } catch (e) {
+          return false;
+        }
+      });
+
+      return {
+        success: true,
+        transactionHash: tx.hash,
+        blockNumber: receipt.blockNumber,
+        tokensBurned: event ? fromCreditUnits(this.contract.interface.parseLog(event).args.tokensBurned) : null,
+        gasUsed: receipt.gasUsed.toString()
+      };
+    } catch (error) {
+      console.error('Failed to cancel owner credits:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Unretired credits the project owner holds on-chain (the NFT's carbonCredits)
+   * @param {string} tokenId - Token ID of the project
+   * @returns {Promise<number>}
+   */
+  async getOwnerCredits(tokenId) {
+    try {
+      if (!this.contract) {
+        await this.initialize();
+      }
+
+      const project = await this.contract.projects(tokenId);
+      return fromCreditUnits(project.carbonCredits);
+    } catch (error) {
+      console.error('Failed to get owner credits:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * VintageCredit (ERC1155) contract: one id per (project, vintage)
+   * @returns {ethers.Contract}
+   */
+  getVintageContract() {
+    if (!process.env.VINTAGE_CREDIT_ADDRESS) {
+      throw new Error('VINTAGE_CREDIT_ADDRESS not configured');
+    }
+    return new ethers.Contract(process.env.VINTAGE_CREDIT_ADDRESS, [
+      'function balanceOf(address account, uint256 id) view returns (uint256)',
+      'function balanceOfBatch(address[] accounts, uint256[] ids) view returns (uint256[])',
+      'function totalSupply(uint256 id) view returns (uint256)',
+      'function wrappedSupply(uint256 id) view returns (uint256)',
+      'event Wrapped(address indexed holder, uint256 indexed id, uint256 amount)',
+      'event Unwrapped(address indexed holder, uint256 indexed id, uint256 amount)',
+      'event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)'
+    ], this.provider);
+  }
+
+  /**
+   * ERC1155 id of a project's vintage (VintageCredit.creditId)
+   * @param {string|bigint} tokenId - Registry token ID
+   * @param {number} vintage - Vintage year
+   * @returns {bigint}
+   */
+  vintageCreditId(tokenId, vintage) {
+    return (BigInt(tokenId) << 16n) | BigInt(vintage);
+  }
+
+  /**
+   * Vintages issued on-chain for a project, in issuance order
+   * @param {string} tokenId - Token ID of the project
+   * @returns {Promise<number[]>}
+   */
+  async getVintages(tokenId) {
+    try {
+      if (!this.contract) {
+        await this.initialize();
+      }
+
+      return (await this.contract.getVintages(tokenId)).map(Number);
+    } catch (error) {
+      console.error('Failed to get vintages:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Vintage credits of a project burned by a transaction (its VintageCredit TransferSingle logs to the zero address)
+   * Retirements burn these first; the rest of a retirement is burned as BCARB, which has no vintage.
+   * @param {string} transactionHash
+   * @param {string} tokenId - Registry token ID
+   * @returns {Promise<Object[]>} { vintage, amount } per vintage burned, oldest first, amount in tonnes
+   */
+  async getBurnedVintages(transactionHash, tokenId) {
+    try {
+      if (!this.contract) {
+        await this.initialize();
+      }
+
+      const vintageContract = this.getVintageContract();
+      const receipt = await this.provider.getTransactionReceipt(transactionHash);
+      const burned = new Map();
+      for (const log of receipt?.logs || []) {
+        if (log.address.toLowerCase() !== process.env.VINTAGE_CREDIT_ADDRESS.toLowerCase()) continue;
+        const parsed = vintageContract.interface.parseLog(log);
+        if (parsed?.name !== 'TransferSingle' || parsed.args.to !== ethers.ZeroAddress) continue;
+        if (parsed.args.id >> 16n !== BigInt(tokenId)) continue;
+        const vintage = Number(parsed.args.id & 0xffffn);
+        burned.set(vintage, (burned.get(vintage) || 0n) + parsed.args.value);
+      }
+      return [...burned]
+        .sort(([a], [b]) => a - b)
+        .map(([vintage, units]) => ({ vintage, amount: fromCreditUnits(units) }));
+    } catch (error) {
+      console.error('Failed to get burned vintages:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Vintage credits an address holds for some projects
+   * @param {string} ownerAddress
+   * @param {string[]} tokenIds - Registry token IDs
+   * @returns {Promise<Object[]>} { tokenId, vintage, id, balance } per vintage issued, balance in tonnes
+   */
+  async getVintageBalances(ownerAddress, tokenIds) {
+    try {
+      if (!this.contract) {
+        await this.initialize();
+      }
+
+      const entries = [];
+      for (const tokenId of tokenIds) {
+        for (const vintage of await this.getVintages(tokenId)) {
+          entries.push({ tokenId: String(tokenId), vintage, id: this.vintageCreditId(tokenId, vintage) });
+        }
+      }
+      if (entries.length === 0) return [];
+
+      const balances = await this.getVintageContract().balanceOfBatch(
+        entries.map(() => ownerAddress),
+        entries.map(entry => entry.id)
+      );
+      return entries.map((entry, i) => ({
+        ...entry,
+        id: entry.id.toString(),
+        balance: fromCreditUnits(balances[i])
+      }));
+    } catch (error) {
+      console.error('Failed to get vintage balances:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Supply of one vintage: credits held as VintageCredit and credits wrapped into BCARB
+   * @param {string} tokenId - Token ID of the project
+   * @param {number} vintage - Vintage year
+   * @returns {Promise<{supply: number, wrapped: number}>} tonnes
+   */
+  async getVintageSupply(tokenId, vintage) {
+    try {
+      if (!this.provider) {
+        await this.initialize();
+      }
+
+      const vintageContract = this.getVintageContract();
+      const id = this.vintageCreditId(tokenId, vintage);
+      const [supply, wrapped] = await Promise.all([
+        vintageContract.totalSupply(id),
+        vintageContract.wrappedSupply(id)
+      ]);
+      return { supply: fromCreditUnits(supply), wrapped: fromCreditUnits(wrapped) };
+    } catch (error) {
+      console.error('Failed to get vintage supply:', error);
+      throw error;
+    }
+  }
 }
 
 module.exports = new BlockchainService();
@@ -0,0 +1,220 @@
+const { DEFAULT_VERSION, getCoefficients } = require('../config/carbonCoefficients');
+
+/**
+ * Carbon calculation engine
+ * Computes tCO2e for a piece of evidence from its ecosystem measurements and soil cores,
+ * split into above-ground biomass, below-ground biomass and soil organic carbon.
+ */
+
+const round = (value, places = 3) => Math.round(value * 10 ** places) / 10 ** places;
+
+const positive = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : null;
+};
+
+// Mean of the per-species values we know; unknown species fall back to the default
+function speciesMean(species = [], table, fallback, label, warnings) {
+  const known = species.filter(name => table[name] !== undefined);
+  const unknown = species.filter(name => table[name] === undefined);
+  if (known.length === 0) {
+    if (unknown.length > 0) warnings.push(`No ${label} for ${unknown.join(', ')}; using default ${fallback}`);
+    return fallback;
+  }
+  if (unknown.length > 0) {
+    warnings.push(`No ${label} for ${unknown.join(', ')}; averaged over the other species`);
+  }
+  return known.reduce((sum, name) => sum + table[name], 0) / known.length;
+}
+
+function biomassToCO2(kg, carbonFraction, coefficients) {
+  return (kg / 1000) * carbonFraction * coefficients.co2PerCarbon;
+}
+
+function mangroveBiomass(data = {}, coefficients, warnings) {
+  const c = coefficients.mangrove;
+  const dbh = positive(data.avgDBHcm);
+  const height = positive(data.avgHeightM);
+  const trees = positive(data.treeCount);
+
+  if (!dbh || !trees) {
+    warnings.push('Mangrove biomass needs treeCount and avgDBHcm; biomass counted as 0');
+    return { aboveGround: 0, belowGround: 0, inputs: { treeCount: trees, avgDBHcm: dbh } };
+  }
+
+  const density = speciesMean(data.species, c.woodDensity, c.defaultWoodDensity, 'wood density', warnings);
+  const perTreeAbove = height
+    ? c.aboveGroundWithHeight.a * density * dbh ** 2 * height
+    : c.aboveGround.a * density * dbh ** c.aboveGround.b;
+  const perTreeBelow = c.belowGround.c * density ** c.belowGround.d * dbh ** c.belowGround.e;
+
+  return {
+    aboveGround: biomassToCO2(perTreeAbove * trees, c.carbonFraction, coefficients),
+    belowGround: biomassToCO2(perTreeBelow * trees, c.carbonFraction, coefficients),
+    inputs: {
+      treeCount: trees,
+      avgDBHcm: dbh,
+      avgHeightM: height,
+      woodDensity: round(density),
+      aboveGroundEquation: height ? 'chave2005-height' : 'komiyama2005-dbh',
+    },
+  };
+}
+
+function herbaceousBiomass(data = {}, areaM2, c, coefficients, label, warnings) {
+  const biomass = positive(data.biomassKgPerM2);
+  if (!biomass || !areaM2) {
+    warnings.push(`${label} biomass needs biomassKgPerM2 and an area; biomass counted as 0`);
+    return { aboveGround: 0, belowGround: 0, inputs: { biomassKgPerM2: biomass, areaM2 } };
+  }
+
+  const ratio = speciesMean(data.species, c.rootShootRatio, c.defaultRootShootRatio, 'root:shoot ratio', warnings);
+  const aboveKg = biomass * areaM2;
+  return {
+    aboveGround: biomassToCO2(aboveKg, c.carbonFraction, coefficients),
+    belowGround: biomassToCO2(aboveKg * ratio, c.carbonFraction, coefficients),
+    inputs: { biomassKgPerM2: biomass, areaM2, rootShootRatio: round(ratio) },
+  };
+}
+
+/**
+ * Soil organic carbon from cores: SOC (t C/ha) = bulk density (g/cm³) × depth (cm) × C%
+ * Cores are averaged and the mean applied over the plot area.
+ */
+function soilCarbon(cores = [], ecosystemType, defaultCarbonPercent, areaHectares, coefficients, warnings) {
+  const c = coefficients.soil;
+  const measured = cores
+    .map(core => ({
+      depthCm: positive(core.depthCm),
+      bulkDensity: positive(core.bulkDensityGcm3) || c.defaultBulkDensity[ecosystemType] || null,
+      carbonPercent: positive(core.organicCarbonPercent) || positive(defaultCarbonPercent),
+    }))
+    .filter(core => core.depthCm && core.bulkDensity && core.carbonPercent);
+
+  if (measured.length === 0) {
+    if (cores.length > 0 || positive(defaultCarbonPercent)) {
+      warnings.push('Soil carbon needs cores with depthCm and an organic carbon percentage; soil counted as 0');
+    }
+    return { soil: 0, inputs: { cores: 0 } };
+  }
+  if (!areaHectares) {
+    warnings.push('Soil carbon needs the plot area; soil counted as 0');
+    return { soil: 0, inputs: { cores: measured.length } };
+  }
+
+  const meanStock = measured.reduce((sum, core) =>
+    sum + core.bulkDensity * Math.min(core.depthCm, c.maxDepthCm) * core.carbonPercent, 0) / measured.length;
+
+  return {
+    soil: meanStock * areaHectares * coefficients.co2PerCarbon,
+    inputs: { cores: measured.length, meanStockTCPerHa: round(meanStock), areaHectares },
+  };
+}
+
+/**
+ * Calculate tCO2e for evidence
+ * @param {Object} evidence - { ecosystemType, mangroveData, seagrassData, saltMarshData, soilCores }
+ * @param {Object} [options]
+ * @param {number} [options.areaHectares] - Plot area, needed for mangrove soil carbon
+ * @param {string} [options.version] - Coefficient version (defaults to CARBON_COEFFICIENTS_VERSION)
+ * @returns {Object} Breakdown in tCO2e with the inputs and warnings behind it
+ */
+function calculateCarbon(evidence, { areaHectares, version = DEFAULT_VERSION } = {}) {
+  const coefficients = getCoefficients(version);
+  const warnings = [];
+  const { ecosystemType } = evidence;
+
+  let biomass = { aboveGround: 0, belowGround: 0, inputs: {} };
+  let soilAreaHectares = positive(areaHectares);
+  let soilCarbonPercent;
+
+  if (ecosystemType === 'mangrove') {
+    biomass = mangroveBiomass(evidence.mangroveData, coefficients, warnings);
+    soilCarbonPercent = evidence.mangroveData?.soilCarbonContentPercent;
+  } else if (ecosystemType === 'seagrass') {
+    const areaM2 = positive(evidence.seagrassData?.meadowAreaM2) || (soilAreaHectares && soilAreaHectares * 10000);
+    biomass = herbaceousBiomass(evidence.seagrassData, areaM2, coefficients.seagrass, coefficients, 'Seagrass', warnings);
+    soilAreaHectares = areaM2 ? areaM2 / 10000 : null;
+    soilCarbonPercent = evidence.seagrassData?.soilCarbonContentPercent;
+  } else if (ecosystemType === 'salt_marsh') {
+    const areaM2 = positive(evidence.saltMarshData?.areaM2) || (soilAreaHectares && soilAreaHectares * 10000);
+    biomass = herbaceousBiomass(evidence.saltMarshData, areaM2, coefficients.salt_marsh, coefficients, 'Salt marsh', warnings);
+    soilAreaHectares = areaM2 ? areaM2 / 10000 : null;
+    soilCarbonPercent = evidence.saltMarshData?.soilCarbonContentPercent;
+  } else {
+    warnings.push(`No biomass model for ecosystem "${ecosystemType}"; only soil carbon is counted`);
+  }
+
+  const soil = soilCarbon(evidence.soilCores, ecosystemType, soilCarbonPercent, soilAreaHectares, coefficients, warnings);
+
+  const aboveGroundTCO2e = round(biomass.aboveGround);
+  const belowGroundTCO2e = round(biomass.belowGround);
+  const soilTCO2e = round(soil.soil);
+
+  return {
+    methodologyVersion: version,
+    ecosystemType,
+    aboveGroundTCO2e,
+    belowGroundTCO2e,
+    soilTCO2e,
+    totalTCO2e: round(aboveGroundTCO2e + belowGroundTCO2e + soilTCO2e),
+    inputs: { biomass: biomass.inputs, soil: soil.inputs },
+    warnings,
+    calculatedAt: new Date(),
+  };
+}
+
+/**
+ * Map the flat measurements of the registration/evidence forms onto the calculator's input
+ * @param {Object} form - treeCount, averageHeight, averageBreadth/averageLength (DBH, cm), density,
+ *   biomass, seedlings, plantationSpecies, soilCarbonContentPercent
+ * @param {string} ecosystemType - Normalised type (mangrove, seagrass, salt_marsh)
+ * @param {Object} [options]
+ * @param {number} [options.areaM2] - Meadow/marsh area; left unset, the calculator uses the plot area
+ * @returns {Object} { mangroveData, seagrassData, saltMarshData }, only the one for the ecosystem set
+ */
+function ecosystemInputs(form = {}, ecosystemType, { areaM2 } = {}) {
+  const species = form.plantationSpecies || [];
+  const soilCarbonContentPercent = form.soilCarbonContentPercent || undefined;
+
+  if (ecosystemType === 'mangrove') {
+    return {
+      mangroveData: {
+        species,
+        treeCount: Number(form.treeCount || 0),
+        avgDBHcm: Number(form.averageBreadth || form.averageLength || 0),
+        avgHeightM: Number(form.averageHeight || 0),
+        seedlingsCount: Number(form.seedlings || 0),
+        soilCarbonContentPercent,
+      },
+    };
+  }
+  if (ecosystemType === 'seagrass') {
+    return {
+      seagrassData: {
+        species,
+        meadowAreaM2: areaM2,
+        shootDensity: Number(form.density || 0),
+        biomassKgPerM2: Number(form.biomass || 0),
+        soilCarbonContentPercent,
+      },
+    };
+  }
+  if (ecosystemType === 'salt_marsh') {
+    return {
+      saltMarshData: {
+        species,
+        areaM2,
+        vegetationHeightM: Number(form.averageHeight || 0),
+        biomassKgPerM2: Number(form.biomass || 0),
+        soilCarbonContentPercent,
+      },
+    };
+  }
+  return {};
+}
+
+module.exports = {
+  calculateCarbon,
+  ecosystemInputs,
+};
@@ -0,0 +1,90 @@
+const { TOLERANCES } = require('../config/discrepancyTolerances');
+const { distanceMeters } = require('./geo');
+
+/**
+ * Discrepancy analysis
+ * Compares a verifier's site measurements with the owner's evidence field by field. Within
+ * tolerance the owner's claim is credited; once any field is out of tolerance the approval
+ * credits the lower of the owner's and the verifier's tCO2e.
+ */
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isPoint = (point) => Boolean(point) && isNumber(point.latitude) && isNumber(point.longitude);
+
+// Percent difference from the owner's value; a non-zero claim against zero counts as 100%
+function percentDeviation(owner, verifier) {
+  if (owner === 0) return verifier === 0 ? 0 : 100;
+  return round((Math.abs(verifier - owner) / Math.abs(owner)) * 100);
+}
+
+function compareValue(field, owner, verifier, tolerances) {
+  if (!isNumber(owner) || !isNumber(verifier)) return null;
+  const deviationPercent = percentDeviation(owner, verifier);
+  return {
+    field,
+    owner,
+    verifier,
+    deviationPercent,
+    tolerancePercent: tolerances[field],
+    exceeded: deviationPercent > tolerances[field],
+  };
+}
+
+const biomassTCO2e = (calculation) => (calculation
+  ? round((calculation.aboveGroundTCO2e || 0) + (calculation.belowGroundTCO2e || 0))
+  : undefined);
+
+/**
+ * Compare a verifier's measurements with the owner's evidence
+ * Only fields the verifier actually measured are compared.
+ * @param {Object} evidence - Owner's Evidence document (gps, mangroveData, seagrassData, saltMarshData, carbonCalculation)
+ * @param {Object} measured - Verifier input: gps, mangroveData, seagrassData, saltMarshData
+ * @param {Object} verifierCalculation - calculateCarbon() result from the verifier's measurements
+ * @param {Object} [tolerances] - Defaults to config/discrepancyTolerances.js
+ * @returns {Object} { fields, exceeded, basis ('owner'|'verifier'), ownerTCO2e, verifierTCO2e, creditedTCO2e }
+ */
+function analyzeDiscrepancies(evidence, measured, verifierCalculation, tolerances = TOLERANCES) {
+  const ownerCalculation = evidence.carbonCalculation;
+  const fields = [
+    compareValue('treeCount', evidence.mangroveData?.treeCount, measured.mangroveData?.treeCount, tolerances),
+    compareValue('avgDBHcm', evidence.mangroveData?.avgDBHcm, measured.mangroveData?.avgDBHcm, tolerances),
+    compareValue('biomassKgPerM2',
+      (evidence.seagrassData || evidence.saltMarshData)?.biomassKgPerM2,
+      (measured.seagrassData || measured.saltMarshData)?.biomassKgPerM2,
+      tolerances),
+    compareValue('biomassTCO2e', biomassTCO2e(ownerCalculation), biomassTCO2e(verifierCalculation), tolerances),
+    compareValue('totalTCO2e', ownerCalculation?.totalTCO2e, verifierCalculation?.totalTCO2e, tolerances),
+  ].filter(Boolean);
+
+  if (isPoint(evidence.gps) && isPoint(measured.gps)) {
+    const distanceM = round(distanceMeters(evidence.gps, measured.gps), 1);
+    fields.push({
+      field: 'gpsDistanceM',
+      distanceM,
+      toleranceM: tolerances.gpsDistanceM,
+      exceeded: distanceM > tolerances.gpsDistanceM,
+    });
+  }
+
+  const exceeded = fields.some(field => field.exceeded);
+  const ownerTCO2e = isNumber(ownerCalculation?.totalTCO2e) ? ownerCalculation.totalTCO2e : null;
+  const verifierTCO2e = verifierCalculation.totalTCO2e;
+
+  // Without an owner calculation there is no claim to credit: the verifier's value stands
+  const basis = ownerTCO2e === null || (exceeded && verifierTCO2e < ownerTCO2e) ? 'verifier' : 'owner';
+  return {
+    fields,
+    exceeded,
+    basis,
+    ownerTCO2e,
+    verifierTCO2e,
+    creditedTCO2e: basis === 'owner' ? ownerTCO2e : verifierTCO2e,
+    analyzedAt: new Date(),
+  };
+}
+
+module.exports = {
+  percentDeviation,
+  analyzeDiscrepancies,
+};
@@ -0,0 +1,172 @@
+/**
+ * Geospatial helpers
+ */
+
+const EARTH_RADIUS_M = 6371008.8; // mean Earth radius
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Great-circle distance between two points (haversine)
+ * @param {{latitude: number, longitude: number}} a
+ * @param {{latitude: number, longitude: number}} b
+ * @returns {number} Distance in meters
+ */
+function distanceMeters(a, b) {
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLng = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+const isPosition = (position) =>
+  Array.isArray(position) && position.length >= 2 &&
+  Number.isFinite(position[0]) && Math.abs(position[0]) <= 180 &&
+  Number.isFinite(position[1]) && Math.abs(position[1]) <= 90;
+
+// Which side of the line a→b the point c is on: > 0 left, < 0 right, 0 on the line
+const orientation = (a, b, c) => (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+
+const withinBox = (a, b, p) =>
+  Math.min(a[0], b[0]) <= p[0] && p[0] <= Math.max(a[0], b[0]) &&
+  Math.min(a[1], b[1]) <= p[1] && p[1] <= Math.max(a[1], b[1]);
+
+// Whether segments ab and cd cross or touch
+function segmentsIntersect(a, b, c, d) {
+  const o1 = orientation(a, b, c);
+  const o2 = orientation(a, b, d);
+  const o3 = orientation(c, d, a);
+  const o4 = orientation(c, d, b);
+  if (Math.sign(o1) * Math.sign(o2) < 0 && Math.sign(o3) * Math.sign(o4) < 0) return true;
+  return (o1 === 0 && withinBox(a, b, c)) || (o2 === 0 && withinBox(a, b, d)) ||
+    (o3 === 0 && withinBox(c, d, a)) || (o4 === 0 && withinBox(c, d, b));
+}
+
+/**
+ * Whether a closed ring crosses or touches itself, or doubles back along an edge
+ * MongoDB's 2dsphere index rejects such rings, so they are caught here instead.
+ * Edges are treated as straight lines in longitude/latitude, which is close enough for sites.
+ * @param {number[][]} ring - Closed ring of [longitude, latitude] positions
+ * @returns {boolean}
+ */
+function ringSelfIntersects(ring) {
+  const edges = ring.length - 1;
+  for (let i = 0; i < edges; i++) {
+    const [a, b] = [ring[i], ring[i + 1]];
+    for (let j = i + 1; j < edges; j++) {
+      const [c, d] = [ring[j], ring[j + 1]];
+      // Neighbouring edges share a vertex; they only clash if the second runs back over the first
+      if (j === i + 1 || (i === 0 && j === edges - 1)) {
+        const [shared, p, q] = j === i + 1 ? [b, a, d] : [a, b, c];
+        const dot = (p[0] - shared[0]) * (q[0] - shared[0]) + (p[1] - shared[1]) * (q[1] - shared[1]);
+        if (orientation(p, shared, q) === 0 && dot > 0) return true;
+        continue;
+      }
+      if (segmentsIntersect(a, b, c, d)) return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Validate a GeoJSON Polygon or MultiPolygon (a Feature wrapping one is unwrapped)
+ * @param {Object} input - GeoJSON geometry or Feature
+ * @returns {{geometry: Object|null, errors: string[]}} Normalised geometry, or the problems found
+ */
+function validateBoundary(input) {
+  const geometry = input && input.type === 'Feature' ? input.geometry : input;
+  const errors = [];
+
+  if (!geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type)) {
+    return { geometry: null, errors: ['Boundary must be a GeoJSON Polygon or MultiPolygon'] };
+  }
+
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  if (!Array.isArray(polygons) || polygons.length === 0) {
+    return { geometry: null, errors: ['Boundary has no coordinates'] };
+  }
+
+  polygons.forEach((rings, p) => {
+    if (!Array.isArray(rings) || rings.length === 0) {
+      errors.push(`Polygon ${p} has no rings`);
+      return;
+    }
+    rings.forEach((ring, r) => {
+      const label = `Polygon ${p} ring ${r}`;
+      if (!Array.isArray(ring) || ring.length < 4) {
+        errors.push(`${label} needs at least 4 positions`);
+      } else if (!ring.every(isPosition)) {
+        errors.push(`${label} has a position that is not [longitude, latitude] within range`);
+      } else {
+        const first = ring[0];
+        const last = ring[ring.length - 1];
+        if (first[0] !== last[0] || first[1] !== last[1]) {
+          errors.push(`${label} is not closed (first and last positions differ)`);
+        } else if (ringSelfIntersects(ring)) {
+          errors.push(`${label} crosses itself or repeats a position`);
+        }
+      }
+    });
+  });
+
+  if (errors.length > 0) return { geometry: null, errors };
+  return { geometry: { type: geometry.type, coordinates: geometry.coordinates }, errors };
+}
+
+// Area of a ring on the sphere (same approach as turf/d3-geo)
+function ringAreaM2(ring) {
+  let total = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    const [lng1, lat1] = ring[i];
+    const [lng2, lat2] = ring[i + 1];
+    total += toRadians(lng2 - lng1) * (2 + Math.sin(toRadians(lat1)) + Math.sin(toRadians(lat2)));
+  }
+  return Math.abs((total * EARTH_RADIUS_M * EARTH_RADIUS_M) / 2);
+}
+
+/**
+ * Geodesic area of a validated Polygon or MultiPolygon (holes subtracted)
+ * @param {Object} geometry
+ * @returns {number} Area in square meters
+ */
+function geodesicAreaM2(geometry) {
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  return polygons.reduce((sum, [outer, ...holes]) =>
+    sum + ringAreaM2(outer) - holes.reduce((h, hole) => h + ringAreaM2(hole), 0), 0);
+}
+
+/**
+ * Approximate centre of a Polygon or MultiPolygon: the mean of its outer-ring vertices
+ * Good enough for sites a few kilometres across.
+ * @param {Object} geometry
+ * @returns {{latitude: number, longitude: number}}
+ */
+function boundaryCentre(geometry) {
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  const vertices = polygons.flatMap(([outer]) => outer.slice(0, -1));
+  return {
+    latitude: vertices.reduce((sum, [, lat]) => sum + lat, 0) / vertices.length,
+    longitude: vertices.reduce((sum, [lng]) => sum + lng, 0) / vertices.length,
+  };
+}
+
+/**
+ * Whether a value is a usable latitude/longitude pair
+ * @param {Object} point
+ * @returns {boolean}
+ */
+function isValidPoint(point) {
+  return Boolean(point) &&
+    Number.isFinite(point.latitude) && Math.abs(point.latitude) <= 90 &&
+    Number.isFinite(point.longitude) && Math.abs(point.longitude) <= 180;
+}
+
+module.exports = {
+  EARTH_RADIUS_M,
+  distanceMeters,
+  isValidPoint,
+  validateBoundary,
+  geodesicAreaM2,
+  boundaryCentre,
+};
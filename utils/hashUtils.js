@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+
+// SHA-256 of a value's JSON
+function generateHash(data) {
+  return crypto.createHash('sha256').update(JSON.stringify(data)).digest('hex');
+}
+
+// Evidence fields covered by evidenceHash: the submitted payload and the file manifest
+const EVIDENCE_HASH_FIELDS = [
+  'projectId',
+  'plotId',
+  'timestampISO',
+  'gps',
+  'photos',
+  'videos',
+  'ecosystemType',
+  'mangroveData',
+  'seagrassData',
+  'saltMarshData',
+  'soilCores',
+  'sensorReadings',
+  'declaredCo2Estimate',
+  'files',
+];
+
+/**
+ * evidenceHash of a stored evidence document, for when its data is edited after submission
+ * @param {Object} doc - Evidence document
+ * @returns {string}
+ */
+function evidenceHash(doc) {
+  const plain = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true, versionKey: false }) : doc;
+  return generateHash(EVIDENCE_HASH_FIELDS.reduce((acc, field) => {
+    acc[field] = plain[field];
+    return acc;
+  }, {}));
+}
+
+module.exports = {
+  generateHash,
+  EVIDENCE_HASH_FIELDS,
+  evidenceHash,
+};
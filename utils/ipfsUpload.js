@@ -1,20 +1,9 @@
-import { create } from 'ipfs-http-client';
-import axios from 'axios';
+const axios = require('axios');
 
 class IPFSService {
   constructor() {
-    // Using free IPFS services
-    this.ipfs = create({
-      host: 'ipfs.infura.io',
-      port: 5001,
-      protocol: 'https',
-      headers: {
-        authorization: `Basic ${Buffer.from(
-          `${process.env.INFURA_PROJECT_ID}:${process.env.INFURA_PROJECT_SECRET}`
-        ).toString('base64')}`
-      }
-    });
-    
+    this.ipfs = null;
+
     // Alternative free IPFS gateways
     this.gateways = [
       'https://ipfs.io/ipfs/',
@@ -24,6 +13,29 @@ class IPFSService {
     ];
   }
 
+  /**
+   * Get the IPFS client, creating it on first use
+   * ipfs-http-client is ESM-only, so it is loaded with a dynamic import
+   * @returns {Promise<Object>} IPFS client
+   */
+  async getClient() {
+    if (!this.ipfs) {
+      const { create } = await import('ipfs-http-client');
+      // Using free IPFS services
+      this.ipfs = create({
+        host: 'ipfs.infura.io',
+        port: 5001,
+        protocol: 'https',
+        headers: {
+          authorization: `Basic ${Buffer.from(
+            `${process.env.INFURA_PROJECT_ID}:${process.env.INFURA_PROJECT_SECRET}`
+          ).toString('base64')}`
+        }
+      });
+    }
+    return this.ipfs;
+  }
+
   /**
    * Upload data to IPFS
    * @param {Object} data - Data to upload
@@ -32,7 +44,8 @@ class IPFSService {
   async uploadToIPFS(data) {
     try {
       const dataString = JSON.stringify(data, null, 2);
-      const result = await this.ipfs.add(dataString);
+      const ipfs = await this.getClient();
+      const result = await ipfs.add(dataString);
       return result.path;
     } catch (error) {
       console.error('IPFS upload error:', error);
@@ -44,15 +57,17 @@ class IPFSService {
    * Upload file to IPFS
    * @param {Buffer} fileBuffer - File buffer
    * @param {string} filename - Original filename
-   * @returns {Promise<string>} IPFS hash
+   * @returns {Promise<string>} IPFS CID of the file
    */
   async uploadFileToIPFS(fileBuffer, filename) {
     try {
-      const result = await this.ipfs.add({
+      const ipfs = await this.getClient();
+      const result = await ipfs.add({
         path: filename,
         content: fileBuffer
       });
-      return result.path;
+      // With a path, result.path is the file name; the content address is result.cid
+      return result.cid.toString();
     } catch (error) {
       console.error('IPFS file upload error:', error);
       throw new Error('Failed to upload file to IPFS');
@@ -169,7 +184,9 @@ class IPFSService {
         carbon_sequestration: projectData.Carbon_Sequestration_tCO2,
         carbon_credits: projectData.Carbon_Credits_Issued,
         status: projectData.Status,
-        supporting_ngo: projectData.Supporting_NGO_Community
+        supporting_ngo: projectData.Supporting_NGO_Community,
+        boundary: projectData.boundary?.type ? projectData.boundary : null,
+        boundary_area_hectares: projectData.boundaryAreaHectares || null
       }
     };
   }
@@ -189,9 +206,29 @@ class IPFSService {
    * @returns {boolean} Whether hash is valid
    */
   isValidIPFSHash(hash) {
+    // CIDv0, or sha256 CIDv1 in base32 with the dag-pb (bafybei) or raw (bafkrei) codec
     return /^Qm[1-9A-HJ-NP-Za-km-z]{44}$/.test(hash) || 
-           /^bafybei[a-z2-7]{52}$/.test(hash);
+           /^baf[ky][br]ei[a-z2-7]{52}$/.test(hash);
+  }
+
+  /**
+   * ipfs:// URI of a CID, as the registry's tokenURI returns it
+   * @param {string} cid - IPFS CID
+   * @returns {string}
+   */
+  toIPFSUri(cid) {
+    return `ipfs://${cid}`;
+  }
+
+  /**
+   * CID (and path) of an ipfs:// URI or gateway URL
+   * @param {string} uri
+   * @returns {string|null} null when the URI does not point into IPFS
+   */
+  cidFromUri(uri) {
+    const match = /^(?:ipfs:\/\/(?:ipfs\/)?|https?:\/\/[^/]+\/ipfs\/)(.+)$/.exec(String(uri || ''));
+    return match ? match[1] : null;
   }
 }
 
-export default new IPFSService();
+module.exports = new IPFSService();
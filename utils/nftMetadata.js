@@ -0,0 +1,84 @@
+const Project = require('../models/Evidence'); // Evidence model contains the actual project data
+const blockchainService = require('./blockchainService');
+const ipfsService = require('./ipfsUpload');
+
+/**
+ * NFT metadata resolution
+ * The registry stores each project's metadata CID and returns ipfs://<CID> as tokenURI.
+ * resolveTokenMetadata reads both back, fetches the document through the IPFS gateways and
+ * checks it against the chain and the project's database record.
+ */
+
+// Fields createProjectMetadata (utils/blockchainService.js) always writes
+const REQUIRED_FIELDS = ['name', 'ecosystemType', 'estimatedCO2Sequestration', 'version'];
+
+/**
+ * Resolve and validate the metadata of a registry token
+ * @param {string} tokenId
+ * @returns {Promise<Object|null>} null when the token does not exist
+ */
+async function resolveTokenMetadata(tokenId) {
+  if (!blockchainService.contract) {
+    await blockchainService.initialize();
+  }
+
+  let owner;
+  try {
+    owner = await blockchainService.contract.ownerOf(tokenId);
+  } catch (error) {
+    if (error.code === 'CALL_EXCEPTION') return null; // ERC721NonexistentToken
+    throw error;
+  }
+  const [onChainProject, tokenURI] = await Promise.all([
+    blockchainService.contract.projects(tokenId),
+    blockchainService.getTokenURI(tokenId)
+  ]);
+  const cid = onChainProject.ipfsHash;
+
+  const project = await Project.findOne({ 'blockchain.tokenId': String(tokenId) })
+    .select('projectId Project_ID blockchain.ipfsHash')
+    .lean();
+
+  let metadata = null;
+  let fetchError;
+  if (cid) {
+    try {
+      metadata = await ipfsService.getFromIPFS(cid);
+    } catch (error) {
+      fetchError = error.message;
+    }
+  }
+  const isDocument = metadata !== null && typeof metadata === 'object' && !Array.isArray(metadata);
+
+  const checks = {
+    cidPresent: Boolean(cid),
+    cidValid: ipfsService.isValidIPFSHash(cid),
+    tokenURIMatches: Boolean(cid) && tokenURI === ipfsService.toIPFSUri(cid),
+    metadataFetched: isDocument,
+    missingFields: isDocument
+      ? REQUIRED_FIELDS.filter(field => metadata[field] === undefined || metadata[field] === null || metadata[field] === '')
+      : REQUIRED_FIELDS,
+    // null when there is nothing to compare against
+    projectIdMatches: isDocument && metadata.projectId ? metadata.projectId === onChainProject.projectId : null,
+    databaseMatches: project?.blockchain?.ipfsHash ? project.blockchain.ipfsHash === cid : null
+  };
+
+  return {
+    tokenId: String(tokenId),
+    projectId: onChainProject.projectId,
+    owner,
+    cid: cid || null,
+    tokenURI,
+    gatewayUrl: cid ? ipfsService.getIPFSUrl(cid) : null,
+    databaseCid: project?.blockchain?.ipfsHash || null,
+    valid: checks.cidValid && checks.tokenURIMatches && checks.metadataFetched &&
+      checks.missingFields.length === 0 && checks.projectIdMatches !== false && checks.databaseMatches !== false,
+    checks,
+    fetchError,
+    metadata
+  };
+}
+
+module.exports = {
+  resolveTokenMetadata,
+};
@@ -0,0 +1,123 @@
+const Evidence = require('../models/Evidence');
+const { isValidPoint } = require('./geo');
+
+/**
+ * Geospatial overlap detection
+ * Each project or evidence plot is approximated by a circle around its GPS point. Two sites
+ * overlap when their circles, widened by the buffer, touch. Projects with a GeoJSON boundary
+ * are also matched exactly against other boundaries. Overlaps are flagged for the verifier
+ * as possible double counting rather than rejected outright.
+ */
+
+const OVERLAP_BUFFER_M = Number(process.env.OVERLAP_BUFFER_M || 50);
+
+/**
+ * Radius of a circle with the given area
+ * @param {number} areaHectares
+ * @returns {number} Radius in meters (0 when the area is unknown)
+ */
+function footprintRadiusM(areaHectares) {
+  const area = Number(areaHectares);
+  return Number.isFinite(area) && area > 0 ? Math.sqrt((area * 10000) / Math.PI) : 0;
+}
+
+/**
+ * GeoJSON point for a latitude/longitude pair
+ * @param {{latitude: number, longitude: number}} point
+ * @returns {Object|undefined}
+ */
+function toGeoPoint(point) {
+  if (!isValidPoint(point)) return undefined;
+  return { type: 'Point', coordinates: [point.longitude, point.latitude] };
+}
+
+/**
+ * Find other projects whose footprint overlaps a site
+ * @param {Object} site
+ * @param {{latitude: number, longitude: number}} site.point - Site centre
+ * @param {number} [site.radiusM=0] - Site radius
+ * @param {string} [site.projectId] - Plots of this project are not conflicts
+ * @param {Object} [site.boundary] - GeoJSON Polygon/MultiPolygon of the site
+ * @param {number} [bufferM=OVERLAP_BUFFER_M] - Extra distance allowed between sites
+ * @returns {Promise<Array<{projectId: string, evidenceId: string, distanceM: number}>>}
+ *   Closest conflicting site per project, nearest first (boundary intersections have distance 0)
+ */
+async function findOverlaps({ point, radiusM = 0, projectId, boundary }, bufferM = OVERLAP_BUFFER_M) {
+  const near = toGeoPoint(point);
+  if (!near) return [];
+
+  const otherProjects = projectId ? { projectId: { $ne: projectId } } : {};
+
+  // Boundaries that intersect this site's boundary (or contain its point)
+  const intersecting = await Evidence.find({
+    ...otherProjects,
+    boundary: { $geoIntersects: { $geometry: boundary || near } },
+  })
+    .select('projectId')
+    .lean();
+
+  // No stored site can reach further than the largest footprint on record
+  const largest = await Evidence.findOne({ footprintRadiusM: { $gt: 0 } })
+    .sort({ footprintRadiusM: -1 })
+    .select('footprintRadiusM')
+    .lean();
+  const maxDistance = radiusM + bufferM + (largest ? largest.footprintRadiusM : 0);
+
+  const candidates = await Evidence.aggregate([
+    {
+      $geoNear: {
+        near,
+        key: 'geoLocation',
+        distanceField: 'distanceM',
+        maxDistance,
+        spherical: true,
+        query: otherProjects,
+      },
+    },
+    { $project: { projectId: 1, distanceM: 1, footprintRadiusM: 1 } },
+  ]);
+
+  const conflicts = new Map();
+  for (const match of intersecting) {
+    if (conflicts.has(match.projectId)) continue;
+    conflicts.set(match.projectId, { projectId: match.projectId, evidenceId: String(match._id), distanceM: 0 });
+  }
+  for (const candidate of candidates) {
+    const reach = radiusM + (candidate.footprintRadiusM || 0) + bufferM;
+    if (candidate.distanceM > reach || conflicts.has(candidate.projectId)) continue;
+    conflicts.set(candidate.projectId, {
+      projectId: candidate.projectId,
+      evidenceId: String(candidate._id),
+      distanceM: Math.round(candidate.distanceM),
+    });
+  }
+  return [...conflicts.values()];
+}
+
+/**
+ * Overlap fields to store on a project or evidence document
+ * @param {Object} site - Same as findOverlaps
+ * @returns {Promise<Object>} { geoLocation, footprintRadiusM, overlap }
+ */
+async function assessSite(site) {
+  const conflicts = await findOverlaps(site);
+  return {
+    geoLocation: toGeoPoint(site.point),
+    footprintRadiusM: site.radiusM || 0,
+    overlap: {
+      possibleDoubleCounting: conflicts.length > 0,
+      conflictingProjectIds: conflicts.map(conflict => conflict.projectId),
+      conflicts,
+      bufferM: OVERLAP_BUFFER_M,
+      checkedAt: new Date(),
+    },
+  };
+}
+
+module.exports = {
+  OVERLAP_BUFFER_M,
+  footprintRadiusM,
+  toGeoPoint,
+  findOverlaps,
+  assessSite,
+};
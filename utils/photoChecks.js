@@ -0,0 +1,163 @@
+const exifr = require('exifr');
+const { distanceMeters, isValidPoint } = require('./geo');
+
+/**
+ * EXIF consistency checks for evidence photos
+ * Compares where and when each photo says it was taken with the evidence's declared
+ * gps and timestampISO, so photos recycled from another site or season stand out.
+ */
+
+// Allowed GPS drift on top of the evidence's declared precision (phone GPS is rarely better)
+const GPS_TOLERANCE_M = Number(process.env.EXIF_GPS_TOLERANCE_M || 100);
+// Allowed gap between capture time and the declared evidence timestamp
+const TIME_TOLERANCE_HOURS = Number(process.env.EXIF_TIME_TOLERANCE_HOURS || 72);
+// EXIF times without an offset are local to the camera; any zone is within 14 hours of UTC
+const UNKNOWN_TIMEZONE_SLACK_HOURS = 14;
+
+const ANOMALIES = {
+  NO_EXIF: 'Photo has no readable EXIF metadata',
+  NO_GPS: 'Photo has no GPS coordinates',
+  GPS_MISMATCH: 'Photo was taken away from the declared location',
+  NO_CAPTURE_TIME: 'Photo has no capture time',
+  TIME_MISMATCH: 'Photo was taken outside the declared time window',
+  CAPTURED_AFTER_SUBMISSION: 'Photo capture time is later than the submission',
+  DUPLICATE_PHOTO: 'Identical photo was already submitted with other evidence',
+};
+
+function anomaly(code, detail) {
+  return detail ? { code, message: `${ANOMALIES[code]} (${detail})` } : { code, message: ANOMALIES[code] };
+}
+
+/**
+ * Parse an EXIF "YYYY:MM:DD HH:MM:SS" time, applying the offset when the camera recorded one
+ * @returns {{capturedAt: Date, timezoneKnown: boolean}|null}
+ */
+function parseExifTime(value, offset) {
+  const match = typeof value === 'string' && value.match(/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second] = match;
+  const timezoneKnown = typeof offset === 'string' && /^[+-]\d{2}:\d{2}$/.test(offset);
+  const capturedAt = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${timezoneKnown ? offset : 'Z'}`);
+  return Number.isNaN(capturedAt.getTime()) ? null : { capturedAt, timezoneKnown };
+}
+
+/**
+ * Read GPS position and capture time from an image
+ * @param {Buffer} buffer - Raw image bytes
+ * @returns {Promise<Object|null>} { latitude, longitude, capturedAt, timezoneKnown, camera } or null without EXIF
+ */
+async function readExif(buffer) {
+  let tags;
+  try {
+    tags = await exifr.parse(buffer, { tiff: true, exif: true, gps: true, reviveValues: false });
+  } catch (error) {
+    return null; // unsupported format or corrupt metadata
+  }
+  if (!tags) return null;
+
+  let position = null;
+  try {
+    position = await exifr.gps(buffer); // converts DMS + ref to signed decimal degrees
+  } catch (error) {
+    position = null;
+  }
+
+  const time = parseExifTime(
+    tags.DateTimeOriginal || tags.CreateDate || tags.ModifyDate,
+    tags.OffsetTimeOriginal || tags.OffsetTime
+  );
+
+  return {
+    latitude: isValidPoint(position) ? position.latitude : null,
+    longitude: isValidPoint(position) ? position.longitude : null,
+    capturedAt: time ? time.capturedAt : null,
+    timezoneKnown: time ? time.timezoneKnown : false,
+    camera: [tags.Make, tags.Model].filter(Boolean).join(' ') || null,
+  };
+}
+
+/**
+ * Check one photo against the evidence's declared location and time
+ * @param {Object} photo - { buffer, filename, cid, sha256 }
+ * @param {Object} declared - { gps: {latitude, longitude, precision}, timestampISO, submittedAt }
+ * @returns {Promise<Object>} Per-photo report
+ */
+async function checkPhoto(photo, declared) {
+  const exif = await readExif(photo.buffer);
+  const report = {
+    filename: photo.filename,
+    cid: photo.cid,
+    sha256: photo.sha256,
+    exif,
+    distanceM: null,
+    timeDeltaHours: null,
+    anomalies: [],
+  };
+
+  if (!exif) {
+    report.anomalies.push(anomaly('NO_EXIF'));
+    return report;
+  }
+
+  if (exif.latitude === null) {
+    report.anomalies.push(anomaly('NO_GPS'));
+  } else if (isValidPoint(declared.gps)) {
+    report.distanceM = Math.round(distanceMeters(declared.gps, exif));
+    const allowedM = (Number(declared.gps.precision) || 0) + GPS_TOLERANCE_M;
+    if (report.distanceM > allowedM) {
+      report.anomalies.push(anomaly('GPS_MISMATCH', `${report.distanceM} m away, allowed ${allowedM} m`));
+    }
+  }
+
+  if (!exif.capturedAt) {
+    report.anomalies.push(anomaly('NO_CAPTURE_TIME'));
+  } else {
+    const declaredAt = new Date(declared.timestampISO);
+    const slackHours = exif.timezoneKnown ? 0 : UNKNOWN_TIMEZONE_SLACK_HOURS;
+
+    if (!Number.isNaN(declaredAt.getTime())) {
+      report.timeDeltaHours = Math.round((exif.capturedAt - declaredAt) / 36e5 * 10) / 10;
+      const allowedHours = TIME_TOLERANCE_HOURS + slackHours;
+      if (Math.abs(report.timeDeltaHours) > allowedHours) {
+        report.anomalies.push(anomaly('TIME_MISMATCH', `${report.timeDeltaHours} h from declared time, allowed ${allowedHours} h`));
+      }
+    }
+
+    const submittedAt = declared.submittedAt || new Date();
+    if (exif.capturedAt - submittedAt > slackHours * 36e5) {
+      report.anomalies.push(anomaly('CAPTURED_AFTER_SUBMISSION'));
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Check every photo in a submission
+ * @param {Object[]} photos - [{ buffer, filename, cid, sha256 }]
+ * @param {Object} declared - { gps, timestampISO, submittedAt }
+ * @param {Object} [options]
+ * @param {Set<string>} [options.knownHashes] - SHA-256s already used by other evidence
+ * @returns {Promise<Object[]>} Per-photo reports
+ */
+async function checkPhotos(photos, declared, { knownHashes = new Set() } = {}) {
+  const reports = [];
+  for (const photo of photos) {
+    const report = await checkPhoto(photo, declared);
+    if (knownHashes.has(photo.sha256)) {
+      report.anomalies.push(anomaly('DUPLICATE_PHOTO'));
+    }
+    reports.push(report);
+  }
+  return reports;
+}
+
+module.exports = {
+  ANOMALIES,
+  GPS_TOLERANCE_M,
+  TIME_TOLERANCE_HOURS,
+  readExif,
+  checkPhoto,
+  checkPhotos,
+};
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const Evidence = require('../models/Evidence');
+
+/**
+ * Reject-and-resubmit helpers
+ * A verifier rejects with a list of required changes, each pointing at a project field or at
+ * one of the project's evidence items. The owner edits the project and resubmits; a change
+ * is resolved when its field was edited or the owner answered it.
+ */
+
+// Project fields an owner may edit when resubmitting (and a verifier may ask to change)
+const RESUBMITTABLE_FIELDS = [
+  'Project_Name',
+  'State_UT',
+  'District',
+  'Village_Coastal_Panchayat',
+  'Latitude_Longitude',
+  'Area_Hectares',
+  'Species_Planted',
+  'Plantation_Date',
+  'Supporting_NGO_Community',
+  'boundary',
+  'gps',
+  'photos',
+  'videos',
+  'mangroveData',
+  'seagrassData',
+  'saltMarshData',
+  'soilCores',
+  'sensorReadings',
+  // Descriptive metadata only: verifierRewardAmount, ownerAddress and contact details stay as registered
+  'metadata.description',
+  'metadata.density',
+  'metadata.baselineData',
+  'metadata.monitoringPlan',
+  'metadata.documents',
+  'metadata.treeCount',
+  'metadata.averageHeight',
+  'metadata.averageLength',
+  'metadata.averageBreadth',
+  'metadata.seedlings',
+];
+
+// Registration measurements kept in metadata; the calculator inputs are derived from them
+const METADATA_MEASUREMENT_FIELDS = [
+  'metadata.treeCount',
+  'metadata.averageHeight',
+  'metadata.averageLength',
+  'metadata.averageBreadth',
+  'metadata.density',
+  'metadata.seedlings',
+];
+
+// Editing any of these changes the carbon calculation (the area sizes the soil carbon)
+const MEASUREMENT_FIELDS = [
+  'mangroveData',
+  'seagrassData',
+  'saltMarshData',
+  'soilCores',
+  'boundary',
+  'Area_Hectares',
+  ...METADATA_MEASUREMENT_FIELDS,
+];
+
+/**
+ * Validate the required changes sent with a rejection
+ * @param {Object} project - Evidence document being rejected
+ * @param {Array<{field?: string, evidenceId?: string, message: string}>} input
+ * @returns {Promise<{changes: Object[], errors: string[]}>}
+ */
+async function validateRequiredChanges(project, input) {
+  const errors = [];
+  if (!Array.isArray(input)) {
+    return { changes: [], errors: ['requiredChanges must be an array'] };
+  }
+
+  const changes = input.map((change, index) => {
+    const label = `requiredChanges[${index}]`;
+    const message = typeof change?.message === 'string' ? change.message.trim() : '';
+    if (!message) errors.push(`${label} needs a message`);
+    if (change?.field && !RESUBMITTABLE_FIELDS.includes(change.field)) {
+      errors.push(`${label} field "${change.field}" cannot be edited by the owner`);
+    }
+    if (change?.evidenceId && !mongoose.Types.ObjectId.isValid(change.evidenceId)) {
+      errors.push(`${label} evidenceId is not a valid id`);
+    }
+    return { field: change?.field || undefined, evidenceId: change?.evidenceId || undefined, message };
+  });
+
+  // Evidence items must belong to the project being rejected
+  const evidenceIds = [...new Set(changes.map(change => change.evidenceId).filter(id => id && mongoose.Types.ObjectId.isValid(id)))];
+  if (evidenceIds.length > 0) {
+    const found = await Evidence.find({ _id: { $in: evidenceIds }, projectId: project.projectId }).select('_id').lean();
+    const known = new Set(found.map(doc => String(doc._id)));
+    evidenceIds
+      .filter(id => !known.has(String(id)))
+      .forEach(id => errors.push(`Evidence ${id} does not belong to project ${project.projectId}`));
+  }
+
+  return { changes, errors };
+}
+
+/**
+ * Mark required changes resolved by a resubmission
+ * @param {Object[]} requiredChanges - Open changes on the project (sub-documents)
+ * @param {string[]} editedFields - Fields the resubmission changed
+ * @param {Array<{changeId: string, response: string}>} responses - Owner answers
+ * @returns {Object[]} Changes that are still unresolved
+ */
+function resolveRequiredChanges(requiredChanges, editedFields, responses = []) {
+  const answers = new Map(responses
+    .filter(answer => answer && answer.changeId && typeof answer.response === 'string' && answer.response.trim())
+    .map(answer => [String(answer.changeId), answer.response.trim()]));
+
+  for (const change of requiredChanges) {
+    if (change.resolved) continue;
+    const response = answers.get(String(change._id));
+    if (response) change.response = response;
+    if (response || (change.field && editedFields.includes(change.field))) {
+      change.resolved = true;
+    }
+  }
+  return requiredChanges.filter(change => !change.resolved);
+}
+
+module.exports = {
+  RESUBMITTABLE_FIELDS,
+  MEASUREMENT_FIELDS,
+  METADATA_MEASUREMENT_FIELDS,
+  validateRequiredChanges,
+  resolveRequiredChanges,
+};
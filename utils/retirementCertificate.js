@@ -0,0 +1,230 @@
+const { ethers } = require('ethers');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const Project = require('../models/Evidence'); // Evidence model contains the actual project data
+const blockchainService = require('./blockchainService');
+const { canonicalJSON } = require('./auditLog');
+const { roundCredits } = require('../config/creditUnits');
+
+/**
+ * Retirement certificates
+ * A certificate covers one registry retirement (a CreditsRetired event) and is identified by
+ * "<tokenId>-<index>", the retirement's position in the token's on-chain history. Everything on
+ * it is read back from the chain when it is generated. The JSON-LD form carries a proof: the
+ * server wallet's EIP-191 signature over the canonical JSON of the document without its proof,
+ * so anyone can check it with ethers.verifyMessage.
+ */
+
+const CERTIFICATE_ID = /^(\d+)-(\d+)$/;
+
+/**
+ * Split a certificate id
+ * @param {string} id - "<tokenId>-<index>"
+ * @returns {{tokenId: string, index: number}|null}
+ */
+function parseCertificateId(id) {
+  const match = CERTIFICATE_ID.exec(String(id));
+  return match ? { tokenId: match[1], index: Number(match[2]) } : null;
+}
+
+/**
+ * Read a retirement and its project from the chain (and the project's database record)
+ * @param {string} tokenId
+ * @param {number} index - Position in the token's retirement history
+ * @returns {Promise<Object|null>} null when the token has no such retirement
+ */
+async function loadRetirement(tokenId, index) {
+  const events = await blockchainService.getCreditRetirementEvents(tokenId);
+  const event = events[index];
+  if (!event) return null;
+
+  const [{ retirements }, onChainProject, network] = await Promise.all([
+    blockchainService.getRetirements(tokenId),
+    blockchainService.contract.projects(tokenId),
+    blockchainService.provider.getNetwork()
+  ]);
+  const record = retirements[index];
+  const block = await blockchainService.provider.getBlock(event.blockNumber);
+
+  const project = await Project.findOne({ 'blockchain.tokenId': String(tokenId) })
+    .select('projectId Project_ID Project_Name name ecosystemType Ecosystem_Type State_UT District Village_Coastal_Panchayat')
+    .lean();
+
+  // Only the vintage credits this retirement burned; the BCARB share has no vintage
+  let vintages = [];
+  try {
+    vintages = await blockchainService.getBurnedVintages(event.transactionHash, tokenId);
+  } catch (error) {
+    console.warn('Failed to read the retired vintages:', error.message || error);
+  }
+
+  return {
+    certificateId: `${tokenId}-${index}`,
+    tokenId: String(tokenId),
+    index,
+    project: {
+      projectId: onChainProject.projectId,
+      name: project?.Project_Name || project?.name,
+      ecosystemType: project?.ecosystemType || project?.Ecosystem_Type,
+      location: project
+        ? [project.Village_Coastal_Panchayat, project.District, project.State_UT].filter(Boolean).join(', ') || undefined
+        : undefined,
+      owner: onChainProject.projectOwner
+    },
+    amount: event.amount,
+    vintages,
+    beneficiary: record?.beneficiary || undefined,
+    reason: event.reason,
+    retiredBy: record?.retiredBy,
+    retiredAt: new Date(block.timestamp * 1000).toISOString(),
+    transactionHash: event.transactionHash,
+    blockNumber: event.blockNumber,
+    logIndex: event.logIndex,
+    registry: blockchainService.contractAddress,
+    chainId: Number(network.chainId)
+  };
+}
+
+/**
+ * Build the signed JSON-LD certificate
+ * @param {Object} retirement - From loadRetirement
+ * @param {string} verifyUrl - Public verification endpoint for this certificate
+ * @returns {Promise<Object>}
+ */
+async function buildCertificate(retirement, verifyUrl) {
+  const document = {
+    '@context': [
+      'https://www.w3.org/2018/credentials/v1',
+      { '@vocab': 'https://schema.org/' }
+    ],
+    id: `urn:carbon-retirement:${retirement.chainId}:${retirement.registry}:${retirement.certificateId}`,
+    type: ['VerifiableCredential', 'CarbonCreditRetirementCertificate'],
+    issuer: `did:pkh:eip155:${retirement.chainId}:${blockchainService.wallet.address}`,
+    issuanceDate: new Date().toISOString(),
+    credentialSubject: {
+      id: `urn:carbon-retirement:${retirement.certificateId}`,
+      project: retirement.project,
+      tokenId: retirement.tokenId,
+      amount: retirement.amount,
+      unit: 'tCO2e',
+      vintages: retirement.vintages,
+      beneficiary: retirement.beneficiary,
+      reason: retirement.reason,
+      retiredBy: retirement.retiredBy,
+      retiredAt: retirement.retiredAt,
+      transactionHash: retirement.transactionHash,
+      blockNumber: retirement.blockNumber,
+      registry: retirement.registry,
+      chainId: retirement.chainId,
+      verificationUrl: verifyUrl
+    }
+  };
+
+  const signature = await blockchainService.wallet.signMessage(canonicalJSON(document));
+  return {
+    ...document,
+    proof: {
+      type: 'EthereumPersonalSignature',
+      created: document.issuanceDate,
+      proofPurpose: 'assertionMethod',
+      verificationMethod: `${document.issuer}#blockchainAccountId`,
+      canonicalization: 'sorted-keys JSON of the document without proof',
+      signerAddress: blockchainService.wallet.address,
+      signature
+    }
+  };
+}
+
+/**
+ * Check a certificate's proof against the wallet that issues certificates
+ * proof.signerAddress is not trusted: anyone can sign a certificate and name themselves there.
+ * @param {Object} certificate - Signed JSON-LD certificate
+ * @param {string} expectedSigner - Address of the registry wallet
+ * @returns {{valid: boolean, signerAddress: string|null}}
+ */
+function verifyCertificateSignature(certificate, expectedSigner) {
+  const { proof, ...document } = certificate || {};
+  if (!proof?.signature || !expectedSigner) return { valid: false, signerAddress: null };
+  try {
+    const signer = ethers.verifyMessage(canonicalJSON(document), proof.signature);
+    return {
+      valid: signer.toLowerCase() === expectedSigner.toLowerCase(),
+      signerAddress: signer
+    };
+  } catch (error) {
+    return { valid: false, signerAddress: null };
+  }
+}
+
+// "2024: 6 tCO2e, 2025: 4 tCO2e", plus the share retired as BCARB
+function vintageSummary(subject) {
+  const vintages = subject.vintages || [];
+  const parts = vintages.map(({ vintage, amount }) => `${vintage}: ${amount} tCO2e`);
+  const wrapped = roundCredits(subject.amount - vintages.reduce((sum, { amount }) => sum + amount, 0));
+  if (wrapped > 0) parts.push(`${wrapped} tCO2e as BCARB (no vintage)`);
+  return parts.join(', ');
+}
+
+/**
+ * Render the certificate as a PDF
+ * @param {Object} certificate - Signed JSON-LD certificate
+ * @returns {Promise<Buffer>}
+ */
+async function renderPdf(certificate) {
+  const subject = certificate.credentialSubject;
+  const qr = await QRCode.toBuffer(subject.verificationUrl, { margin: 1, width: 140 });
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 56, info: { Title: `Retirement certificate ${subject.id}` } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.fontSize(22).text('Carbon Credit Retirement Certificate', { align: 'center' });
+    doc.moveDown(0.5).fontSize(10).fillColor('#555').text(certificate.id, { align: 'center' });
+    doc.moveDown(1.5).fillColor('#000').fontSize(14)
+      .text(`${subject.amount} tCO2e retired${subject.beneficiary ? ` on behalf of ${subject.beneficiary}` : ''}`, { align: 'center' });
+    doc.moveDown(1.5);
+
+    const rows = [
+      ['Project', [subject.project.name, subject.project.projectId].filter(Boolean).join(' - ')],
+      ['Ecosystem', subject.project.ecosystemType],
+      ['Location', subject.project.location],
+      ['Vintage', vintageSummary(subject)],
+      ['Amount', `${subject.amount} tCO2e`],
+      ['Beneficiary', subject.beneficiary || 'Not named'],
+      ['Reason', subject.reason],
+      ['Retired at', subject.retiredAt],
+      ['Token ID', subject.tokenId],
+      ['Registry', `${subject.registry} (chain ${subject.chainId})`],
+      ['Transaction', subject.transactionHash],
+      ['Block', String(subject.blockNumber)]
+    ];
+    doc.fontSize(10);
+    for (const [label, value] of rows) {
+      const y = doc.y;
+      doc.font('Helvetica-Bold').text(label, 56, y, { width: 100 });
+      doc.font('Helvetica').text(value || '-', 160, y, { width: 380 });
+      doc.moveDown(0.4);
+    }
+
+    doc.moveDown(1);
+    const qrTop = doc.y;
+    doc.image(qr, 56, qrTop, { width: 110 });
+    doc.fontSize(9).text('Scan to re-check this retirement on-chain:', 180, qrTop + 10, { width: 360 });
+    doc.fillColor('#1a5fb4').text(subject.verificationUrl, { width: 360, link: subject.verificationUrl });
+    doc.fillColor('#555').moveDown(0.8)
+      .text(`Signed by ${certificate.proof.signerAddress}. Request the JSON-LD form (?format=jsonld) for the verifiable signature.`, { width: 360 });
+
+    doc.end();
+  });
+}
+
+module.exports = {
+  parseCertificateId,
+  loadRetirement,
+  buildCertificate,
+  verifyCertificateSignature,
+  renderPdf,
+};
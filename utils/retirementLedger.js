@@ -0,0 +1,57 @@
+const TokenRetirement = require('../models/TokenRetirement');
+const blockchainService = require('./blockchainService');
+
+/**
+ * BCARB retirement ledger
+ * Mirrors the token's TokensRetired events into TokenRetirement. Indexing is idempotent
+ * (keyed by the on-chain retirementId), so ranges and transactions can be re-indexed safely.
+ * A full sync starts after the highest block already indexed, or at
+ * RETIREMENT_INDEX_FROM_BLOCK (default 0) for an empty ledger.
+ */
+
+const START_BLOCK = Number(process.env.RETIREMENT_INDEX_FROM_BLOCK || 0);
+
+async function upsertAll(entries) {
+  for (const entry of entries) {
+    await TokenRetirement.updateOne(
+      { retirementId: entry.retirementId },
+      { $set: entry, $setOnInsert: { indexedAt: new Date() } },
+      { upsert: true }
+    );
+  }
+  return TokenRetirement.find({ retirementId: { $in: entries.map(entry => entry.retirementId) } })
+    .sort({ retirementId: 1 });
+}
+
+/**
+ * Index every retirement since the last indexed block
+ * @param {Object} [options]
+ * @param {number} [options.fromBlock] - Re-index from this block instead
+ * @returns {Promise<{fromBlock: number, indexed: number}>}
+ */
+async function syncRetirements({ fromBlock } = {}) {
+  let start = fromBlock;
+  if (start === undefined) {
+    const last = await TokenRetirement.findOne().sort({ blockNumber: -1 }).select('blockNumber').lean();
+    start = last ? last.blockNumber + 1 : START_BLOCK;
+  }
+  const entries = await blockchainService.getTokenRetirements(start);
+  await upsertAll(entries);
+  return { fromBlock: start, indexed: entries.length };
+}
+
+/**
+ * Index the retirements made by one transaction (e.g. right after a MetaMask retirement)
+ * @param {string} txHash
+ * @returns {Promise<Object[]|null>} Ledger entries; null if the transaction is not mined yet
+ */
+async function indexTransaction(txHash) {
+  const entries = await blockchainService.getTokenRetirementsInTx(txHash);
+  if (entries === null) return null;
+  return upsertAll(entries);
+}
+
+module.exports = {
+  syncRetirements,
+  indexTransaction,
+};
@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+/**
+ * Sign-In With Ethereum (EIP-4361) helpers
+ * Builds the plain-text challenge shown in MetaMask and verifies the signature
+ */
+
+const SIWE_DOMAIN = process.env.SIWE_DOMAIN || 'localhost:3000';
+const SIWE_URI = process.env.SIWE_URI || 'http://localhost:3000';
+const SIWE_CHAIN_ID = Number(process.env.SIWE_CHAIN_ID || 11155111); // Sepolia
+const SIWE_STATEMENT = 'Sign in to the Blue Carbon Registry.';
+const NONCE_TTL_MINUTES = Number(process.env.SIWE_NONCE_TTL_MINUTES || 10);
+
+/**
+ * Generate an alphanumeric nonce (EIP-4361 requires at least 8 characters)
+ * @returns {string} Nonce
+ */
+function generateNonce() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Build an EIP-4361 message
+ * @param {Object} fields - address, nonce, chainId, issuedAt, expirationTime
+ * @returns {string} Message to be signed with personal_sign
+ */
+function buildMessage({ address, nonce, chainId = SIWE_CHAIN_ID, issuedAt, expirationTime }) {
+  return [
+    `${SIWE_DOMAIN} wants you to sign in with your Ethereum account:`,
+    ethers.getAddress(address),
+    '',
+    SIWE_STATEMENT,
+    '',
+    `URI: ${SIWE_URI}`,
+    'Version: 1',
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`,
+    `Expiration Time: ${expirationTime}`
+  ].join('\n');
+}
+
+/**
+ * Parse the fields of an EIP-4361 message
+ * @param {string} message - Signed message
+ * @returns {Object|null} Parsed fields, or null if the message is malformed
+ */
+function parseMessage(message) {
+  if (typeof message !== 'string') return null;
+
+  const lines = message.split('\n');
+  const header = lines[0]?.match(/^(.+) wants you to sign in with your Ethereum account:$/);
+  if (!header || !ethers.isAddress(lines[1])) return null;
+
+  const field = (name) => {
+    const line = lines.find(l => l.startsWith(`${name}: `));
+    return line ? line.slice(name.length + 2) : null;
+  };
+
+  return {
+    domain: header[1],
+    address: ethers.getAddress(lines[1]),
+    uri: field('URI'),
+    version: field('Version'),
+    chainId: Number(field('Chain ID')),
+    nonce: field('Nonce'),
+    issuedAt: field('Issued At'),
+    expirationTime: field('Expiration Time')
+  };
+}
+
+/**
+ * Recover the signer of a message
+ * @param {string} message - Signed message
+ * @param {string} signature - personal_sign signature
+ * @returns {string|null} Checksummed signer address, or null if the signature is invalid
+ */
+function recoverAddress(message, signature) {
+  try {
+    return ethers.verifyMessage(message, signature);
+  } catch (e) {
+    return null;
+  }
+}
+
+module.exports = {
+  SIWE_DOMAIN,
+  SIWE_CHAIN_ID,
+  NONCE_TTL_MINUTES,
+  generateNonce,
+  buildMessage,
+  parseMessage,
+  recoverAddress
+};
@@ -260,7 +260,7 @@ class TransactionMonitor {
   getContractABI() {
     return [
       "event ProjectRegistered(uint256 indexed tokenId, string indexed projectId, address indexed projectOwner, uint256 carbonCredits)",
-      "event ERC20CreditsMinted(uint256 indexed tokenId, uint256 indexed amount, address indexed recipient)",
+      "event VintageCreditsMinted(uint256 indexed tokenId, uint16 indexed vintage, uint256 amount, address indexed to)",
       "event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)"
     ];
   }
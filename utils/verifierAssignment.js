@@ -0,0 +1,146 @@
+const User = require('../models/User');
+const ProjectStamp = require('../models/Project');
+const { hasPermission } = require('../config/permissions');
+
+/**
+ * Verifier assignment
+ * Projects are reviewed by the verifiers on their ProjectStamp. A verifier may not review a
+ * project they created, own the wallet of, or whose owner (or declared organization) is their
+ * own organization. Automatic assignment is round-robin: eligible verifiers are taken least
+ * recently assigned first.
+ */
+
+const normalizeOrganization = (value) => (typeof value === 'string' ? value.trim().toLowerCase() : '') || null;
+
+/**
+ * Reasons a verifier may not review a project
+ * @param {Object} verifier - User, or req.user (id/_id, walletAddress, organization)
+ * @param {Object} project - Evidence document
+ * @param {Object} [owner] - Project owner (organization)
+ * @returns {string[]} CREATED_PROJECT, OWNS_PROJECT_WALLET, SAME_ORGANIZATION; empty when clear
+ */
+function conflictsOfInterest(verifier, project, owner) {
+  const conflicts = [];
+  const verifierId = String(verifier._id || verifier.id);
+
+  if (project.createdBy && String(project.createdBy._id || project.createdBy) === verifierId) {
+    conflicts.push('CREATED_PROJECT');
+  }
+  if (verifier.walletAddress && project.ownerWalletAddress &&
+      verifier.walletAddress.toLowerCase() === project.ownerWalletAddress.toLowerCase()) {
+    conflicts.push('OWNS_PROJECT_WALLET');
+  }
+
+  const organization = normalizeOrganization(verifier.organization);
+  if (organization && [owner?.organization, project.Supporting_NGO_Community]
+    .some(other => normalizeOrganization(other) === organization)) {
+    conflicts.push('SAME_ORGANIZATION');
+  }
+  return conflicts;
+}
+
+/**
+ * Owner of a project, for the organization check
+ * @param {Object} project - Evidence document
+ * @returns {Promise<Object|null>}
+ */
+function projectOwner(project) {
+  if (!project.createdBy) return Promise.resolve(null);
+  return User.findById(project.createdBy._id || project.createdBy).select('organization').lean();
+}
+
+/**
+ * Whether a user may vote on a project
+ * @param {Object} user - req.user
+ * @param {Object} project - Evidence document
+ * @param {Object} [options]
+ * @param {boolean} [options.requireAssignment=true] - The user must be on the project's stamp
+ * @returns {Promise<{conflicts: string[], assigned: boolean}>}
+ */
+async function checkReviewer(user, project, { requireAssignment = true } = {}) {
+  const conflicts = conflictsOfInterest(user, project, await projectOwner(project));
+  if (!requireAssignment) return { conflicts, assigned: true };
+
+  const assigned = Boolean(project.projectId) && Boolean(await ProjectStamp.exists({
+    projectId: project.projectId,
+    assignedVerifiers: user.id,
+  }));
+  return { conflicts, assigned };
+}
+
+/**
+ * Why a user may not vote on a project, as a 403 body
+ * Users with verification:assign may review unassigned projects; conflicts apply to everyone.
+ * @param {Object} user - req.user
+ * @param {Object} project - Evidence document
+ * @returns {Promise<Object|null>} null when the user may review
+ */
+async function reviewerRefusal(user, project) {
+  const canAssign = hasPermission(user.role, 'verification:assign');
+  const { conflicts, assigned } = await checkReviewer(user, project, { requireAssignment: !canAssign });
+  if (conflicts.length > 0) {
+    return { success: false, message: 'Conflict of interest: you may not review this project.', conflicts };
+  }
+  if (!assigned) {
+    return { success: false, message: 'Project is not assigned to you.' };
+  }
+  return null;
+}
+
+/**
+ * Eligible verifiers for a project, least recently assigned first
+ * @param {Object} project - Evidence document
+ * @param {number} count
+ * @param {Object} [options]
+ * @param {Array} [options.exclude] - User ids to skip (e.g. already assigned)
+ * @returns {Promise<Object[]>}
+ */
+async function pickVerifiers(project, count, { exclude = [] } = {}) {
+  const owner = await projectOwner(project);
+  const candidates = await User.find({ role: 'Verifier', isActive: { $ne: false }, _id: { $nin: exclude } })
+    .select('name email walletAddress organization lastAssignedAt')
+    .sort({ lastAssignedAt: 1, _id: 1 }) // never-assigned verifiers (null) come first
+    .lean();
+
+  return candidates
+    .filter(candidate => conflictsOfInterest(candidate, project, owner).length === 0)
+    .slice(0, count);
+}
+
+/**
+ * Put verifiers on a project's stamp and move them to the back of the round-robin
+ * @param {string} projectId - ProjectStamp.projectId
+ * @param {Object[]} verifiers - Users, in lead-first order
+ * @param {string} assignedBy - User id making the assignment
+ * @returns {Promise<Object|null>} Updated stamp, or null if the project has none
+ */
+async function assignVerifiers(projectId, verifiers, assignedBy) {
+  const ids = verifiers.map(verifier => verifier._id);
+  const stamp = await ProjectStamp.findOneAndUpdate(
+    { projectId },
+    {
+      $set: {
+        assignedVerifiers: ids,
+        assignedInspector: ids[0] || null,
+        assignedAt: new Date(),
+        assignedBy,
+      },
+    },
+    { new: true }
+  );
+  if (!stamp) return null;
+
+  // Distinct timestamps keep the order among verifiers assigned together
+  const now = Date.now();
+  await Promise.all(ids.map((id, index) =>
+    User.updateOne({ _id: id }, { $set: { lastAssignedAt: new Date(now + index) } })));
+  return stamp;
+}
+
+module.exports = {
+  conflictsOfInterest,
+  checkReviewer,
+  reviewerRefusal,
+  pickVerifiers,
+  assignVerifiers,
+};